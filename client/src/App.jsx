@@ -2,7 +2,11 @@ import React from "react";
 import { Routes, Route } from "react-router-dom";
 
 // Import AuthProvider and ProtectedRoute
-import { AuthProvider } from "./contexts/AuthContext";
+import {
+  AuthProvider,
+  FINANCE_ROLES,
+  STAFF_ROLES,
+} from "./contexts/AuthContext";
 import { NotificationsProvider } from "./contexts/NotificationsContext";
 import { LiveVendorsProvider } from "./contexts/LiveVendorsContext";
 import ProtectedRoute from "./components/ProtectedRoute";
@@ -44,6 +48,8 @@ import PublicCustomerChoose from "./pages/PublicCustomerChoose";
 import VendorPortal from "./pages/VendorPortal";
 // Optional self-serve intake
 import CustomerIntake from "./pages/CustomerIntake";
+import GuestJobTracker from "./pages/GuestJobTracker";
+import InvoiceView from "./pages/InvoiceView";
 import NotificationsCenter from "./pages/NotificationsCenter";
 
 import Topbar from "./components/Topbar";
@@ -73,6 +79,8 @@ export default function App() {
                 element={<VendorPortal />}
               />
               <Route path="/new/:token" element={<CustomerIntake />} />
+              <Route path="/track/:jobToken" element={<GuestJobTracker />} />
+              <Route path="/invoice/:token" element={<InvoiceView />} />
               <Route path="/notifications" element={<NotificationsCenter />} />
 
               <Route path="/unauthorized" element={<Unauthorized />} />
@@ -80,7 +88,7 @@ export default function App() {
               <Route
                 path="/admin"
                 element={
-                  <ProtectedRoute requiredRole="admin" fallbackPath="/admin/login">
+                  <ProtectedRoute requiredRole={FINANCE_ROLES} fallbackPath="/admin/login">
                     <AdminDashboard />
                   </ProtectedRoute>
                 }
@@ -88,7 +96,7 @@ export default function App() {
               <Route
                 path="/jobs/:jobId"
                 element={
-                  <ProtectedRoute requiredRole="admin" fallbackPath="/admin/login">
+                  <ProtectedRoute requiredRole={STAFF_ROLES} fallbackPath="/admin/login">
                     <AdminJobDetail />
                   </ProtectedRoute>
                 }
@@ -96,7 +104,7 @@ export default function App() {
               <Route
                 path="/jobs"
                 element={
-                  <ProtectedRoute requiredRole="admin" fallbackPath="/admin/login">
+                  <ProtectedRoute requiredRole={STAFF_ROLES} fallbackPath="/admin/login">
                     <AdminJobs />
                   </ProtectedRoute>
                 }
@@ -104,7 +112,7 @@ export default function App() {
               <Route
                 path="/reports"
                 element={
-                  <ProtectedRoute requiredRole="admin" fallbackPath="/admin/login">
+                  <ProtectedRoute requiredRole={FINANCE_ROLES} fallbackPath="/admin/login">
                     <AdminReports />
                   </ProtectedRoute>
                 }
@@ -112,7 +120,7 @@ export default function App() {
               <Route
                 path="/admin/vendors"
                 element={
-                  <ProtectedRoute requiredRole="admin" fallbackPath="/admin/login">
+                  <ProtectedRoute requiredRole={STAFF_ROLES} fallbackPath="/admin/login">
                     <AdminVendors />
                   </ProtectedRoute>
                 }
@@ -120,7 +128,7 @@ export default function App() {
               <Route
                 path="/admin/ops"
                 element={
-                  <ProtectedRoute requiredRole="admin" fallbackPath="/admin/login">
+                  <ProtectedRoute requiredRole={STAFF_ROLES} fallbackPath="/admin/login">
                     <AdminOpsCenter />
                   </ProtectedRoute>
                 }
@@ -128,7 +136,7 @@ export default function App() {
               <Route
                 path="/admin/crm/leads"
                 element={
-                  <ProtectedRoute requiredRole="admin" fallbackPath="/admin/login">
+                  <ProtectedRoute requiredRole={STAFF_ROLES} fallbackPath="/admin/login">
                     <LeadPipeline />
                   </ProtectedRoute>
                 }
@@ -136,7 +144,7 @@ export default function App() {
               <Route
                 path="/admin/crm/reviews"
                 element={
-                  <ProtectedRoute requiredRole="admin" fallbackPath="/admin/login">
+                  <ProtectedRoute requiredRole={STAFF_ROLES} fallbackPath="/admin/login">
                     <ReviewHub />
                   </ProtectedRoute>
                 }
@@ -144,7 +152,7 @@ export default function App() {
               <Route
                 path="/admin/documents"
                 element={
-                  <ProtectedRoute requiredRole="admin" fallbackPath="/admin/login">
+                  <ProtectedRoute requiredRole={STAFF_ROLES} fallbackPath="/admin/login">
                     <DocumentsHub />
                   </ProtectedRoute>
                 }
@@ -152,7 +160,7 @@ export default function App() {
               <Route
                 path="/admin/knowledge"
                 element={
-                  <ProtectedRoute requiredRole="admin" fallbackPath="/admin/login">
+                  <ProtectedRoute requiredRole={STAFF_ROLES} fallbackPath="/admin/login">
                     <KnowledgeBase />
                   </ProtectedRoute>
                 }
@@ -160,7 +168,7 @@ export default function App() {
               <Route
                 path="/admin/map"
                 element={
-                  <ProtectedRoute requiredRole="admin" fallbackPath="/admin/login">
+                  <ProtectedRoute requiredRole={STAFF_ROLES} fallbackPath="/admin/login">
                     <AdminLiveMap />
                   </ProtectedRoute>
                 }
@@ -176,7 +184,7 @@ export default function App() {
               <Route
                 path="/financials"
                 element={
-                  <ProtectedRoute requiredRole="admin" fallbackPath="/admin/login">
+                  <ProtectedRoute requiredRole={FINANCE_ROLES} fallbackPath="/admin/login">
                     <AdminFinancials />
                   </ProtectedRoute>
                 }
@@ -184,7 +192,7 @@ export default function App() {
               <Route
                 path="/print-report"
                 element={
-                  <ProtectedRoute requiredRole="admin" fallbackPath="/admin/login">
+                  <ProtectedRoute requiredRole={FINANCE_ROLES} fallbackPath="/admin/login">
                     <PrintReport />
                   </ProtectedRoute>
                 }
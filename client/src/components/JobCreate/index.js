@@ -1,5 +1,7 @@
 import { useEffect, useMemo, useState } from "react";
 import { api } from "../../lib/api";
+import usePriceQuote from "../../hooks/usePriceQuote";
+import PriceBreakdown from "../PriceBreakdown";
 import "./styles.css";
 
 const SERVICE_SUGGESTIONS = [
@@ -28,6 +30,9 @@ const INITIAL_FORM = {
   pickupAddress: "",
   dropoffAddress: "",
   serviceType: "",
+  urgency: "standard",
+  heavyDuty: false,
+  estimatedDistance: "",
   quotedPrice: "",
   notes: "",
   bidMode: "open",
@@ -61,6 +66,20 @@ export default function JobCreate({ onCreated }) {
   const [vendorAiCandidates, setVendorAiCandidates] = useState([]);
   const [attachments, setAttachments] = useState([]);
   const [attachmentError, setAttachmentError] = useState("");
+  // Once staff type a price the engine stops overwriting it
+  const [priceTouched, setPriceTouched] = useState(false);
+
+  const { quote, loading: quoteLoading } = usePriceQuote({
+    serviceType: form.serviceType.trim(),
+    urgency: form.urgency,
+    heavyDuty: form.heavyDuty,
+    estimatedDistance: form.estimatedDistance.trim(),
+  });
+
+  useEffect(() => {
+    if (!quote || priceTouched) return;
+    setForm((prev) => ({ ...prev, quotedPrice: String(quote.total) }));
+  }, [quote, priceTouched]);
 
   useEffect(() => {
     let cancelled = false;
@@ -270,6 +289,7 @@ export default function JobCreate({ onCreated }) {
 
   const reset = () => {
     setForm({ ...INITIAL_FORM });
+    setPriceTouched(false);
     setAttachments([]);
     setAttachmentError("");
   };
@@ -422,7 +442,7 @@ export default function JobCreate({ onCreated }) {
     }
 
     const needsPrice =
-      form.fulfillment === "broker" || form.bidMode === "fixed";
+      form.fulfillment === "broker" || form.bidMode !== "open";
     if (needsPrice && !(Number(form.quotedPrice) > 0)) {
       setBusy(false);
       return setErr("Enter a payout amount for this job.");
@@ -444,6 +464,9 @@ export default function JobCreate({ onCreated }) {
         pickupAddress: form.pickupAddress.trim(),
         dropoffAddress: form.dropoffAddress.trim() || undefined,
         serviceType,
+        urgency: form.urgency,
+        heavyDuty: form.heavyDuty,
+        estimatedDistance: form.estimatedDistance.trim() || undefined,
         quotedPrice: Number(form.quotedPrice) || 0,
         notes: form.notes.trim(),
         bidMode: form.fulfillment === "broker" ? "fixed" : form.bidMode,
@@ -480,7 +503,11 @@ export default function JobCreate({ onCreated }) {
         customerLink: null,
       };
 
-      if (form.fulfillment === "market" && form.openBidding) {
+      if (
+        form.fulfillment === "market" &&
+        form.bidMode !== "auto" &&
+        form.openBidding
+      ) {
         try {
           const r = await api.post(`/api/jobs/${job._id}/open-bidding`);
           links = {
@@ -723,25 +750,38 @@ export default function JobCreate({ onCreated }) {
             >
               Bid only (price + ETA)
             </button>
+            <button
+              type="button"
+              className={`jobcreate-mode-option ${
+                form.bidMode === "auto" ? "active" : ""
+              }`}
+              onClick={() => setForm((f) => ({ ...f, bidMode: "auto" }))}
+            >
+              Auto dispatch (nearest vendor)
+            </button>
           </div>
           <p className="jobcreate-mode-hint">
             {form.bidMode === "fixed"
               ? "Vendors confirm with an ETA. Price is locked."
+              : form.bidMode === "auto"
+              ? "Offered to the nearest eligible vendor one at a time. Opens bidding if nobody accepts."
               : "Vendors can propose their price and ETA."}
           </p>
-          <label className="jobcreate-checkbox">
-            <input
-              type="checkbox"
-              checked={form.openBidding}
-              onChange={(event) =>
-                setForm((prev) => ({
-                  ...prev,
-                  openBidding: event.target.checked,
-                }))
-              }
-            />
-            <span>Open vendor bidding immediately</span>
-          </label>
+          {form.bidMode !== "auto" && (
+            <label className="jobcreate-checkbox">
+              <input
+                type="checkbox"
+                checked={form.openBidding}
+                onChange={(event) =>
+                  setForm((prev) => ({
+                    ...prev,
+                    openBidding: event.target.checked,
+                  }))
+                }
+              />
+              <span>Open vendor bidding immediately</span>
+            </label>
+          )}
         </fieldset>
       )}
 
@@ -962,10 +1002,13 @@ export default function JobCreate({ onCreated }) {
             min="0"
             step="1"
             value={form.quotedPrice}
-            onChange={setField("quotedPrice")}
+            onChange={(event) => {
+              setPriceTouched(true);
+              setField("quotedPrice")(event);
+            }}
             placeholder="0"
             required={
-              form.fulfillment === "broker" || form.bidMode === "fixed"
+              form.fulfillment === "broker" || form.bidMode !== "open"
             }
           />
           <small className="jobcreate-hint">
@@ -973,11 +1016,61 @@ export default function JobCreate({ onCreated }) {
               ? "We will show this amount to the assigned vendor as the fixed payout."
               : form.bidMode === "fixed"
               ? "Required for fixed jobs. Vendors only submit their ETA."
+              : form.bidMode === "auto"
+              ? "Required for auto dispatch. The accepting vendor gets this payout."
               : "Optional reference when requesting bids."}
           </small>
         </label>
       </div>
 
+      <div className="row">
+        <label>
+          <span>Urgency</span>
+          <select value={form.urgency} onChange={setField("urgency")}>
+            <option value="standard">Standard</option>
+            <option value="urgent">Urgent</option>
+            <option value="emergency">Emergency</option>
+          </select>
+        </label>
+        <label>
+          <span>Trip distance</span>
+          <input
+            value={form.estimatedDistance}
+            onChange={setField("estimatedDistance")}
+            placeholder="e.g. 12 mi"
+          />
+        </label>
+      </div>
+      <label className="jobcreate-checkbox">
+        <input
+          type="checkbox"
+          checked={form.heavyDuty}
+          onChange={(event) =>
+            setForm((prev) => ({ ...prev, heavyDuty: event.target.checked }))
+          }
+        />
+        <span>Heavy-duty vehicle</span>
+      </label>
+
+      <PriceBreakdown
+        quote={quote}
+        loading={quoteLoading}
+        title="Calculated price"
+        total={form.quotedPrice === "" ? undefined : Number(form.quotedPrice)}
+      />
+      {quote && priceTouched && Number(form.quotedPrice) !== quote.total && (
+        <button
+          type="button"
+          className="btn tiny"
+          onClick={() => {
+            setPriceTouched(false);
+            setForm((prev) => ({ ...prev, quotedPrice: String(quote.total) }));
+          }}
+        >
+          Use calculated price
+        </button>
+      )}
+
       <section className="jobcreate-media">
         <label className="jobcreate-media-label">
           <span>Upload photos or video</span>
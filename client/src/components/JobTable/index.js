@@ -497,7 +497,11 @@ export default function JobTable({
                         <div className="jobtable-service-title">
                           {job.bidMode === "open" ? "Bid Only" : job.serviceType || "Service"}
                           <span className={`jobtable-mode-tag ${job.bidMode}`}>
-                            {job.bidMode === "fixed" ? "Fixed" : "Bid"}
+                            {job.bidMode === "fixed"
+                              ? "Fixed"
+                              : job.bidMode === "auto"
+                              ? "Auto"
+                              : "Bid"}
                           </span>
                         </div>
                         {job.bidMode === "open" && job.serviceType && (
@@ -664,7 +668,7 @@ export default function JobTable({
                             event.stopPropagation();
                             onUpdateJob(job._id, { status: "Completed" });
                           }}
-                          disabled={job.status === "Completed"}
+                          disabled={["Completed", "Cancelled", "GOA"].includes(job.status)}
                         >
                           Complete
                         </button>
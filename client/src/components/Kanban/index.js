@@ -1,8 +1,11 @@
 import { useState, useEffect, useRef } from "react";
+import {
+  BASIC_JOB_WORKFLOW,
+  nextStatusesFor,
+} from "../../hooks/useJobWorkflow";
+import { useAuth } from "../../contexts/AuthContext";
 import "./styles.css";
 
-const STAGES = ["Unassigned", "Assigned", "OnTheWay", "Arrived", "Completed"];
-
 const PAYMENT_METHOD_LABELS = {
   cash: "Cash",
   card: "Card",
@@ -42,7 +45,13 @@ const formatDateTime = (value) => {
 const methodLabel = (method) =>
   method ? PAYMENT_METHOD_LABELS[method] || method : "-";
 
-export default function Kanban({ jobs = [], onUpdateJob, onCompleteJob }) {
+export default function Kanban({
+  jobs = [],
+  workflow = BASIC_JOB_WORKFLOW,
+  onUpdateJob,
+  onCompleteJob,
+}) {
+  const { role } = useAuth() || {};
   const [currentPage, setCurrentPage] = useState(1);
   const [itemsPerPage] = useState(8);
   const [expandedCard, setExpandedCard] = useState(null);
@@ -98,15 +107,39 @@ export default function Kanban({ jobs = [], onUpdateJob, onCompleteJob }) {
     }
   };
 
-  const nextOf = (status) => {
-    const index = STAGES.indexOf(status);
-    return index >= 0 && index < STAGES.length - 1 ? STAGES[index + 1] : null;
+  const stages = workflow.statuses;
+  const stageKeys = stages.map((stage) => stage.key);
+  const terminalKeys = stages
+    .filter((stage) => stage.terminal)
+    .map((stage) => stage.key);
+
+  // Without a transition table (offline fallback) any stage is reachable.
+  const allowedFrom = (status) =>
+    workflow.transitions?.length
+      ? nextStatusesFor(workflow, status, role || "admin")
+      : stageKeys.filter((key) => key !== status);
+
+  const canMove = (status, to) => allowedFrom(status).includes(to);
+
+  // Next/Back step along the column order, skipping side states such as
+  // OnHold and the terminal columns that have their own buttons.
+  const stepOf = (status, direction) => {
+    const index = stageKeys.indexOf(status);
+    if (index < 0) return null;
+    const candidates = allowedFrom(status).filter(
+      (key) => !terminalKeys.includes(key) && key !== "OnHold"
+    );
+    const ordered = candidates
+      .map((key) => ({ key, index: stageKeys.indexOf(key) }))
+      .filter((item) =>
+        direction > 0 ? item.index > index : item.index < index
+      )
+      .sort((a, b) => (a.index - b.index) * direction);
+    return ordered[0]?.key || null;
   };
 
-  const prevOf = (status) => {
-    const index = STAGES.indexOf(status);
-    return index > 0 ? STAGES[index - 1] : null;
-  };
+  const nextOf = (status) => stepOf(status, 1);
+  const prevOf = (status) => stepOf(status, -1);
 
   const setCardUrgency = (jobId, urgent) => {
     const card = cardRefs.current[jobId];
@@ -178,14 +211,14 @@ export default function Kanban({ jobs = [], onUpdateJob, onCompleteJob }) {
 
       {/* Kanban Board */}
       <div className="kanban-board">
-        {STAGES.map((stage) => {
+        {stages.map(({ key: stage, label }) => {
           const items = paginatedJobs.filter((job) => job.status === stage);
           const allItems = sortedJobs.filter((job) => job.status === stage);
 
           return (
             <div key={stage} className="kanban-column" data-stage={stage}>
               <div className="kanban-column-header">
-                <h3 className="kanban-column-title">{stage}</h3>
+                <h3 className="kanban-column-title">{label}</h3>
                 <span className="kanban-column-count">
                   {items.length} of {allItems.length}
                 </span>
@@ -362,7 +395,7 @@ export default function Kanban({ jobs = [], onUpdateJob, onCompleteJob }) {
                           </div>
 
                           <div className="kanban-action-group">
-                            {j.status !== "Completed" && (
+                            {canMove(j.status, "Completed") && (
                               <button
                                 className="kanban-action-btn complete"
                                 onClick={(event) => {
@@ -374,6 +407,18 @@ export default function Kanban({ jobs = [], onUpdateJob, onCompleteJob }) {
                               </button>
                             )}
 
+                            {canMove(j.status, "Cancelled") && (
+                              <button
+                                className="kanban-action-btn cancel"
+                                onClick={(event) => {
+                                  event.stopPropagation();
+                                  move(j, "Cancelled");
+                                }}
+                              >
+                                Cancel
+                              </button>
+                            )}
+
                             {j.vendorId ? (
                               <button
                                 className="kanban-action-btn unassign"
@@ -444,9 +489,9 @@ export default function Kanban({ jobs = [], onUpdateJob, onCompleteJob }) {
         </button>
 
         <div className="kanban-mobile-indicators">
-          {STAGES.map((stage, index) => (
+          {stages.map((stage, index) => (
             <span
-              key={stage}
+              key={stage.key}
               className="kanban-mobile-indicator"
               onClick={() => {
                 const columns = document.querySelectorAll(".kanban-column");
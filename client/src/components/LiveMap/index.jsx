@@ -12,6 +12,8 @@ import "./styles.css";
  *  - staleMs?: number
  *  - destination?: { lat, lng } | [lat, lng]
  *  - routeCoordinates?: Array<[lat, lng]>
+ *  - trail?: Array<[lat, lng]> recorded path, drawn solid; the map fits to
+ *    it whenever it changes
  */
 export default function LiveMap({
   vendors = [],
@@ -26,6 +28,8 @@ export default function LiveMap({
   routeWeight = 5,
   routeDistanceMeters = null,
   routeCoordinates = [],
+  trail = null,
+  trailColor = "#0ea5e9",
 }) {
   const containerRef = useRef(null);
   const mapRef = useRef(null);
@@ -33,6 +37,7 @@ export default function LiveMap({
   const markersRef = useRef(new Map());
   const destinationRef = useRef(null);
   const routesRef = useRef(new Map());
+  const trailRef = useRef(null);
 
   const activeVendors = useMemo(() => {
     if (Array.isArray(vendors) && vendors.length) return vendors;
@@ -312,6 +317,40 @@ export default function LiveMap({
     routeCoordinates,
   ]);
 
+  useEffect(() => {
+    const map = mapRef.current;
+    const layer = layerRef.current;
+    if (!map || !layer) return;
+
+    const path = Array.isArray(trail)
+      ? trail.filter(
+          (pair) =>
+            Array.isArray(pair) &&
+            Number.isFinite(Number(pair[0])) &&
+            Number.isFinite(Number(pair[1]))
+        )
+      : [];
+    if (path.length < 2) {
+      if (trailRef.current) {
+        trailRef.current.remove();
+        trailRef.current = null;
+      }
+      return;
+    }
+
+    if (!trailRef.current) {
+      trailRef.current = L.polyline(path, {
+        color: trailColor,
+        weight: 4,
+        opacity: 0.85,
+      }).addTo(layer);
+    } else {
+      trailRef.current.setLatLngs(path);
+      trailRef.current.setStyle({ color: trailColor });
+    }
+    map.fitBounds(trailRef.current.getBounds(), { padding: [40, 40] });
+  }, [trail, trailColor]);
+
   return (
     <div className="lm-wrap">
       <div ref={containerRef} className="lm-map" />
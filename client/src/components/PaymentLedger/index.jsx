@@ -0,0 +1,228 @@
+import { useCallback, useEffect, useState } from "react";
+import { api } from "../../lib/api";
+import "./styles.css";
+
+const formatMoney = (value) => {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return "-";
+  try {
+    return new Intl.NumberFormat("en-US", { style: "currency", currency: "USD" }).format(num);
+  } catch (error) {
+    return `$${num.toFixed(2)}`;
+  }
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : "-");
+
+const KIND_LABELS = {
+  deposit: "Deposit",
+  payment: "Payment",
+  refund: "Refund",
+  chargeback: "Chargeback",
+};
+
+const EMPTY_REFUND = { amount: "", reason: "", refundOf: "", note: "" };
+
+/**
+ * PaymentLedger
+ * Props:
+ *  - jobId: job whose payment ledger to show
+ *  - onChange?: called after a refund or dispute update changes the balance
+ */
+export default function PaymentLedger({ jobId, onChange }) {
+  const [ledger, setLedger] = useState(null);
+  const [error, setError] = useState("");
+  const [forbidden, setForbidden] = useState(false);
+  const [refund, setRefund] = useState(EMPTY_REFUND);
+  const [saving, setSaving] = useState(false);
+
+  const load = useCallback(async () => {
+    if (!jobId) return;
+    try {
+      const { data } = await api.get(`/api/payments/jobs/${jobId}/ledger`);
+      setLedger(data || null);
+      setError("");
+    } catch (err) {
+      if (err?.response?.status === 403) {
+        setForbidden(true);
+        return;
+      }
+      setError(err?.response?.data?.message || "Unable to load payments.");
+    }
+  }, [jobId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const afterChange = async () => {
+    await load();
+    onChange?.();
+  };
+
+  const submitRefund = async (event) => {
+    event.preventDefault();
+    if (!refund.reason.trim()) {
+      setError("Give a reason for the refund.");
+      return;
+    }
+    setSaving(true);
+    try {
+      await api.post(`/api/payments/jobs/${jobId}/refunds`, {
+        amount: Number(refund.amount),
+        reason: refund.reason,
+        refundOf: refund.refundOf || undefined,
+        note: refund.note || undefined,
+      });
+      setRefund(EMPTY_REFUND);
+      await afterChange();
+    } catch (err) {
+      setError(err?.response?.data?.message || "Unable to record refund.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const resolveDispute = async (entry, outcome) => {
+    try {
+      await api.post(`/api/payments/${entry._id}/dispute`, { outcome });
+      await afterChange();
+    } catch (err) {
+      setError(err?.response?.data?.message || "Unable to update the dispute.");
+    }
+  };
+
+  if (forbidden) return null;
+
+  const summary = ledger?.summary || null;
+  const entries = ledger?.entries || [];
+  const inflows = entries.filter((entry) => entry.kind === "deposit" || entry.kind === "payment");
+
+  return (
+    <div className="payment-ledger">
+      {summary && (
+        <dl className="payment-ledger__summary">
+          <div>
+            <dt>Status</dt>
+            <dd className={`payment-ledger__status is-${summary.status}`}>{summary.status}</dd>
+          </div>
+          <div>
+            <dt>Due</dt>
+            <dd>{formatMoney(summary.amountDue)}</dd>
+          </div>
+          <div>
+            <dt>Paid</dt>
+            <dd>{formatMoney(summary.amountPaid)}</dd>
+          </div>
+          <div>
+            <dt>Balance</dt>
+            <dd>{formatMoney(summary.balance)}</dd>
+          </div>
+          {summary.refunded > 0 && (
+            <div>
+              <dt>Refunded</dt>
+              <dd>{formatMoney(summary.refunded)}</dd>
+            </div>
+          )}
+        </dl>
+      )}
+
+      {error && <p className="payment-ledger__error">{error}</p>}
+
+      {entries.length ? (
+        <table className="payment-ledger__table">
+          <thead>
+            <tr>
+              <th>When</th>
+              <th>Type</th>
+              <th>Method</th>
+              <th>Amount</th>
+              <th>Details</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((entry) => (
+              <tr key={entry._id}>
+                <td>{formatTime(entry.receivedAt)}</td>
+                <td>
+                  {KIND_LABELS[entry.kind] || entry.kind}
+                  {entry.collectedBy === "vendor" && (
+                    <span className="payment-ledger__muted"> (vendor)</span>
+                  )}
+                </td>
+                <td>{entry.method || "-"}</td>
+                <td className={entry.signedAmount < 0 ? "is-negative" : ""}>
+                  {formatMoney(entry.kind === "chargeback" || entry.kind === "refund" ? -entry.amount : entry.amount)}
+                </td>
+                <td>
+                  {entry.reason || entry.note || "-"}
+                  {entry.dispute && (
+                    <div className="payment-ledger__dispute">
+                      Dispute: {entry.dispute.status || "open"}
+                      {(entry.dispute.status || "open") === "open" && (
+                        <>
+                          <button type="button" onClick={() => resolveDispute(entry, "won")}>
+                            Won
+                          </button>
+                          <button type="button" onClick={() => resolveDispute(entry, "lost")}>
+                            Lost
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p className="payment-ledger__muted">No payments recorded yet.</p>
+      )}
+
+      {summary && summary.amountPaid > 0 && (
+        <form className="payment-ledger__refund" onSubmit={submitRefund}>
+          <h3>Record refund</h3>
+          <label>
+            <span>Amount</span>
+            <input
+              type="number"
+              min="0.01"
+              step="0.01"
+              max={summary.amountPaid}
+              required
+              value={refund.amount}
+              onChange={(event) => setRefund((prev) => ({ ...prev, amount: event.target.value }))}
+            />
+          </label>
+          <label>
+            <span>Against</span>
+            <select
+              value={refund.refundOf}
+              onChange={(event) => setRefund((prev) => ({ ...prev, refundOf: event.target.value }))}
+            >
+              <option value="">Any payment</option>
+              {inflows.map((entry) => (
+                <option key={entry._id} value={entry._id}>
+                  {KIND_LABELS[entry.kind]} {formatMoney(entry.amount)} ({entry.method})
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="payment-ledger__wide">
+            <span>Reason</span>
+            <input
+              required
+              value={refund.reason}
+              placeholder="e.g. Service not completed"
+              onChange={(event) => setRefund((prev) => ({ ...prev, reason: event.target.value }))}
+            />
+          </label>
+          <button type="submit" disabled={saving}>
+            {saving ? "Saving..." : "Record refund"}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+import "./PriceBreakdown.css";
+
+const formatMoney = (value, currency = "USD") => {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return "-";
+  try {
+    return new Intl.NumberFormat("en-US", { style: "currency", currency }).format(num);
+  } catch (error) {
+    return `$${num.toFixed(2)}`;
+  }
+};
+
+/**
+ * Line items of a pricing-engine quote (POST /api/pricing/quote or a job's
+ * priceQuote). Pass `total` when the job's price was set by hand instead.
+ */
+export default function PriceBreakdown({
+  quote,
+  total,
+  title = "Estimated price",
+  note,
+  loading = false,
+}) {
+  if (!quote) {
+    return loading ? (
+      <div className="price-breakdown">
+        <p className="price-breakdown__meta">Calculating price...</p>
+      </div>
+    ) : null;
+  }
+  const items = Array.isArray(quote.lineItems) ? quote.lineItems : [];
+  const shownTotal = Number.isFinite(Number(total)) ? Number(total) : quote.total;
+  const adjusted = shownTotal !== quote.total;
+
+  return (
+    <div className={`price-breakdown${loading ? " is-loading" : ""}`}>
+      <div className="price-breakdown__head">
+        <span>{title}</span>
+        <strong>{formatMoney(shownTotal, quote.currency)}</strong>
+      </div>
+      {items.length > 0 && (
+        <ul className="price-breakdown__items">
+          {items.map((item) => (
+            <li key={item.code}>
+              <span>{item.label}</span>
+              <span>{formatMoney(item.amount, quote.currency)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {adjusted && (
+        <p className="price-breakdown__meta">
+          Calculated at {formatMoney(quote.total, quote.currency)}; adjusted
+          manually.
+        </p>
+      )}
+      {quote.distance?.value != null && (
+        <p className="price-breakdown__meta">
+          Based on about {quote.distance.value} {quote.distance.unit}.
+        </p>
+      )}
+      {note ? <p className="price-breakdown__meta">{note}</p> : null}
+    </div>
+  );
+}
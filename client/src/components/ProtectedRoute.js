@@ -13,7 +13,10 @@ const ProtectedRoute = ({ children, requiredRole, fallbackPath = '/login' }) =>
     return <Navigate to={fallbackPath} replace />;
   }
 
-  if (requiredRole && user.role !== requiredRole) {
+  const allowedRoles = Array.isArray(requiredRole)
+    ? requiredRole
+    : [requiredRole].filter(Boolean);
+  if (allowedRoles.length && !allowedRoles.includes(user.role)) {
     return <Navigate to="/unauthorized" replace />;
   }
 
@@ -0,0 +1,279 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import L from "leaflet";
+import "./styles.css";
+
+const COLORS = {
+  coverage: "#2563eb",
+  exclusions: "#dc2626",
+};
+
+const LABELS = {
+  coverage: "Service area",
+  exclusions: "Exclusion zone",
+};
+
+// GeoJSON MultiPolygon <-> editor shapes ([[lat, lng], ...] outer rings).
+const fromGeometry = (geometry) =>
+  (Array.isArray(geometry?.coordinates) ? geometry.coordinates : [])
+    .map(([outer]) =>
+      (Array.isArray(outer) ? outer.slice(0, -1) : []).map(([lng, lat]) => [lat, lng])
+    )
+    .filter((ring) => ring.length >= 3);
+
+const toGeometry = (shapes) =>
+  shapes.length
+    ? {
+        type: "MultiPolygon",
+        coordinates: shapes.map((ring) => [
+          [...ring.map(([lat, lng]) => [lng, lat]), [ring[0][1], ring[0][0]]],
+        ]),
+      }
+    : null;
+
+/**
+ * ServiceAreaEditor (Leaflet + OSM)
+ * Click the map to place points, then finish the shape. Coverage shapes
+ * replace the radius circle for dispatch; exclusion zones always apply.
+ * Props:
+ *  - coverage, exclusions: GeoJSON MultiPolygon | null
+ *  - center?: [lat, lng] base location (also draws the radius circle)
+ *  - radiusKm?: number
+ *  - onSave: ({ coverage, exclusions }) => Promise
+ *  - saving?: boolean
+ */
+export default function ServiceAreaEditor({
+  coverage = null,
+  exclusions = null,
+  center = null,
+  radiusKm = 25,
+  onSave,
+  saving = false,
+}) {
+  const containerRef = useRef(null);
+  const mapRef = useRef(null);
+  const layerRef = useRef(null);
+  const fittedRef = useRef(false);
+  const [mode, setMode] = useState("coverage");
+  const [draft, setDraft] = useState([]);
+  const [shapes, setShapes] = useState(() => ({
+    coverage: fromGeometry(coverage),
+    exclusions: fromGeometry(exclusions),
+  }));
+  const [dirty, setDirty] = useState(false);
+
+  const initial = useMemo(
+    () => ({ coverage: fromGeometry(coverage), exclusions: fromGeometry(exclusions) }),
+    [coverage, exclusions]
+  );
+
+  useEffect(() => {
+    setShapes(initial);
+    setDraft([]);
+    setDirty(false);
+  }, [initial]);
+
+  const hasCenter =
+    Array.isArray(center) && Number.isFinite(center[0]) && Number.isFinite(center[1]);
+
+  useEffect(() => {
+    if (mapRef.current || !containerRef.current) return;
+    const map = L.map(containerRef.current, { zoomControl: true }).setView(
+      hasCenter ? center : [39.5, -98.35],
+      hasCenter ? 10 : 4
+    );
+    L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
+      maxZoom: 19,
+      attribution: "&copy; OpenStreetMap contributors",
+    }).addTo(map);
+    layerRef.current = L.layerGroup().addTo(map);
+    map.on("click", (event) => {
+      setDraft((prev) => [...prev, [event.latlng.lat, event.latlng.lng]]);
+    });
+    mapRef.current = map;
+
+    const ro = new ResizeObserver(() => setTimeout(() => map.invalidateSize(), 0));
+    ro.observe(containerRef.current);
+    return () => {
+      ro.disconnect();
+      map.remove();
+      mapRef.current = null;
+      layerRef.current = null;
+    };
+    // The map is created once; later center changes only refit below.
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  useEffect(() => {
+    const map = mapRef.current;
+    const layer = layerRef.current;
+    if (!map || !layer) return;
+    layer.clearLayers();
+
+    const bounds = [];
+    if (hasCenter && !shapes.coverage.length) {
+      const circle = L.circle(center, {
+        radius: (Number(radiusKm) || 25) * 1000,
+        color: "#64748b",
+        dashArray: "6 6",
+        fill: false,
+        interactive: false,
+      }).addTo(layer);
+      bounds.push(circle.getBounds());
+    }
+    if (hasCenter) {
+      L.circleMarker(center, { radius: 5, color: "#0f172a", interactive: false }).addTo(layer);
+    }
+    ["coverage", "exclusions"].forEach((kind) => {
+      shapes[kind].forEach((ring) => {
+        const polygon = L.polygon(ring, {
+          color: COLORS[kind],
+          weight: 2,
+          fillOpacity: 0.15,
+          dashArray: kind === "exclusions" ? "4 4" : null,
+          interactive: false,
+        }).addTo(layer);
+        bounds.push(polygon.getBounds());
+      });
+    });
+    if (draft.length) {
+      L.polyline(draft.length > 2 ? [...draft, draft[0]] : draft, {
+        color: COLORS[mode],
+        dashArray: "2 6",
+        interactive: false,
+      }).addTo(layer);
+      draft.forEach((point) =>
+        L.circleMarker(point, {
+          radius: 4,
+          color: COLORS[mode],
+          interactive: false,
+        }).addTo(layer)
+      );
+    }
+
+    if (!fittedRef.current && bounds.length) {
+      const merged = bounds.reduce((acc, next) => acc.extend(next), L.latLngBounds(bounds[0]));
+      map.fitBounds(merged, { padding: [20, 20] });
+      fittedRef.current = true;
+    }
+  }, [shapes, draft, mode, center, hasCenter, radiusKm]);
+
+  const finishShape = () => {
+    if (draft.length < 3) return;
+    setShapes((prev) => ({ ...prev, [mode]: [...prev[mode], draft] }));
+    setDraft([]);
+    setDirty(true);
+  };
+
+  const removeShape = (kind, index) => {
+    setShapes((prev) => ({
+      ...prev,
+      [kind]: prev[kind].filter((_, i) => i !== index),
+    }));
+    setDirty(true);
+  };
+
+  const reset = () => {
+    setShapes(initial);
+    setDraft([]);
+    setDirty(false);
+  };
+
+  const save = async () => {
+    if (!onSave) return;
+    await onSave({
+      coverage: toGeometry(shapes.coverage),
+      exclusions: toGeometry(shapes.exclusions),
+    });
+  };
+
+  return (
+    <div className="sae">
+      <div className="sae__toolbar">
+        <div className="sae__modes" role="group" aria-label="Shape type">
+          {["coverage", "exclusions"].map((kind) => (
+            <button
+              key={kind}
+              type="button"
+              className={`sae__mode sae__mode--${kind}${mode === kind ? " is-active" : ""}`}
+              onClick={() => setMode(kind)}
+            >
+              Draw {LABELS[kind].toLowerCase()}
+            </button>
+          ))}
+        </div>
+        <div className="sae__draft">
+          <span className="muted">
+            {draft.length
+              ? `${draft.length} point${draft.length === 1 ? "" : "s"} placed`
+              : "Click the map to place points"}
+          </span>
+          <button
+            type="button"
+            className="btn ghost"
+            onClick={() => setDraft((prev) => prev.slice(0, -1))}
+            disabled={!draft.length}
+          >
+            Undo point
+          </button>
+          <button
+            type="button"
+            className="btn ghost"
+            onClick={() => setDraft([])}
+            disabled={!draft.length}
+          >
+            Discard
+          </button>
+          <button type="button" className="btn" onClick={finishShape} disabled={draft.length < 3}>
+            Finish shape
+          </button>
+        </div>
+      </div>
+
+      <div ref={containerRef} className="sae__map" />
+
+      <ul className="sae__shapes">
+        {["coverage", "exclusions"].flatMap((kind) =>
+          shapes[kind].map((ring, index) => (
+            <li key={`${kind}-${index}`} className={`sae__shape sae__shape--${kind}`}>
+              <span>
+                {LABELS[kind]} {index + 1} ({ring.length} points)
+              </span>
+              <button
+                type="button"
+                className="btn ghost"
+                onClick={() => removeShape(kind, index)}
+              >
+                Remove
+              </button>
+            </li>
+          ))
+        )}
+      </ul>
+      <p className="muted sae__hint">
+        {shapes.coverage.length
+          ? "Jobs are matched inside the drawn service area."
+          : `No service area drawn - jobs within ${Number(radiusKm) || 25} km of the base location are matched.`}
+        {shapes.exclusions.length ? " Jobs inside exclusion zones are never matched." : ""}
+      </p>
+
+      <div className="sae__actions">
+        <button
+          type="button"
+          className="btn ghost"
+          onClick={reset}
+          disabled={!dirty || saving}
+        >
+          Reset
+        </button>
+        <button
+          type="button"
+          className="btn"
+          onClick={save}
+          disabled={!dirty || saving || !onSave}
+        >
+          {saving ? "Saving..." : "Save service area"}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -10,11 +10,26 @@ import {
 } from "../lib/pushNotifications.js";
 
 const NAV_SCROLL_ID = "topbar-nav-items";
+const STAFF_ROLE_LABELS = {
+  admin: "Admin",
+  dispatcher: "Dispatcher",
+  finance: "Finance",
+  readonly: "Read-only",
+};
 
 export default function Topbar() {
   const loc = useLocation();
   const navigate = useNavigate();
-  const { user, logout, isAdmin, isVendor, isCustomer } = useAuth();
+  const {
+    user,
+    logout,
+    role,
+    isAdmin,
+    isStaff,
+    canViewFinancials,
+    isVendor,
+    isCustomer,
+  } = useAuth();
   const { unreadCount, markAllRead } = useNotifications();
   const [menuOpen, setMenuOpen] = useState(false);
   const [userMenuOpen, setUserMenuOpen] = useState(false);
@@ -213,12 +228,12 @@ export default function Topbar() {
   }, [isVendor]);
 
   useEffect(() => {
-    if (!isAdmin || adminPushAttemptedRef.current) return undefined;
+    if (!isStaff || adminPushAttemptedRef.current) return undefined;
     adminPushAttemptedRef.current = true;
     ensureAdminPushSubscription({ source: "admin-app" }).catch((error) => {
       console.warn("Admin push subscription failed:", error);
     });
-  }, [isAdmin]);
+  }, [isStaff]);
 
   useEffect(() => {
     if (typeof window === "undefined") return undefined;
@@ -253,18 +268,18 @@ export default function Topbar() {
   }, [menuOpen]);
 
   const roleLabel = useMemo(() => {
-    if (isAdmin) return "Admin";
+    if (isStaff) return STAFF_ROLE_LABELS[role] || "Admin";
     if (isVendor) return "Vendor";
     if (isCustomer) return "Customer";
     return "";
-  }, [isAdmin, isVendor, isCustomer]);
+  }, [role, isStaff, isVendor, isCustomer]);
 
   const homePath = useMemo(() => {
-    if (isAdmin) return "/admin";
+    if (isStaff) return canViewFinancials ? "/admin" : "/admin/ops";
     if (isVendor) return "/vendor/app";
     if (isCustomer) return "/customer/home";
     return "/";
-  }, [isAdmin, isVendor, isCustomer]);
+  }, [isStaff, canViewFinancials, isVendor, isCustomer]);
 
   const guestLinks = useMemo(
     () => [
@@ -277,19 +292,19 @@ export default function Topbar() {
 
   const navItems = useMemo(() => {
     if (!user) return guestLinks;
-    if (isAdmin) {
+    if (isStaff) {
       return [
         { to: "/admin/ops", label: "Ops Center" },
         { to: "/jobs", label: "Jobs" },
         { to: "/admin/crm/leads", label: "Leads" },
         { to: "/admin/crm/reviews", label: "Reviews" },
-        { to: "/reports", label: "Reports" },
-        { to: "/financials", label: "Financials" },
+        { to: "/reports", label: "Reports", financial: true },
+        { to: "/financials", label: "Financials", financial: true },
         { to: "/admin/vendors", label: "Vendors" },
         { to: "/admin/documents", label: "Docs" },
         { to: "/admin/knowledge", label: "Knowledge" },
         { to: "/admin/map", label: "Live Map" },
-      ];
+      ].filter((item) => canViewFinancials || !item.financial);
     }
     if (isVendor) {
       return [
@@ -304,7 +319,7 @@ export default function Topbar() {
       ];
     }
     return [];
-  }, [user, isAdmin, isVendor, isCustomer, guestLinks]);
+  }, [user, isStaff, canViewFinancials, isVendor, isCustomer, guestLinks]);
 
   const navScrollWrapperClassName = useMemo(() => {
     const classes = ["nav-scroll-wrapper"];
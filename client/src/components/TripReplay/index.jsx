@@ -0,0 +1,165 @@
+import { useEffect, useMemo, useState } from "react";
+import { api } from "../../lib/api";
+import LiveMap from "../LiveMap";
+import "./styles.css";
+
+const TICK_MS = 250;
+// Playback walks the whole trip in roughly this many ticks.
+const TICKS_PER_TRIP = 240;
+
+const formatDistance = (km) => {
+  if (!Number.isFinite(km)) return "-";
+  return `${km.toFixed(1)} km (${(km * 0.621371).toFixed(1)} mi)`;
+};
+
+const formatDuration = (minutes) => {
+  if (!Number.isFinite(minutes)) return "-";
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+const formatTime = (value) => {
+  if (!value) return "-";
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? "-" : date.toLocaleString();
+};
+
+/**
+ * TripReplay
+ * Props:
+ *  - jobId: job whose recorded vendor trip to load
+ *  - vendorName?: label for the playhead marker
+ */
+export default function TripReplay({ jobId, vendorName = "" }) {
+  const [route, setRoute] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [index, setIndex] = useState(0);
+  const [playing, setPlaying] = useState(false);
+
+  useEffect(() => {
+    if (!jobId) return undefined;
+    let cancelled = false;
+    setLoading(true);
+    setError("");
+    setPlaying(false);
+    setIndex(0);
+    api
+      .get(`/api/jobs/${jobId}/route`)
+      .then(({ data }) => {
+        if (!cancelled) setRoute(data || null);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setRoute(null);
+        setError(err?.response?.data?.message || "Unable to load trip.");
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [jobId]);
+
+  const points = useMemo(() => route?.points ?? [], [route]);
+  const trail = useMemo(() => points.map((point) => [point.lat, point.lng]), [points]);
+  const lastIndex = Math.max(0, points.length - 1);
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    const step = Math.max(1, Math.ceil(points.length / TICKS_PER_TRIP));
+    const timer = setInterval(() => {
+      setIndex((current) => {
+        const next = Math.min(lastIndex, current + step);
+        if (next >= lastIndex) setPlaying(false);
+        return next;
+      });
+    }, TICK_MS);
+    return () => clearInterval(timer);
+  }, [playing, points.length, lastIndex]);
+
+  const current = points[Math.min(index, lastIndex)] || null;
+  const playhead = useMemo(
+    () =>
+      current
+        ? [
+            {
+              _id: "trip-replay",
+              name: vendorName || "Vendor",
+              lat: current.lat,
+              lng: current.lng,
+              lastSeenAt: current.t,
+            },
+          ]
+        : [],
+    [current, vendorName]
+  );
+
+  const togglePlay = () => {
+    if (!points.length) return;
+    if (!playing && index >= lastIndex) setIndex(0);
+    setPlaying((value) => !value);
+  };
+
+  if (loading) return <p className="muted">Loading trip...</p>;
+  if (error) return <p className="muted error">{error}</p>;
+  if (!route) return null;
+  if (points.length < 2) {
+    return (
+      <p className="muted">
+        No GPS breadcrumbs were recorded for this job
+        {route.startedAt ? "" : " (it has not been assigned yet)"}.
+      </p>
+    );
+  }
+
+  return (
+    <div className="trip-replay">
+      <LiveMap
+        vendors={playhead}
+        trail={trail}
+        autoFit={false}
+        staleMs={Infinity}
+        center={[points[0].lat, points[0].lng]}
+      />
+      <div className="trip-replay__controls">
+        <button type="button" className="btn ghost" onClick={togglePlay}>
+          {playing ? "Pause" : "Play"}
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={lastIndex}
+          value={Math.min(index, lastIndex)}
+          onChange={(event) => {
+            setPlaying(false);
+            setIndex(Number(event.target.value));
+          }}
+          aria-label="Trip position"
+        />
+        <span className="trip-replay__time">{formatTime(current?.t)}</span>
+      </div>
+      <dl className="trip-replay__stats">
+        <div>
+          <dt>Distance</dt>
+          <dd>{formatDistance(route.distanceKm)}</dd>
+        </div>
+        <div>
+          <dt>Duration</dt>
+          <dd>{formatDuration(route.durationMin)}</dd>
+        </div>
+        <div>
+          <dt>GPS points</dt>
+          <dd>{route.pointCount}</dd>
+        </div>
+        <div>
+          <dt>Window</dt>
+          <dd>
+            {formatTime(route.startedAt)} - {route.endedAt ? formatTime(route.endedAt) : "in progress"}
+          </dd>
+        </div>
+      </dl>
+    </div>
+  );
+}
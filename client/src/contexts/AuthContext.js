@@ -4,6 +4,11 @@ import { setAuthToken } from "../lib/api";
 
 const AuthCtx = createContext(null);
 
+// Staff roles that may sign in to the admin console; the API enforces
+// per-area access, these only drive navigation.
+export const STAFF_ROLES = ["admin", "dispatcher", "finance", "readonly"];
+export const FINANCE_ROLES = ["admin", "finance", "readonly"];
+
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(() => {
     try {
@@ -53,7 +58,10 @@ export function AuthProvider({ children }) {
       login,
       logout,
       loading: false,
+      role,
       isAdmin: role === "admin",
+      isStaff: STAFF_ROLES.includes(role),
+      canViewFinancials: FINANCE_ROLES.includes(role),
       isVendor: role === "vendor",
       isCustomer: role === "customer",
     };
@@ -0,0 +1,65 @@
+import { useEffect, useState } from "react";
+import { getSocket } from "../lib/socket";
+import { useAuth } from "../contexts/AuthContext";
+
+const isNewer = (next, current) =>
+  !current ||
+  new Date(next?.computedAt || 0).getTime() >=
+    new Date(current?.computedAt || 0).getTime();
+
+/**
+ * Live ETA for a job: starts from the ETA in the last status payload and
+ * follows `job:eta` socket pushes. Guest pages pass the signed
+ * `trackingToken` from their link; signed-in pages use the session token.
+ */
+export function useJobEta({ jobId, trackingToken = null, initialEta = null }) {
+  const { token } = useAuth();
+  const [eta, setEta] = useState(null);
+
+  useEffect(() => {
+    if (!jobId || !initialEta) return;
+    setEta((current) => {
+      if (current?.jobId === String(jobId) && !isNewer(initialEta, current)) {
+        return current;
+      }
+      return { ...initialEta, jobId: String(jobId) };
+    });
+  }, [jobId, initialEta]);
+
+  useEffect(() => {
+    if (!jobId || (!token && !trackingToken)) return undefined;
+    const socket = getSocket();
+
+    const handleEta = (payload) => {
+      if (!payload || String(payload.jobId) !== String(jobId)) return;
+      setEta((current) => (isNewer(payload, current) ? payload : current));
+    };
+    const watch = () => {
+      socket.emit("job:watch", trackingToken ? { trackingToken, jobId } : { token, jobId });
+    };
+
+    socket.on("job:eta", handleEta);
+    socket.on("connect", watch);
+    if (!socket.connected) {
+      socket.connect();
+    } else {
+      watch();
+    }
+
+    return () => {
+      socket.emit("job:unwatch", { jobId });
+      socket.off("job:eta", handleEta);
+      socket.off("connect", watch);
+    };
+  }, [jobId, token, trackingToken]);
+
+  return eta?.jobId === String(jobId) ? eta : null;
+}
+
+export const formatEtaLabel = (eta) => {
+  if (!eta || !Number.isFinite(eta.minutes)) return null;
+  if (eta.minutes < 60) return `${eta.minutes} min`;
+  const hours = Math.floor(eta.minutes / 60);
+  const minutes = eta.minutes % 60;
+  return minutes ? `${hours} hr ${minutes} min` : `${hours} hr`;
+};
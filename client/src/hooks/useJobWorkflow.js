@@ -0,0 +1,52 @@
+import { useEffect, useState } from "react";
+import { api } from "../lib/api";
+
+export const BASIC_JOB_WORKFLOW = {
+  advanced: false,
+  statuses: [
+    { key: "Unassigned", label: "Unassigned" },
+    { key: "Assigned", label: "Assigned" },
+    { key: "OnTheWay", label: "On the way" },
+    { key: "Arrived", label: "Arrived" },
+    { key: "Completed", label: "Completed", terminal: true },
+    { key: "Cancelled", label: "Cancelled", terminal: true },
+  ],
+  transitions: [],
+};
+
+/**
+ * useJobWorkflow()
+ * - loads the active status workflow from /api/jobs/workflow
+ * - falls back to the basic statuses until (or if) the request fails
+ */
+export default function useJobWorkflow() {
+  const [workflow, setWorkflow] = useState(BASIC_JOB_WORKFLOW);
+
+  useEffect(() => {
+    let alive = true;
+    api
+      .get("/api/jobs/workflow")
+      .then(({ data }) => {
+        if (alive && Array.isArray(data?.statuses)) setWorkflow(data);
+      })
+      .catch(() => {});
+    return () => {
+      alive = false;
+    };
+  }, []);
+
+  return workflow;
+}
+
+export const statusLabel = (workflow, key) =>
+  workflow?.statuses?.find((status) => status.key === key)?.label || key;
+
+// Mirrors the API: admin may make every transition.
+export const nextStatusesFor = (workflow, from, role = "admin") =>
+  (workflow?.transitions || [])
+    .filter(
+      (transition) =>
+        transition.from === from &&
+        (role === "admin" || transition.roles?.includes(role))
+    )
+    .map((transition) => transition.to);
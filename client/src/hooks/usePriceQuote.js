@@ -0,0 +1,44 @@
+import { useEffect, useState } from "react";
+import { api } from "../lib/api";
+
+/**
+ * usePriceQuote(input)
+ * - asks /api/pricing/quote for the engine price whenever `input` changes
+ *   (debounced), so request forms can prefill and show the breakdown
+ * - quote stays null until a service type is set, or if pricing is off
+ */
+export default function usePriceQuote(input, { delayMs = 400 } = {}) {
+  const [quote, setQuote] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const key = JSON.stringify(input || {});
+
+  useEffect(() => {
+    const body = JSON.parse(key);
+    if (!String(body.serviceType || "").trim()) {
+      setQuote(null);
+      setLoading(false);
+      return undefined;
+    }
+    let alive = true;
+    setLoading(true);
+    const timer = setTimeout(() => {
+      api
+        .post("/api/pricing/quote", body)
+        .then(({ data }) => {
+          if (alive) setQuote(data);
+        })
+        .catch(() => {
+          if (alive) setQuote(null);
+        })
+        .finally(() => {
+          if (alive) setLoading(false);
+        });
+    }, delayMs);
+    return () => {
+      alive = false;
+      clearTimeout(timer);
+    };
+  }, [key, delayMs]);
+
+  return { quote, loading };
+}
@@ -22,3 +22,16 @@ export function setAuthToken(token) {
 if (AUTH_TOKEN) {
   api.defaults.headers.common.Authorization = `Bearer ${AUTH_TOKEN}`;
 }
+
+// Authenticated file download (plain links can't carry the bearer token)
+export async function downloadFile(url, { params, filename } = {}) {
+  const { data } = await api.get(url, { params, responseType: "blob" });
+  const href = URL.createObjectURL(data);
+  const link = document.createElement("a");
+  link.href = href;
+  link.download = filename || "download";
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(href), 1000);
+}
@@ -2,6 +2,21 @@ import { io } from "socket.io-client";
 import { API_BASE_URL } from "../config/env.js";
 
 let socketInstance = null;
+let socketToken = null;
+
+// Handshake identity: the vendor session inside the vendor app, otherwise
+// the signed-in admin/customer session. Guests connect without a token.
+const resolveSocketToken = () => {
+  if (typeof window === "undefined") return null;
+  try {
+    const vendorToken = window.localStorage.getItem("vendorToken");
+    const appToken = window.localStorage.getItem("auth_token");
+    const onVendorPage = window.location.pathname.startsWith("/vendor");
+    return (onVendorPage ? vendorToken || appToken : appToken || vendorToken) || null;
+  } catch {
+    return null;
+  }
+};
 
 export function getSocket() {
   if (!socketInstance) {
@@ -9,7 +24,15 @@ export function getSocket() {
       autoConnect: false,
       transports: ["websocket", "polling"],
       withCredentials: true,
+      auth: (callback) => {
+        socketToken = resolveSocketToken();
+        callback(socketToken ? { token: socketToken } : {});
+      },
     });
+  } else if (socketInstance.connected && resolveSocketToken() !== socketToken) {
+    // Session changed since the handshake: reconnect as the new identity.
+    socketInstance.disconnect();
+    socketInstance.connect();
   }
   return socketInstance;
 }
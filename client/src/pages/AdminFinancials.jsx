@@ -1,5 +1,5 @@
 import { useCallback, useEffect, useState } from "react";
-import { api } from "../lib/api";
+import { api, downloadFile } from "../lib/api";
 import "./AdminFinancials.css";
 
 export default function AdminFinancials(){
@@ -25,27 +25,121 @@ export default function AdminFinancials(){
   }, [from, to]);
   useEffect(() => { load(); }, [load]);
 
+  // Payout ledger
+  const [balances, setBalances] = useState([]);
+  const [batches, setBatches] = useState([]);
+  const [settling, setSettling] = useState(false);
+  const loadPayouts = useCallback(async () => {
+    try{
+      const [b, s] = await Promise.all([
+        api.get("/api/payouts/balances"),
+        api.get("/api/payouts/batches"),
+      ]);
+      setBalances(Array.isArray(b.data) ? b.data : []);
+      setBatches(Array.isArray(s.data) ? s.data : []);
+    }catch(e){
+      setErr(e?.response?.data?.message || "Failed to load payouts");
+    }
+  }, []);
+  useEffect(() => { loadPayouts(); }, [loadPayouts]);
+
+  const runSettlement = async ()=>{
+    try{
+      setSettling(true);
+      await api.post("/api/payouts/batches", {});
+      await loadPayouts();
+    }catch(e){
+      setErr(e?.response?.data?.message || "Failed to create settlement");
+    }finally{ setSettling(false); }
+  };
+  const markPaid = async (batch, vendorId)=>{
+    const reference = window.prompt("Payout reference (optional)") ?? null;
+    if(reference === null) return;
+    try{
+      await api.post(`/api/payouts/batches/${batch._id}/pay`, { vendorId, reference });
+      await loadPayouts();
+    }catch(e){
+      setErr(e?.response?.data?.message || "Failed to record payout");
+    }
+  };
+  const statement = (batch, vendorId, format)=>
+    downloadFile(`/api/payouts/batches/${batch._id}/statements/${vendorId}.${format}`, {
+      filename: `${batch.reference}-${String(vendorId).slice(-6)}.${format}`,
+    }).catch(()=>setErr("Failed to download statement"));
+
+  // Customer invoices
+  const [invoices, setInvoices] = useState([]);
+  const [invFilter, setInvFilter] = useState({ status:"", paymentStatus:"", q:"" });
+  const loadInvoices = useCallback(async () => {
+    try{
+      const params = { ...invFilter };
+      if(from) params.from = from;
+      if(to) params.to = to;
+      Object.keys(params).forEach((key)=>{ if(!params[key]) delete params[key]; });
+      const { data } = await api.get("/api/invoices", { params });
+      setInvoices(Array.isArray(data) ? data : []);
+    }catch(e){
+      setErr(e?.response?.data?.message || "Failed to load invoices");
+    }
+  }, [invFilter, from, to]);
+  useEffect(() => { loadInvoices(); }, [loadInvoices]);
+
+  const voidInv = async (inv)=>{
+    const reason = window.prompt(`Void ${inv.number}? Reason:`);
+    if(reason === null) return;
+    try{
+      await api.post(`/api/invoices/${inv._id}/void`, { reason });
+      await loadInvoices();
+    }catch(e){
+      setErr(e?.response?.data?.message || "Failed to void invoice");
+    }
+  };
+  const reissueInv = async (inv)=>{
+    const reason = window.prompt(`Reissue ${inv.number} from the current job? Reason:`);
+    if(reason === null) return;
+    try{
+      await api.post(`/api/invoices/${inv._id}/reissue`, {
+        reason,
+        notify: window.confirm("Send the new invoice to the customer?"),
+      });
+      await loadInvoices();
+    }catch(e){
+      setErr(e?.response?.data?.message || "Failed to reissue invoice");
+    }
+  };
+  const invoicePdf = (inv)=>
+    downloadFile(`/api/invoices/${inv._id}/pdf`, { filename: `${inv.number}.pdf` })
+      .catch(()=>setErr("Failed to download invoice"));
+
   // Forms
-  const [exp, setExp] = useState({ title:"", amount:"", date:"", type:"variable", notes:"" });
-  const [pay, setPay] = useState({ jobId:"", amount:"", method:"cash", receivedAt:"", note:"" });
+  const [exp, setExp] = useState({ title:"", amount:"", date:"", type:"variable", notes:"", vendorId:"" });
+  const [pay, setPay] = useState({ jobId:"", kind:"payment", amount:"", method:"cash", receivedAt:"", note:"" });
 
   const submitExpense = async (e)=>{
     e.preventDefault();
     await api.post("/api/expenses", {
       ...exp, amount: Number(exp.amount)||0,
-      date: exp.date ? new Date(exp.date) : undefined
+      date: exp.date ? new Date(exp.date) : undefined,
+      vendorId: exp.vendorId.trim() || undefined
     });
-    setExp({ title:"", amount:"", date:"", type:"variable", notes:"" });
+    setExp({ title:"", amount:"", date:"", type:"variable", notes:"", vendorId:"" });
     load();
+    loadPayouts();
   };
   const submitPayment = async (e)=>{
     e.preventDefault();
-    await api.post("/api/payments", {
-      ...pay, amount: Number(pay.amount)||0,
-      receivedAt: pay.receivedAt ? new Date(pay.receivedAt) : undefined
-    });
-    setPay({ jobId:"", amount:"", method:"cash", receivedAt:"", note:"" });
+    try{
+      await api.post("/api/payments", {
+        ...pay, amount: Number(pay.amount)||0,
+        receivedAt: pay.receivedAt ? new Date(pay.receivedAt) : undefined
+      });
+    }catch(error){
+      setErr(error?.response?.data?.message || "Failed to record payment");
+      return;
+    }
+    setPay({ jobId:"", kind:"payment", amount:"", method:"cash", receivedAt:"", note:"" });
     load();
+    loadInvoices();
   };
 
   const dl = async (which)=>{
@@ -80,7 +174,12 @@ export default function AdminFinancials(){
 
       {/* Summary */}
       <section className="grid4">
-        <div className="card metric"><span className="muted">Revenue</span><strong>${(sum?.revenue.total||0).toFixed(2)}</strong></div>
+        <div className="card metric">
+          <span className="muted">Revenue</span><strong>${(sum?.revenue.total||0).toFixed(2)}</strong>
+          {(sum?.revenue.refunds > 0 || sum?.revenue.chargebacks > 0) && (
+            <span className="muted">after ${((sum.revenue.refunds||0)+(sum.revenue.chargebacks||0)).toFixed(2)} refunded / charged back</span>
+          )}
+        </div>
         <div className="card metric"><span className="muted">Payouts (accrued)</span><strong>${(sum?.payouts.total||0).toFixed(2)}</strong></div>
         <div className="card metric"><span className="muted">Expenses</span><strong>${(sum?.expenses.total||0).toFixed(2)}</strong></div>
         <div className={"card metric "+((sum?.net||0)>=0?"ok":"bad")}><span className="muted">Net</span><strong>${(sum?.net||0).toFixed(2)}</strong></div>
@@ -114,6 +213,106 @@ export default function AdminFinancials(){
         </div>
       </section>
 
+      {/* Payout ledger */}
+      <section className="grid2">
+        <div className="card">
+          <h3 className="section-title">Vendor Balances</h3>
+          <table className="table">
+            <thead><tr><th>Vendor</th><th>Unsettled</th><th>Balance</th><th>Last payout</th></tr></thead>
+            <tbody>
+              {balances.map(b=>(
+                <tr key={b.vendorId}>
+                  <td>{b.vendorName}</td>
+                  <td>${b.unsettled.toFixed(2)}</td>
+                  <td>${b.balance.toFixed(2)}</td>
+                  <td>{b.lastPayoutAt ? new Date(b.lastPayoutAt).toLocaleDateString() : "-"}</td>
+                </tr>
+              ))}
+              {balances.length===0 && <tr><td colSpan="4" className="muted">No ledger activity</td></tr>}
+            </tbody>
+          </table>
+        </div>
+        <div className="card">
+          <div className="card-head space">
+            <h3 className="section-title">Settlements</h3>
+            <div className="seg">
+              <button className="segbtn" onClick={runSettlement} disabled={settling}>{settling?"Settling...":"Run settlement"}</button>
+            </div>
+          </div>
+          <table className="table">
+            <thead><tr><th>Batch</th><th>Vendor</th><th>Due</th><th>Status</th><th></th></tr></thead>
+            <tbody>
+              {batches.flatMap(batch=>batch.statements.map(s=>(
+                <tr key={`${batch._id}-${s.vendorId}`}>
+                  <td>{batch.reference}<div className="muted">{new Date(batch.periodStart).toLocaleDateString()} - {new Date(batch.periodEnd).toLocaleDateString()}</div></td>
+                  <td>{s.vendorName}</td>
+                  <td>${(s.amountDue||0).toFixed(2)}</td>
+                  <td>{s.paidAt ? `Paid ${new Date(s.paidAt).toLocaleDateString()}` : s.amountDue > 0 ? "Due" : "Carried"}</td>
+                  <td className="afin-actions">
+                    <button className="segbtn" onClick={()=>statement(batch, s.vendorId, "pdf")}>PDF</button>
+                    <button className="segbtn" onClick={()=>statement(batch, s.vendorId, "csv")}>CSV</button>
+                    {!s.paidAt && s.amountDue > 0 && <button className="segbtn" onClick={()=>markPaid(batch, s.vendorId)}>Mark paid</button>}
+                  </td>
+                </tr>
+              )))}
+              {batches.length===0 && <tr><td colSpan="5" className="muted">No settlements yet</td></tr>}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      {/* Invoices */}
+      <section className="card afin-invoices">
+        <div className="card-head space">
+          <h3 className="section-title">Invoices</h3>
+          <div className="filters">
+            <input
+              placeholder="Number or customer"
+              value={invFilter.q}
+              onChange={e=>setInvFilter(f=>({ ...f, q:e.target.value }))}
+            />
+            <select value={invFilter.status} onChange={e=>setInvFilter(f=>({ ...f, status:e.target.value }))}>
+              <option value="">All statuses</option>
+              <option value="issued">Issued</option>
+              <option value="void">Void</option>
+            </select>
+            <select value={invFilter.paymentStatus} onChange={e=>setInvFilter(f=>({ ...f, paymentStatus:e.target.value }))}>
+              <option value="">Any payment</option>
+              <option value="unpaid">Unpaid</option>
+              <option value="partial">Partial</option>
+              <option value="paid">Paid</option>
+              <option value="refunded">Refunded</option>
+              <option value="disputed">Disputed</option>
+            </select>
+          </div>
+        </div>
+        <table className="table">
+          <thead><tr><th>Number</th><th>Issued</th><th>Customer</th><th>Total</th><th>Balance</th><th>Status</th><th></th></tr></thead>
+          <tbody>
+            {invoices.map(inv=>(
+              <tr key={inv._id}>
+                <td>{inv.number}<div className="muted"><code>{inv.jobId}</code></div></td>
+                <td>{new Date(inv.issuedAt).toLocaleDateString()}</td>
+                <td>{inv.customer?.name || inv.customer?.phone || "-"}</td>
+                <td>${(inv.total||0).toFixed(2)}</td>
+                <td>${(inv.balanceDue||0).toFixed(2)}</td>
+                <td>
+                  {inv.status === "void" ? "void" : inv.paymentStatus}
+                  {inv.voidReason && <div className="muted">{inv.voidReason}</div>}
+                </td>
+                <td className="afin-actions">
+                  <button className="segbtn" onClick={()=>invoicePdf(inv)}>PDF</button>
+                  {inv.publicUrl && <a className="segbtn" href={inv.publicUrl} target="_blank" rel="noreferrer">Link</a>}
+                  {inv.status === "issued" && <button className="segbtn" onClick={()=>reissueInv(inv)}>Reissue</button>}
+                  {inv.status === "issued" && <button className="segbtn" onClick={()=>voidInv(inv)}>Void</button>}
+                </td>
+              </tr>
+            ))}
+            {invoices.length===0 && <tr><td colSpan="7" className="muted">No invoices</td></tr>}
+          </tbody>
+        </table>
+      </section>
+
       {/* Forms */}
       <section className="grid2">
         <form className="card form" onSubmit={submitPayment}>
@@ -123,9 +322,15 @@ export default function AdminFinancials(){
             <label><span>Amount</span><input type="number" min="0" value={pay.amount} onChange={e=>setPay(p=>({...p, amount:e.target.value}))} required/></label>
           </div>
           <div className="row">
+            <label><span>Type</span>
+              <select value={pay.kind} onChange={e=>setPay(p=>({...p, kind:e.target.value}))}>
+                <option value="payment">Payment</option>
+                <option value="deposit">Deposit</option>
+              </select>
+            </label>
             <label><span>Method</span>
               <select value={pay.method} onChange={e=>setPay(p=>({...p, method:e.target.value}))}>
-                {["cash","zelle","venmo","square","card","other"].map(m=><option key={m} value={m}>{m}</option>)}
+                {["cash","zelle","venmo","square","card","bank_transfer","other"].map(m=><option key={m} value={m}>{m}</option>)}
               </select>
             </label>
             <label><span>Received At</span><input type="datetime-local" value={pay.receivedAt} onChange={e=>setPay(p=>({...p, receivedAt:e.target.value}))}/></label>
@@ -150,6 +355,7 @@ export default function AdminFinancials(){
             </label>
           </div>
           <label><span>Notes</span><input value={exp.notes} onChange={e=>setExp(s=>({...s, notes:e.target.value}))}/></label>
+          <label><span>Reimburse vendor (ID, optional)</span><input value={exp.vendorId} onChange={e=>setExp(s=>({...s, vendorId:e.target.value}))}/></label>
           <div className="row end"><button className="btn" type="submit">Save Expense</button></div>
         </form>
       </section>
@@ -164,18 +370,19 @@ export default function AdminFinancials(){
             </div>
           </div>
           <table className="table">
-            <thead><tr><th>Date</th><th>Job</th><th>Amount</th><th>Method</th><th>Note</th></tr></thead>
+            <thead><tr><th>Date</th><th>Job</th><th>Type</th><th>Amount</th><th>Method</th><th>Note</th></tr></thead>
             <tbody>
               {(sum?.latest?.payments||[]).map(p=>(
                 <tr key={p._id}>
                   <td>{new Date(p.receivedAt).toLocaleString()}</td>
                   <td><code>{p.jobId}</code></td>
+                  <td>{p.kind}{p.collectedBy==="vendor" && <span className="muted"> (vendor)</span>}</td>
                   <td>${(p.amount||0).toFixed(2)}</td>
                   <td>{p.method}</td>
                   <td>{p.note||"-"}</td>
                 </tr>
               ))}
-              {(sum?.latest?.payments||[]).length===0 && <tr><td colSpan="5" className="muted">No payments</td></tr>}
+              {(sum?.latest?.payments||[]).length===0 && <tr><td colSpan="6" className="muted">No payments</td></tr>}
             </tbody>
           </table>
         </div>
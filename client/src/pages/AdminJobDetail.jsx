@@ -4,6 +4,8 @@ import { api } from "../lib/api";
 import GMap from "../components/GMap";
 import LiveMap from "../components/LiveMap";
 import MessagingPanel from "../components/MessagingPanel";
+import TripReplay from "../components/TripReplay";
+import PaymentLedger from "../components/PaymentLedger";
 import { getGoogleMapsKey } from "../config/env.js";
 import { useJobMessaging } from "../hooks/useJobMessaging";
 import "./AdminJobDetail.css";
@@ -96,10 +98,64 @@ const TIMELINE_LABELS = {
   assignedAt: "Assigned",
   onTheWayAt: "On the way",
   arrivedAt: "Arrived",
+  loadedAt: "Loaded",
+  inTransitAt: "In transit",
+  onHoldAt: "On hold",
   completedAt: "Completed",
+  cancelledAt: "Cancelled",
+  goaAt: "Gone on arrival",
   escalatedAt: "Escalated",
 };
 
+const EVENT_LABELS = {
+  created: "Job created",
+  updated: "Job updated",
+  status_changed: "Status changed",
+  assigned: "Vendor assigned",
+  unassigned: "Vendor unassigned",
+  bid_selected: "Bid selected",
+  bidding_opened: "Bidding opened",
+  scheduling_updated: "Schedule updated",
+  completed: "Job completed",
+  cancelled: "Job cancelled",
+  sla_breached: "SLA breached",
+};
+
+const ACTOR_LABELS = {
+  admin: "Admin",
+  dispatcher: "Dispatcher",
+  finance: "Finance",
+  readonly: "Read-only",
+  vendor: "Vendor",
+  customer: "Customer",
+  system: "System",
+};
+
+const formatEventValue = (value) => {
+  if (value === null || value === undefined || value === "") return "-";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+const describeGeofenceEvent = (event) => {
+  const meta = event?.meta;
+  if (meta?.trigger !== "geofence") return "";
+  const distance = Number.isFinite(meta.distanceMeters)
+    ? ` (${meta.distanceMeters} m from ${meta.zone})`
+    : "";
+  return meta.zone === "dropoff"
+    ? `Geofence: reached drop-off, completion suggested${distance}`
+    : `Geofence: reached pickup, marked arrived${distance}`;
+};
+
+const describeEventActor = (event) => {
+  const role =
+    ACTOR_LABELS[event?.actor?.staffRole] ||
+    ACTOR_LABELS[event?.actor?.role] ||
+    "System";
+  return event?.source ? `${role} via ${event.source}` : role;
+};
+
 export default function AdminJobDetail() {
   const { jobId } = useParams();
   const navigate = useNavigate();
@@ -107,6 +163,7 @@ export default function AdminJobDetail() {
   const hasGoogleMaps = Boolean(getGoogleMapsKey());
 
   const [payload, setPayload] = useState(null);
+  const [events, setEvents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [toast, setToast] = useState(null);
@@ -143,6 +200,12 @@ export default function AdminJobDetail() {
     } finally {
       setLoading(false);
     }
+    try {
+      const { data } = await api.get(`/api/jobs/${jobId}/events`);
+      setEvents(Array.isArray(data) ? data : []);
+    } catch (err) {
+      setEvents([]);
+    }
   }, [jobId]);
 
   useEffect(() => {
@@ -251,7 +314,8 @@ export default function AdminJobDetail() {
 
   const paymentSummary = useMemo(
     () => [
-      { label: "Status", value: payment?.status || "pending" },
+      { label: "Status", value: payment?.status || "unpaid" },
+      { label: "Balance", value: formatCurrency(payment?.balance) },
       { label: "Method", value: payment?.method || "-" },
       { label: "Quoted", value: formatCurrency(payment?.quotedPrice) },
       { label: "Final", value: formatCurrency(payment?.finalPrice) },
@@ -755,6 +819,55 @@ export default function AdminJobDetail() {
                       </section>
                     ) : null}
 
+                    {events.length ? (
+                      <section className="admin-job-detail__card">
+                        <header>
+                          <h2>History</h2>
+                        </header>
+                        <ol className="admin-job-detail__timeline">
+                          {events.map((event) => (
+                            <li key={event._id}>
+                              <span className="admin-job-detail__timeline-dot" />
+                              <div>
+                                <p className="admin-job-detail__timeline-label">
+                                  {EVENT_LABELS[event.type] || event.type}
+                                </p>
+                                <p className="admin-job-detail__timeline-date">
+                                  {formatDateTime(event.createdAt)} |{" "}
+                                  {describeEventActor(event)}
+                                </p>
+                                {describeGeofenceEvent(event) ? (
+                                  <p className="admin-job-detail__timeline-date">
+                                    {describeGeofenceEvent(event)}
+                                  </p>
+                                ) : null}
+                                {event.changes?.length ? (
+                                  <ul className="admin-job-detail__history-changes">
+                                    {event.changes.map((change) => (
+                                      <li key={change.field}>
+                                        <strong>{change.field}</strong>:{" "}
+                                        {formatEventValue(change.from)} {"->"}{" "}
+                                        {formatEventValue(change.to)}
+                                      </li>
+                                    ))}
+                                  </ul>
+                                ) : null}
+                              </div>
+                            </li>
+                          ))}
+                        </ol>
+                      </section>
+                    ) : null}
+
+                    {job?.vendorId && job?.assignedAt ? (
+                      <section className="admin-job-detail__card">
+                        <header>
+                          <h2>Trip replay</h2>
+                        </header>
+                        <TripReplay jobId={jobId} vendorName={vendor?.name} />
+                      </section>
+                    ) : null}
+
                     <section className="admin-job-detail__card">
                       <header>
                         <h2>Payment</h2>
@@ -767,6 +880,7 @@ export default function AdminJobDetail() {
                           </div>
                         ))}
                       </dl>
+                      <PaymentLedger jobId={jobId} onChange={load} />
                     </section>
 
                     {notes ? (
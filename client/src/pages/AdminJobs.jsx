@@ -1,14 +1,14 @@
 import { useEffect, useMemo, useState, useCallback, useRef } from "react";
 import { useNavigate } from "react-router-dom";
-import { api } from "../lib/api";
+import { api, downloadFile } from "../lib/api";
 import JobTable from "../components/JobTable";
 import JobCreate from "../components/JobCreate";
 import { copyText } from "../utils/clipboard";
 import { useNotifications } from "../contexts/NotificationsContext";
 import { recordAuditEvent } from "../utils/auditLog";
+import useJobWorkflow, { statusLabel } from "../hooks/useJobWorkflow";
 import "./AdminJobs.css";
 
-const STATUSES = ["Unassigned", "Assigned", "OnTheWay", "Arrived", "Completed"];
 const DISPLAY_LINK_BASE = "https://serviceops.pro";
 
 const formatShareLink = (link) => {
@@ -28,6 +28,11 @@ export default function AdminJobs() {
   const [toast, setToast] = useState("");
   const [query, setQuery] = useState("");
   const [statusFilter, setStatusFilter] = useState("all");
+  const workflow = useJobWorkflow();
+  const statusKeys = useMemo(
+    () => workflow.statuses.map((status) => status.key),
+    [workflow]
+  );
   const [vendorFilter, setVendorFilter] = useState("all");
   const [loading, setLoading] = useState(false);
   const [last, setLast] = useState(null);
@@ -269,10 +274,10 @@ export default function AdminJobs() {
   };
 
   const counts = useMemo(() => {
-    const c = Object.fromEntries(STATUSES.map((s) => [s, 0]));
+    const c = Object.fromEntries(statusKeys.map((s) => [s, 0]));
     (jobs || []).forEach((j) => (c[j.status] = (c[j.status] || 0) + 1));
     return c;
-  }, [jobs]);
+  }, [jobs, statusKeys]);
 
   const filteredJobs = useMemo(() => {
     const q = query.trim().toLowerCase();
@@ -304,16 +309,25 @@ export default function AdminJobs() {
     });
   }, [jobs, query, statusFilter, vendorFilter]);
 
-  const exportCsv = () => {
-    const base = api.defaults?.baseURL || "";
+  const exportCsv = async () => {
     const from = new Date(Date.now() - 30 * 864e5).toISOString().slice(0, 10);
     const to = new Date().toISOString().slice(0, 10);
-    const url = `${base}/api/exports/jobs.csv?from=${from}&to=${to}${
-      statusFilter === "all"
-        ? ""
-        : `&status=${encodeURIComponent(statusFilter)}`
-    }`;
-    window.open(url, "_blank", "noopener,noreferrer");
+    try {
+      await downloadFile("/api/exports/jobs.csv", {
+        params: {
+          from,
+          to,
+          ...(statusFilter === "all" ? {} : { status: statusFilter }),
+        },
+        filename: `jobs_${from}_${to}.csv`,
+      });
+    } catch (error) {
+      withToast(
+        error?.response?.status === 403
+          ? "Export is not available for your role"
+          : "Export failed"
+      );
+    }
   };
 
   const copySelfServeLink = async () => {
@@ -347,6 +361,7 @@ export default function AdminJobs() {
     try {
       const { data } = await api.get(`/api/jobs/${job._id}/links`);
       setLinks({
+        jobId: job._id,
         statusUrl: data.statusUrl,
         vendorLink: data.vendorLink,
         customerLink: data.customerLink,
@@ -357,6 +372,20 @@ export default function AdminJobs() {
     }
   };
 
+  const onRevokeTracking = async () => {
+    if (!links.jobId) return;
+    if (!window.confirm("Revoke every tracking link already sent for this job?")) {
+      return;
+    }
+    try {
+      const { data } = await api.post(`/api/jobs/${links.jobId}/links/revoke`);
+      setLinks((prev) => ({ ...prev, statusUrl: data.statusUrl }));
+      withBanner("Tracking links revoked. Share the new status link.", 3000);
+    } catch (e) {
+      withBanner(e?.response?.data?.message || "Failed to revoke links", 3000);
+    }
+  };
+
   const handleViewJob = useCallback(
     (job) => {
       if (!job?._id) return;
@@ -466,9 +495,9 @@ export default function AdminJobs() {
                       aria-label="Filter by status"
                     >
                       <option value="all">All statuses</option>
-                      {STATUSES.map((s) => (
+                      {statusKeys.map((s) => (
                         <option key={s} value={s}>
-                          {s}
+                          {statusLabel(workflow, s)}
                         </option>
                       ))}
                     </select>
@@ -532,7 +561,7 @@ export default function AdminJobs() {
           <div className="admin-jobs-board-chips">
             <div className="admin-jobs-chips-scroller">
               <div className="admin-jobs-chips">
-                {["all", ...STATUSES].map((s) => (
+                {["all", ...statusKeys].map((s) => (
                   <button
                     key={s}
                     className={`admin-jobs-chip ${
@@ -540,7 +569,7 @@ export default function AdminJobs() {
                     } ${
                       s === "Completed"
                         ? "admin-jobs-chip-green"
-                        : s === "Unassigned"
+                        : s === "Unassigned" || s === "Cancelled"
                         ? "admin-jobs-chip-gray"
                         : ""
                     }`}
@@ -548,7 +577,7 @@ export default function AdminJobs() {
                     type="button"
                   >
                     <span className="admin-jobs-chip-label">
-                      {s === "all" ? "All" : s}
+                      {s === "all" ? "All" : statusLabel(workflow, s)}
                     </span>
                     <span className="admin-jobs-count">
                       {s === "all" ? jobs.length : counts[s] || 0}
@@ -681,6 +710,14 @@ export default function AdminJobs() {
               </ul>
             </div>
             <div className="admin-jobs-modal-footer">
+              {links.jobId && (
+                <button
+                  className="admin-jobs-btn admin-jobs-btn-ghost"
+                  onClick={onRevokeTracking}
+                >
+                  Revoke tracking links
+                </button>
+              )}
               <button
                 className="admin-jobs-btn admin-jobs-btn-ghost"
                 onClick={() => setLinksOpen(false)}
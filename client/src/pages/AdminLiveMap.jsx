@@ -1,6 +1,7 @@
 import { useEffect, useMemo, useState } from "react";
 import GMap from "../components/GMap";
 import LiveMap from "../components/LiveMap";
+import TripReplay from "../components/TripReplay";
 import { getGoogleMapsKey } from "../config/env.js";
 import { useLiveVendors } from "../contexts/LiveVendorsContext";
 import { distanceBetweenPointsKm } from "../utils/geo";
@@ -40,6 +41,8 @@ export default function AdminLiveMap() {
     };
   });
   const [focusVendor, setFocusVendor] = useState("all");
+  const [replayInput, setReplayInput] = useState("");
+  const [replayJobId, setReplayJobId] = useState("");
 
   useEffect(() => {
     if (typeof window === "undefined") return;
@@ -152,6 +155,11 @@ export default function AdminLiveMap() {
     );
   };
 
+  const handleReplaySubmit = (event) => {
+    event.preventDefault();
+    setReplayJobId(replayInput.trim());
+  };
+
   const handleClearHq = () => {
     setHq(null);
     setHqForm({ lat: "", lng: "" });
@@ -277,6 +285,36 @@ export default function AdminLiveMap() {
           </>
         )}
       </div>
+
+      <div className="card map-replay">
+        <form className="map-replay__form" onSubmit={handleReplaySubmit}>
+          <label>
+            <span>Replay trip for job ID</span>
+            <input
+              type="text"
+              value={replayInput}
+              placeholder="Job ID"
+              onChange={(event) => setReplayInput(event.target.value)}
+            />
+          </label>
+          <button type="submit" className="btn ghost" disabled={!replayInput.trim()}>
+            Load trip
+          </button>
+          {replayJobId && (
+            <button
+              type="button"
+              className="btn ghost"
+              onClick={() => {
+                setReplayJobId("");
+                setReplayInput("");
+              }}
+            >
+              Close
+            </button>
+          )}
+        </form>
+        {replayJobId && <TripReplay key={replayJobId} jobId={replayJobId} />}
+      </div>
     </div>
   );
 }
@@ -1,7 +1,7 @@
 import { useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { api } from "../lib/api";
-import { useAuth } from "../contexts/AuthContext";
+import { FINANCE_ROLES, useAuth } from "../contexts/AuthContext";
 import "./AdminLogin.css";
 
 export default function AdminLogin() {
@@ -38,7 +38,8 @@ export default function AdminLogin() {
       };
       login?.(user, data.token);
       setSuccess(true);
-      setTimeout(() => navigate("/admin"), 800);
+      const home = FINANCE_ROLES.includes(user.role) ? "/admin" : "/admin/ops";
+      setTimeout(() => navigate(home), 800);
     } catch (err) {
       setError(err?.response?.data?.message || err?.message || "Login failed");
     } finally {
@@ -1,5 +1,5 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from "react";
-import { api } from "../lib/api";
+import { api, downloadFile } from "../lib/api";
 import KPIBlock from "../components/KPIBlock";
 import { readAuditLog, clearAuditLog } from "../utils/auditLog";
 import "./AdminReports.css";
@@ -102,7 +102,16 @@ export default function AdminReports() {
   if (service) qs.set("service", service);
   if (city) qs.set("city", city);
 
-  const exportUrl = `${api.defaults.baseURL || ""}/api/exports/jobs.csv?${qs}`;
+  const exportCsv = async () => {
+    try {
+      await downloadFile("/api/exports/jobs.csv", {
+        params: Object.fromEntries(qs),
+        filename: `jobs_${from}_${to}.csv`,
+      });
+    } catch (error) {
+      setErr(error?.response?.data?.message || "Export failed");
+    }
+  };
   const printParams = new URLSearchParams({ from, to });
   if (service) printParams.set("service", service);
   if (city) printParams.set("city", city);
@@ -164,9 +173,9 @@ export default function AdminReports() {
             </p>
           </div>
           <div className="r-head-actions">
-            <a className="btn ghost" href={exportUrl} target="_blank" rel="noreferrer">
+            <button type="button" className="btn ghost" onClick={exportCsv}>
               Export CSV
-            </a>
+            </button>
             <a className="btn primary" href={printHref} target="_blank" rel="noreferrer">
               Print PDF
             </a>
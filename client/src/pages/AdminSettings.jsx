@@ -53,6 +53,12 @@ export default function AdminSettings() {
         commission: s.commission,
         compliance: s.compliance,
         automation: s.automation,
+        sla: s.sla,
+        payouts: s.payouts,
+        geofence: s.geofence,
+        eta: s.eta,
+        pricing: s.pricing,
+        invoicing: s.invoicing,
       };
       const { data } = await api.put("/api/settings", body);
       setS(data);
@@ -102,6 +108,9 @@ export default function AdminSettings() {
       if (!Array.isArray(next.compliance.vendor.documents)) {
         next.compliance.vendor.documents = [];
       }
+      if (!Array.isArray(next.compliance.vendor.requirementSets)) {
+        next.compliance.vendor.requirementSets = [];
+      }
       mutator(next.compliance.vendor);
       return next;
     });
@@ -332,18 +341,20 @@ export default function AdminSettings() {
 
   if (!s) return <p>Loading...</p>;
 
+  const newRequirement = () => ({
+    key: "new_requirement",
+    label: "New Requirement",
+    description: "",
+    kind: "general",
+    required: true,
+    accepts: ["pdf", "jpg"],
+    expires: false,
+    validityDays: null,
+  });
+
   const addVendorRequirement = () =>
     mutateVendorCompliance((vendor) => {
-      vendor.documents.push({
-        key: "new_requirement",
-        label: "New Requirement",
-        description: "",
-        kind: "general",
-        required: true,
-        accepts: ["pdf", "jpg"],
-        expires: false,
-        validityDays: null,
-      });
+      vendor.documents.push(newRequirement());
     });
 
   const updateVendorRequirement = (index, field, value) =>
@@ -352,24 +363,243 @@ export default function AdminSettings() {
       vendor.documents[index][field] = value;
     });
 
-  const updateVendorRequirementAccepts = (index, value) => {
+  const parseAccepts = (value) => {
     const accepts = value
       .split(",")
       .map((part) => part.trim().toLowerCase())
       .filter(Boolean);
-    updateVendorRequirement(index, "accepts", accepts.length ? accepts : ["pdf"]);
+    return accepts.length ? accepts : ["pdf"];
   };
 
+  const splitList = (value) =>
+    value
+      .split(",")
+      .map((part) => part.trim())
+      .filter(Boolean);
+
   const removeVendorRequirement = (index) =>
     mutateVendorCompliance((vendor) => {
       vendor.documents.splice(index, 1);
     });
 
+  const addRequirementSet = () =>
+    mutateVendorCompliance((vendor) => {
+      vendor.requirementSets.push({
+        key: `set_${vendor.requirementSets.length + 1}`,
+        label: "New requirement set",
+        services: [],
+        heavyDuty: false,
+        regions: [],
+        documents: [newRequirement()],
+      });
+    });
+
+  const updateRequirementSet = (setIndex, field, value) =>
+    mutateVendorCompliance((vendor) => {
+      if (!vendor.requirementSets[setIndex]) return;
+      vendor.requirementSets[setIndex][field] = value;
+    });
+
+  const removeRequirementSet = (setIndex) =>
+    mutateVendorCompliance((vendor) => {
+      vendor.requirementSets.splice(setIndex, 1);
+    });
+
+  const mutateSetDocuments = (setIndex, mutator) =>
+    mutateVendorCompliance((vendor) => {
+      const set = vendor.requirementSets[setIndex];
+      if (!set) return;
+      if (!Array.isArray(set.documents)) set.documents = [];
+      mutator(set.documents);
+    });
+
+  // Shared editor body for baseline and scoped requirements.
+  const renderRequirementFields = (doc, update) => (
+    <>
+      <label>
+        <span>Label</span>
+        <input
+          value={doc.label || ""}
+          onChange={(event) => update("label", event.target.value)}
+        />
+      </label>
+      <label>
+        <span>Kind</span>
+        <input
+          value={doc.kind || ""}
+          onChange={(event) => update("kind", event.target.value)}
+        />
+      </label>
+      <label>
+        <span>Accepted formats</span>
+        <input
+          value={(doc.accepts || []).join(", ")}
+          onChange={(event) => update("accepts", parseAccepts(event.target.value))}
+        />
+      </label>
+      <div className="aset-compliance__flags">
+        <label className="aset-inline">
+          <input
+            type="checkbox"
+            checked={doc.required !== false}
+            onChange={(event) => update("required", event.target.checked)}
+          />
+          <span>Required</span>
+        </label>
+        <label className="aset-inline">
+          <input
+            type="checkbox"
+            checked={doc.expires === true}
+            onChange={(event) => update("expires", event.target.checked)}
+          />
+          <span>Expires</span>
+        </label>
+      </div>
+      <label>
+        <span>Validity days</span>
+        <input
+          type="number"
+          min="0"
+          value={doc.validityDays ?? ""}
+          onChange={(event) =>
+            update(
+              "validityDays",
+              event.target.value ? Number(event.target.value) : null
+            )
+          }
+        />
+      </label>
+      <label>
+        <span>Description</span>
+        <textarea
+          rows={2}
+          value={doc.description || ""}
+          onChange={(event) => update("description", event.target.value)}
+        />
+      </label>
+    </>
+  );
+
+  const mutateSla = (mutator) =>
+    setS((prev) => {
+      const next = cloneSettings(prev || {});
+      if (!next.sla) next.sla = { enabled: true, escalateOnBreach: true };
+      if (!Array.isArray(next.sla.policies)) next.sla.policies = [];
+      mutator(next.sla);
+      return next;
+    });
+
+  const addSlaPolicy = () =>
+    mutateSla((sla) => {
+      sla.policies.push({
+        serviceType: "",
+        urgency: "",
+        assignMinutes: null,
+        arriveMinutes: null,
+        completeMinutes: null,
+      });
+    });
+
+  const updateSlaPolicy = (index, field, value) =>
+    mutateSla((sla) => {
+      if (!sla.policies[index]) return;
+      sla.policies[index][field] = value;
+    });
+
+  const removeSlaPolicy = (index) =>
+    mutateSla((sla) => {
+      sla.policies.splice(index, 1);
+    });
+
+  const mutateGeofence = (mutator) =>
+    setS((prev) => {
+      const next = cloneSettings(prev || {});
+      if (!next.geofence) next.geofence = { enabled: false, radiusMeters: 150 };
+      if (!Array.isArray(next.geofence.rules)) next.geofence.rules = [];
+      mutator(next.geofence);
+      return next;
+    });
+
+  const addGeofenceRule = () =>
+    mutateGeofence((geofence) => {
+      geofence.rules.push({
+        serviceType: "",
+        autoArrive: true,
+        suggestCompletion: true,
+        radiusMeters: null,
+      });
+    });
+
+  const updateGeofenceRule = (index, field, value) =>
+    mutateGeofence((geofence) => {
+      if (!geofence.rules[index]) return;
+      geofence.rules[index][field] = value;
+    });
+
+  const removeGeofenceRule = (index) =>
+    mutateGeofence((geofence) => {
+      geofence.rules.splice(index, 1);
+    });
+
+  const mutateEta = (mutator) =>
+    setS((prev) => {
+      const next = cloneSettings(prev || {});
+      if (!next.eta) next.eta = { detourFactor: 1.3 };
+      if (!next.eta.speedKph) next.eta.speedKph = {};
+      if (!Array.isArray(next.eta.peakWindows)) next.eta.peakWindows = [];
+      mutator(next.eta);
+      return next;
+    });
+
+  const updatePeakWindow = (index, field, value) =>
+    mutateEta((eta) => {
+      if (!eta.peakWindows[index]) return;
+      eta.peakWindows[index][field] = value;
+    });
+
+  const mutatePricing = (mutator) =>
+    setS((prev) => {
+      const next = cloneSettings(prev || {});
+      if (!next.pricing) next.pricing = { enabled: true, distanceUnit: "mi" };
+      if (!Array.isArray(next.pricing.rules)) next.pricing.rules = [];
+      if (!next.pricing.afterHours) next.pricing.afterHours = {};
+      if (!next.pricing.urgencyMultipliers) next.pricing.urgencyMultipliers = {};
+      mutator(next.pricing);
+      return next;
+    });
+
+  const mutateInvoicing = (mutator) =>
+    setS((prev) => {
+      const next = cloneSettings(prev || {});
+      if (!next.invoicing) next.invoicing = {};
+      mutator(next.invoicing);
+      return next;
+    });
+
+  const updatePricingRule = (index, field, value) =>
+    mutatePricing((pricing) => {
+      if (!pricing.rules[index]) return;
+      pricing.rules[index][field] = value;
+    });
+
   const splitPct = Math.round((s.defaults?.defaultEarningsSplit ?? 0.6) * 100);
   const vendorCompliance = s.compliance?.vendor || {};
+  const requirementSets = Array.isArray(vendorCompliance.requirementSets)
+    ? vendorCompliance.requirementSets
+    : [];
   const vendorDocs = Array.isArray(vendorCompliance.documents)
     ? vendorCompliance.documents
     : [];
+  const invoicing = s.invoicing || {};
+  const slaConfig = s.sla || {};
+  const slaPolicies = Array.isArray(slaConfig.policies) ? slaConfig.policies : [];
+  const etaConfig = s.eta || {};
+  const peakWindows = Array.isArray(etaConfig.peakWindows) ? etaConfig.peakWindows : [];
+  const geofenceConfig = s.geofence || {};
+  const geofenceRules = Array.isArray(geofenceConfig.rules) ? geofenceConfig.rules : [];
+  const pricingConfig = s.pricing || {};
+  const pricingRules = Array.isArray(pricingConfig.rules) ? pricingConfig.rules : [];
+  const pricingUnit = pricingConfig.distanceUnit === "km" ? "km" : "mi";
   const presetKey = s.mode?.preset || "solo";
   const presetLabel = MODE_LABELS[presetKey] || MODE_LABELS.solo;
   const presetDescription =
@@ -508,6 +738,14 @@ export default function AdminSettings() {
               }}
             />
           </label>
+          <label>
+            <span>Timezone</span>
+            <input
+              placeholder="America/New_York"
+              value={s.defaults?.timezone || ""}
+              onChange={(event) => setK("defaults.timezone", event.target.value)}
+            />
+          </label>
         </div>
       </section>
 
@@ -568,143 +806,829 @@ export default function AdminSettings() {
 
       <section className="card aset-section">
         <div className="aset-section-head">
-          <h2 className="section-title">Vendor compliance</h2>
+          <h2 className="section-title">Payouts</h2>
           <p className="section-subtext">
-            Define and enforce the documents vendors must submit before receiving jobs.
+            How often vendor balances are settled into payout statements.
+          </p>
+        </div>
+        <div className="row">
+          <label>
+            <span>Settlement cadence</span>
+            <select
+              value={s.payouts?.cadence || "weekly"}
+              onChange={(event) => setK("payouts.cadence", event.target.value)}
+            >
+              <option value="weekly">Weekly</option>
+              <option value="biweekly">Every two weeks</option>
+            </select>
+          </label>
+          <label className="aset-toggle">
+            <input
+              type="checkbox"
+              checked={!!s.payouts?.autoSettle}
+              onChange={(event) => setK("payouts.autoSettle", event.target.checked)}
+            />
+            <span>Run settlements automatically</span>
+          </label>
+        </div>
+      </section>
+
+      <section className="card aset-section">
+        <div className="aset-section-head">
+          <h2 className="section-title">Service levels</h2>
+          <p className="section-subtext">
+            Minutes allowed to assign, arrive, and complete. The most specific
+            policy wins; blank fields fall back to the built-in targets for the
+            job's urgency.
           </p>
         </div>
         <div className="aset-compliance">
           <div className="aset-compliance__controls">
-            <label>
-              <span>Enforcement mode</span>
-              <select
-                value={vendorCompliance.enforce || "submission"}
-                onChange={(event) => setVendorEnforce(event.target.value)}
-              >
-                <option value="off">Disabled</option>
-                <option value="submission">Require submission</option>
-                <option value="verified">Require verification</option>
-              </select>
+            <label className="aset-toggle">
+              <input
+                type="checkbox"
+                checked={slaConfig.enabled !== false}
+                onChange={(event) =>
+                  mutateSla((sla) => {
+                    sla.enabled = event.target.checked;
+                  })
+                }
+              />
+              <span>Monitor SLAs</span>
             </label>
             <label className="aset-toggle">
               <input
                 type="checkbox"
-                checked={vendorCompliance.autoSuspendOnExpiry !== false}
-                onChange={(event) => setVendorAutoSuspend(event.target.checked)}
+                checked={slaConfig.escalateOnBreach !== false}
+                onChange={(event) =>
+                  mutateSla((sla) => {
+                    sla.escalateOnBreach = event.target.checked;
+                  })
+                }
               />
-              <span>Auto-suspend on expiry</span>
+              <span>Escalate priority on breach</span>
             </label>
-            <button
-              type="button"
-              className="btn ghost"
-              onClick={addVendorRequirement}
-            >
-              Add requirement
+            <button type="button" className="btn ghost" onClick={addSlaPolicy}>
+              Add policy
             </button>
           </div>
           <div className="aset-compliance__list">
-            {vendorDocs.length === 0 ? (
-              <p className="muted">No document requirements configured.</p>
+            {slaPolicies.length === 0 ? (
+              <p className="muted">Using built-in targets for every job.</p>
             ) : (
               <div className="aset-compliance__grid">
-                {vendorDocs.map((doc, index) => (
-                  <article key={doc.key || index} className="aset-compliance__item">
+                {slaPolicies.map((policy, index) => (
+                  <article key={index} className="aset-compliance__item">
                     <header className="aset-compliance__item-head">
                       <input
-                        placeholder="Unique key"
-                        value={doc.key || ""}
+                        placeholder="Any service"
+                        value={policy.serviceType || ""}
                         onChange={(event) =>
-                          updateVendorRequirement(index, "key", event.target.value.trim())
+                          updateSlaPolicy(index, "serviceType", event.target.value)
                         }
                       />
                       <button
                         type="button"
                         className="btn-text danger"
-                        onClick={() => removeVendorRequirement(index)}
+                        onClick={() => removeSlaPolicy(index)}
                       >
                         Remove
                       </button>
                     </header>
                     <label>
-                      <span>Label</span>
+                      <span>Urgency</span>
+                      <select
+                        value={policy.urgency || ""}
+                        onChange={(event) =>
+                          updateSlaPolicy(index, "urgency", event.target.value)
+                        }
+                      >
+                        <option value="">Any urgency</option>
+                        <option value="emergency">Emergency</option>
+                        <option value="urgent">Urgent</option>
+                        <option value="standard">Standard</option>
+                      </select>
+                    </label>
+                    {[
+                      ["assignMinutes", "Assign within (min)"],
+                      ["arriveMinutes", "Arrive within (min)"],
+                      ["completeMinutes", "Complete within (min)"],
+                    ].map(([field, label]) => (
+                      <label key={field}>
+                        <span>{label}</span>
+                        <input
+                          type="number"
+                          min="1"
+                          value={policy[field] ?? ""}
+                          onChange={(event) =>
+                            updateSlaPolicy(
+                              index,
+                              field,
+                              event.target.value ? Number(event.target.value) : null
+                            )
+                          }
+                        />
+                      </label>
+                    ))}
+                  </article>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </section>
+
+      <section className="card aset-section">
+        <div className="aset-section-head">
+          <h2 className="section-title">Live ETA</h2>
+          <p className="section-subtext">
+            Arrival estimates sent to customers are recomputed from each vendor
+            location update using these average speeds.
+          </p>
+        </div>
+        <div className="aset-compliance">
+          <div className="aset-compliance__controls">
+            {[
+              ["emergency", "Emergency speed (km/h)", 50],
+              ["urgent", "Urgent speed (km/h)", 45],
+              ["standard", "Standard speed (km/h)", 40],
+            ].map(([key, label, fallback]) => (
+              <label key={key}>
+                <span>{label}</span>
+                <input
+                  type="number"
+                  min="5"
+                  value={etaConfig.speedKph?.[key] ?? fallback}
+                  onChange={(event) =>
+                    mutateEta((eta) => {
+                      eta.speedKph[key] = Number(event.target.value) || fallback;
+                    })
+                  }
+                />
+              </label>
+            ))}
+            <label>
+              <span>Detour factor</span>
+              <input
+                type="number"
+                min="1"
+                step="0.1"
+                value={etaConfig.detourFactor ?? 1.3}
+                onChange={(event) =>
+                  mutateEta((eta) => {
+                    eta.detourFactor = Number(event.target.value) || 1;
+                  })
+                }
+              />
+            </label>
+            <button
+              type="button"
+              className="btn ghost"
+              onClick={() =>
+                mutateEta((eta) => {
+                  eta.peakWindows.push({ start: "07:00", end: "09:00", speedFactor: 0.7 });
+                })
+              }
+            >
+              Add peak window
+            </button>
+          </div>
+          <div className="aset-compliance__list">
+            {peakWindows.length === 0 ? (
+              <p className="muted">Speeds apply all day.</p>
+            ) : (
+              <div className="aset-compliance__grid">
+                {peakWindows.map((peak, index) => (
+                  <article key={index} className="aset-compliance__item">
+                    <header className="aset-compliance__item-head">
+                      <strong>Peak window</strong>
+                      <button
+                        type="button"
+                        className="btn-text danger"
+                        onClick={() =>
+                          mutateEta((eta) => {
+                            eta.peakWindows.splice(index, 1);
+                          })
+                        }
+                      >
+                        Remove
+                      </button>
+                    </header>
+                    <label>
+                      <span>Starts</span>
                       <input
-                        value={doc.label || ""}
+                        type="time"
+                        value={peak.start || ""}
                         onChange={(event) =>
-                          updateVendorRequirement(index, "label", event.target.value)
+                          updatePeakWindow(index, "start", event.target.value)
                         }
                       />
                     </label>
                     <label>
-                      <span>Kind</span>
+                      <span>Ends</span>
                       <input
-                        value={doc.kind || ""}
+                        type="time"
+                        value={peak.end || ""}
                         onChange={(event) =>
-                          updateVendorRequirement(index, "kind", event.target.value)
+                          updatePeakWindow(index, "end", event.target.value)
                         }
                       />
                     </label>
                     <label>
-                      <span>Accepted formats</span>
+                      <span>Speed multiplier</span>
                       <input
-                        value={(doc.accepts || []).join(", ")}
+                        type="number"
+                        min="0.1"
+                        max="2"
+                        step="0.05"
+                        value={peak.speedFactor ?? 1}
                         onChange={(event) =>
-                          updateVendorRequirementAccepts(index, event.target.value)
+                          updatePeakWindow(
+                            index,
+                            "speedFactor",
+                            Number(event.target.value) || 1
+                          )
                         }
                       />
                     </label>
-                    <div className="aset-compliance__flags">
-                      <label className="aset-inline">
-                        <input
-                          type="checkbox"
-                          checked={doc.required !== false}
-                          onChange={(event) =>
-                            updateVendorRequirement(index, "required", event.target.checked)
-                          }
-                        />
-                        <span>Required</span>
-                      </label>
-                      <label className="aset-inline">
+                  </article>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </section>
+
+      <section className="card aset-section">
+        <div className="aset-section-head">
+          <h2 className="section-title">Pricing</h2>
+          <p className="section-subtext">
+            Quotes for new jobs and the request forms are calculated from these
+            rates. A rule with no service type covers every other service;
+            urgency multipliers apply after surcharges, then the minimum.
+          </p>
+        </div>
+        <div className="aset-compliance">
+          <div className="aset-compliance__controls">
+            <label className="aset-toggle">
+              <input
+                type="checkbox"
+                checked={pricingConfig.enabled !== false}
+                onChange={(event) =>
+                  mutatePricing((pricing) => {
+                    pricing.enabled = event.target.checked;
+                  })
+                }
+              />
+              <span>Calculate quotes automatically</span>
+            </label>
+            <label>
+              <span>Distance unit</span>
+              <select
+                value={pricingUnit}
+                onChange={(event) =>
+                  mutatePricing((pricing) => {
+                    pricing.distanceUnit = event.target.value;
+                  })
+                }
+              >
+                <option value="mi">Miles</option>
+                <option value="km">Kilometers</option>
+              </select>
+            </label>
+            <label>
+              <span>Heavy-duty surcharge</span>
+              <input
+                type="number"
+                min="0"
+                value={pricingConfig.heavyDutySurcharge ?? 75}
+                onChange={(event) =>
+                  mutatePricing((pricing) => {
+                    pricing.heavyDutySurcharge = Number(event.target.value) || 0;
+                  })
+                }
+              />
+            </label>
+            <label>
+              <span>After-hours surcharge</span>
+              <input
+                type="number"
+                min="0"
+                value={pricingConfig.afterHours?.surcharge ?? 35}
+                onChange={(event) =>
+                  mutatePricing((pricing) => {
+                    pricing.afterHours.surcharge = Number(event.target.value) || 0;
+                  })
+                }
+              />
+            </label>
+            <label>
+              <span>After hours start</span>
+              <input
+                type="time"
+                value={pricingConfig.afterHours?.start || "19:00"}
+                onChange={(event) =>
+                  mutatePricing((pricing) => {
+                    pricing.afterHours.start = event.target.value;
+                  })
+                }
+              />
+            </label>
+            <label>
+              <span>After hours end</span>
+              <input
+                type="time"
+                value={pricingConfig.afterHours?.end || "07:00"}
+                onChange={(event) =>
+                  mutatePricing((pricing) => {
+                    pricing.afterHours.end = event.target.value;
+                  })
+                }
+              />
+            </label>
+            <label className="aset-toggle">
+              <input
+                type="checkbox"
+                checked={!!pricingConfig.afterHours?.weekends}
+                onChange={(event) =>
+                  mutatePricing((pricing) => {
+                    pricing.afterHours.weekends = event.target.checked;
+                  })
+                }
+              />
+              <span>Weekends count as after hours</span>
+            </label>
+            {[
+              ["emergency", "Emergency multiplier", 1.5],
+              ["urgent", "Urgent multiplier", 1.25],
+              ["standard", "Standard multiplier", 1],
+            ].map(([key, label, fallback]) => (
+              <label key={key}>
+                <span>{label}</span>
+                <input
+                  type="number"
+                  min="0.1"
+                  step="0.05"
+                  value={pricingConfig.urgencyMultipliers?.[key] ?? fallback}
+                  onChange={(event) =>
+                    mutatePricing((pricing) => {
+                      pricing.urgencyMultipliers[key] =
+                        Number(event.target.value) || fallback;
+                    })
+                  }
+                />
+              </label>
+            ))}
+            <button
+              type="button"
+              className="btn ghost"
+              onClick={() =>
+                mutatePricing((pricing) => {
+                  pricing.rules.push({
+                    serviceType: "",
+                    baseFee: 0,
+                    perUnit: 0,
+                    includedDistance: 0,
+                    minimum: 0,
+                  });
+                })
+              }
+            >
+              Add service rate
+            </button>
+          </div>
+          <div className="aset-compliance__list">
+            {pricingRules.length === 0 ? (
+              <p className="muted">No rates yet; the built-in default rate applies.</p>
+            ) : (
+              <div className="aset-compliance__grid">
+                {pricingRules.map((rule, index) => (
+                  <article key={index} className="aset-compliance__item">
+                    <header className="aset-compliance__item-head">
+                      <input
+                        placeholder="Any service"
+                        value={rule.serviceType || ""}
+                        onChange={(event) =>
+                          updatePricingRule(index, "serviceType", event.target.value)
+                        }
+                      />
+                      <button
+                        type="button"
+                        className="btn-text danger"
+                        onClick={() =>
+                          mutatePricing((pricing) => {
+                            pricing.rules.splice(index, 1);
+                          })
+                        }
+                      >
+                        Remove
+                      </button>
+                    </header>
+                    {[
+                      ["baseFee", "Base fee"],
+                      ["perUnit", `Rate per ${pricingUnit}`],
+                      ["includedDistance", `Included ${pricingUnit}`],
+                      ["minimum", "Minimum charge"],
+                    ].map(([field, label]) => (
+                      <label key={field}>
+                        <span>{label}</span>
                         <input
-                          type="checkbox"
-                          checked={doc.expires === true}
+                          type="number"
+                          min="0"
+                          step="0.5"
+                          value={rule[field] ?? 0}
                           onChange={(event) =>
-                            updateVendorRequirement(index, "expires", event.target.checked)
+                            updatePricingRule(
+                              index,
+                              field,
+                              Number(event.target.value) || 0
+                            )
                           }
                         />
-                        <span>Expires</span>
                       </label>
-                    </div>
+                    ))}
+                  </article>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </section>
+
+      <section className="card aset-section">
+        <div className="aset-section-head">
+          <h2 className="section-title">Invoices</h2>
+          <p className="section-subtext">
+            Completed jobs are invoiced automatically and the customer gets a
+            link to view or download it. Changes apply to invoices issued from
+            now on.
+          </p>
+        </div>
+        <div className="aset-compliance">
+          <div className="aset-compliance__controls">
+            <label>
+              <span>Number prefix</span>
+              <input
+                value={invoicing.prefix ?? "INV-"}
+                onChange={(event) =>
+                  mutateInvoicing((inv) => {
+                    inv.prefix = event.target.value;
+                  })
+                }
+              />
+            </label>
+            <label>
+              <span>Tax rate (%)</span>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="0.01"
+                value={Math.round((invoicing.taxRate || 0) * 10000) / 100}
+                onChange={(event) =>
+                  mutateInvoicing((inv) => {
+                    const pct = Number(event.target.value) || 0;
+                    inv.taxRate = Math.min(Math.max(pct, 0), 100) / 100;
+                  })
+                }
+              />
+            </label>
+            <label>
+              <span>Tax label</span>
+              <input
+                value={invoicing.taxLabel ?? "Tax"}
+                onChange={(event) =>
+                  mutateInvoicing((inv) => {
+                    inv.taxLabel = event.target.value;
+                  })
+                }
+              />
+            </label>
+            <label>
+              <span>Company name</span>
+              <input
+                value={invoicing.companyName || ""}
+                onChange={(event) =>
+                  mutateInvoicing((inv) => {
+                    inv.companyName = event.target.value;
+                  })
+                }
+              />
+            </label>
+            <label>
+              <span>Company address</span>
+              <input
+                value={invoicing.companyAddress || ""}
+                onChange={(event) =>
+                  mutateInvoicing((inv) => {
+                    inv.companyAddress = event.target.value;
+                  })
+                }
+              />
+            </label>
+            <label>
+              <span>Footer</span>
+              <input
+                value={invoicing.footer || ""}
+                placeholder="Thank you for your business"
+                onChange={(event) =>
+                  mutateInvoicing((inv) => {
+                    inv.footer = event.target.value;
+                  })
+                }
+              />
+            </label>
+          </div>
+        </div>
+      </section>
+
+      <section className="card aset-section">
+        <div className="aset-section-head">
+          <h2 className="section-title">Geofencing</h2>
+          <p className="section-subtext">
+            Use live vendor locations to mark jobs Arrived at the pickup and
+            prompt completion at the drop-off. Only service types with a rule
+            are automated; a rule with no service type covers the rest.
+          </p>
+        </div>
+        <div className="aset-compliance">
+          <div className="aset-compliance__controls">
+            <label className="aset-toggle">
+              <input
+                type="checkbox"
+                checked={!!geofenceConfig.enabled}
+                onChange={(event) =>
+                  mutateGeofence((geofence) => {
+                    geofence.enabled = event.target.checked;
+                  })
+                }
+              />
+              <span>Enable geofencing</span>
+            </label>
+            <label>
+              <span>Default radius (m)</span>
+              <input
+                type="number"
+                min="25"
+                value={geofenceConfig.radiusMeters ?? 150}
+                onChange={(event) =>
+                  mutateGeofence((geofence) => {
+                    geofence.radiusMeters = Number(event.target.value) || 150;
+                  })
+                }
+              />
+            </label>
+            <button type="button" className="btn ghost" onClick={addGeofenceRule}>
+              Add service type
+            </button>
+          </div>
+          <div className="aset-compliance__list">
+            {geofenceRules.length === 0 ? (
+              <p className="muted">No service types are geofenced yet.</p>
+            ) : (
+              <div className="aset-compliance__grid">
+                {geofenceRules.map((rule, index) => (
+                  <article key={index} className="aset-compliance__item">
+                    <header className="aset-compliance__item-head">
+                      <input
+                        placeholder="Any service"
+                        value={rule.serviceType || ""}
+                        onChange={(event) =>
+                          updateGeofenceRule(index, "serviceType", event.target.value)
+                        }
+                      />
+                      <button
+                        type="button"
+                        className="btn-text danger"
+                        onClick={() => removeGeofenceRule(index)}
+                      >
+                        Remove
+                      </button>
+                    </header>
+                    <label className="aset-toggle">
+                      <input
+                        type="checkbox"
+                        checked={rule.autoArrive !== false}
+                        onChange={(event) =>
+                          updateGeofenceRule(index, "autoArrive", event.target.checked)
+                        }
+                      />
+                      <span>Auto-mark Arrived at pickup</span>
+                    </label>
+                    <label className="aset-toggle">
+                      <input
+                        type="checkbox"
+                        checked={rule.suggestCompletion !== false}
+                        onChange={(event) =>
+                          updateGeofenceRule(
+                            index,
+                            "suggestCompletion",
+                            event.target.checked
+                          )
+                        }
+                      />
+                      <span>Suggest completion at drop-off</span>
+                    </label>
                     <label>
-                      <span>Validity days</span>
+                      <span>Radius (m)</span>
                       <input
                         type="number"
-                        min="0"
-                        value={doc.validityDays ?? ""}
+                        min="25"
+                        placeholder="Default"
+                        value={rule.radiusMeters ?? ""}
                         onChange={(event) =>
-                          updateVendorRequirement(
+                          updateGeofenceRule(
                             index,
-                            "validityDays",
+                            "radiusMeters",
                             event.target.value ? Number(event.target.value) : null
                           )
                         }
                       />
                     </label>
-                    <label>
-                      <span>Description</span>
-                      <textarea
-                        rows={2}
-                        value={doc.description || ""}
+                  </article>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </section>
+
+      <section className="card aset-section">
+        <div className="aset-section-head">
+          <h2 className="section-title">Vendor compliance</h2>
+          <p className="section-subtext">
+            Define and enforce the documents vendors must submit before receiving jobs.
+          </p>
+        </div>
+        <div className="aset-compliance">
+          <div className="aset-compliance__controls">
+            <label>
+              <span>Enforcement mode</span>
+              <select
+                value={vendorCompliance.enforce || "submission"}
+                onChange={(event) => setVendorEnforce(event.target.value)}
+              >
+                <option value="off">Disabled</option>
+                <option value="submission">Require submission</option>
+                <option value="verified">Require verification</option>
+              </select>
+            </label>
+            <label className="aset-toggle">
+              <input
+                type="checkbox"
+                checked={vendorCompliance.autoSuspendOnExpiry !== false}
+                onChange={(event) => setVendorAutoSuspend(event.target.checked)}
+              />
+              <span>Auto-suspend on expiry</span>
+            </label>
+            <button
+              type="button"
+              className="btn ghost"
+              onClick={addVendorRequirement}
+            >
+              Add requirement
+            </button>
+          </div>
+          <div className="aset-compliance__list">
+            {vendorDocs.length === 0 ? (
+              <p className="muted">No document requirements configured.</p>
+            ) : (
+              <div className="aset-compliance__grid">
+                {vendorDocs.map((doc, index) => (
+                  <article key={doc.key || index} className="aset-compliance__item">
+                    <header className="aset-compliance__item-head">
+                      <input
+                        placeholder="Unique key"
+                        value={doc.key || ""}
                         onChange={(event) =>
-                          updateVendorRequirement(index, "description", event.target.value)
+                          updateVendorRequirement(index, "key", event.target.value.trim())
                         }
                       />
-                    </label>
+                      <button
+                        type="button"
+                        className="btn-text danger"
+                        onClick={() => removeVendorRequirement(index)}
+                      >
+                        Remove
+                      </button>
+                    </header>
+                    {renderRequirementFields(doc, (field, value) =>
+                      updateVendorRequirement(index, field, value)
+                    )}
                   </article>
                 ))}
               </div>
             )}
           </div>
         </div>
+
+        <div className="aset-compliance aset-compliance--sets">
+          <div className="aset-compliance__controls">
+            <p className="section-subtext">
+              Scoped sets add documents for vendors matching every filter given. Service-scoped
+              gaps only hide those services; heavy-duty sets only gate heavy-duty jobs.
+            </p>
+            <button type="button" className="btn ghost" onClick={addRequirementSet}>
+              Add requirement set
+            </button>
+          </div>
+          {requirementSets.length === 0 ? (
+            <p className="muted">No scoped requirement sets. Every vendor gets the list above.</p>
+          ) : (
+            requirementSets.map((set, setIndex) => (
+              <article key={setIndex} className="aset-compliance__set">
+                <header className="aset-compliance__item-head">
+                  <input
+                    placeholder="Set name"
+                    value={set.label || ""}
+                    onChange={(event) =>
+                      updateRequirementSet(setIndex, "label", event.target.value)
+                    }
+                  />
+                  <button
+                    type="button"
+                    className="btn-text danger"
+                    onClick={() => removeRequirementSet(setIndex)}
+                  >
+                    Remove set
+                  </button>
+                </header>
+                <div className="aset-compliance__set-scope">
+                  <label>
+                    <span>Services (comma separated, blank = all)</span>
+                    <input
+                      defaultValue={(set.services || []).join(", ")}
+                      onBlur={(event) =>
+                        updateRequirementSet(setIndex, "services", splitList(event.target.value))
+                      }
+                      placeholder="Towing, Winch out"
+                    />
+                  </label>
+                  <label>
+                    <span>Regions (city or state, blank = everywhere)</span>
+                    <input
+                      defaultValue={(set.regions || []).join(", ")}
+                      onBlur={(event) =>
+                        updateRequirementSet(setIndex, "regions", splitList(event.target.value))
+                      }
+                      placeholder="TX, Austin"
+                    />
+                  </label>
+                  <label className="aset-inline">
+                    <input
+                      type="checkbox"
+                      checked={set.heavyDuty === true}
+                      onChange={(event) =>
+                        updateRequirementSet(setIndex, "heavyDuty", event.target.checked)
+                      }
+                    />
+                    <span>Heavy-duty vendors and jobs only</span>
+                  </label>
+                </div>
+                <div className="aset-compliance__grid">
+                  {(set.documents || []).map((doc, docIndex) => (
+                    <article key={docIndex} className="aset-compliance__item">
+                      <header className="aset-compliance__item-head">
+                        <input
+                          placeholder="Unique key"
+                          value={doc.key || ""}
+                          onChange={(event) =>
+                            mutateSetDocuments(setIndex, (docs) => {
+                              docs[docIndex].key = event.target.value.trim();
+                            })
+                          }
+                        />
+                        <button
+                          type="button"
+                          className="btn-text danger"
+                          onClick={() =>
+                            mutateSetDocuments(setIndex, (docs) => docs.splice(docIndex, 1))
+                          }
+                        >
+                          Remove
+                        </button>
+                      </header>
+                      {renderRequirementFields(doc, (field, value) =>
+                        mutateSetDocuments(setIndex, (docs) => {
+                          docs[docIndex][field] = value;
+                        })
+                      )}
+                    </article>
+                  ))}
+                </div>
+                <button
+                  type="button"
+                  className="btn ghost"
+                  onClick={() =>
+                    mutateSetDocuments(setIndex, (docs) => docs.push(newRequirement()))
+                  }
+                >
+                  Add document to set
+                </button>
+              </article>
+            ))
+          )}
+        </div>
       </section>
 
       <section className="card aset-section">
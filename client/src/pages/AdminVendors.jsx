@@ -1,5 +1,6 @@
 import { useEffect, useMemo, useState } from "react";
 import { api } from "../lib/api";
+import ServiceAreaEditor from "../components/ServiceAreaEditor";
 import "./AdminVendors.css";
 
 const PAGE_SIZE_OPTIONS = [10, 20, 50];
@@ -49,6 +50,9 @@ const complianceSnapshot = (vendor) => {
   };
 };
 
+const isApplicant = (vendor) =>
+  Boolean(vendor?.onboarding?.status) && vendor.onboarding.status !== "approved";
+
 export default function AdminVendors() {
   const [items, setItems] = useState([]);
   const [form, setForm] = useState({
@@ -64,6 +68,10 @@ export default function AdminVendors() {
   const [showAddModal, setShowAddModal] = useState(false);
   const [creatingVendor, setCreatingVendor] = useState(false);
   const [formError, setFormError] = useState("");
+  const [decisionNotes, setDecisionNotes] = useState({});
+  const [decisionPending, setDecisionPending] = useState(null);
+  const [areaVendor, setAreaVendor] = useState(null);
+  const [areaSaving, setAreaSaving] = useState(false);
 
   const openAddModal = () => {
     setFormError("");
@@ -215,6 +223,67 @@ export default function AdminVendors() {
     }
   };
 
+  const applications = useMemo(
+    () =>
+      items
+        .filter(isApplicant)
+        .sort(
+          (a, b) =>
+            new Date(a.onboarding.appliedAt || 0) - new Date(b.onboarding.appliedAt || 0)
+        ),
+    [items]
+  );
+
+  const decideApplication = async (vendor, decision) => {
+    if (!vendor?._id) return;
+    setDecisionPending(vendor._id);
+    try {
+      await api.post(`/api/admin/vendors/${vendor._id}/${decision}`, {
+        note: decisionNotes[vendor._id] || "",
+      });
+      setDecisionNotes((prev) => ({ ...prev, [vendor._id]: "" }));
+      await load({ keepPage: true });
+    } catch (error) {
+      setErr(error?.response?.data?.message || `Failed to ${decision} application`);
+    } finally {
+      setDecisionPending(null);
+    }
+  };
+
+  const openAreaEditor = async (vendor) => {
+    try {
+      const { data } = await api.get(`/api/admin/vendors/${vendor._id}`);
+      setAreaVendor(data?.vendor || null);
+    } catch (error) {
+      setErr(error?.response?.data?.message || "Failed to load service area");
+    }
+  };
+
+  const saveServiceArea = async (area) => {
+    if (!areaVendor?._id) return;
+    setAreaSaving(true);
+    try {
+      const { data } = await api.put(
+        `/api/admin/vendors/${areaVendor._id}/service-area`,
+        area
+      );
+      setAreaVendor(data?.vendor || null);
+      setErr("");
+    } catch (error) {
+      setErr(error?.response?.data?.message || "Failed to save service area");
+    } finally {
+      setAreaSaving(false);
+    }
+  };
+
+  const areaCenter = useMemo(
+    () =>
+      Number.isFinite(areaVendor?.lat) && Number.isFinite(areaVendor?.lng)
+        ? [areaVendor.lat, areaVendor.lng]
+        : null,
+    [areaVendor?.lat, areaVendor?.lng]
+  );
+
   const handlePageSizeChange = (event) => {
     setPageSize(Number(event.target.value));
   };
@@ -348,6 +417,127 @@ export default function AdminVendors() {
         </div>
       ) : null}
 
+      {applications.length > 0 && (
+        <section className="card avendors-applications">
+          <header>
+            <h3>Applications</h3>
+            <p className="muted">
+              New vendors stay inactive until their application is approved.
+            </p>
+          </header>
+          <ul>
+            {applications.map((vendor) => {
+              const { onboarding } = vendor;
+              const open = (onboarding.checklist || []).filter((item) => !item.done);
+              return (
+                <li key={vendor._id} className="avendors-applications__item">
+                  <div className="avendors-applications__main">
+                    <strong>{vendor.name}</strong>
+                    <span
+                      className={
+                        onboarding.status === "under_review"
+                          ? "badge ok"
+                          : onboarding.status === "rejected"
+                          ? "badge bad"
+                          : "badge warn"
+                      }
+                    >
+                      {onboarding.label}
+                    </span>
+                    <span className="muted">
+                      {[vendor.city, vendor.phone, vendor.email].filter(Boolean).join(" | ")}
+                    </span>
+                    {onboarding.appliedAt && (
+                      <span className="muted">
+                        Applied {new Date(onboarding.appliedAt).toLocaleDateString()}
+                      </span>
+                    )}
+                  </div>
+                  <p className="muted">
+                    {open.length
+                      ? `Outstanding: ${open.map((item) => item.label).join(", ")}`
+                      : "Checklist complete"}
+                  </p>
+                  {onboarding.decisionNote && (
+                    <p className="muted">Last note: {onboarding.decisionNote}</p>
+                  )}
+                  <div className="avendors-applications__decision">
+                    <input
+                      placeholder="Note (required to reject)"
+                      value={decisionNotes[vendor._id] || ""}
+                      onChange={(event) =>
+                        setDecisionNotes((prev) => ({
+                          ...prev,
+                          [vendor._id]: event.target.value,
+                        }))
+                      }
+                    />
+                    <button
+                      type="button"
+                      className="btn"
+                      disabled={decisionPending === vendor._id || open.length > 0}
+                      onClick={() => decideApplication(vendor, "approve")}
+                    >
+                      Approve
+                    </button>
+                    {onboarding.status !== "rejected" && (
+                      <button
+                        type="button"
+                        className="btn ghost"
+                        disabled={
+                          decisionPending === vendor._id ||
+                          !(decisionNotes[vendor._id] || "").trim()
+                        }
+                        onClick={() => decideApplication(vendor, "reject")}
+                      >
+                        Reject
+                      </button>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </section>
+      )}
+
+      {areaVendor ? (
+        <div className="avendors-modal" role="dialog" aria-modal="true">
+          <div
+            className="avendors-modal__backdrop"
+            onClick={() => !areaSaving && setAreaVendor(null)}
+          />
+          <div className="avendors-modal__panel avendors-modal__panel--wide">
+            <header className="avendors-modal__head">
+              <div>
+                <h3>Service area - {areaVendor.name}</h3>
+                <p>
+                  Coverage shapes replace the {areaVendor.radiusKm} km radius;
+                  exclusion zones always apply.
+                </p>
+              </div>
+              <button
+                type="button"
+                className="avendors-modal__close"
+                onClick={() => setAreaVendor(null)}
+                aria-label="Close service area editor"
+                disabled={areaSaving}
+              >
+                X
+              </button>
+            </header>
+            <ServiceAreaEditor
+              coverage={areaVendor.serviceArea?.coverage || null}
+              exclusions={areaVendor.serviceArea?.exclusions || null}
+              center={areaCenter}
+              radiusKm={areaVendor.radiusKm}
+              onSave={saveServiceArea}
+              saving={areaSaving}
+            />
+          </div>
+        </div>
+      ) : null}
+
       <div className="card avendors-table-card">
         <div className="avendors-table-wrapper">
           <table className="table">
@@ -359,6 +549,7 @@ export default function AdminVendors() {
                 <th>Docs</th>
                 <th>Compliance</th>
                 <th>Override</th>
+                <th>Area</th>
                 <th>Completed</th>
                 <th>Avg Rating</th>
                 <th>Revenue</th>
@@ -411,6 +602,15 @@ export default function AdminVendors() {
                           : "Allow override"}
                       </button>
                     </td>
+                    <td>
+                      <button
+                        type="button"
+                        className="avendors-override-btn"
+                        onClick={() => openAreaEditor(vendor)}
+                      >
+                        Edit map
+                      </button>
+                    </td>
                     <td>{(stats.completed || 0).toLocaleString()}</td>
                     <td>{formatRating(stats.avgRating)}</td>
                     <td>{formatCurrency(stats.revenue)}</td>
@@ -420,7 +620,7 @@ export default function AdminVendors() {
               })}
               {pagination.pageItems.length === 0 && (
                 <tr>
-                  <td colSpan="10" className="muted">
+                  <td colSpan="11" className="muted">
                     No vendors
                   </td>
                 </tr>
@@ -492,6 +692,18 @@ export default function AdminVendors() {
                     <dt>Completed jobs</dt>
                     <dd>{(stats.completed || 0).toLocaleString()}</dd>
                   </div>
+                  <div>
+                    <dt>Service area</dt>
+                    <dd>
+                      <button
+                        type="button"
+                        className="avendors-override-btn"
+                        onClick={() => openAreaEditor(vendor)}
+                      >
+                        Edit map
+                      </button>
+                    </dd>
+                  </div>
                   <div>
                     <dt>Revenue</dt>
                     <dd>{formatCurrency(stats.revenue)}</dd>
@@ -3,6 +3,12 @@ import { useParams } from "react-router-dom";
 import { api } from "../lib/api";
 import "./CustomerBids.css";
 
+const STATUS_LABELS = {
+  expired: "Expired",
+  rejected: "Not selected",
+  withdrawn: "Withdrawn",
+};
+
 export default function CustomerBids() {
   const { token } = useParams();
   const [data, setData] = useState(null);
@@ -11,7 +17,7 @@ export default function CustomerBids() {
 
   const load = async () => {
     try {
-      const r = await api.get(`/api/public/customer/${token}/bids`);
+      const r = await api.get(`/api/bids/list/${token}`);
       setData(r.data);
       setErr("");
     } catch (e) {
@@ -29,7 +35,7 @@ export default function CustomerBids() {
   const selectBid = async (bidId) => {
     try {
       setSelecting(bidId);
-      await api.post(`/api/public/customer/${token}/select`, { bidId });
+      await api.post(`/api/bids/${bidId}/select`, { customerToken: token });
       await load();
     } catch (e) {
       setErr(e?.response?.data?.message || "Failed to select bid");
@@ -53,6 +59,8 @@ export default function CustomerBids() {
       </div>
     );
 
+  const selectedBidId = data.job.selectedBidId ? String(data.job.selectedBidId) : null;
+
   return (
     <div className="container custbids">
       <div className="card">
@@ -61,11 +69,11 @@ export default function CustomerBids() {
           <strong>Service:</strong> {data.job.serviceType || "Tow"}
         </p>
         <p>
-          <strong>Pickup Area:</strong> {data.job.pickupHint}
+          <strong>Pickup Area:</strong> {data.job.pickupAddress}
         </p>
-        {data.job.dropoffHint && (
+        {data.job.dropoffAddress && (
           <p>
-            <strong>Drop-off:</strong> {data.job.dropoffHint}
+            <strong>Drop-off:</strong> {data.job.dropoffAddress}
           </p>
         )}
       </div>
@@ -74,34 +82,39 @@ export default function CustomerBids() {
         <h3>Bids</h3>
         {data.bids.length === 0 && <p className="muted">Waiting for bids...</p>}
         <ul className="bidlist">
-          {data.bids.map((b) => (
-            <li
-              key={b._id}
-              className={
-                "bid " + (data.selectedBidId === b._id ? "selected" : "")
-              }
-            >
-              <div className="left">
-                <div className="name">{b.label}</div>
-                <div className="muted small">ETA {b.etaMinutes} min</div>
-              </div>
-              <div className="right">
-                <div className="price">${Number(b.price).toFixed(0)}</div>
-                {data.selectedBidId === b._id ? (
-                  <span className="chip ok">Selected</span>
-                ) : (
-                  <button
-                    disabled={!!data.selectedBidId || selecting === b._id}
-                    onClick={() => selectBid(b._id)}
-                  >
-                    {selecting === b._id ? "Selecting..." : "Select"}
-                  </button>
-                )}
-              </div>
-            </li>
-          ))}
+          {data.bids.map((b) => {
+            const status = b.status || "active";
+            return (
+              <li
+                key={b._id}
+                className={
+                  "bid " + (selectedBidId === b._id ? "selected" : "")
+                }
+              >
+                <div className="left">
+                  <div className="name">{b.vendorName}</div>
+                  <div className="muted small">ETA {b.etaMinutes} min</div>
+                </div>
+                <div className="right">
+                  <div className="price">${Number(b.price).toFixed(0)}</div>
+                  {selectedBidId === b._id ? (
+                    <span className="chip ok">Selected</span>
+                  ) : status !== "active" ? (
+                    <span className="chip">{STATUS_LABELS[status] || status}</span>
+                  ) : (
+                    <button
+                      disabled={!!selectedBidId || selecting === b._id}
+                      onClick={() => selectBid(b._id)}
+                    >
+                      {selecting === b._id ? "Selecting..." : "Select"}
+                    </button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
         </ul>
-        {data.selectedBidId && (
+        {selectedBidId && (
           <p className="muted small">
             We'll notify the selected operator. You'll receive ETA & contact
             next.
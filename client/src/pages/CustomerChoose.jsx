@@ -3,6 +3,13 @@ import { useParams } from "react-router-dom";
 import { api } from "../lib/api";
 import "./CustomerChoose.css";
 
+const STATUS_LABELS = {
+  expired: "Expired",
+  rejected: "Not selected",
+  accepted: "Selected",
+  withdrawn: "Withdrawn",
+};
+
 export default function CustomerChoose() {
   const { token } = useParams();
   const [job, setJob] = useState(null);
@@ -12,10 +19,10 @@ export default function CustomerChoose() {
 
   const load = async () => {
     try {
-      const { data } = await api.get(`/api/bids/customer/${token}`);
+      const { data } = await api.get(`/api/bids/list/${token}`);
       setJob(data.job);
       setBids(data.bids || []);
-      setOpen(data.biddingOpen);
+      setOpen(!!data.job?.biddingOpen);
       setMsg("");
     } catch (e) {
       setMsg(e?.response?.data?.message || "Invalid or expired link");
@@ -31,7 +38,7 @@ export default function CustomerChoose() {
 
   const select = async (bidId) => {
     try {
-      await api.post(`/api/bids/customer/${token}/select`, { bidId });
+      await api.post(`/api/bids/${bidId}/select`, { customerToken: token });
       setMsg(" Bid selected! You'll be contacted shortly.");
       setOpen(false);
       load();
@@ -65,23 +72,38 @@ export default function CustomerChoose() {
           <>
             {bids.length === 0 && <p className="muted">Waiting for bids...</p>}
             <ul className="cc-list">
-              {bids.map((b) => (
-                <li key={b._id} className="cc-item">
-                  <div className="cc-main">
-                    <strong>{b.vendorName}</strong>
-                    <div className="muted small">{b.vendorPhone}</div>
-                  </div>
-                  <div className="cc-metrics">
-                    <span className="chip">${Number(b.price).toFixed(0)}</span>
-                    <span className="chip">{b.etaMinutes} min</span>
-                  </div>
-                  <div className="cc-actions">
-                    <button className="btn" onClick={() => select(b._id)}>
-                      Select
-                    </button>
-                  </div>
-                </li>
-              ))}
+              {bids.map((b) => {
+                const status = b.status || "active";
+                return (
+                  <li key={b._id} className="cc-item">
+                    <div className="cc-main">
+                      <strong>{b.vendorName}</strong>
+                      <div className="muted small">{b.vendorPhone}</div>
+                      {b.counterOffer?.status === "pending" && (
+                        <div className="muted small">
+                          Counter of ${Number(b.counterOffer.price).toFixed(0)} sent
+                        </div>
+                      )}
+                    </div>
+                    <div className="cc-metrics">
+                      <span className="chip">${Number(b.price).toFixed(0)}</span>
+                      <span className="chip">{b.etaMinutes} min</span>
+                      {status !== "active" && (
+                        <span className="chip">{STATUS_LABELS[status] || status}</span>
+                      )}
+                    </div>
+                    <div className="cc-actions">
+                      <button
+                        className="btn"
+                        disabled={status !== "active"}
+                        onClick={() => select(b._id)}
+                      >
+                        Select
+                      </button>
+                    </div>
+                  </li>
+                );
+              })}
             </ul>
           </>
         ) : (
@@ -13,7 +13,9 @@ import LiveMap from "../components/LiveMap";
 import { getGoogleMapsKey } from "../config/env.js";
 import ReviewFunnel from "../components/ReviewFunnel";
 import ChatOverlay from "../components/ChatOverlay";
+import PriceBreakdown from "../components/PriceBreakdown";
 import { useJobMessaging } from "../hooks/useJobMessaging";
+import { formatEtaLabel, useJobEta } from "../hooks/useJobEta";
 import { ensureCustomerPushSubscription } from "../lib/pushNotifications";
 import { useNotifications } from "../contexts/NotificationsContext";
 import {
@@ -84,7 +86,8 @@ export default function CustomerDashboard() {
     try {
       const [{ data: status }, { data: jobs }] = await Promise.all([
         api.get(`/api/customers/${id}/status`),
-        api.get(`/api/customers/${id}/jobs?limit=8`),
+        // History is only available to the signed-in customer (or staff).
+        api.get(`/api/customers/${id}/jobs?limit=8`).catch(() => ({ data: [] })),
       ]);
       setState(status);
       setHistory(jobs || []);
@@ -103,7 +106,7 @@ export default function CustomerDashboard() {
   const mapsKey = getGoogleMapsKey();
   const hasGoogle = Boolean(mapsKey);
 
-  const { customer, job, driver } = state;
+  const { customer, job, driver, trackingUrl, invoiceUrl } = state;
   const {
     messages: chatMessages,
     participants: chatParticipants,
@@ -173,7 +176,14 @@ export default function CustomerDashboard() {
   const jobNumber = job?._id
     ? `#${job._id.slice(-6).toUpperCase()}`
     : "Pending";
-  const etaText = routeSummary.durationText || job?.estimatedDuration || "Calculating";
+  const liveEta = useJobEta({ jobId: job?._id, initialEta: job?.eta || null });
+  const etaText =
+    (job?.status === "Assigned" || job?.status === "OnTheWay"
+      ? formatEtaLabel(liveEta)
+      : null) ||
+    routeSummary.durationText ||
+    job?.estimatedDuration ||
+    "Calculating";
 
   useEffect(() => {
     if (!job?._id || !job?.status) return;
@@ -473,14 +483,14 @@ export default function CustomerDashboard() {
 
   const copyStatusLink = async () => {
     if (!job?._id) return;
-    const url = `${window.location.origin}/status/${job._id}`;
+    const url = trackingUrl || `${window.location.origin}/status/${job._id}`;
     const copied = await copyText(url);
     if (!copied) alert("Could not copy link. Long press or select to copy.");
   };
 
   const shareStatus = async () => {
     if (!job?._id) return;
-    const url = `${window.location.origin}/status/${job._id}`;
+    const url = trackingUrl || `${window.location.origin}/status/${job._id}`;
     if (navigator.share) {
       try {
         await navigator.share({
@@ -923,6 +933,21 @@ export default function CustomerDashboard() {
               ))}
             </div>
           </section>
+
+          {(job?.priceQuote || invoiceUrl) && (
+            <section className="card custdash-price">
+              <PriceBreakdown
+                quote={job?.priceQuote}
+                total={job?.quotedPrice}
+                title="Quoted price"
+              />
+              {invoiceUrl && (
+                <a className="btn ghost" href={invoiceUrl}>
+                  View invoice / receipt
+                </a>
+              )}
+            </section>
+          )}
         </div>
 
         {job && (
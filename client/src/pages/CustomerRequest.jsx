@@ -72,6 +72,9 @@ export default function CustomerRequest() {
       urgency: data.urgency,
       heavyDuty: /heavy/i.test(data.serviceType),
       dropoffAddress: data.destination || undefined,
+      // same inputs the form's quote preview priced
+      dropoffLat: data.destinationCoordinates?.lat,
+      dropoffLng: data.destinationCoordinates?.lng,
       pickupAddress: trimmedAddress,
       pickupLat: coords?.lat,
       pickupLng: coords?.lng,
@@ -11,7 +11,7 @@ export default function CustomerChoose() {
 
   const load = async () => {
     try {
-      const { data } = await api.get(`/api/bids/customer/${token}`);
+      const { data } = await api.get(`/api/bids/list/${token}`);
       setData(data);
       setMsg("");
     } catch (e) {
@@ -29,7 +29,7 @@ export default function CustomerChoose() {
   const choose = async (bidId) => {
     setSelecting(true);
     try {
-      await api.post(`/api/bids/customer/${token}/select`, { bidId });
+      await api.post(`/api/bids/${bidId}/select`, { customerToken: token });
       await load();
       setMsg("Vendor selected ");
     } catch (e) {
@@ -46,7 +46,7 @@ export default function CustomerChoose() {
       </div>
     );
 
-  const statusPath = data?.job?._id ? `/status/${data.job._id}` : null;
+  const statusPath = data?.trackingPath || null;
 
   return (
     <div className="cc">
@@ -1,5 +1,6 @@
 import { useEffect, useMemo, useState, useCallback } from "react";
 import { api } from "../lib/api";
+import { API_BASE_URL } from "../config/env.js";
 import "./DocumentsHub.css";
 
 const OWNER_OPTIONS = [
@@ -41,6 +42,19 @@ const statusClass = (status) => {
 const labelForStatus = (status) =>
   STATUS_LABEL_MAP.get(status) || (status ? status : "Unknown");
 
+// Uploaded files are served by the API, not the client origin.
+const fileUrl = (url) => {
+  if (!url || /^https?:\/\//i.test(url)) return url || "";
+  return `${API_BASE_URL.replace(/\/$/, "")}${url.startsWith("/") ? url : `/${url}`}`;
+};
+
+const formatAge = (hours) => {
+  if (!Number.isFinite(hours)) return "-";
+  if (hours < 1) return "< 1h";
+  if (hours < 48) return `${hours}h`;
+  return `${Math.floor(hours / 24)}d`;
+};
+
 const formatDateTime = (value) =>
   value ? new Date(value).toLocaleString() : "-";
 
@@ -126,6 +140,11 @@ export default function DocumentsHub() {
   const [vendorError, setVendorError] = useState("");
   const [busy, setBusy] = useState({});
   const [lastRefresh, setLastRefresh] = useState("");
+  const [queue, setQueue] = useState([]);
+  const [reasons, setReasons] = useState([]);
+  const [queueError, setQueueError] = useState("");
+  const [rejecting, setRejecting] = useState(null);
+  const [history, setHistory] = useState(null);
 
   useEffect(() => {
     let ignore = false;
@@ -167,10 +186,27 @@ export default function DocumentsHub() {
     }
   }, []);
 
+  const loadQueue = useCallback(async (vendorId) => {
+    setQueueError("");
+    try {
+      const { data } = await api.get("/api/documents/queue", {
+        params: vendorId ? { vendorId } : {},
+      });
+      setQueue(Array.isArray(data?.items) ? data.items : []);
+      setReasons(Array.isArray(data?.reasons) ? data.reasons : []);
+    } catch (err) {
+      setQueueError(err?.response?.data?.message || "Failed to load review queue");
+    }
+  }, []);
+
   useEffect(() => {
     loadDocuments(filters);
   }, [filters, loadDocuments]);
 
+  useEffect(() => {
+    loadQueue(filters.ownerType === "vendor" ? filters.vendorId : "");
+  }, [filters.ownerType, filters.vendorId, loadQueue]);
+
   const ownerLookup = useMemo(
     () => new Map(vendors.map((vendor) => [String(vendor._id), vendor.name])),
     [vendors]
@@ -273,19 +309,19 @@ export default function DocumentsHub() {
       .slice(0, 5);
   }, [filteredDocs]);
 
-  const handleStatusChange = async (docId, status) => {
-    setBusy((prev) => ({ ...prev, [docId]: status }));
+  const runReview = async (docId, action, body = {}) => {
+    setBusy((prev) => ({ ...prev, [docId]: action }));
+    setError("");
     try {
-      await api.patch(`/api/documents/${docId}`, { status });
-      setDocs((prev) =>
-        prev.map((doc) =>
-          doc._id === docId
-            ? { ...doc, status, statusUpdatedAt: new Date().toISOString() }
-            : doc
-        )
-      );
+      await api.post(`/api/documents/${docId}/${action}`, body);
+      setRejecting(null);
+      setHistory(null);
+      await Promise.all([
+        loadDocuments(filters),
+        loadQueue(filters.ownerType === "vendor" ? filters.vendorId : ""),
+      ]);
     } catch (err) {
-      setError(err?.response?.data?.message || "Unable to update document");
+      setError(err?.response?.data?.message || "Unable to review document");
     } finally {
       setBusy((prev) => {
         const next = { ...prev };
@@ -295,6 +331,146 @@ export default function DocumentsHub() {
     }
   };
 
+  const startReject = (docId, where) =>
+    setRejecting({ docId, where, reason: reasons[0]?.value || "", note: "" });
+
+  const submitReject = (event) => {
+    event.preventDefault();
+    if (!rejecting?.reason) return;
+    runReview(rejecting.docId, "reject", {
+      reason: rejecting.reason,
+      note: rejecting.note.trim(),
+    });
+  };
+
+  const toggleHistory = async (docId, where) => {
+    if (history?.docId === docId && history.where === where) {
+      setHistory(null);
+      return;
+    }
+    try {
+      const { data } = await api.get(`/api/documents/${docId}/history`);
+      setHistory({ docId, where, items: Array.isArray(data) ? data : [] });
+    } catch (err) {
+      setError(err?.response?.data?.message || "Unable to load document history");
+    }
+  };
+
+  // `where` keeps the queue and the table from opening the same form twice.
+  const renderReviewActions = (doc, where) => {
+    const busyAction = busy[doc._id];
+    const canApprove = ["pending", "submitted", "rejected"].includes(doc.status);
+    const canReject = ["pending", "submitted", "verified"].includes(doc.status);
+    return (
+      <div className="docs__actions">
+        <a
+          href={fileUrl(doc.url)}
+          target="_blank"
+          rel="noreferrer"
+          className="btn sm ghost"
+        >
+          Open
+        </a>
+        {canApprove && (
+          <button
+            type="button"
+            className="btn sm primary"
+            disabled={Boolean(busyAction)}
+            onClick={() => runReview(doc._id, "approve")}
+          >
+            {busyAction === "approve" ? "Approving..." : "Approve"}
+          </button>
+        )}
+        {canReject && (
+          <button
+            type="button"
+            className="btn sm ghost"
+            disabled={Boolean(busyAction)}
+            onClick={() => startReject(doc._id, where)}
+          >
+            Reject
+          </button>
+        )}
+        {(doc.version > 1 || doc.previousVersionId) && (
+          <button
+            type="button"
+            className="btn sm"
+            onClick={() => toggleHistory(doc._id, where)}
+          >
+            {history?.docId === doc._id && history.where === where
+              ? "Hide history"
+              : `History (v${doc.version})`}
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  const renderRejectForm = (docId, where) =>
+    rejecting?.docId === docId && rejecting.where === where ? (
+      <form className="docs__reject" onSubmit={submitReject}>
+        <label>
+          <span>Reason</span>
+          <select
+            value={rejecting.reason}
+            onChange={(event) =>
+              setRejecting((prev) => ({ ...prev, reason: event.target.value }))
+            }
+          >
+            {reasons.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span>Note to vendor{rejecting.reason === "other" ? "" : " (optional)"}</span>
+          <input
+            value={rejecting.note}
+            onChange={(event) =>
+              setRejecting((prev) => ({ ...prev, note: event.target.value }))
+            }
+            placeholder="What should they fix?"
+            required={rejecting.reason === "other"}
+          />
+        </label>
+        <div className="docs__actions">
+          <button
+            type="submit"
+            className="btn sm primary"
+            disabled={busy[docId] === "reject" || !rejecting.reason}
+          >
+            {busy[docId] === "reject" ? "Rejecting..." : "Send rejection"}
+          </button>
+          <button type="button" className="btn sm ghost" onClick={() => setRejecting(null)}>
+            Cancel
+          </button>
+        </div>
+      </form>
+    ) : null;
+
+  const renderHistory = (docId, where) =>
+    history?.docId === docId && history.where === where ? (
+      <ul className="docs__history">
+        {history.items.map((version) => (
+          <li key={version._id}>
+            <span>v{version.version || 1}</span>
+            <span className={statusClass(version.status)}>
+              {labelForStatus(version.status)}
+            </span>
+            <span className="muted small">{formatDateTime(version.uploadedAt)}</span>
+            {version.rejection?.label ? (
+              <span className="muted small">{version.rejection.label}</span>
+            ) : null}
+            <a href={fileUrl(version.url)} target="_blank" rel="noreferrer">
+              File
+            </a>
+          </li>
+        ))}
+      </ul>
+    ) : null;
+
   const resetFilters = () => {
     setFilters({ ownerType: "vendor", vendorId: "", status: "" });
     setSearch("");
@@ -303,6 +479,7 @@ export default function DocumentsHub() {
   const handleRefresh = () => {
     if (!loading) {
       loadDocuments(filters);
+      loadQueue(filters.ownerType === "vendor" ? filters.vendorId : "");
     }
   };
 
@@ -318,7 +495,7 @@ export default function DocumentsHub() {
           <div className="docs__title">
             <h1>Documents hub</h1>
             <p className="muted">
-              Monitor compliance statuses, expirations, and review your files in one place.
+              Review submitted compliance documents, track expirations and keep every version on file.
             </p>
           </div>
           <div className="docs__refresh">
@@ -442,14 +619,56 @@ export default function DocumentsHub() {
           </button>
         </div>
 
-        {(error || vendorError) && (
+        {(error || vendorError || queueError) && (
           <div className="docs__error">
             {error ? <p>{error}</p> : null}
             {vendorError ? <p>{vendorError}</p> : null}
+            {queueError ? <p>{queueError}</p> : null}
           </div>
         )}
       </header>
 
+      <section className="card docs__queue">
+        <div className="docs__table-head">
+          <h2>Review queue</h2>
+          <span>
+            {queue.length} awaiting review{queue.length ? ", oldest first" : ""}
+          </span>
+        </div>
+        {queue.length === 0 ? (
+          <p className="muted">Nothing waiting for review.</p>
+        ) : (
+          <ul className="docs__queue-list">
+            {queue.map((doc) => (
+              <li key={`queue-${doc._id}`} className="docs__queue-item">
+                <div className="docs__queue-main">
+                  <span className="docs__queue-age">{formatAge(doc.ageHours)}</span>
+                  <div className="docs__title-block">
+                    <span className="docs__title-main">
+                      {doc.title || "Document"}
+                      {doc.version > 1 ? ` (v${doc.version})` : ""}
+                    </span>
+                    <span className="docs__subtitle">
+                      {doc.vendorName || ownerLookup.get(String(doc.vendorId)) || "Vendor"}
+                      {doc.metadata?.documentNumber
+                        ? ` - #${doc.metadata.documentNumber}`
+                        : ""}
+                      {doc.expiresAt
+                        ? ` - expires ${new Date(doc.expiresAt).toLocaleDateString()}`
+                        : ""}
+                    </span>
+                  </div>
+                  {renderReviewActions(doc, "queue")}
+                </div>
+                {doc.notes ? <p className="docs__note">{doc.notes}</p> : null}
+                {renderRejectForm(doc._id, "queue")}
+                {renderHistory(doc._id, "queue")}
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
       <section className="card docs__table-card">
         <div className="docs__table-head">
           <span>
@@ -484,7 +703,6 @@ export default function DocumentsHub() {
             </thead>
             <tbody>
               {filteredDocs.map((doc) => {
-                const busyAction = busy[doc._id];
                 const expiryInfo = deriveExpiry(doc.expiresAt);
                 const fileSize = formatBytes(doc.sizeBytes);
                 const vendorId =
@@ -546,6 +764,12 @@ export default function DocumentsHub() {
                           {doc.reviewedBy ? (
                             <span>By {doc.reviewedBy}</span>
                           ) : null}
+                          {doc.status === "rejected" && doc.rejection?.label ? (
+                            <span>
+                              {doc.rejection.label}
+                              {doc.rejection.note ? `: ${doc.rejection.note}` : ""}
+                            </span>
+                          ) : null}
                           {doc.statusUpdatedAt ? (
                             <span>
                               Updated {formatDateTime(doc.statusUpdatedAt)}
@@ -573,46 +797,9 @@ export default function DocumentsHub() {
                       </div>
                     </td>
                     <td>
-                      <div className="docs__actions">
-                        <a
-                          href={doc.url}
-                          target="_blank"
-                          rel="noreferrer"
-                          className="btn sm ghost"
-                        >
-                          Open
-                        </a>
-                        <button
-                          type="button"
-                          className="btn sm primary"
-                          disabled={busyAction === "verified"}
-                          onClick={() => handleStatusChange(doc._id, "verified")}
-                        >
-                          {busyAction === "verified"
-                            ? "Verifying..."
-                            : "Mark verified"}
-                        </button>
-                        <button
-                          type="button"
-                          className="btn sm"
-                          disabled={busyAction === "submitted"}
-                          onClick={() => handleStatusChange(doc._id, "submitted")}
-                        >
-                          {busyAction === "submitted"
-                            ? "Updating..."
-                            : "Back to review"}
-                        </button>
-                        <button
-                          type="button"
-                          className="btn sm ghost"
-                          disabled={busyAction === "rejected"}
-                          onClick={() => handleStatusChange(doc._id, "rejected")}
-                        >
-                          {busyAction === "rejected"
-                            ? "Rejecting..."
-                            : "Reject"}
-                        </button>
-                      </div>
+                      {renderReviewActions(doc, "table")}
+                      {renderRejectForm(doc._id, "table")}
+                      {renderHistory(doc._id, "table")}
                     </td>
                   </tr>
                 );
@@ -12,6 +12,8 @@ import {
 import LiveMap from "../components/LiveMap";
 import { getGoogleMapsKey } from "../config/env.js";
 import ReviewFunnel from "../components/ReviewFunnel";
+import PriceBreakdown from "../components/PriceBreakdown";
+import { formatEtaLabel, useJobEta } from "../hooks/useJobEta";
 import "./GuestJobTracker.css";
 
 const REFRESH_MS = 10000;
@@ -34,8 +36,16 @@ export default function GuestJobTracker() {
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [error, setError] = useState("");
-  const [selecting, setSelecting] = useState("");
   const timerRef = useRef(null);
+  const liveEta = useJobEta({
+    jobId: job?._id,
+    trackingToken: jobToken,
+    initialEta: job?.eta || null,
+  });
+  const liveEtaLabel =
+    job?.status === "Assigned" || job?.status === "OnTheWay"
+      ? formatEtaLabel(liveEta)
+      : null;
 
   const hasGoogle = Boolean(getGoogleMapsKey());
 
@@ -49,24 +59,9 @@ export default function GuestJobTracker() {
         throw new Error(jobData?.message || "Job not found or token expired");
       }
 
-      const bidsRes = await api
-        .get(`/api/bids/list/${jobToken}`)
-        .then((res) => res.data)
-        .catch((err) => {
-          if (err?.response?.status === 404) return null;
-          throw err;
-        });
-
-      const mergedJob = {
-        ...(jobData.job || {}),
-        ...(bidsRes?.job ? { selectedBidId: bidsRes.job.selectedBidId } : {}),
-        biddingOpen:
-          bidsRes?.job?.biddingOpen ?? jobData.job?.biddingOpen ?? false,
-      };
-
-      setJob(mergedJob);
+      setJob(jobData.job || null);
       setVendor(jobData.vendor || null);
-      setBids(Array.isArray(bidsRes?.bids) ? bidsRes.bids : []);
+      setBids(Array.isArray(jobData.bids) ? jobData.bids : []);
     } catch (err) {
       const msg =
         err?.response?.data?.message || err?.message || "Failed to load job";
@@ -87,19 +82,6 @@ export default function GuestJobTracker() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [jobToken]);
 
-  const selectBid = async (bidId) => {
-    try {
-      setSelecting(bidId);
-      await api.post(`/api/bids/${bidId}/select`);
-      await fetchData();
-    } catch (err) {
-      const msg = err?.response?.data?.message || "Failed to select bid";
-      setError(msg);
-    } finally {
-      setSelecting("");
-    }
-  };
-
   const pickupAddress =
     job?.pickupAddress ||
     job?.pickup?.address ||
@@ -313,6 +295,16 @@ if (loading) {
         <p>
           <strong>Created:</strong> {createdAt}
         </p>
+        <PriceBreakdown
+          quote={job.priceQuote}
+          total={job.quotedPrice}
+          title="Quoted price"
+        />
+        {job.invoiceUrl && (
+          <a className="btn ghost" href={job.invoiceUrl}>
+            View invoice / receipt
+          </a>
+        )}
       </div>
 
       {driverMarkers.length > 0 && (
@@ -361,6 +353,22 @@ if (loading) {
               <strong>{vendor.name || "Vendor"}</strong>
               {vendor.phone && <span className="muted"> - {vendor.phone}</span>}
             </li>
+            {liveEtaLabel && (
+              <li>
+                <strong>Estimated arrival:</strong> {liveEtaLabel}
+                {liveEta?.arriveBy && (
+                  <span className="muted">
+                    {" "}
+                    (around{" "}
+                    {new Date(liveEta.arriveBy).toLocaleTimeString([], {
+                      hour: "numeric",
+                      minute: "2-digit",
+                    })}
+                    )
+                  </span>
+                )}
+              </li>
+            )}
             {vendor.city && (
               <li>
                 <strong>City:</strong> {vendor.city}
@@ -382,6 +390,9 @@ if (loading) {
       {job.biddingOpen && bids.length > 0 && (
         <div className="card guestdash-card">
           <h3>Available bids</h3>
+          <p className="muted">
+            Choose a bid from the link in your bid notifications.
+          </p>
           <ul className="list">
             {bids.map((bid) => (
               <li key={bid._id} className="bid-card">
@@ -391,13 +402,6 @@ if (loading) {
                 </div>
                 <div className="row gap">
                   <span className="chip">${Number(bid.price || 0).toLocaleString()}</span>
-                  <button
-                    className="btn"
-                    onClick={() => selectBid(bid._id)}
-                    disabled={!!selecting}
-                  >
-                    {selecting === bid._id ? "Selecting..." : "Select bid"}
-                  </button>
                 </div>
               </li>
             ))}
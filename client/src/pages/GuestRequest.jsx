@@ -4,6 +4,8 @@ import { useAuth } from "../contexts/AuthContext";
 import { useNavigate } from "react-router-dom";
 import { api } from "../lib/api";
 import { loadGoogleMaps } from "../lib/loadGoogleMaps";
+import usePriceQuote from "../hooks/usePriceQuote";
+import PriceBreakdown from "../components/PriceBreakdown";
 import { LuMapPin, LuNavigation } from "react-icons/lu";
 import "./GuestRequest.css";
 
@@ -333,12 +335,23 @@ export default function GuestRequest({
   const [attachmentError, setAttachmentError] = useState("");
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [currentStep, setCurrentStep] = useState(1);
+
+  const { quote, loading: quoteLoading } = usePriceQuote({
+    serviceType: formData.serviceType.trim(),
+    urgency: formData.urgency,
+    heavyDuty: /heavy/i.test(formData.serviceType),
+    distanceMeters: formData.distanceInfo?.meters,
+    estimatedDistance: formData.distanceInfo?.distance,
+    coordinates: formData.coordinates,
+    destinationCoordinates: formData.destinationCoordinates,
+  });
   const defaultTransformRequest = (data) => ({
     ...data,
     name: data.name.trim(),
     email: data.email.trim(),
     phone: data.phone.trim(),
     serviceType: data.serviceType.trim(),
+    heavyDuty: /heavy/i.test(data.serviceType),
   });
 
   const defaultSubmitRequest = async (payload) => {
@@ -949,6 +962,12 @@ export default function GuestRequest({
               </section>
             </div>
 
+            <PriceBreakdown
+              quote={quote}
+              loading={quoteLoading}
+              note="Final price is confirmed by your provider."
+            />
+
             <div className="form-actions">
               <button
                 type="button"
@@ -0,0 +1,139 @@
+import { useEffect, useState } from "react";
+import { useParams } from "react-router-dom";
+import { api } from "../lib/api";
+import { API_BASE_URL } from "../config/env.js";
+import PriceBreakdown from "../components/PriceBreakdown";
+import "./InvoiceView.css";
+
+const formatMoney = (value, currency = "USD") => {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return "-";
+  try {
+    return new Intl.NumberFormat("en-US", { style: "currency", currency }).format(num);
+  } catch (error) {
+    return `$${num.toFixed(2)}`;
+  }
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : "-");
+
+const STATUS_LABELS = {
+  paid: "Paid in full",
+  partial: "Partially paid",
+  unpaid: "Payment due",
+  refunded: "Refunded",
+  disputed: "Payment disputed",
+};
+
+// Opened from the signed link in the completion SMS/email.
+export default function InvoiceView() {
+  const { token } = useParams();
+  const [invoice, setInvoice] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let active = true;
+    setLoading(true);
+    api
+      .get(`/api/invoices/public/${token}`)
+      .then(({ data }) => {
+        if (!active) return;
+        setInvoice(data);
+        setError("");
+      })
+      .catch((err) => {
+        if (!active) return;
+        setError(err?.response?.data?.message || "Unable to load this invoice.");
+      })
+      .finally(() => active && setLoading(false));
+    return () => {
+      active = false;
+    };
+  }, [token]);
+
+  if (loading) {
+    return (
+      <div className="invoice-view">
+        <div className="card">Loading invoice...</div>
+      </div>
+    );
+  }
+
+  if (error || !invoice) {
+    return (
+      <div className="invoice-view">
+        <div className="card alert error">{error || "Invoice not found."}</div>
+      </div>
+    );
+  }
+
+  const receipt = invoice.kind === "receipt";
+  const lineItems = [
+    ...(invoice.lineItems || []),
+    ...(invoice.tax
+      ? [{ code: "tax", label: `${invoice.taxLabel || "Tax"}`, amount: invoice.tax }]
+      : []),
+  ];
+
+  return (
+    <div className="invoice-view">
+      <div className="card invoice-view__card">
+        <header className="invoice-view__head">
+          <div>
+            <h2>{receipt ? "Receipt" : "Invoice"} {invoice.number}</h2>
+            <p className="muted">Issued {formatDate(invoice.issuedAt)}</p>
+          </div>
+          <span className={`invoice-view__status is-${invoice.paymentStatus}`}>
+            {STATUS_LABELS[invoice.paymentStatus] || invoice.paymentStatus}
+          </span>
+        </header>
+
+        <div className="invoice-view__details">
+          {invoice.customerName && (
+            <p>
+              <strong>Customer:</strong> {invoice.customerName}
+            </p>
+          )}
+          <p>
+            <strong>Service:</strong> {invoice.serviceType || "-"}
+          </p>
+          {invoice.pickupAddress && (
+            <p>
+              <strong>Pickup:</strong> {invoice.pickupAddress}
+            </p>
+          )}
+          {invoice.dropoffAddress && (
+            <p>
+              <strong>Drop-off:</strong> {invoice.dropoffAddress}
+            </p>
+          )}
+          {invoice.completedAt && (
+            <p>
+              <strong>Completed:</strong> {formatDate(invoice.completedAt)}
+            </p>
+          )}
+        </div>
+
+        <PriceBreakdown
+          quote={{ lineItems, total: invoice.total, currency: invoice.currency }}
+          title="Total"
+        />
+
+        <div className="invoice-view__totals">
+          <span>Paid</span>
+          <strong>{formatMoney(invoice.amountPaid, invoice.currency)}</strong>
+          <span>Balance due</span>
+          <strong>{formatMoney(invoice.balanceDue, invoice.currency)}</strong>
+        </div>
+
+        <a
+          className="btn"
+          href={`${API_BASE_URL}/api/invoices/public/${token}/pdf`}
+        >
+          Download PDF
+        </a>
+      </div>
+    </div>
+  );
+}
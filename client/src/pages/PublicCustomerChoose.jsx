@@ -3,6 +3,31 @@ import { useParams, useNavigate } from "react-router-dom";
 import { api } from "../lib/api";
 import "./PublicCustomerChoose.css";
 
+const STATUS_LABELS = {
+  expired: "Expired",
+  rejected: "Not selected",
+  accepted: "Selected",
+  withdrawn: "Withdrawn",
+};
+
+const expiresLabel = (expiresAt) => {
+  if (!expiresAt) return null;
+  const minutes = Math.ceil((new Date(expiresAt).getTime() - Date.now()) / 60000);
+  if (!Number.isFinite(minutes) || minutes <= 0) return null;
+  return minutes < 60
+    ? `Expires in ${minutes} min`
+    : `Expires in ${Math.floor(minutes / 60)} hr ${minutes % 60} min`;
+};
+
+const counterLabel = (counter) => {
+  if (!counter) return null;
+  const price = `$${Number(counter.price).toFixed(2)}`;
+  if (counter.status === "pending") return `Your counter of ${price} is waiting on the vendor.`;
+  if (counter.status === "accepted") return `The vendor accepted your counter of ${price}.`;
+  if (counter.status === "declined") return `The vendor declined your counter of ${price}.`;
+  return null;
+};
+
 export default function PublicCustomerChoose() {
   //  read the correct route param
   const { customerToken } = useParams();
@@ -10,6 +35,9 @@ export default function PublicCustomerChoose() {
 
   const [bids, setBids] = useState([]);
   const [jobId, setJobId] = useState(null);
+  const [bidMode, setBidMode] = useState("open");
+  const [counter, setCounter] = useState(null); // { bidId, price, note }
+  const [countering, setCountering] = useState(false);
   const [loading, setLoading] = useState(true);
   const [err, setErr] = useState("");
   const [selecting, setSelecting] = useState(null); // bidId being selected
@@ -25,6 +53,7 @@ export default function PublicCustomerChoose() {
       const { data } = await api.get(`/api/bids/list/${customerToken}`);
       setBids(data.bids || []);
       setJobId(data.jobId || null);
+      setBidMode(data.job?.bidMode || "open");
     } catch (e) {
       setErr(e?.response?.data?.message || "Invalid or expired link");
     } finally {
@@ -54,7 +83,7 @@ export default function PublicCustomerChoose() {
   const selectBid = async (id) => {
     try {
       setSelecting(id);
-      const { data } = await api.post(`/api/bids/${id}/select`);
+      const { data } = await api.post(`/api/bids/${id}/select`, { customerToken });
       if (data?.statusUrl) {
         window.location.assign(data.statusUrl);
         return;
@@ -73,9 +102,36 @@ export default function PublicCustomerChoose() {
     }
   };
 
-  // Sort by price (asc), then ETA (asc) - nicer for customers
+  const sendCounter = async () => {
+    if (!counter) return;
+    const price = Number(counter.price);
+    if (!Number.isFinite(price) || price <= 0) {
+      setErr("Enter a valid counter-offer amount.");
+      return;
+    }
+    try {
+      setCountering(true);
+      await api.post(`/api/bids/${counter.bidId}/counter`, {
+        customerToken,
+        price,
+        note: counter.note,
+      });
+      setCounter(null);
+      await load();
+    } catch (e) {
+      setErr(e?.response?.data?.message || "Failed to send counter-offer");
+    } finally {
+      setCountering(false);
+    }
+  };
+
+  // Open bids first, then by price (asc), then ETA (asc) - nicer for customers
   const sortedBids = useMemo(() => {
     return [...bids].sort((a, b) => {
+      const activeCmp =
+        Number((b.status || "active") === "active") -
+        Number((a.status || "active") === "active");
+      if (activeCmp !== 0) return activeCmp;
       const priceCmp = (a.price ?? 0) - (b.price ?? 0);
       return priceCmp !== 0
         ? priceCmp
@@ -136,37 +192,111 @@ export default function PublicCustomerChoose() {
           </div>
         ) : (
           <ul className="bids">
-            {sortedBids.map((b, i) => (
-              <li key={b._id} className="bid">
-                <div className="bid-main">
-                  <div className="vendor">
-                    <span className="vendor-name">{b.vendorName}</span>
-                    {i === 0 && <span className="chip best">Best value</span>}
+            {sortedBids.map((b, i) => {
+              const isActive = (b.status || "active") === "active";
+              const canCounter =
+                isActive &&
+                bidMode !== "fixed" &&
+                b.counterOffer?.status !== "pending";
+              const counterNote = counterLabel(b.counterOffer);
+              const expiry = isActive ? expiresLabel(b.expiresAt) : null;
+              return (
+                <li key={b._id} className={`bid${isActive ? "" : " inactive"}`}>
+                  <div className="bid-main">
+                    <div className="vendor">
+                      <span className="vendor-name">{b.vendorName}</span>
+                      {i === 0 && isActive && (
+                        <span className="chip best">Best value</span>
+                      )}
+                      {!isActive && (
+                        <span className="chip">
+                          {STATUS_LABELS[b.status] || b.status}
+                        </span>
+                      )}
+                      {b.revisions?.length > 0 && (
+                        <span className="chip">Revised</span>
+                      )}
+                    </div>
+                    <div className="meta">
+                      <span className="price">${Number(b.price).toFixed(2)}</span>
+                      <span className="dot">*</span>
+                      <span className="eta">ETA {b.etaMinutes} min</span>
+                      {expiry && (
+                        <>
+                          <span className="dot">*</span>
+                          <span>{expiry}</span>
+                        </>
+                      )}
+                    </div>
+                    {counterNote && <p className="bid-note muted tiny">{counterNote}</p>}
                   </div>
-                  <div className="meta">
-                    <span className="price">${Number(b.price).toFixed(2)}</span>
-                    <span className="dot">*</span>
-                    <span className="eta">ETA {b.etaMinutes} min</span>
+                  <div className="bid-actions">
+                    {canCounter && (
+                      <button
+                        className="btn ghost"
+                        onClick={() =>
+                          setCounter({ bidId: b._id, price: "", note: "" })
+                        }
+                        disabled={!!selecting}
+                      >
+                        Counter
+                      </button>
+                    )}
+                    <button
+                      className="btn"
+                      onClick={() => selectBid(b._id)}
+                      disabled={!!selecting || !isActive}
+                    >
+                      {selecting === b._id ? "Selecting..." : "Select"}
+                    </button>
                   </div>
-                </div>
-                <div className="bid-actions">
-                  <button
-                    className="btn"
-                    onClick={() => selectBid(b._id)}
-                    disabled={!!selecting}
-                  >
-                    {selecting === b._id ? "Selecting..." : "Select"}
-                  </button>
-                </div>
-              </li>
-            ))}
+                  {counter?.bidId === b._id && (
+                    <div className="counter-form">
+                      <input
+                        type="number"
+                        min="0"
+                        step="1"
+                        placeholder="Your price ($)"
+                        value={counter.price}
+                        onChange={(e) =>
+                          setCounter((prev) => ({ ...prev, price: e.target.value }))
+                        }
+                      />
+                      <input
+                        type="text"
+                        placeholder="Note for the vendor (optional)"
+                        value={counter.note}
+                        onChange={(e) =>
+                          setCounter((prev) => ({ ...prev, note: e.target.value }))
+                        }
+                      />
+                      <button
+                        className="btn"
+                        onClick={sendCounter}
+                        disabled={countering}
+                      >
+                        {countering ? "Sending..." : "Send"}
+                      </button>
+                      <button
+                        className="btn ghost"
+                        onClick={() => setCounter(null)}
+                        disabled={countering}
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  )}
+                </li>
+              );
+            })}
           </ul>
         )}
 
         <div className="foot">
           <p className="muted tiny">
-            Prices and ETAs are provided by vendors. Selecting a bid assigns
-            your job to that driver.
+            Prices and ETAs are provided by vendors. Bids expire if not
+            selected in time, and you can counter a vendor's price. Selecting
+            a bid assigns your job to that driver.
           </p>
         </div>
       </div>
@@ -3,6 +3,7 @@ import { useNavigate } from "react-router-dom";
 import { vendorApi } from "../lib/vendorApi";
 import { useNotifications } from "../contexts/NotificationsContext";
 import VendorHeroHeader from "../components/vendor/VendorHeroHeader";
+import VendorOnboarding from "../components/vendor/VendorOnboarding";
 import "./VendorApp.css";
 
 const KM_TO_MI = 0.621371;
@@ -119,6 +120,14 @@ function suggestedPrice(job) {
   return Math.max(40, rounded);
 }
 
+const BID_STATUS_LABELS = {
+  active: "Bid active",
+  withdrawn: "Bid withdrawn",
+  expired: "Bid expired",
+  rejected: "Not selected",
+  accepted: "Bid accepted",
+};
+
 function normalizeMultiline(value) {
   if (value === null || value === undefined) return "";
   return String(value)
@@ -141,6 +150,8 @@ const GEO_PROMPT_STORAGE_KEY = "va.geoPrompt.dismissed";
 export default function VendorApp() {
   const [me, setMe] = useState(null);
   const [openJobs, setOpenJobs] = useState([]);
+  const [offers, setOffers] = useState([]);
+  const [offerBusy, setOfferBusy] = useState(null);
   const [assigned, setAssigned] = useState([]);
   const [completed, setCompleted] = useState([]);
   const [err, setErr] = useState("");
@@ -152,6 +163,7 @@ export default function VendorApp() {
   const [bidSheet, setBidSheet] = useState(null);
   const [bidError, setBidError] = useState("");
   const [bidSubmitting, setBidSubmitting] = useState(false);
+  const [bidActionId, setBidActionId] = useState("");
 
   const { publish } = useNotifications();
 
@@ -175,6 +187,8 @@ export default function VendorApp() {
   const [assignedPage, setAssignedPage] = useState(0);
   const [completedPage, setCompletedPage] = useState(0);
   const [expandedJobId, setExpandedJobId] = useState(null);
+  const [payouts, setPayouts] = useState(null);
+  const [payoutsError, setPayoutsError] = useState("");
   const [noteTranslations, setNoteTranslations] = useState({});
   const [requestingLocation, setRequestingLocation] = useState(false);
   const [locationError, setLocationError] = useState("");
@@ -263,26 +277,40 @@ export default function VendorApp() {
       setErr("");
       setLoading(true);
 
-      const meReq = vendorApi.get("/api/vendor/auth/me");
+      const m = await vendorApi.get("/api/vendor/auth/me");
+      const vendorProfile = m?.data?.vendor || {};
+      // Applicants see their onboarding checklist instead of the feed.
+      if (
+        vendorProfile.onboardingStatus &&
+        vendorProfile.onboardingStatus !== "approved"
+      ) {
+        setMe(vendorProfile);
+        setLastUpdated(new Date());
+        return;
+      }
+
       const openReq = vendorApi.get(
         `/api/vendor/feed/open${cityFilter ? "?city=1" : ""}`
       );
       const assignedReq = vendorApi.get("/api/vendor/feed/assigned");
       const alertsReq = vendorApi.get("/api/vendor/feed/alerts");
+      const offersReq = vendorApi
+        .get("/api/vendor/feed/offers")
+        .catch(() => ({ data: [] }));
 
-      const [m, o, a, alertsResp] = await Promise.all([
-        meReq,
+      const [o, a, alertsResp, offersResp] = await Promise.all([
         openReq,
         assignedReq,
         alertsReq,
+        offersReq,
       ]);
 
-      const vendorProfile = m?.data?.vendor || {};
       const vendorLat = toFiniteNumber(vendorProfile.lat);
       const vendorLng = toFiniteNumber(vendorProfile.lng);
 
       setMe(vendorProfile);
       setOpenJobs(enrichJobsWithDistance(o.data || [], vendorLat, vendorLng));
+      setOffers(Array.isArray(offersResp?.data) ? offersResp.data : []);
       const hydratedAssigned = enrichJobsWithDistance(
         a.data || [],
         vendorLat,
@@ -546,6 +574,51 @@ export default function VendorApp() {
     );
   }, [completedPageCount]);
 
+  useEffect(() => {
+    if (activeTab !== "payouts") return;
+    let cancelled = false;
+    Promise.all([
+      vendorApi.get("/api/vendor/feed/balance"),
+      vendorApi.get("/api/vendor/feed/statements"),
+    ])
+      .then(([balanceResp, statementsResp]) => {
+        if (cancelled) return;
+        setPayouts({
+          ...(balanceResp.data || {}),
+          statements: Array.isArray(statementsResp.data) ? statementsResp.data : [],
+        });
+        setPayoutsError("");
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        setPayoutsError(
+          error?.response?.data?.message || "Unable to load payouts right now."
+        );
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [activeTab]);
+
+  const downloadStatement = useCallback(async (item, format) => {
+    try {
+      const { data } = await vendorApi.get(
+        `/api/vendor/feed/statements/${item.batchId}.${format}`,
+        { responseType: "blob" }
+      );
+      const href = URL.createObjectURL(data);
+      const link = document.createElement("a");
+      link.href = href;
+      link.download = `${item.reference}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(href), 1000);
+    } catch (error) {
+      setPayoutsError("Unable to download that statement.");
+    }
+  }, []);
+
   useEffect(() => {
     setExpandedJobId(null);
     if (activeTab === "open") {
@@ -588,6 +661,19 @@ export default function VendorApp() {
     return completed.slice(start, start + COMPLETED_PAGE_SIZE);
   }, [completed, completedPage]);
 
+  const respondToOffer = async (jobId, decision) => {
+    setOfferBusy(jobId);
+    try {
+      await vendorApi.post(`/api/vendor/feed/offers/${jobId}/${decision}`);
+      if (decision === "accept") setActiveTab("assigned");
+    } catch (e) {
+      alert(e?.response?.data?.message || "This offer is no longer available");
+    } finally {
+      setOfferBusy(null);
+      await load();
+    }
+  };
+
   const setStatus = async (jobId, status) => {
     try {
       const currentJob =
@@ -737,8 +823,8 @@ export default function VendorApp() {
     const price = suggestedPrice(job);
     setBidSheet({
       job,
-      eta,
-      price,
+      eta: job.myBid?.etaMinutes ?? eta,
+      price: job.myBid?.price ?? price,
       suggestedEta: eta,
       suggestedPrice: price,
     });
@@ -784,6 +870,20 @@ export default function VendorApp() {
     }
   };
 
+  // Withdraw, or accept/decline a customer counter-offer, on my bid
+  const runBidAction = async (bid, action) => {
+    if (!bid?._id) return;
+    try {
+      setBidActionId(bid._id);
+      await vendorApi.post(`/api/vendor/feed/bids/${bid._id}/${action}`);
+      await load();
+    } catch (e) {
+      alert(e?.response?.data?.message || "Could not update your bid");
+    } finally {
+      setBidActionId("");
+    }
+  };
+
   const lastSyncLabel = lastUpdated ? timeAgo(lastUpdated) : "not yet";
 
   const statCards = [
@@ -804,6 +904,14 @@ export default function VendorApp() {
     },
   ];
 
+  if (me?.onboardingStatus && me.onboardingStatus !== "approved") {
+    return (
+      <div className="vendor-app fade-up">
+        <VendorOnboarding vendorName={me.name} onStatusChange={load} />
+      </div>
+    );
+  }
+
   return (
     <div className="vendor-app fade-up">
       <VendorHeroHeader
@@ -822,6 +930,48 @@ export default function VendorApp() {
 
       {err && <div className="va-alert error card">{err}</div>}
 
+      {offers.map((offer) => (
+        <div
+          key={offer.jobId}
+          className="va-alert info card va-alert--dismissible"
+          role="status"
+        >
+          <div className="va-alert__body">
+            <strong>
+              Job offer: {offer.serviceType || "Service"}
+              {offer.quotedPrice > 0 ? ` - $${offer.quotedPrice.toFixed(2)}` : ""}
+            </strong>
+            <p className="va-alert__caption">
+              {offer.pickupAddress || "Pickup location pending"}
+              {Number.isFinite(offer.distanceKm)
+                ? ` | ${offer.distanceKm.toFixed(1)} km away`
+                : ""}
+              {offer.expiresAt
+                ? ` | respond by ${new Date(offer.expiresAt).toLocaleTimeString()}`
+                : ""}
+            </p>
+          </div>
+          <div className="va-alert__actions">
+            <button
+              type="button"
+              className="btn"
+              disabled={offerBusy === offer.jobId}
+              onClick={() => respondToOffer(offer.jobId, "accept")}
+            >
+              Accept
+            </button>
+            <button
+              type="button"
+              className="va-alert__dismiss"
+              disabled={offerBusy === offer.jobId}
+              onClick={() => respondToOffer(offer.jobId, "decline")}
+            >
+              Decline
+            </button>
+          </div>
+        </div>
+      ))}
+
       <section className="va-stats">
         {statCards.map((card) => (
           <article key={card.label} className="va-stat card">
@@ -870,6 +1020,18 @@ export default function VendorApp() {
           >
             History ({completed.length})
           </button>
+          <button
+            type="button"
+            role="tab"
+            id="va-tab-payouts-btn"
+            aria-controls="va-tab-payouts"
+            aria-selected={activeTab === "payouts"}
+            tabIndex={activeTab === "payouts" ? 0 : -1}
+            className={"va-tab" + (activeTab === "payouts" ? " is-active" : "")}
+            onClick={() => setActiveTab("payouts")}
+          >
+            Payouts
+          </button>
         </div>
         <div className="va-tabpanels">
           <div
@@ -917,6 +1079,12 @@ export default function VendorApp() {
                     const travelMinutes = estimateTravelMinutes(job.distanceKm);
                     const expanded = expandedJobId === job._id;
                     const hasBid = job.canBid === false;
+                    const myBid = job.myBid || null;
+                    const pendingCounter =
+                      hasBid && myBid?.counterOffer?.status === "pending"
+                        ? myBid.counterOffer
+                        : null;
+                    const bidBusy = bidActionId === myBid?._id;
                     const contactName =
                       job.contactName ||
                       job.customerName ||
@@ -1013,6 +1181,26 @@ export default function VendorApp() {
                           <div className="va-job__meta muted">
                             <span>Posted {timeAgo(job.created)}</span>
                           </div>
+                          {myBid ? (
+                            <div className="va-job__meta">
+                              <span className="va-chip va-chip--status">
+                                {BID_STATUS_LABELS[myBid.status] || myBid.status}
+                              </span>
+                              <span>
+                                ${Number(myBid.price).toFixed(0)} - ETA{" "}
+                                {myBid.etaMinutes} min
+                              </span>
+                              {pendingCounter ? (
+                                <span>
+                                  Customer countered at $
+                                  {Number(pendingCounter.price).toFixed(0)}
+                                  {pendingCounter.note
+                                    ? ` - "${pendingCounter.note}"`
+                                    : ""}
+                                </span>
+                              ) : null}
+                            </div>
+                          ) : null}
                           {expanded && detailRows.length > 0 ? (
                             <div className="va-job__details">
                               {detailRows.map((row) => (
@@ -1051,9 +1239,37 @@ export default function VendorApp() {
                             </div>
                           ) : null}
                         </div>
-                        <div className="va-job__cta">
+                        <div
+                          className={
+                            "va-job__cta" + (hasBid ? " va-job__cta--stack" : "")
+                          }
+                        >
+                          {pendingCounter ? (
+                            <>
+                              <button
+                                className="btn"
+                                disabled={bidBusy}
+                                onClick={(event) => {
+                                  event.stopPropagation();
+                                  runBidAction(myBid, "counter/accept");
+                                }}
+                              >
+                                Accept ${Number(pendingCounter.price).toFixed(0)}
+                              </button>
+                              <button
+                                className="btn ghost"
+                                disabled={bidBusy}
+                                onClick={(event) => {
+                                  event.stopPropagation();
+                                  runBidAction(myBid, "counter/decline");
+                                }}
+                              >
+                                Decline counter
+                              </button>
+                            </>
+                          ) : null}
                           <button
-                            className="btn"
+                            className={pendingCounter ? "btn ghost" : "btn"}
                             onClick={(event) => {
                               event.stopPropagation();
                               openBidSheet(job);
@@ -1061,6 +1277,18 @@ export default function VendorApp() {
                           >
                             {hasBid ? "Update bid" : "Place bid"}
                           </button>
+                          {hasBid ? (
+                            <button
+                              className="btn ghost"
+                              disabled={bidBusy}
+                              onClick={(event) => {
+                                event.stopPropagation();
+                                runBidAction(myBid, "withdraw");
+                              }}
+                            >
+                              Withdraw
+                            </button>
+                          ) : null}
                         </div>
                       </li>
                     );
@@ -1494,6 +1722,100 @@ export default function VendorApp() {
               </>
             )}
           </div>
+          <div
+            className="va-panel card"
+            role="tabpanel"
+            id="va-tab-payouts"
+            aria-labelledby="va-tab-payouts-btn"
+            hidden={activeTab !== "payouts"}
+          >
+            <div className="va-panel__head">
+              <div>
+                <h2>Payouts</h2>
+                <p className="va-panel__hint">
+                  Balance owed to you and your settlement statements.
+                </p>
+              </div>
+            </div>
+
+            {payoutsError ? (
+              <div className="va-alert error compact">{payoutsError}</div>
+            ) : null}
+
+            {!payouts ? (
+              <ul className="va-list">
+                <li className="va-job va-job--skeleton">
+                  <div className="skeleton" style={{ height: 16, width: "50%" }} />
+                  <div className="skeleton" style={{ height: 14, width: "35%" }} />
+                </li>
+              </ul>
+            ) : (
+              <>
+                <div className="va-payouts__summary">
+                  <div>
+                    <span>Current balance</span>
+                    <strong>${(payouts.balance || 0).toFixed(2)}</strong>
+                  </div>
+                  <div>
+                    <span>Not yet settled</span>
+                    <strong>${(payouts.unsettled || 0).toFixed(2)}</strong>
+                  </div>
+                  <div>
+                    <span>Last payout</span>
+                    <strong>
+                      {payouts.lastPayoutAt
+                        ? new Date(payouts.lastPayoutAt).toLocaleDateString()
+                        : "-"}
+                    </strong>
+                  </div>
+                </div>
+
+                {payouts.statements.length === 0 ? (
+                  <div className="va-empty">
+                    <h4>No statements yet</h4>
+                    <p>Statements appear here after each settlement run.</p>
+                  </div>
+                ) : (
+                  <ul className="va-list">
+                    {payouts.statements.map((item) => (
+                      <li key={item.batchId} className="va-job va-payouts__statement">
+                        <div>
+                          <strong>{item.reference}</strong>
+                          <p className="va-panel__hint">
+                            {new Date(item.periodStart).toLocaleDateString()} -{" "}
+                            {new Date(item.periodEnd).toLocaleDateString()}
+                            {" | "}
+                            {item.statement?.paidAt
+                              ? `Paid ${new Date(item.statement.paidAt).toLocaleDateString()}`
+                              : (item.statement?.amountDue || 0) > 0
+                              ? "Payment pending"
+                              : "Carried forward"}
+                          </p>
+                        </div>
+                        <div className="va-payouts__actions">
+                          <span>${(item.statement?.amountDue || 0).toFixed(2)}</span>
+                          <button
+                            type="button"
+                            className="btn ghost"
+                            onClick={() => downloadStatement(item, "pdf")}
+                          >
+                            PDF
+                          </button>
+                          <button
+                            type="button"
+                            className="btn ghost"
+                            onClick={() => downloadStatement(item, "csv")}
+                          >
+                            CSV
+                          </button>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </>
+            )}
+          </div>
         </div>
       </section>
 
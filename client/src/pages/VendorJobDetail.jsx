@@ -885,6 +885,16 @@ export default function VendorJobDetail() {
                     <span className="status-note">You're all set here.</span>
                   )}
                 </div>
+                {job?.geofence?.completionSuggestedAt && jobStatus !== "Completed" ? (
+                  <div className="vendor-alert info">
+                    Looks like you've reached the drop-off. Mark the job complete
+                    once you're done.
+                  </div>
+                ) : job?.geofence?.autoArrivedAt && jobStatus === "Arrived" ? (
+                  <span className="status-note">
+                    Marked arrived automatically when you reached the pickup.
+                  </span>
+                ) : null}
                 {statusMessage ? (
                   <div className="vendor-alert success">{statusMessage}</div>
                 ) : null}
@@ -2,6 +2,7 @@ import { useEffect, useMemo, useState } from "react";
 import { useNavigate, useSearchParams } from "react-router-dom";
 import { vendorApi } from "../lib/vendorApi";
 import VendorDocumentUploader from "../components/vendor/VendorDocumentUploader";
+import ServiceAreaEditor from "../components/ServiceAreaEditor";
 import "./VendorProfile.css";
 
 const defaultForm = {
@@ -78,6 +79,7 @@ export default function VendorProfile() {
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [refreshingCompliance, setRefreshingCompliance] = useState(false);
+  const [savingArea, setSavingArea] = useState(false);
   const [error, setError] = useState("");
   const [message, setMessage] = useState("");
   const [geoError, setGeoError] = useState("");
@@ -226,6 +228,21 @@ export default function VendorProfile() {
     }
   };
 
+  const handleSaveServiceArea = async (area) => {
+    setSavingArea(true);
+    setError("");
+    setMessage("");
+    try {
+      await vendorApi.put("/api/vendor/auth/service-area", area);
+      await refreshVendorSilently();
+      setMessage("Service area saved.");
+    } catch (err) {
+      setError(err?.response?.data?.message || "Could not save service area.");
+    } finally {
+      setSavingArea(false);
+    }
+  };
+
   const handleRefreshCompliance = async () => {
     setRefreshingCompliance(true);
     await refreshVendorSilently();
@@ -250,6 +267,14 @@ export default function VendorProfile() {
     return warnings;
   }, [form.baseAddress, form.lat, form.lng]);
 
+  const baseCenter = useMemo(
+    () =>
+      Number.isFinite(vendor?.lat) && Number.isFinite(vendor?.lng)
+        ? [vendor.lat, vendor.lng]
+        : null,
+    [vendor?.lat, vendor?.lng]
+  );
+
   const compliance = useMemo(() => {
     if (!vendor) return null;
     const base = vendor.compliance || {};
@@ -258,6 +283,7 @@ export default function VendorProfile() {
       status: base.status || vendor.complianceStatus || "pending",
       missing: Array.isArray(base.missing) ? base.missing : [],
       requirements: Array.isArray(base.requirements) ? base.requirements : [],
+      blocked: Array.isArray(base.blocked) ? base.blocked : [],
       enforcement: base.enforcement || "submission",
       lastCheckedAt: base.lastCheckedAt || null,
     };
@@ -272,6 +298,11 @@ export default function VendorProfile() {
 
   const requirements = compliance?.requirements || [];
   const missingDocs = compliance?.missing || [];
+  const blockedLabels = (compliance?.blocked || [])
+    .filter((entry) => entry.service || entry.heavyDutyOnly)
+    .map((entry) =>
+      `${entry.service || "All services"}${entry.heavyDutyOnly ? " (heavy duty)" : ""}`
+    );
 
   const supportEmail = "localgmboss@gmail.com";
   const supportPhoneTel = "+15551234567";
@@ -490,6 +521,24 @@ export default function VendorProfile() {
               )}
             </section>
 
+            <section className="vendor-profile__section">
+              <div className="vendor-profile__section-head">
+                <h2>Coverage map</h2>
+                <p>
+                  Draw the areas you cover, such as a highway corridor, and any zones you
+                  never work in. Without a drawn area your service radius is used.
+                </p>
+              </div>
+              <ServiceAreaEditor
+                coverage={vendor?.serviceArea?.coverage || null}
+                exclusions={vendor?.serviceArea?.exclusions || null}
+                center={baseCenter}
+                radiusKm={vendor?.radiusKm}
+                onSave={handleSaveServiceArea}
+                saving={savingArea}
+              />
+            </section>
+
             <div className="vendor-profile__actions">
               <button type="submit" className="btn primary" disabled={saving}>
                 {saving ? "Saving..." : "Save location"}
@@ -529,6 +578,9 @@ export default function VendorProfile() {
                     <li key={doc.key || doc.label}>{humanize(doc.reason || "missing")} - {doc.label || doc.key}</li>
                   ))}
                 </ul>
+                {blockedLabels.length > 0 && (
+                  <p>Jobs hidden until these are on file: {blockedLabels.join(", ")}</p>
+                )}
               </div>
             )}
 
@@ -555,6 +607,9 @@ export default function VendorProfile() {
                         ) : (
                           <span>No expiry</span>
                         )}
+                        {req.appliesTo?.length > 0 && (
+                          <span>Required for {req.appliesTo.join(", ")}</span>
+                        )}
                         {existingDoc?.metadata?.documentNumber && (
                           <span>Document #: {existingDoc.metadata.documentNumber}</span>
                         )}
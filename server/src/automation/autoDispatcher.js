@@ -0,0 +1,72 @@
+import { advanceAutoDispatch } from "../lib/autoDispatch.js";
+
+const DEFAULT_INTERVAL_MS = 15_000;
+const DEFAULT_BATCH_LIMIT = 25;
+
+let timer = null;
+let scanning = false;
+
+const parseNumber = (value, fallback) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+};
+
+const shouldRun = () =>
+  String(process.env.DISABLE_AUTO_DISPATCH || "").toLowerCase() !== "true";
+
+async function runScan() {
+  if (scanning) return;
+  scanning = true;
+
+  try {
+    const limit = parseNumber(
+      process.env.AUTO_DISPATCH_BATCH,
+      DEFAULT_BATCH_LIMIT
+    );
+    const advanced = await advanceAutoDispatch({ limit });
+    if (advanced) {
+      console.log(`[auto-dispatch] Advanced ${advanced} job(s)`);
+    }
+  } catch (error) {
+    console.error("[auto-dispatch] Scan failed", error);
+  } finally {
+    scanning = false;
+  }
+}
+
+export function startAutoDispatcher(options = {}) {
+  if (timer || !shouldRun()) {
+    return () => stopAutoDispatcher();
+  }
+
+  const intervalMs =
+    options.intervalMs ??
+    parseNumber(process.env.AUTO_DISPATCH_INTERVAL_MS, DEFAULT_INTERVAL_MS);
+
+  timer = setInterval(() => {
+    runScan().catch((error) => {
+      console.error("[auto-dispatch] Interval error", error);
+    });
+  }, intervalMs);
+
+  if (typeof timer.unref === "function") {
+    timer.unref();
+  }
+
+  runScan().catch((error) => {
+    console.error("[auto-dispatch] Initial scan error", error);
+  });
+
+  console.log(
+    `[auto-dispatch] Started (interval ${Math.round(intervalMs / 1000)}s)`
+  );
+
+  return () => stopAutoDispatcher();
+}
+
+export function stopAutoDispatcher() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
@@ -0,0 +1,72 @@
+import { retryDueCommissionCharges } from "../lib/billing.js";
+
+const DEFAULT_INTERVAL_MS = 5 * 60_000;
+const DEFAULT_BATCH_LIMIT = 25;
+
+let timer = null;
+let scanning = false;
+
+const parseNumber = (value, fallback) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+};
+
+const shouldRun = () =>
+  String(process.env.DISABLE_COMMISSION_RETRY || "").toLowerCase() !== "true";
+
+async function runScan() {
+  if (scanning) return;
+  scanning = true;
+
+  try {
+    const limit = parseNumber(
+      process.env.COMMISSION_RETRY_BATCH,
+      DEFAULT_BATCH_LIMIT
+    );
+    const attempted = await retryDueCommissionCharges({ limit });
+    if (attempted) {
+      console.log(`[commission-retry] Retried ${attempted} charge(s)`);
+    }
+  } catch (error) {
+    console.error("[commission-retry] Scan failed", error);
+  } finally {
+    scanning = false;
+  }
+}
+
+export function startCommissionRetrier(options = {}) {
+  if (timer || !shouldRun()) {
+    return () => stopCommissionRetrier();
+  }
+
+  const intervalMs =
+    options.intervalMs ??
+    parseNumber(process.env.COMMISSION_RETRY_INTERVAL_MS, DEFAULT_INTERVAL_MS);
+
+  timer = setInterval(() => {
+    runScan().catch((error) => {
+      console.error("[commission-retry] Interval error", error);
+    });
+  }, intervalMs);
+
+  if (typeof timer.unref === "function") {
+    timer.unref();
+  }
+
+  runScan().catch((error) => {
+    console.error("[commission-retry] Initial scan error", error);
+  });
+
+  console.log(
+    `[commission-retry] Started (interval ${Math.round(intervalMs / 1000)}s)`
+  );
+
+  return () => stopCommissionRetrier();
+}
+
+export function stopCommissionRetrier() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
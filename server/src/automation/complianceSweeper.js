@@ -0,0 +1,92 @@
+import Settings from "../models/Settings.js";
+import { runComplianceSweep } from "../lib/complianceSweep.js";
+import { previousOccurrence, resolveCompanyTimeZone } from "../lib/schedule.js";
+
+const DEFAULT_INTERVAL_MS = 15 * 60_000;
+const DEFAULT_SWEEP_TIME = "02:00";
+const DEFAULT_CATCHUP_HOURS = 20;
+
+let timer = null;
+let scanning = false;
+
+const parseNumber = (value, fallback) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+};
+
+const shouldRun = () =>
+  String(process.env.DISABLE_COMPLIANCE_SWEEP || "").toLowerCase() !== "true";
+
+async function runScan() {
+  if (scanning) return;
+  scanning = true;
+
+  try {
+    const settings = await Settings.findOne().select("defaults.timezone").lean();
+    const timeZone = resolveCompanyTimeZone(settings);
+    const now = new Date();
+    const scheduledFor = previousOccurrence(
+      { time: process.env.COMPLIANCE_SWEEP_TIME || DEFAULT_SWEEP_TIME },
+      now,
+      timeZone
+    );
+    if (!scheduledFor) return;
+
+    // A server that was down all night sweeps once on boot, not days later.
+    const maxLateMs =
+      parseNumber(process.env.COMPLIANCE_SWEEP_MAX_CATCHUP_HOURS, DEFAULT_CATCHUP_HOURS) *
+      60 *
+      60 *
+      1000;
+    if (now.getTime() - scheduledFor.getTime() > maxLateMs) return;
+
+    const sweep = await runComplianceSweep({ trigger: "schedule", scheduledFor, now });
+    if (sweep) {
+      const { totals } = sweep;
+      console.log(
+        `[compliance-sweep] ${sweep.status}: ${totals.vendors} vendor(s), ${totals.documentsExpired} expired, ${totals.suspended} suspended, ${totals.remindersSent} reminder(s)`
+      );
+    }
+  } catch (error) {
+    console.error("[compliance-sweep] Scan failed", error);
+  } finally {
+    scanning = false;
+  }
+}
+
+export function startComplianceSweeper(options = {}) {
+  if (timer || !shouldRun()) {
+    return () => stopComplianceSweeper();
+  }
+
+  const intervalMs =
+    options.intervalMs ??
+    parseNumber(process.env.COMPLIANCE_SWEEP_INTERVAL_MS, DEFAULT_INTERVAL_MS);
+
+  timer = setInterval(() => {
+    runScan().catch((error) => {
+      console.error("[compliance-sweep] Interval error", error);
+    });
+  }, intervalMs);
+
+  if (typeof timer.unref === "function") {
+    timer.unref();
+  }
+
+  runScan().catch((error) => {
+    console.error("[compliance-sweep] Initial scan error", error);
+  });
+
+  console.log(
+    `[compliance-sweep] Started (interval ${Math.round(intervalMs / 1000)}s)`
+  );
+
+  return () => stopComplianceSweeper();
+}
+
+export function stopComplianceSweeper() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
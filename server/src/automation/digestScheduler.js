@@ -0,0 +1,180 @@
+import Settings from "../models/Settings.js";
+import DigestRun, { DIGEST_KEYS } from "../models/DigestRun.js";
+import { previousOccurrence, resolveCompanyTimeZone } from "../lib/schedule.js";
+import { sendAdminDigest, sendVendorDigests } from "../lib/digests.js";
+
+const DEFAULT_INTERVAL_MS = 60_000;
+const DEFAULT_CATCHUP_HOURS = 36;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DIGESTS = {
+  adminDaily: { label: "Daily", weekly: false, audience: "admin" },
+  adminWeekly: { label: "Weekly", weekly: true, audience: "admin" },
+  vendorWeekly: { label: "Weekly", weekly: true, audience: "vendor" },
+};
+
+let timer = null;
+let scanning = false;
+let intervalMs = DEFAULT_INTERVAL_MS;
+
+const parseNumber = (value, fallback) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+};
+
+const shouldSchedule = () =>
+  String(process.env.DISABLE_DIGESTS || "").toLowerCase() !== "true";
+
+const resolveStatus = (deliveries) => {
+  if (!deliveries.length) return "skipped";
+  const delivered = deliveries.filter((entry) => entry.ok).length;
+  if (delivered === deliveries.length) return "sent";
+  return delivered > 0 ? "partial" : "failed";
+};
+
+async function claimSlot(key, scheduledFor, fields) {
+  try {
+    return await DigestRun.create({ digest: key, scheduledFor, ...fields });
+  } catch (error) {
+    // Another instance (or an earlier scan) already owns this slot.
+    if (error?.code === 11000) return null;
+    throw error;
+  }
+}
+
+async function runDigest(key, config, timeZone, now) {
+  const definition = DIGESTS[key];
+  const scheduledFor = previousOccurrence(
+    { time: config.time, weekday: definition.weekly ? config.weekday : null },
+    now,
+    timeZone
+  );
+  if (!scheduledFor) return;
+
+  const channels = {
+    sms: Boolean(config.channels?.sms),
+    email: Boolean(config.channels?.email),
+    push: Boolean(config.channels?.push),
+  };
+  const lateMs = now.getTime() - scheduledFor.getTime();
+  const maxCatchUpMs =
+    parseNumber(process.env.DIGEST_MAX_CATCHUP_HOURS, DEFAULT_CATCHUP_HOURS) *
+    60 *
+    60 *
+    1000;
+  const from = new Date(
+    scheduledFor.getTime() - (definition.weekly ? 7 : 1) * DAY_MS
+  );
+  const range = { from, to: scheduledFor };
+
+  // Slots missed beyond the catch-up window are recorded once but not sent.
+  if (lateMs > maxCatchUpMs) {
+    await claimSlot(key, scheduledFor, {
+      timezone: timeZone,
+      status: "skipped",
+      catchUp: true,
+      range,
+      channels,
+      completedAt: now,
+      error: "Missed slot outside catch-up window",
+    });
+    return;
+  }
+
+  const run = await claimSlot(key, scheduledFor, {
+    timezone: timeZone,
+    catchUp: lateMs > intervalMs * 2,
+    range,
+    channels,
+  });
+  if (!run) return;
+
+  try {
+    const payload = { key, label: definition.label, ...range, timeZone, channels };
+    const result =
+      definition.audience === "vendor"
+        ? await sendVendorDigests(payload)
+        : await sendAdminDigest(payload);
+
+    run.deliveries = result.deliveries;
+    run.recipients = result.recipients;
+    run.summary = result.summary;
+    run.status = resolveStatus(result.deliveries);
+    run.completedAt = new Date();
+    await run.save();
+
+    console.log(
+      `[digest-scheduler] ${key} for ${scheduledFor.toISOString()} ${run.status} (${result.deliveries.length} deliveries${run.catchUp ? ", catch-up" : ""})`
+    );
+  } catch (error) {
+    run.status = "failed";
+    run.error = error?.message || "Digest failed";
+    run.completedAt = new Date();
+    await run.save().catch(() => {});
+    console.error(`[digest-scheduler] ${key} failed`, error);
+  }
+}
+
+async function runScan() {
+  if (scanning) return;
+  scanning = true;
+
+  try {
+    const settings =
+      (await Settings.findOne().lean()) || new Settings().toObject();
+    const digests = settings?.automation?.digests || {};
+    const timeZone = resolveCompanyTimeZone(settings);
+    const now = new Date();
+
+    for (const key of DIGEST_KEYS) {
+      const config = digests[key];
+      if (!config?.enabled) continue;
+      try {
+        await runDigest(key, config, timeZone, now);
+      } catch (digestError) {
+        console.error(`[digest-scheduler] Failed to process ${key}`, digestError);
+      }
+    }
+  } catch (error) {
+    console.error("[digest-scheduler] Scan failed", error);
+  } finally {
+    scanning = false;
+  }
+}
+
+export function startDigestScheduler(options = {}) {
+  if (timer || !shouldSchedule()) {
+    return () => stopDigestScheduler();
+  }
+
+  intervalMs =
+    options.intervalMs ??
+    parseNumber(process.env.DIGEST_SCHEDULER_INTERVAL_MS, DEFAULT_INTERVAL_MS);
+
+  timer = setInterval(() => {
+    runScan().catch((error) => {
+      console.error("[digest-scheduler] Interval error", error);
+    });
+  }, intervalMs);
+
+  if (typeof timer.unref === "function") {
+    timer.unref();
+  }
+
+  runScan().catch((error) => {
+    console.error("[digest-scheduler] Initial scan error", error);
+  });
+
+  console.log(
+    `[digest-scheduler] Started (interval ${Math.round(intervalMs / 1000)}s)`
+  );
+
+  return () => stopDigestScheduler();
+}
+
+export function stopDigestScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
@@ -0,0 +1,78 @@
+import { nudgeStalledApplicants } from "../lib/vendorOnboarding.js";
+
+const DEFAULT_INTERVAL_MS = 60 * 60_000;
+const DEFAULT_AFTER_HOURS = 48;
+const DEFAULT_MAX_NUDGES = 3;
+
+let timer = null;
+let scanning = false;
+
+const parseNumber = (value, fallback) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+};
+
+const shouldRun = () =>
+  String(process.env.DISABLE_ONBOARDING_NUDGES || "").toLowerCase() !== "true";
+
+async function runScan() {
+  if (scanning) return;
+  scanning = true;
+
+  try {
+    const nudged = await nudgeStalledApplicants({
+      afterHours: parseNumber(
+        process.env.ONBOARDING_NUDGE_AFTER_HOURS,
+        DEFAULT_AFTER_HOURS
+      ),
+      maxNudges: parseNumber(
+        process.env.ONBOARDING_NUDGE_MAX,
+        DEFAULT_MAX_NUDGES
+      ),
+    });
+    if (nudged) {
+      console.log(`[onboarding-nudges] Reminded ${nudged} applicant(s)`);
+    }
+  } catch (error) {
+    console.error("[onboarding-nudges] Scan failed", error);
+  } finally {
+    scanning = false;
+  }
+}
+
+export function startOnboardingNudger(options = {}) {
+  if (timer || !shouldRun()) {
+    return () => stopOnboardingNudger();
+  }
+
+  const intervalMs =
+    options.intervalMs ??
+    parseNumber(process.env.ONBOARDING_NUDGE_INTERVAL_MS, DEFAULT_INTERVAL_MS);
+
+  timer = setInterval(() => {
+    runScan().catch((error) => {
+      console.error("[onboarding-nudges] Interval error", error);
+    });
+  }, intervalMs);
+
+  if (typeof timer.unref === "function") {
+    timer.unref();
+  }
+
+  runScan().catch((error) => {
+    console.error("[onboarding-nudges] Initial scan error", error);
+  });
+
+  console.log(
+    `[onboarding-nudges] Started (interval ${Math.round(intervalMs / 1000)}s)`
+  );
+
+  return () => stopOnboardingNudger();
+}
+
+export function stopOnboardingNudger() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
@@ -0,0 +1,154 @@
+import Outbox, {
+  outboxBackoffMs,
+  outboxMaxAttempts,
+} from "../models/Outbox.js";
+import { getOutboxTransport } from "../lib/outboxTransports.js";
+
+const DEFAULT_INTERVAL_MS = 30_000;
+const DEFAULT_BATCH_LIMIT = 25;
+const DEFAULT_STALE_SENDING_MS = 10 * 60_000;
+
+let timer = null;
+let scanning = false;
+
+const parseNumber = (value, fallback) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+};
+
+const shouldDispatch = () =>
+  String(process.env.DISABLE_OUTBOX_DISPATCH || "").toLowerCase() !== "true";
+
+// Rows left in "sending" by a crash mid-delivery go back to the retry pool.
+async function releaseStaleSends(now) {
+  const staleMs = parseNumber(
+    process.env.OUTBOX_STALE_SENDING_MS,
+    DEFAULT_STALE_SENDING_MS
+  );
+  await Outbox.updateMany(
+    {
+      status: "sending",
+      lastAttemptAt: { $lte: new Date(now.getTime() - staleMs) },
+    },
+    {
+      $set: {
+        status: "failed",
+        error: "Delivery interrupted",
+        nextAttemptAt: now,
+      },
+    }
+  );
+}
+
+async function deliverItem(item, transport) {
+  const claimedAt = new Date();
+  const claimed = await Outbox.findOneAndUpdate(
+    { _id: item._id, status: { $in: ["queued", "failed"] } },
+    {
+      $set: { status: "sending", lastAttemptAt: claimedAt },
+      $inc: { attempts: 1 },
+    },
+    { new: true }
+  );
+  if (!claimed) return;
+
+  try {
+    await transport.send(claimed.toObject());
+    claimed.status = "sent";
+    claimed.sentAt = new Date();
+    claimed.transport = transport.name;
+    claimed.error = undefined;
+    await claimed.save();
+  } catch (error) {
+    const message = error?.message || "Delivery failed";
+    claimed.error = message;
+    if (claimed.attempts >= outboxMaxAttempts()) {
+      claimed.status = "dead";
+      claimed.deadAt = new Date();
+      console.warn(
+        `[outbox-dispatcher] ${claimed.kind} ${claimed._id} dead-lettered after ${claimed.attempts} attempts: ${message}`
+      );
+    } else {
+      claimed.status = "failed";
+      claimed.nextAttemptAt = new Date(
+        Date.now() + outboxBackoffMs(claimed.attempts)
+      );
+    }
+    await claimed.save();
+  }
+}
+
+async function runScan() {
+  if (scanning) return;
+  scanning = true;
+
+  try {
+    const now = new Date();
+    await releaseStaleSends(now);
+
+    // Kinds without a transport stay queued instead of burning attempts.
+    const kinds = ["sms", "email"].filter((kind) => getOutboxTransport(kind));
+    if (!kinds.length) return;
+
+    const batchLimit = parseNumber(process.env.OUTBOX_BATCH, DEFAULT_BATCH_LIMIT);
+    const items = await Outbox.find({
+      kind: { $in: kinds },
+      status: { $in: ["queued", "failed"] },
+      $or: [{ nextAttemptAt: { $lte: now } }, { nextAttemptAt: null }],
+    })
+      .sort({ nextAttemptAt: 1, createdAt: 1 })
+      .limit(batchLimit)
+      .lean();
+
+    for (const item of items) {
+      try {
+        await deliverItem(item, getOutboxTransport(item.kind));
+      } catch (itemError) {
+        console.error("[outbox-dispatcher] Failed to process item", item._id, itemError);
+      }
+    }
+  } catch (error) {
+    console.error("[outbox-dispatcher] Scan failed", error);
+  } finally {
+    scanning = false;
+  }
+}
+
+export function startOutboxDispatcher(options = {}) {
+  if (timer || !shouldDispatch()) {
+    return () => stopOutboxDispatcher();
+  }
+
+  const intervalMs =
+    options.intervalMs ??
+    parseNumber(process.env.OUTBOX_DISPATCH_INTERVAL_MS, DEFAULT_INTERVAL_MS);
+
+  timer = setInterval(() => {
+    runScan().catch((error) => {
+      console.error("[outbox-dispatcher] Interval error", error);
+    });
+  }, intervalMs);
+
+  if (typeof timer.unref === "function") {
+    timer.unref();
+  }
+
+  runScan().catch((error) => {
+    console.error("[outbox-dispatcher] Initial scan error", error);
+  });
+
+  console.log(
+    `[outbox-dispatcher] Started (interval ${Math.round(
+      intervalMs / 1000
+    )}s, max attempts ${outboxMaxAttempts()})`
+  );
+
+  return () => stopOutboxDispatcher();
+}
+
+export function stopOutboxDispatcher() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
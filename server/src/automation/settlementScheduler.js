@@ -0,0 +1,69 @@
+import { runScheduledSettlement } from "../lib/payouts.js";
+
+const DEFAULT_INTERVAL_MS = 60 * 60_000;
+
+let timer = null;
+let scanning = false;
+
+const parseNumber = (value, fallback) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+};
+
+const shouldRun = () =>
+  String(process.env.DISABLE_SETTLEMENT_SCHEDULER || "").toLowerCase() !== "true";
+
+async function runScan() {
+  if (scanning) return;
+  scanning = true;
+
+  try {
+    const batch = await runScheduledSettlement();
+    if (batch) {
+      console.log(
+        `[settlements] Created ${batch.reference} for ${batch.statements.length} vendor(s)`
+      );
+    }
+  } catch (error) {
+    console.error("[settlements] Scan failed", error);
+  } finally {
+    scanning = false;
+  }
+}
+
+export function startSettlementScheduler(options = {}) {
+  if (timer || !shouldRun()) {
+    return () => stopSettlementScheduler();
+  }
+
+  const intervalMs =
+    options.intervalMs ??
+    parseNumber(process.env.SETTLEMENT_SCHEDULER_INTERVAL_MS, DEFAULT_INTERVAL_MS);
+
+  timer = setInterval(() => {
+    runScan().catch((error) => {
+      console.error("[settlements] Interval error", error);
+    });
+  }, intervalMs);
+
+  if (typeof timer.unref === "function") {
+    timer.unref();
+  }
+
+  runScan().catch((error) => {
+    console.error("[settlements] Initial scan error", error);
+  });
+
+  console.log(
+    `[settlements] Started (interval ${Math.round(intervalMs / 1000)}s)`
+  );
+
+  return () => stopSettlementScheduler();
+}
+
+export function stopSettlementScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
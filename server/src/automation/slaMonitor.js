@@ -0,0 +1,71 @@
+import { evaluateSla } from "../lib/sla.js";
+
+const DEFAULT_INTERVAL_MS = 60_000;
+const DEFAULT_BATCH_LIMIT = 200;
+
+let timer = null;
+let scanning = false;
+
+const parseNumber = (value, fallback) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+};
+
+const shouldMonitor = () =>
+  String(process.env.DISABLE_SLA_MONITOR || "").toLowerCase() !== "true";
+
+async function runScan() {
+  if (scanning) return;
+  scanning = true;
+
+  try {
+    const limit = parseNumber(process.env.SLA_MONITOR_BATCH, DEFAULT_BATCH_LIMIT);
+    const { breaches, reminders } = await evaluateSla({ limit });
+    if (breaches || reminders) {
+      console.log(
+        `[sla-monitor] ${breaches} breach(es) escalated, ${reminders} vendor reminder(s) sent`
+      );
+    }
+  } catch (error) {
+    console.error("[sla-monitor] Scan failed", error);
+  } finally {
+    scanning = false;
+  }
+}
+
+export function startSlaMonitor(options = {}) {
+  if (timer || !shouldMonitor()) {
+    return () => stopSlaMonitor();
+  }
+
+  const intervalMs =
+    options.intervalMs ??
+    parseNumber(process.env.SLA_MONITOR_INTERVAL_MS, DEFAULT_INTERVAL_MS);
+
+  timer = setInterval(() => {
+    runScan().catch((error) => {
+      console.error("[sla-monitor] Interval error", error);
+    });
+  }, intervalMs);
+
+  if (typeof timer.unref === "function") {
+    timer.unref();
+  }
+
+  runScan().catch((error) => {
+    console.error("[sla-monitor] Initial scan error", error);
+  });
+
+  console.log(
+    `[sla-monitor] Started (interval ${Math.round(intervalMs / 1000)}s)`
+  );
+
+  return () => stopSlaMonitor();
+}
+
+export function stopSlaMonitor() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
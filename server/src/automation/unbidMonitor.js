@@ -2,6 +2,7 @@ import Job from "../models/Jobs.js";
 import Bid from "../models/Bid.js";
 import AdminNotification from "../models/AdminNotification.js";
 import { sendAdminPushNotifications } from "../lib/push.js";
+import { expireStaleBids } from "../lib/bids.js";
 
 const DEFAULT_INTERVAL_MS = 60_000;
 const DEFAULT_ALERT_MINUTES = 10;
@@ -23,6 +24,8 @@ async function runScan() {
   scanning = true;
 
   try {
+    await expireStaleBids();
+
     const alertMinutes = parseNumber(
       process.env.UNBID_ALERT_MINUTES,
       DEFAULT_ALERT_MINUTES
@@ -61,7 +64,10 @@ async function runScan() {
           continue;
         }
 
-        const bidCount = await Bid.countDocuments({ jobId: job._id });
+        const bidCount = await Bid.countDocuments({
+          jobId: job._id,
+          status: "active",
+        });
         if (bidCount > 0) {
           continue;
         }
@@ -27,10 +27,12 @@ import vendorAuth from "./routes/vendorAuth.js";
 import vendorFeed from "./routes/vendorFeed.js";
 import vendorPortal from "./routes/vendorPortal.js";
 import vendorDocuments from "./routes/vendorDocuments.js";
+import vendorOnboarding from "./routes/vendorOnboarding.js";
 import customerPush from "./routes/customerPush.js";
 import messages from "./routes/messages.js";
 import customerAuth from "./routes/customerAuth.js";
 import adminAuth from "./routes/adminAuth.js";
+import adminUsers from "./routes/adminUsers.js";
 import vendors from "./routes/vendors.js";
 import pushRoutes from "./routes/push.js";
 import ops from "./routes/ops.js";
@@ -38,11 +40,34 @@ import crm from "./routes/crm.js";
 import knowledge from "./routes/knowledge.js";
 import aiRouter from "./routes/ai.js";
 import paymentRoutes from "./routes/payment.js";
+import paymentWebhooks from "./routes/paymentWebhooks.js";
+import payouts from "./routes/payouts.js";
+import pricing from "./routes/pricing.js";
+import invoices from "./routes/invoices.js";
+import { authorize } from "./middleware/authorize.js";
 import { startUnbidMonitor } from "./automation/unbidMonitor.js";
+import { startDigestScheduler } from "./automation/digestScheduler.js";
+import { startOutboxDispatcher } from "./automation/outboxDispatcher.js";
+import { startAutoDispatcher } from "./automation/autoDispatcher.js";
+import { startSlaMonitor } from "./automation/slaMonitor.js";
+import { startCommissionRetrier } from "./automation/commissionRetrier.js";
+import { startSettlementScheduler } from "./automation/settlementScheduler.js";
+import { startComplianceSweeper } from "./automation/complianceSweeper.js";
+import { startOnboardingNudger } from "./automation/onboardingNudger.js";
 
 configurePush();
 
 const app = express();
+// Behind a reverse proxy set TRUST_PROXY (hop count, "loopback", a subnet
+// list or "true") so req.ip, and the rate limiters keyed on it, see the
+// client address instead of the proxy's.
+const trustProxy = String(process.env.TRUST_PROXY || "").trim();
+if (trustProxy && trustProxy !== "false") {
+  let setting = trustProxy;
+  if (trustProxy === "true") setting = true;
+  else if (/^\d+$/.test(trustProxy)) setting = Number(trustProxy);
+  app.set("trust proxy", setting);
+}
 const httpServer = createServer(app);
 const PORT = process.env.PORT || 5000;
 const __filename = fileURLToPath(import.meta.url);
@@ -119,7 +144,14 @@ if (prettyAllowedOrigins.length) {
 app.use(cors(corsOptions));
 app.options(/.*/, cors(corsOptions));
 
-app.use(express.json());
+// Keep the raw bytes around for processor webhook signature checks.
+app.use(
+  express.json({
+    verify: (req, _res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(
   "/uploads",
   express.static(path.join(__dirname, "uploads"), {
@@ -128,33 +160,39 @@ app.use(
 );
 
 app.get("/health", (_req, res) => res.json({ ok: true, ts: Date.now() }));
-app.use("/api/documents", documents);
-app.use("/api/settings", settings);
+app.use("/api/documents", authorize("documents"), documents);
+app.use("/api/settings", authorize("settings"), settings);
 app.use("/api/jobs", jobs);
 app.use("/api/customers", customers);
 app.use("/api/feedback", feedback);
-app.use("/api/reports", reports);
-app.use("/api/financials", financials);
-app.use("/api/expenses", expenses);
+app.use("/api/reports", authorize("reports"), reports);
+app.use("/api/financials", authorize("financials"), financials);
+app.use("/api/expenses", authorize("expenses"), expenses);
+app.use("/api/payouts", authorize("financials"), payouts);
 app.use("/api/vendor/documents", vendorDocuments);
+app.use("/api/vendor/onboarding", vendorOnboarding);
 app.use("/api/vendor", vendorRouter);
 app.use("/api/admin/auth", adminAuth);
+app.use("/api/admin/users", authorize("users"), adminUsers);
 app.use("/api/admin", admin);
 app.use("/api/customer/push", customerPush);
 app.use("/api/public", publicRoutes);
-app.use("/api/exports", exportRoutes);
+app.use("/api/exports", authorize("exports"), exportRoutes);
 app.use("/api/push", pushRoutes);
 app.use("/api/bids", bids);
-app.use("/api/outbox", outbox);
+app.use("/api/pricing", pricing);
+app.use("/api/invoices", invoices);
+app.use("/api/outbox", authorize("outbox"), outbox);
 app.use("/api/vendor/auth", vendorAuth);
 app.use("/api/vendor/feed", vendorFeed);
 app.use("/api/vendor", vendorPortal);
 app.use("/api/customer/auth", customerAuth);
-app.use("/api/payments", paymentRoutes);
+app.use("/api/payments/webhooks", paymentWebhooks);
+app.use("/api/payments", authorize("payments"), paymentRoutes);
 app.use("/api/messages", messages);
-app.use("/api/vendors", vendors);
-app.use("/api/ops", ops);
-app.use("/api/crm", crm);
+app.use("/api/vendors", authorize("vendors"), vendors);
+app.use("/api/ops", authorize("ops"), ops);
+app.use("/api/crm", authorize("crm"), crm);
 app.use("/api/knowledge", knowledge);
 app.use("/api/ai", aiRouter);
 
@@ -176,6 +214,14 @@ app.use((err, _req, res, _next) => {
   app.locals.io = realtime;
 
   startUnbidMonitor();
+  startDigestScheduler();
+  startOutboxDispatcher();
+  startAutoDispatcher();
+  startSlaMonitor();
+  startCommissionRetrier();
+  startSettlementScheduler();
+  startComplianceSweeper();
+  startOnboardingNudger();
 
   httpServer.listen(PORT, () => {
     const env = process.env.NODE_ENV || "development";
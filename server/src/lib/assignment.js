@@ -0,0 +1,118 @@
+// server/src/lib/assignment.js
+// The one write path for putting a vendor on a job. Each assignment is a
+// single conditional findOneAndUpdate on the job as the caller last read
+// it, so concurrent selections/assignments cannot both succeed; the loser
+// gets a 409.
+import crypto from "crypto";
+import Job from "../models/Jobs.js";
+import { statusSideEffects } from "./jobWorkflow.js";
+import { recordJobEvent } from "./jobEvents.js";
+
+const makeToken = () => crypto.randomBytes(16).toString("hex");
+
+const conflict = (message) => {
+  const err = new Error(message);
+  err.status = 409;
+  return err;
+};
+
+const toPlain = (doc) =>
+  doc && typeof doc.toObject === "function" ? doc.toObject() : doc;
+
+/**
+ * Assign `vendor` ({ _id, name, phone }) to `job`, the snapshot the caller
+ * made its decision on. The update only applies while vendorId,
+ * selectedBidId and status still match that snapshot (plus any `guard`
+ * conditions). With `requireOpen` the snapshot itself must be unassigned.
+ *
+ * `bid` marks the winning bid and prices the job from it; `price`
+ * overrides the final price. Switching vendors restarts assignedAt, and
+ * with it the arrive/complete SLA clocks; earlier breaches stay on record.
+ * `set`/`unset` ride along in the same update. Pass `event: null` to skip
+ * the job event (the caller records its own).
+ * Resolves to the updated job document.
+ */
+export async function assignVendorToJob({
+  job,
+  vendor,
+  bid = null,
+  price = null,
+  status = "Assigned",
+  requireOpen = false,
+  guard = {},
+  set: extraSet = {},
+  unset = {},
+  event = {},
+  now = new Date(),
+}) {
+  const snapshot = toPlain(job);
+  if (!snapshot?._id) throw conflict("Job not found");
+  if (requireOpen && (snapshot.vendorId || snapshot.selectedBidId)) {
+    throw conflict("This job has already been assigned");
+  }
+  if (snapshot.cancelled) throw conflict("This job was cancelled");
+
+  const set = {
+    vendorId: vendor._id,
+    vendorName: vendor.name || null,
+    vendorPhone: vendor.phone || null,
+    selectedBidId: bid?._id || null,
+    biddingOpen: false,
+    vendorAcceptedToken: snapshot.vendorAcceptedToken || makeToken(),
+    "sla.vendorRemindedAt": null,
+    "sla.exhaustedAt": null,
+    "eta.minutes": null,
+    "eta.computedAt": null,
+    "eta.arriveBy": null,
+    "eta.customerAlertedAt": null,
+    ...extraSet,
+  };
+  if (status && status !== snapshot.status) {
+    set.status = status;
+    Object.assign(set, statusSideEffects(snapshot, status, now));
+  }
+  const finalPrice = price ?? bid?.price ?? null;
+  if (Number.isFinite(Number(finalPrice)) && finalPrice !== null) {
+    set.finalPrice = Number(finalPrice);
+  }
+
+  const update = { $set: set };
+  if (Object.keys(unset).length) update.$unset = unset;
+  // a new vendor starts a fresh assignment on their own SLA clock, without
+  // hold time from before it
+  const vendorChanged = String(snapshot.vendorId || "") !== String(vendor._id);
+  if (vendorChanged && !("assignedAt" in extraSet)) {
+    set.assignedAt = now;
+    set["sla.heldMs"] = 0;
+    set["sla.heldSince"] = (set.status || snapshot.status) === "OnHold" ? now : null;
+  }
+
+  const updated = await Job.findOneAndUpdate(
+    {
+      _id: snapshot._id,
+      vendorId: snapshot.vendorId || null,
+      selectedBidId: snapshot.selectedBidId || null,
+      status: snapshot.status,
+      cancelled: { $ne: true },
+      ...guard,
+    },
+    update,
+    { new: true }
+  );
+  if (!updated) {
+    throw conflict("This job was updated by someone else. Refresh and try again.");
+  }
+
+  if (event) {
+    await recordJobEvent({
+      job: updated,
+      type: event.type || "assigned",
+      actor: event.actor,
+      source: event.source || "assignment",
+      before: snapshot,
+      after: updated,
+      meta: event.meta || {},
+    });
+  }
+  return updated;
+}
@@ -1,5 +1,6 @@
 // server/src/lib/authTokens.js
 import jwt from "jsonwebtoken";
+import { STAFF_ROLES, canAccess } from "../middleware/authorize.js";
 
 const DEFAULT_SECRET = "dev_secret";
 const DEFAULT_ADMIN_SECRET = "dev_admin_secret";
@@ -59,7 +60,7 @@ const normalizeId = (value) => {
 
 /**
  * Decode a ServiceOps authentication token (customer or vendor).
- * Returns { role: "customer" | "vendor" | "admin" | "unknown", id, raw }
+ * Returns { role: "customer" | "vendor" | "admin", id, staffRole?, raw }
  * where id is a string ObjectId when available.
  */
 export function decodeAppToken(token) {
@@ -88,10 +89,13 @@ export function decodeAppToken(token) {
       };
     }
 
-    if (payload?.role === "admin" && (payload?.sub || payload?.id)) {
+    // Every admin-console staff role (dispatcher, finance, ...) decodes as
+    // "admin"; `staffRole` keeps the specific one for actorCanAccess().
+    if (STAFF_ROLES.includes(payload?.role) && (payload?.sub || payload?.id)) {
       return {
         role: "admin",
         id: normalizeId(payload.sub || payload.id),
+        staffRole: payload.role,
         raw: payload,
       };
     }
@@ -107,6 +111,13 @@ export function decodeAppToken(token) {
   }
 }
 
+/**
+ * Whether a decoded actor is staff whose `staffRole` may use `area`.
+ * `role: "admin"` alone only means "some staff role".
+ */
+export const actorCanAccess = (actor, area, method = "GET") =>
+  actor?.role === "admin" && canAccess(actor.staffRole, area, method);
+
 export function extractTokenFromAuthHeader(authHeader = "") {
   if (!authHeader) return null;
   if (typeof authHeader !== "string") return null;
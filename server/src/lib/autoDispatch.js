@@ -0,0 +1,472 @@
+// server/src/lib/autoDispatch.js
+// Nearest-vendor dispatch for bidMode "auto": rank eligible vendors by
+// distance, offer the job to one vendor at a time, cascade on decline or
+// timeout and open bidding once the list runs out.
+import crypto from "crypto";
+import Job from "../models/Jobs.js";
+import Vendor from "../models/Vendor.js";
+import Settings from "../models/Settings.js";
+import VendorNotification from "../models/VendorNotification.js";
+import AdminNotification from "../models/AdminNotification.js";
+import { haversineKm } from "./geo.js";
+import { recordJobEvent } from "./jobEvents.js";
+import { assignVendorToJob } from "./assignment.js";
+import { notifyContact } from "./notifier.js";
+import { vendorCanServeJob } from "./compliance.js";
+import { hasServiceArea, serviceAreaQuery, vendorReachesPoint } from "./serviceArea.js";
+import { APPROVED_VENDOR_QUERY } from "./vendorOnboarding.js";
+import {
+  sendAdminPushNotifications,
+  sendVendorPushNotifications,
+} from "./push.js";
+
+const DEFAULT_CONFIG = {
+  offerTimeoutSec: 90,
+  maxLastSeenMinutes: 30,
+  maxOffers: 5,
+};
+
+const SYSTEM_ACTOR = { role: "system", id: null };
+
+const makeToken = () => crypto.randomBytes(16).toString("hex");
+
+export async function getDispatchConfig() {
+  const settings = await Settings.findOne().select("dispatch").lean();
+  const raw = settings?.dispatch || {};
+  const pick = (key, min) => {
+    const value = Number(raw[key]);
+    return Number.isFinite(value) && value >= min ? value : DEFAULT_CONFIG[key];
+  };
+  return {
+    offerTimeoutSec: pick("offerTimeoutSec", 15),
+    maxLastSeenMinutes: pick("maxLastSeenMinutes", 0),
+    maxOffers: pick("maxOffers", 1),
+  };
+}
+
+const isCompliant = (vendor) =>
+  vendor.complianceOverride === true ||
+  vendor.compliance?.allowed === true ||
+  vendor.complianceStatus === "compliant";
+
+const offersService = (vendor, serviceType) => {
+  if (!serviceType) return true;
+  const services = Array.isArray(vendor.services) ? vendor.services : [];
+  if (!services.length) return true;
+  const wanted = String(serviceType).trim().toLowerCase();
+  return services.some((service) => String(service).trim().toLowerCase() === wanted);
+};
+
+/**
+ * Vendors that can take the job right now, nearest first. Vendors whose
+ * drawn coverage includes the pickup qualify without a location and sort
+ * last with distanceKm null. Returns [{ vendor, distanceKm }].
+ */
+export async function rankDispatchCandidates(
+  job,
+  { excludeIds = [], config = DEFAULT_CONFIG, now = new Date() } = {}
+) {
+  const excluded = new Set(excludeIds.map(String));
+  const pickupKnown = Number.isFinite(job.pickupLat) && Number.isFinite(job.pickupLng);
+  const vendors = await Vendor.find({
+    active: { $ne: false },
+    updatesPaused: { $ne: true },
+    ...APPROVED_VENDOR_QUERY,
+    $and: [
+      {
+        $or: [
+          { lat: { $ne: null }, lng: { $ne: null } },
+          { "serviceArea.coverage.coordinates.0": { $exists: true } },
+        ],
+      },
+      serviceAreaQuery(job.pickupLat, job.pickupLng),
+    ],
+  })
+    .select(
+      "_id name phone email lat lng services heavyDuty radiusKm serviceArea lastSeenAt compliance complianceStatus complianceOverride"
+    )
+    .lean();
+
+  const freshAfter = config.maxLastSeenMinutes
+    ? now.getTime() - config.maxLastSeenMinutes * 60 * 1000
+    : null;
+
+  return vendors
+    .filter((vendor) => {
+      if (excluded.has(String(vendor._id))) return false;
+      if (!isCompliant(vendor) || !vendorCanServeJob(vendor, job)) return false;
+      if (job.heavyDuty && !vendor.heavyDuty) return false;
+      if (!offersService(vendor, job.serviceType)) return false;
+      if (freshAfter !== null) {
+        const seen = vendor.lastSeenAt ? new Date(vendor.lastSeenAt).getTime() : 0;
+        if (seen < freshAfter) return false;
+      }
+      return true;
+    })
+    .map((vendor) => {
+      const distanceKm = haversineKm(vendor.lat, vendor.lng, job.pickupLat, job.pickupLng);
+      return { vendor, distanceKm: Number.isFinite(distanceKm) ? distanceKm : null };
+    })
+    .filter(
+      ({ vendor, distanceKm }) =>
+        (distanceKm !== null || (pickupKnown && hasServiceArea(vendor))) &&
+        vendorReachesPoint(vendor, job.pickupLat, job.pickupLng)
+    )
+    .sort((a, b) => {
+      if (a.distanceKm === null || b.distanceKm === null) {
+        return (a.distanceKm === null) - (b.distanceKm === null);
+      }
+      return a.distanceKm - b.distanceKm;
+    });
+}
+
+async function notifyOffer(job, vendor, offer) {
+  const jobLabel = `#${String(job._id).slice(-6).toUpperCase()}`;
+  const minutes = Math.max(1, Math.round((offer.expiresAt - offer.offeredAt) / 60000));
+  const body = [
+    `${job.serviceType || "Service"} job ${jobLabel} is offered to you first.`,
+    job.pickupAddress ? `Pickup: ${job.pickupAddress}` : null,
+    offer.distanceKm !== null ? `Distance: ${offer.distanceKm.toFixed(1)} km` : null,
+    `Accept within ${minutes} min in the vendor app.`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  try {
+    const notification = await VendorNotification.create({
+      vendorId: vendor._id,
+      jobId: job._id,
+      source: "auto_dispatch",
+      title: "New job offer",
+      body,
+      severity: "warning",
+      meta: {
+        role: "vendor",
+        kind: "dispatch_offer",
+        jobId: job._id,
+        route: "/vendor/app",
+        jobLabel,
+        expiresAt: offer.expiresAt,
+      },
+    });
+    await sendVendorPushNotifications([notification]);
+    await notifyContact("vendor", {
+      phone: vendor.phone,
+      sms: body,
+      jobId: job._id,
+    });
+  } catch (error) {
+    console.error("[auto-dispatch] Failed to notify vendor", vendor._id, error);
+  }
+}
+
+// Out of vendors: hand the job to the regular bidding flow.
+async function fallBackToBidding(job) {
+  const now = new Date();
+  const updated = await Job.findOneAndUpdate(
+    { _id: job._id, status: "Unassigned", "autoDispatch.status": "offering" },
+    {
+      $set: {
+        "autoDispatch.status": "exhausted",
+        "autoDispatch.finishedAt": now,
+        biddingOpen: true,
+        unbidAlertSentAt: null,
+        vendorToken: job.vendorToken || makeToken(),
+        customerToken: job.customerToken || makeToken(),
+      },
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  await recordJobEvent({
+    job: updated,
+    type: "bidding_opened",
+    actor: SYSTEM_ACTOR,
+    source: "auto_dispatch",
+    before: job,
+    after: updated,
+    meta: { offers: updated.autoDispatch.offers.length },
+  });
+
+  try {
+    const notification = await AdminNotification.create({
+      title: "Auto dispatch found no vendor",
+      body: `${updated.serviceType || "Service request"} at ${
+        updated.pickupAddress || "unknown location"
+      } was opened for bidding after ${updated.autoDispatch.offers.length} offer(s).`,
+      severity: "warning",
+      jobId: updated._id,
+      customerId: updated.customerId || null,
+      meta: {
+        role: "admin",
+        kind: "auto_dispatch_exhausted",
+        route: `/jobs/${updated._id}`,
+        jobId: updated._id,
+      },
+    });
+    await sendAdminPushNotifications([notification]);
+  } catch (error) {
+    console.error("[auto-dispatch] Failed to notify admins", updated._id, error);
+  }
+  return updated;
+}
+
+/**
+ * Offer the job to the next-nearest vendor that has not been offered it
+ * yet. No-op while an offer is still pending.
+ */
+export async function offerNext(jobId) {
+  const job = await Job.findById(jobId).lean();
+  if (!job || job.status !== "Unassigned" || job.vendorId) return null;
+  if (job.autoDispatch?.status !== "offering") return null;
+
+  const offers = job.autoDispatch.offers || [];
+  if (offers.some((offer) => offer.outcome === "pending")) return null;
+
+  const config = await getDispatchConfig();
+  if (offers.length >= config.maxOffers) return fallBackToBidding(job);
+
+  const [next] = await rankDispatchCandidates(job, {
+    excludeIds: offers.map((offer) => offer.vendorId),
+    config,
+  });
+  if (!next) return fallBackToBidding(job);
+
+  const offeredAt = new Date();
+  const offer = {
+    vendorId: next.vendor._id,
+    vendorName: next.vendor.name || null,
+    distanceKm: next.distanceKm === null ? null : Math.round(next.distanceKm * 10) / 10,
+    offeredAt,
+    expiresAt: new Date(offeredAt.getTime() + config.offerTimeoutSec * 1000),
+    respondedAt: null,
+    outcome: "pending",
+  };
+
+  // Guard against a concurrent cascade adding a second pending offer.
+  const updated = await Job.findOneAndUpdate(
+    {
+      _id: job._id,
+      status: "Unassigned",
+      "autoDispatch.status": "offering",
+      "autoDispatch.offers.outcome": { $ne: "pending" },
+      "autoDispatch.offers": { $size: offers.length },
+    },
+    { $push: { "autoDispatch.offers": offer } },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  await notifyOffer(updated, next.vendor, offer);
+  return updated;
+}
+
+/**
+ * Switch a job into auto dispatch and make the first offer.
+ */
+export async function startAutoDispatch(jobId, { actor = SYSTEM_ACTOR, source = "auto_dispatch" } = {}) {
+  const job = await Job.findById(jobId).lean();
+  if (!job) {
+    const err = new Error("Job not found");
+    err.status = 404;
+    throw err;
+  }
+  if (job.status !== "Unassigned" || job.vendorId) {
+    const err = new Error("Only unassigned jobs can be auto dispatched");
+    err.status = 409;
+    throw err;
+  }
+  if (job.autoDispatch?.status === "offering") return job;
+
+  const updated = await Job.findOneAndUpdate(
+    { _id: job._id, status: "Unassigned", "autoDispatch.status": { $ne: "offering" } },
+    {
+      $set: {
+        bidMode: "auto",
+        biddingOpen: false,
+        "autoDispatch.status": "offering",
+        "autoDispatch.startedAt": new Date(),
+        "autoDispatch.finishedAt": null,
+        "autoDispatch.offers": [],
+      },
+    },
+    { new: true }
+  ).lean();
+  if (!updated) return Job.findById(job._id).lean();
+
+  await recordJobEvent({
+    job: updated,
+    type: "updated",
+    actor,
+    source,
+    before: job,
+    after: updated,
+    meta: { autoDispatch: "started" },
+  });
+
+  return (await offerNext(updated._id)) || updated;
+}
+
+/**
+ * Vendor answers its pending offer. Accepting assigns the job atomically;
+ * declining (or a lost race) moves on to the next vendor.
+ */
+export async function respondToOffer(jobId, vendorId, accept) {
+  const now = new Date();
+  const job = await Job.findById(jobId).lean();
+  const pending = job?.autoDispatch?.offers?.find(
+    (offer) => offer.outcome === "pending" && String(offer.vendorId) === String(vendorId)
+  );
+  if (!job || !pending || new Date(pending.expiresAt) <= now) {
+    const err = new Error("Offer is no longer available");
+    err.status = 409;
+    throw err;
+  }
+
+  const match = {
+    _id: job._id,
+    status: "Unassigned",
+    vendorId: null,
+    "autoDispatch.offers": {
+      $elemMatch: { vendorId: pending.vendorId, outcome: "pending", expiresAt: { $gt: now } },
+    },
+  };
+
+  if (!accept) {
+    const updated = await Job.findOneAndUpdate(
+      match,
+      {
+        $set: {
+          "autoDispatch.offers.$.outcome": "declined",
+          "autoDispatch.offers.$.respondedAt": now,
+        },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      const err = new Error("Offer is no longer available");
+      err.status = 409;
+      throw err;
+    }
+    await offerNext(job._id);
+    return { accepted: false, job: updated };
+  }
+
+  const vendor = await Vendor.findById(pending.vendorId).select("name phone").lean();
+  let updated;
+  try {
+    updated = await assignVendorToJob({
+      job,
+      vendor: {
+        _id: pending.vendorId,
+        name: vendor?.name || pending.vendorName,
+        phone: vendor?.phone,
+      },
+      price:
+        !(Number(job.finalPrice) > 0) && Number(job.quotedPrice) > 0
+          ? Number(job.quotedPrice)
+          : null,
+      requireOpen: true,
+      guard: { "autoDispatch.offers": match["autoDispatch.offers"] },
+      set: {
+        "autoDispatch.offers.$.outcome": "accepted",
+        "autoDispatch.offers.$.respondedAt": now,
+        "autoDispatch.status": "accepted",
+        "autoDispatch.finishedAt": now,
+      },
+      event: {
+        type: "assigned",
+        actor: { role: "vendor", id: String(pending.vendorId) },
+        source: "auto_dispatch",
+        meta: { distanceKm: pending.distanceKm },
+      },
+      now,
+    });
+  } catch (error) {
+    if (error.status === 409) error.message = "Offer is no longer available";
+    throw error;
+  }
+  return { accepted: true, job: updated };
+}
+
+/**
+ * Expire offers past their deadline and cascade each job to the next
+ * vendor. Also restarts jobs left "offering" without a pending offer.
+ */
+export async function advanceAutoDispatch({ limit = 25, now = new Date() } = {}) {
+  // Only jobs with something to do, longest-waiting first, so jobs whose
+  // offers are still live never crowd the rest out of the batch.
+  const jobs = await Job.find({
+    "autoDispatch.status": "offering",
+    status: "Unassigned",
+    $or: [
+      { "autoDispatch.offers": { $not: { $elemMatch: { outcome: "pending" } } } },
+      {
+        "autoDispatch.offers": {
+          $elemMatch: { outcome: "pending", expiresAt: { $lte: now } },
+        },
+      },
+    ],
+  })
+    .select("_id autoDispatch")
+    .sort({ "autoDispatch.offers.expiresAt": 1, created: 1 })
+    .limit(limit)
+    .lean();
+
+  let advanced = 0;
+  for (const job of jobs) {
+    try {
+      const pending = (job.autoDispatch?.offers || []).find(
+        (offer) => offer.outcome === "pending"
+      );
+      if (pending) {
+        if (new Date(pending.expiresAt) > now) continue;
+        const expired = await Job.findOneAndUpdate(
+          {
+            _id: job._id,
+            "autoDispatch.offers": {
+              $elemMatch: { vendorId: pending.vendorId, outcome: "pending" },
+            },
+          },
+          { $set: { "autoDispatch.offers.$.outcome": "expired" } }
+        );
+        if (!expired) continue;
+      }
+      if (await offerNext(job._id)) advanced += 1;
+    } catch (error) {
+      console.error("[auto-dispatch] Failed to advance job", job._id, error);
+    }
+  }
+  return advanced;
+}
+
+/**
+ * Pending offers for one vendor, for the vendor app.
+ */
+export async function listVendorOffers(vendorId, now = new Date()) {
+  const jobs = await Job.find({
+    status: "Unassigned",
+    "autoDispatch.status": "offering",
+    "autoDispatch.offers": {
+      $elemMatch: { vendorId, outcome: "pending", expiresAt: { $gt: now } },
+    },
+  }).lean();
+
+  return jobs.map((job) => {
+    const offer = job.autoDispatch.offers.find(
+      (item) => item.outcome === "pending" && String(item.vendorId) === String(vendorId)
+    );
+    return {
+      jobId: job._id,
+      serviceType: job.serviceType || null,
+      pickupAddress: job.pickupAddress || null,
+      dropoffAddress: job.dropoffAddress || null,
+      heavyDuty: !!job.heavyDuty,
+      quotedPrice: Number.isFinite(job.quotedPrice) ? job.quotedPrice : 0,
+      distanceKm: offer?.distanceKm ?? null,
+      offeredAt: offer?.offeredAt || null,
+      expiresAt: offer?.expiresAt || null,
+    };
+  });
+}
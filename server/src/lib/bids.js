@@ -0,0 +1,260 @@
+// server/src/lib/bids.js
+// Bid lifecycle: vendor submissions and revisions, withdrawals, customer
+// counter-offers, per-job expiry and closing out losing bids on selection.
+import Bid from "../models/Bid.js";
+import Vendor from "../models/Vendor.js";
+import VendorNotification from "../models/VendorNotification.js";
+import { notifyContact } from "./notifier.js";
+import { sendVendorPushNotifications } from "./push.js";
+
+// Minutes a bid stays selectable when the job sets no bidExpiryMinutes;
+// 0 keeps bids open until bidding closes.
+const DEFAULT_BID_EXPIRY_MINUTES = (() => {
+  const n = Number(process.env.BID_EXPIRY_MINUTES ?? 60);
+  return Number.isFinite(n) && n >= 0 ? n : 60;
+})();
+
+const bidError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+export function bidExpiryMinutesFor(job) {
+  const n = Number(job?.bidExpiryMinutes);
+  return Number.isFinite(n) && n >= 0 ? n : DEFAULT_BID_EXPIRY_MINUTES;
+}
+
+export function bidExpiresAt(job, now = new Date()) {
+  const minutes = bidExpiryMinutesFor(job);
+  return minutes > 0 ? new Date(now.getTime() + minutes * 60000) : null;
+}
+
+/** Status as of `now`: active bids past their expiry read as expired. */
+export function effectiveBidStatus(bid, now = new Date()) {
+  const status = bid?.status || "active";
+  if (
+    status === "active" &&
+    bid.expiresAt &&
+    new Date(bid.expiresAt).getTime() <= now.getTime()
+  ) {
+    return "expired";
+  }
+  return status;
+}
+
+export function serializeBid(bid, now = new Date()) {
+  return {
+    _id: bid._id,
+    jobId: bid.jobId,
+    vendorId: bid.vendorId || null,
+    vendorName: bid.vendorName,
+    vendorPhone: bid.vendorPhone,
+    price: bid.price,
+    etaMinutes: bid.etaMinutes,
+    status: effectiveBidStatus(bid, now),
+    expiresAt: bid.expiresAt || null,
+    counterOffer: bid.counterOffer || null,
+    revisions: Array.isArray(bid.revisions) ? bid.revisions : [],
+    createdAt: bid.createdAt,
+    updatedAt: bid.updatedAt || bid.createdAt,
+  };
+}
+
+/** Persist expiry for active bids whose window has passed. */
+export async function expireStaleBids({ jobId = null, now = new Date() } = {}) {
+  const filter = { status: "active", expiresAt: { $ne: null, $lte: now } };
+  if (jobId) filter.jobId = jobId;
+  const result = await Bid.updateMany(filter, {
+    $set: { status: "expired", updatedAt: now },
+  });
+  return result.modifiedCount || 0;
+}
+
+/**
+ * Create or revise the bid `match` identifies on `job`. Revisions keep the
+ * previous terms in history, reactivate withdrawn/expired bids with a fresh
+ * expiry and supersede any pending counter-offer. Settled bids are locked.
+ */
+export async function submitBid({
+  job,
+  match,
+  vendorId,
+  vendorName,
+  vendorPhone,
+  etaMinutes,
+  price,
+  now = new Date(),
+}) {
+  const existing = await Bid.findOne({ jobId: job._id, ...match });
+  if (existing && ["accepted", "rejected"].includes(existing.status)) {
+    throw bidError(`This bid was already ${existing.status}.`, 409);
+  }
+
+  if (!existing) {
+    const created = await Bid.create({
+      jobId: job._id,
+      ...(vendorId ? { vendorId } : {}),
+      vendorName,
+      vendorPhone,
+      etaMinutes,
+      price,
+      status: "active",
+      expiresAt: bidExpiresAt(job, now),
+      createdAt: now,
+      updatedAt: now,
+    });
+    return { bid: created.toObject(), created: true };
+  }
+
+  if (existing.price !== price || existing.etaMinutes !== etaMinutes) {
+    existing.revisions.push({
+      price: existing.price,
+      etaMinutes: existing.etaMinutes,
+      revisedAt: now,
+      reason: "revised",
+    });
+  }
+  if (existing.counterOffer?.status === "pending") {
+    existing.counterOffer.status = "superseded";
+    existing.counterOffer.respondedAt = now;
+  }
+  if (vendorId) existing.vendorId = vendorId;
+  existing.vendorName = vendorName;
+  existing.vendorPhone = vendorPhone;
+  existing.price = price;
+  existing.etaMinutes = etaMinutes;
+  existing.status = "active";
+  existing.withdrawnAt = null;
+  existing.expiresAt = bidExpiresAt(job, now);
+  existing.updatedAt = now;
+  await existing.save();
+  return { bid: existing.toObject(), created: false };
+}
+
+export async function withdrawBid(bid, now = new Date()) {
+  if (effectiveBidStatus(bid, now) !== "active") {
+    throw bidError("Only active bids can be withdrawn.", 409);
+  }
+  bid.status = "withdrawn";
+  bid.withdrawnAt = now;
+  bid.updatedAt = now;
+  if (bid.counterOffer?.status === "pending") {
+    bid.counterOffer.status = "superseded";
+    bid.counterOffer.respondedAt = now;
+  }
+  await bid.save();
+  return bid;
+}
+
+/** Customer proposes a different price on an active bid. */
+export async function counterBid(bid, { price, note = "" }, now = new Date()) {
+  if (effectiveBidStatus(bid, now) !== "active") {
+    throw bidError("This bid is no longer open.", 409);
+  }
+  bid.counterOffer = {
+    price,
+    note: String(note || "").trim().slice(0, 500),
+    status: "pending",
+    createdAt: now,
+    respondedAt: null,
+  };
+  bid.updatedAt = now;
+  await bid.save();
+  return bid;
+}
+
+/**
+ * Vendor answers a pending counter-offer. Accepting adopts the counter
+ * price (keeping the old terms as a revision) and restarts the expiry.
+ */
+export async function respondToCounter(bid, { accept, job }, now = new Date()) {
+  if (bid.counterOffer?.status !== "pending") {
+    throw bidError("No pending counter-offer on this bid.", 409);
+  }
+  if (effectiveBidStatus(bid, now) !== "active") {
+    throw bidError("This bid is no longer open.", 409);
+  }
+  bid.counterOffer.status = accept ? "accepted" : "declined";
+  bid.counterOffer.respondedAt = now;
+  if (accept) {
+    bid.revisions.push({
+      price: bid.price,
+      etaMinutes: bid.etaMinutes,
+      revisedAt: now,
+      reason: "counter_accepted",
+    });
+    bid.price = bid.counterOffer.price;
+    bid.expiresAt = bidExpiresAt(job, now);
+  }
+  bid.updatedAt = now;
+  await bid.save();
+  return bid;
+}
+
+/**
+ * Mark `winningBid` accepted and every other open bid on the job rejected,
+ * then tell the losing vendors. Notifications are best-effort.
+ */
+export async function closeOutBids(job, winningBid, now = new Date()) {
+  await Bid.updateOne(
+    { _id: winningBid._id },
+    { $set: { status: "accepted", acceptedAt: now, updatedAt: now } }
+  );
+  const losers = await Bid.find({
+    jobId: job._id,
+    _id: { $ne: winningBid._id },
+    status: { $in: ["active", "expired"] },
+  }).lean();
+  if (!losers.length) return [];
+
+  await Bid.updateMany(
+    { _id: { $in: losers.map((bid) => bid._id) } },
+    { $set: { status: "rejected", rejectedAt: now, updatedAt: now } }
+  );
+
+  const service = job.serviceType || "the job";
+  const body = `Another provider was selected for ${service}. Thanks for bidding.`;
+  for (const bid of losers) {
+    try {
+      const vendor = bid.vendorId
+        ? await Vendor.findById(bid.vendorId).select("email phone").lean()
+        : null;
+      await notifyContact("vendor", {
+        phone: vendor?.phone || bid.vendorPhone,
+        email: vendor?.email,
+        sms: body,
+        emailMessage: {
+          template: "bidNotSelected",
+          data: {
+            vendorName: bid.vendorName,
+            service: job.serviceType,
+            pickupAddress: job.pickupAddress,
+          },
+        },
+        jobId: job._id,
+      });
+      if (bid.vendorId) {
+        const notification = await VendorNotification.create({
+          vendorId: bid.vendorId,
+          jobId: job._id,
+          source: "bids",
+          title: "Bid not selected",
+          body,
+          severity: "info",
+          meta: {
+            role: "vendor",
+            kind: "bid_rejected",
+            jobId: job._id,
+            bidId: bid._id,
+            route: "/vendor/app",
+          },
+        });
+        await sendVendorPushNotifications([notification]);
+      }
+    } catch (error) {
+      console.error("[bids] Failed to notify losing bidder", bid._id, error);
+    }
+  }
+  return losers;
+}
@@ -1,71 +1,476 @@
 import CommissionCharge from "../models/CommissionCharge.js";
+import PaymentWebhookEvent from "../models/PaymentWebhookEvent.js";
+import Job from "../models/Jobs.js";
 import Vendor from "../models/Vendor.js";
+import Settings from "../models/Settings.js";
 import { roundCurrency } from "./commission.js";
+import { recordJobEvent } from "./jobEvents.js";
+import { findPaymentProcessor, getPaymentProcessor } from "./paymentProcessors.js";
 
-export async function chargeVendorCommission({ job, vendorId, summary, reportedMethod }) {
-  if (!job?._id) throw new Error("job document required");
-  if (!vendorId) throw new Error("vendorId required");
-  if (!summary) throw new Error("commission summary required");
+const parseNumber = (value, fallback) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+};
+
+const MAX_ATTEMPTS = parseNumber(process.env.COMMISSION_MAX_ATTEMPTS, 4);
+// Minutes to wait after the 1st, 2nd, 3rd... retryable decline.
+const RETRY_DELAYS_MINUTES = [60, 6 * 60, 24 * 60];
+const LOCK_STALE_MS = 5 * 60 * 1000;
+
+// Charges that may be (re)attempted: failed ones, and pending ones that
+// have not reached the processor yet. A pending charge with an attempt is
+// waiting on its webhook and must not be charged or repriced again.
+const openForAttempt = (now) => ({
+  $and: [
+    {
+      $or: [
+        { status: "failed" },
+        { status: "pending", "attempts.0": { $exists: false } },
+      ],
+    },
+    {
+      $or: [
+        { lockedAt: null },
+        { lockedAt: { $lt: new Date(now.getTime() - LOCK_STALE_MS) } },
+      ],
+    },
+  ],
+});
+
+const httpError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const retryAt = (attemptCount, now) => {
+  if (attemptCount >= MAX_ATTEMPTS) return null;
+  const delay =
+    RETRY_DELAYS_MINUTES[Math.min(attemptCount - 1, RETRY_DELAYS_MINUTES.length - 1)];
+  return new Date(now.getTime() + delay * 60 * 1000);
+};
+
+// Mirror charge state onto Job.commission, through the in-memory document
+// when the caller holds one so its later saves don't clobber the update.
+async function syncJobCommission(job, jobId, patch) {
+  if (job && typeof job.save === "function") {
+    for (const [key, value] of Object.entries(patch)) {
+      job.set(`commission.${key}`, value);
+    }
+    await job.save();
+    return;
+  }
+  const set = {};
+  for (const [key, value] of Object.entries(patch)) {
+    set[`commission.${key}`] = value;
+  }
+  await Job.updateOne({ _id: jobId }, { $set: set });
+}
+
+const describeCharge = (charge, extra = {}) => {
+  const status =
+    charge.status === "succeeded"
+      ? "charged"
+      : charge.status === "pending"
+      ? "pending"
+      : charge.status;
+  return {
+    status,
+    chargeId: charge._id,
+    transactionId: charge.processorReference || null,
+    processor: charge.processor,
+    processedAt: charge.processedAt || null,
+    reason: charge.failureReason || undefined,
+    nextRetryAt: charge.nextRetryAt || null,
+    ...extra,
+  };
+};
 
-  const vendor = await Vendor.findById(vendorId).lean();
+function applyFailure(charge, { failureCode, failureReason, retryable }, now) {
+  charge.status = "failed";
+  charge.failureCode = failureCode || "failed";
+  charge.failureReason = failureReason || "Charge failed";
+  charge.processedAt = now;
+  charge.nextRetryAt = retryable ? retryAt(charge.attempts.length, now) : null;
+}
+
+async function loadCurrency() {
+  const settings = await Settings.findOne().select("defaults.currency").lean();
+  return settings?.defaults?.currency || "USD";
+}
+
+/**
+ * Run one processor attempt for a failed charge or a pending one that has
+ * not been sent yet. Concurrent callers (completion, the retrier, an admin
+ * retry) are serialized on `lockedAt`; a caller that loses the lock gets
+ * the current state back.
+ */
+export async function attemptCommissionCharge(chargeId, { job = null, now = new Date() } = {}) {
+  const charge = await CommissionCharge.findOneAndUpdate(
+    { _id: chargeId, ...openForAttempt(now) },
+    { $set: { lockedAt: now } },
+    { new: true }
+  );
+  if (!charge) {
+    const current = await CommissionCharge.findById(chargeId).lean();
+    if (!current) throw httpError(404, "Commission charge not found");
+    return describeCharge(current);
+  }
+
+  const vendor = await Vendor.findById(charge.vendorId).select("billing").lean();
+  const billing = vendor?.billing || {};
+  const processor = getPaymentProcessor(billing.provider);
+
+  let result;
   if (!vendor) {
-    return {
+    result = {
       status: "failed",
-      reason: "Vendor record missing",
+      failureCode: "vendor_missing",
+      failureReason: "Vendor record missing",
     };
+  } else if (!billing.customerId || !billing.defaultPaymentMethodId) {
+    result = {
+      status: "failed",
+      failureCode: "no_payment_method",
+      failureReason: "No payment method on file",
+    };
+  } else if (!processor) {
+    result = {
+      status: "failed",
+      failureCode: "processor_unavailable",
+      failureReason: "No payment processor configured",
+      retryable: true,
+    };
+  } else {
+    try {
+      result = await processor.charge({
+        amount: charge.commissionAmount,
+        currency: charge.currency,
+        customerId: billing.customerId,
+        paymentMethodId: billing.defaultPaymentMethodId,
+        idempotencyKey: `commission:${charge._id}:${charge.attempts.length + 1}`,
+        description: `Commission for job ${charge.jobId}`,
+        metadata: {
+          jobId: String(charge.jobId),
+          vendorId: String(charge.vendorId),
+          commissionChargeId: String(charge._id),
+        },
+      });
+    } catch (error) {
+      console.error("[billing] Processor error", charge._id, error);
+      result = {
+        status: "failed",
+        failureCode: "processor_error",
+        failureReason: error.message || "Processor error",
+        retryable: true,
+      };
+    }
+  }
+
+  charge.processor = processor?.name || billing.provider || "manual";
+  if (result.reference) charge.processorReference = result.reference;
+  charge.attempts.push({
+    at: now,
+    status: result.status === "failed" ? "failed" : "succeeded",
+    processor: charge.processor,
+    reference: result.reference || undefined,
+    failureCode: result.failureCode || undefined,
+    failureReason: result.failureReason || undefined,
+    retryable: Boolean(result.retryable),
+  });
+  charge.lockedAt = null;
+
+  if (result.status === "succeeded") {
+    charge.status = "succeeded";
+    charge.processedAt = now;
+    charge.failureCode = null;
+    charge.failureReason = null;
+    charge.nextRetryAt = null;
+    await charge.save();
+    await syncJobCommission(job, charge.jobId, {
+      status: "charged",
+      chargedAt: now,
+      chargeId: charge.processorReference,
+      failureReason: null,
+    });
+  } else if (result.status === "pending") {
+    // Settles through the processor webhook.
+    charge.status = "pending";
+    charge.nextRetryAt = null;
+    await charge.save();
+    await syncJobCommission(job, charge.jobId, {
+      status: "pending",
+      chargeId: charge.processorReference,
+      failureReason: null,
+    });
+  } else {
+    applyFailure(charge, result, now);
+    await charge.save();
+    await syncJobCommission(job, charge.jobId, {
+      status: "failed",
+      failureReason: charge.failureReason,
+    });
   }
 
+  return describeCharge(charge);
+}
+
+export async function chargeVendorCommission({ job, vendorId, summary, reportedMethod }) {
+  if (!job?._id) throw new Error("job document required");
+  if (!vendorId) throw new Error("vendorId required");
+  if (!summary) throw new Error("commission summary required");
+
+  // Settled, in-flight and processor-pending charges keep their amount and
+  // are not charged again: they fail the filter, and the unique jobId index
+  // turns the upsert into a duplicate-key error.
   const now = new Date();
-  const basePayload = {
-    vendorId,
-    reportedAmount: roundCurrency(summary.reportedAmount),
-    commissionRate: summary.commissionRate,
-    commissionAmount: roundCurrency(summary.commissionAmount),
-  };
+  let charge;
+  try {
+    charge = await CommissionCharge.findOneAndUpdate(
+      { jobId: job._id, ...openForAttempt(now) },
+      {
+        $set: {
+          vendorId,
+          reportedAmount: roundCurrency(summary.reportedAmount),
+          commissionRate: summary.commissionRate,
+          commissionAmount: roundCurrency(summary.commissionAmount),
+          currency: await loadCurrency(),
+        },
+        $setOnInsert: { status: "pending", requestedAt: now },
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    if (error?.code !== 11000) throw error;
+    const existing = await CommissionCharge.findOne({ jobId: job._id }).lean();
+    return describeCharge(existing, { method: reportedMethod || null });
+  }
+
+  const result = await attemptCommissionCharge(charge._id, { job, now });
+  return { ...result, method: reportedMethod || null };
+}
+
+/** Retry failed charges whose backoff has elapsed. Returns attempts made. */
+export async function retryDueCommissionCharges({ limit = 25, now = new Date() } = {}) {
+  const due = await CommissionCharge.find({
+    status: "failed",
+    nextRetryAt: { $ne: null, $lte: now },
+  })
+    .select("_id")
+    .sort({ nextRetryAt: 1 })
+    .limit(limit)
+    .lean();
+
+  let attempted = 0;
+  for (const { _id } of due) {
+    try {
+      await attemptCommissionCharge(_id, { now });
+      attempted += 1;
+    } catch (error) {
+      console.error("[billing] Retry failed", _id, error);
+    }
+  }
+  return attempted;
+}
+
+export async function retryCommissionCharge(chargeId) {
+  const charge = await CommissionCharge.findById(chargeId).lean();
+  if (!charge) throw httpError(404, "Commission charge not found");
+  if (charge.status !== "failed") {
+    throw httpError(409, `Cannot retry a ${charge.status} charge`);
+  }
+  await attemptCommissionCharge(chargeId);
+  return CommissionCharge.findById(chargeId).lean();
+}
 
+export async function waiveCommissionCharge(chargeId, { reason, actor } = {}) {
+  const note = String(reason || "").trim().slice(0, 500);
+  if (!note) throw httpError(400, "reason required");
+
+  const now = new Date();
   const charge = await CommissionCharge.findOneAndUpdate(
-    { jobId: job._id },
+    { _id: chargeId, status: { $in: ["pending", "failed"] }, lockedAt: null },
     {
-      $set: basePayload,
-      $setOnInsert: { status: "pending", requestedAt: now },
+      $set: {
+        status: "waived",
+        waivedAt: now,
+        waivedBy: actor?.id ? String(actor.id) : null,
+        waiveReason: note,
+        nextRetryAt: null,
+      },
     },
-    { new: true, upsert: true, setDefaultsOnInsert: true }
-  );
-
-  const billing = vendor.billing || {};
-  if (!billing.customerId || !billing.defaultPaymentMethodId) {
-    charge.status = "failed";
-    charge.failureReason = "No payment method on file";
-    charge.processedAt = now;
-    charge.processor = billing.provider || "manual";
-    await charge.save();
+    { new: true }
+  ).lean();
+  if (!charge) {
+    const current = await CommissionCharge.findById(chargeId).lean();
+    if (!current) throw httpError(404, "Commission charge not found");
+    throw httpError(409, `Cannot waive a ${current.status} charge`);
+  }
 
-    job.commission.status = "failed";
-    job.commission.failureReason = charge.failureReason;
-    await job.save();
+  const before = await Job.findByIdAndUpdate(
+    charge.jobId,
+    { $set: { "commission.status": "waived", "commission.failureReason": null } }
+  ).lean();
+  if (before) {
+    const after = await Job.findById(charge.jobId).lean();
+    await recordJobEvent({
+      job: after,
+      type: "updated",
+      actor: actor || { role: "admin", id: null },
+      source: "payments.waive",
+      before,
+      after,
+      meta: { commissionChargeId: charge._id, reason: note },
+    });
+  }
+  return charge;
+}
 
-    return { status: "failed", reason: charge.failureReason };
+async function applyWebhookEvent(charge, event, now) {
+  switch (event.type) {
+    case "charge.succeeded": {
+      if (!["pending", "failed"].includes(charge.status)) return false;
+      charge.status = "succeeded";
+      charge.processedAt = now;
+      charge.failureCode = null;
+      charge.failureReason = null;
+      charge.nextRetryAt = null;
+      await charge.save();
+      await syncJobCommission(null, charge.jobId, {
+        status: "charged",
+        chargedAt: now,
+        chargeId: charge.processorReference,
+        failureReason: null,
+      });
+      return true;
+    }
+    case "charge.failed": {
+      if (charge.status !== "pending") return false;
+      charge.attempts.push({
+        at: now,
+        status: "failed",
+        processor: charge.processor,
+        reference: charge.processorReference,
+        failureCode: event.failureCode,
+        failureReason: event.failureReason,
+        retryable: Boolean(event.retryable),
+      });
+      applyFailure(charge, event, now);
+      await charge.save();
+      await syncJobCommission(null, charge.jobId, {
+        status: "failed",
+        failureReason: charge.failureReason,
+      });
+      return true;
+    }
+    case "charge.refunded": {
+      // Processors report the cumulative refunded total.
+      const total = roundCurrency(event.amount ?? charge.commissionAmount);
+      const delta = roundCurrency(total - (charge.refundedAmount || 0));
+      if (delta <= 0) return false;
+      charge.refunds.push({
+        reference: event.refundReference,
+        amount: delta,
+        reason: event.reason,
+        status: "succeeded",
+        createdAt: now,
+      });
+      charge.refundedAmount = total;
+      const fullyRefunded = total >= charge.commissionAmount;
+      if (fullyRefunded) charge.status = "refunded";
+      await charge.save();
+      if (fullyRefunded) {
+        await syncJobCommission(null, charge.jobId, { status: "refunded" });
+      }
+      return true;
+    }
+    case "dispute.opened": {
+      const reference = event.disputeReference || event.reference;
+      if (charge.disputes.some((dispute) => dispute.reference === reference)) {
+        return false;
+      }
+      charge.disputes.push({
+        reference,
+        amount: roundCurrency(event.amount ?? charge.commissionAmount),
+        reason: event.reason,
+        status: "open",
+        openedAt: now,
+      });
+      await charge.save();
+      return true;
+    }
+    case "dispute.closed": {
+      const reference = event.disputeReference || event.reference;
+      const dispute = charge.disputes.find((item) => item.reference === reference);
+      if (dispute) {
+        dispute.status = event.status === "lost" ? "lost" : "won";
+        dispute.closedAt = now;
+      } else {
+        charge.disputes.push({
+          reference,
+          amount: roundCurrency(event.amount ?? charge.commissionAmount),
+          reason: event.reason,
+          status: event.status === "lost" ? "lost" : "won",
+          openedAt: now,
+          closedAt: now,
+        });
+      }
+      await charge.save();
+      return true;
+    }
+    default:
+      return false;
   }
+}
 
-  // Simulate successful charge until real processor is wired
-  charge.status = "succeeded";
-  charge.processor = billing.provider || "manual";
-  charge.processorReference = charge.processorReference || `SIM-${Date.now()}`;
-  charge.processedAt = now;
-  charge.failureReason = null;
-  await charge.save();
+/**
+ * Verify and apply one processor webhook. Deliveries are recorded by
+ * (processor, event id) first, so retries of an already-applied event are
+ * acknowledged as duplicates; failed events may be redelivered.
+ */
+export async function handlePaymentWebhook(processorName, request) {
+  const processor = findPaymentProcessor(processorName);
+  if (!processor) throw httpError(404, "Unknown payment processor");
 
-  job.commission.status = "charged";
-  job.commission.chargedAt = now;
-  job.commission.chargeId = charge.processorReference;
-  job.commission.failureReason = null;
-  await job.save();
+  const event = processor.parseWebhook(request);
+  const now = new Date();
 
-  return {
-    status: "charged",
-    transactionId: charge.processorReference,
-    processor: charge.processor,
-    processedAt: now,
-    method: reportedMethod || null,
-  };
+  let record;
+  try {
+    record = await PaymentWebhookEvent.create({
+      processor: processor.name,
+      eventId: event.id,
+      type: event.type,
+      payload: request.body || {},
+    });
+  } catch (error) {
+    if (error?.code !== 11000) throw error;
+    record = await PaymentWebhookEvent.findOneAndUpdate(
+      { processor: processor.name, eventId: event.id, status: "failed" },
+      { $set: { status: "received", error: null } },
+      { new: true }
+    );
+    if (!record) return { duplicate: true, eventId: event.id };
+  }
+
+  try {
+    const charge = event.reference
+      ? await CommissionCharge.findOne({
+          processor: processor.name,
+          processorReference: event.reference,
+        })
+      : null;
+    const applied = charge ? await applyWebhookEvent(charge, event, now) : false;
+
+    record.status = applied ? "processed" : "ignored";
+    record.chargeId = charge?._id || null;
+    record.processedAt = now;
+    await record.save();
+    return { duplicate: false, eventId: event.id, status: record.status };
+  } catch (error) {
+    record.status = "failed";
+    record.error = error.message;
+    await record.save().catch(() => {});
+    throw error;
+  }
 }
@@ -0,0 +1,197 @@
+// server/src/lib/breadcrumbs.js
+// Vendor GPS breadcrumbs: every location ping is kept as a time-series row
+// (tagged with the vendor's active job when there is one) so trips can be
+// replayed for disputes and mileage checks.
+import Job from "../models/Jobs.js";
+import VendorBreadcrumb from "../models/VendorBreadcrumb.js";
+import { TERMINAL_STATUSES } from "./jobWorkflow.js";
+import { haversineKm } from "./geo.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACTIVE_JOB_CACHE_MS = 30_000;
+const DEFAULT_IDLE_RETENTION_DAYS = 30;
+const DEFAULT_JOB_RETENTION_DAYS = 365;
+const DEFAULT_MIN_INTERVAL_MS = 5_000;
+const DEFAULT_MAX_ROUTE_POINTS = 2_000;
+// Fixes less precise than this (metres) are drawn but not counted as mileage.
+const MAX_DISTANCE_ACCURACY_M = 100;
+
+const parseNumber = (value, fallback) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+};
+
+const toFiniteOrNull = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+};
+
+const lastRecordedAt = new Map();
+const activeJobCache = new Map();
+
+async function activeJobIdFor(vendorId, now) {
+  const key = String(vendorId);
+  const cached = activeJobCache.get(key);
+  if (cached && now - cached.at < ACTIVE_JOB_CACHE_MS) return cached.jobId;
+
+  const job = await Job.findOne({
+    vendorId,
+    cancelled: { $ne: true },
+    status: { $nin: TERMINAL_STATUSES },
+  })
+    .sort({ assignedAt: -1, created: -1 })
+    .select("_id")
+    .lean();
+  const jobId = job?._id || null;
+  activeJobCache.set(key, { jobId, at: now });
+  return jobId;
+}
+
+/**
+ * Store one location ping. Pings closer together than
+ * BREADCRUMB_MIN_INTERVAL_MS for the same vendor are dropped; returns the
+ * stored breadcrumb or null.
+ */
+export async function recordBreadcrumb({
+  vendorId,
+  lat,
+  lng,
+  accuracy,
+  heading,
+  speed,
+  source = "socket",
+  recordedAt,
+} = {}) {
+  const numericLat = toFiniteOrNull(lat);
+  const numericLng = toFiniteOrNull(lng);
+  if (!vendorId || numericLat === null || numericLng === null) return null;
+
+  const at = recordedAt ? new Date(recordedAt) : new Date();
+  const now = Number.isNaN(at.getTime()) ? Date.now() : at.getTime();
+  const key = String(vendorId);
+  const minInterval = parseNumber(
+    process.env.BREADCRUMB_MIN_INTERVAL_MS,
+    DEFAULT_MIN_INTERVAL_MS
+  );
+  const previous = lastRecordedAt.get(key);
+  if (previous && now - previous < minInterval) return null;
+  lastRecordedAt.set(key, now);
+
+  const jobId = await activeJobIdFor(vendorId, now);
+  const retentionDays = jobId
+    ? parseNumber(process.env.BREADCRUMB_JOB_RETENTION_DAYS, DEFAULT_JOB_RETENTION_DAYS)
+    : parseNumber(process.env.BREADCRUMB_RETENTION_DAYS, DEFAULT_IDLE_RETENTION_DAYS);
+
+  return VendorBreadcrumb.create({
+    vendorId,
+    jobId,
+    lat: numericLat,
+    lng: numericLng,
+    accuracy: toFiniteOrNull(accuracy),
+    heading: toFiniteOrNull(heading),
+    speed: toFiniteOrNull(speed),
+    source,
+    recordedAt: new Date(now),
+    expiresAt: new Date(now + retentionDays * DAY_MS),
+  });
+}
+
+// Google encoded polyline (precision 5).
+export function encodePolyline(points = []) {
+  let output = "";
+  let prevLat = 0;
+  let prevLng = 0;
+  const encodeValue = (value) => {
+    let v = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = "";
+    while (v >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    return chunk + String.fromCharCode(v + 63);
+  };
+  for (const point of points) {
+    const lat = Math.round(point.lat * 1e5);
+    const lng = Math.round(point.lng * 1e5);
+    output += encodeValue(lat - prevLat) + encodeValue(lng - prevLng);
+    prevLat = lat;
+    prevLng = lng;
+  }
+  return output;
+}
+
+const downsample = (points, max) => {
+  if (points.length <= max) return points;
+  const stride = (points.length - 1) / (max - 1);
+  const sampled = [];
+  for (let i = 0; i < max; i += 1) {
+    sampled.push(points[Math.round(i * stride)]);
+  }
+  return sampled;
+};
+
+/**
+ * Trip for a job: the assigned vendor's live breadcrumbs between
+ * assignedAt and completion (or now while the job is still open). Returns
+ * { points: [{ lat, lng, t }], polyline, distanceKm, durationMin, ... }.
+ */
+export async function getJobRoute(job) {
+  const startedAt = job.assignedAt || null;
+  const endedAt =
+    job.completedAt || job.completed || job.cancelledAt || null;
+  const base = {
+    jobId: String(job._id),
+    vendorId: job.vendorId ? String(job.vendorId) : null,
+    startedAt,
+    endedAt,
+    points: [],
+    polyline: "",
+    pointCount: 0,
+    distanceKm: 0,
+    durationMin: 0,
+  };
+  if (!job.vendorId || !startedAt) return base;
+
+  const crumbs = await VendorBreadcrumb.find({
+    vendorId: job.vendorId,
+    // profile edits move the vendor's base location, not the truck
+    source: { $ne: "profile" },
+    recordedAt: { $gte: startedAt, $lte: endedAt || new Date() },
+  })
+    .sort({ recordedAt: 1 })
+    .select("lat lng accuracy recordedAt")
+    .lean();
+  if (!crumbs.length) return base;
+
+  let distanceKm = 0;
+  let previous = null;
+  for (const crumb of crumbs) {
+    if (crumb.accuracy != null && crumb.accuracy > MAX_DISTANCE_ACCURACY_M) continue;
+    if (previous) {
+      distanceKm += haversineKm(previous.lat, previous.lng, crumb.lat, crumb.lng);
+    }
+    previous = crumb;
+  }
+
+  const maxPoints = parseNumber(
+    process.env.BREADCRUMB_MAX_ROUTE_POINTS,
+    DEFAULT_MAX_ROUTE_POINTS
+  );
+  const points = downsample(crumbs, maxPoints).map((crumb) => ({
+    lat: crumb.lat,
+    lng: crumb.lng,
+    t: crumb.recordedAt,
+  }));
+  const first = crumbs[0].recordedAt;
+  const last = crumbs[crumbs.length - 1].recordedAt;
+
+  return {
+    ...base,
+    points,
+    polyline: encodePolyline(points),
+    pointCount: crumbs.length,
+    distanceKm: Math.round(distanceKm * 100) / 100,
+    durationMin: Math.round((last - first) / 60_000),
+  };
+}
@@ -1,6 +1,7 @@
 import Document from "../models/Document.js";
 import Settings from "../models/Settings.js";
 import Vendor from "../models/Vendor.js";
+import { syncVendorOnboarding } from "./vendorOnboarding.js";
 
 const DEFAULT_VENDOR_DOCS = [
   {
@@ -58,24 +59,103 @@ const normalizeArray = (value, fallback) => {
   return fallback || [];
 };
 
+const normalizeRequirement = (doc) => ({
+  ...doc,
+  key: doc.key || doc.kind,
+  accepts: Array.isArray(doc.accepts) && doc.accepts.length
+    ? doc.accepts
+    : ["pdf", "jpg", "jpeg", "png"],
+  required: doc.required !== false,
+  expires: doc.expires === true,
+  validityDays: doc.validityDays ?? null,
+});
+
+const normalizeList = (value) =>
+  Array.isArray(value)
+    ? [...new Set(value.map((entry) => String(entry || "").trim()).filter(Boolean))]
+    : [];
+
 const resolveVendorComplianceConfig = (settingsDoc) => {
   const raw = settingsDoc?.compliance?.vendor || {};
   return {
     enforce: raw.enforce || "submission",
     autoSuspendOnExpiry: raw.autoSuspendOnExpiry !== false,
-    documents: normalizeArray(raw.documents, DEFAULT_VENDOR_DOCS).map((doc) => ({
-      ...doc,
-      key: doc.key || doc.kind,
-      accepts: Array.isArray(doc.accepts) && doc.accepts.length
-        ? doc.accepts
-        : ["pdf", "jpg", "jpeg", "png"],
-      required: doc.required !== false,
-      expires: doc.expires === true,
-      validityDays: doc.validityDays ?? null,
-    })),
+    documents: normalizeArray(raw.documents, DEFAULT_VENDOR_DOCS).map(normalizeRequirement),
+    requirementSets: (Array.isArray(raw.requirementSets) ? raw.requirementSets : [])
+      .filter((set) => set && Array.isArray(set.documents) && set.documents.length)
+      .map((set) => ({
+        key: set.key,
+        label: set.label || set.key,
+        services: normalizeList(set.services),
+        heavyDuty: set.heavyDuty === true,
+        regions: normalizeList(set.regions),
+        documents: set.documents.map(normalizeRequirement),
+      })),
   };
 };
 
+/** Baseline plus every scoped requirement, e.g. to look one up by key. */
+export const allRequirementDocuments = (config) => [
+  ...config.documents,
+  ...config.requirementSets.flatMap((set) => set.documents),
+];
+
+const sameText = (a, b) =>
+  String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// A region is a city, state or code matched against the vendor's city and base address.
+const inRegion = (vendor, regions) => {
+  if (!regions.length) return true;
+  const place = `${vendor?.city || ""} ${vendor?.baseAddress || ""}`;
+  return regions.some(
+    (region) =>
+      sameText(vendor?.city, region) ||
+      new RegExp(`\\b${escapeRegex(region)}\\b`, "i").test(place)
+  );
+};
+
+/**
+ * Requirement sets that apply to `vendor`. Service-scoped sets apply when
+ * the vendor offers one of the services (or lists none, meaning all);
+ * heavy-duty sets only to heavy-duty vendors; region sets by city/address.
+ * Each applicable set gates its own services, and heavy-duty sets only
+ * heavy-duty jobs. Returns [{ set, gate: { services, heavyDutyOnly } }].
+ */
+export function applicableRequirementSets(config, vendor) {
+  const offered = normalizeList(vendor?.services);
+  return config.requirementSets
+    .filter((set) => !set.heavyDuty || vendor?.heavyDuty === true)
+    .filter((set) => inRegion(vendor, set.regions))
+    .map((set) => {
+      if (!set.services.length) {
+        return { set, gate: { services: [], heavyDutyOnly: set.heavyDuty } };
+      }
+      const services = offered.length
+        ? set.services.filter((service) => offered.some((own) => sameText(own, service)))
+        : set.services;
+      return services.length
+        ? { set, gate: { services, heavyDutyOnly: set.heavyDuty } }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * False when a scoped requirement the vendor is missing covers this job's
+ * service (or heavy-duty work). Overridden vendors are never blocked.
+ */
+export function vendorCanServeJob(vendor, job) {
+  if (vendor?.complianceOverride === true) return true;
+  const blocked = Array.isArray(vendor?.compliance?.blocked) ? vendor.compliance.blocked : [];
+  return !blocked.some(
+    (entry) =>
+      (!entry.service || sameText(entry.service, job?.serviceType)) &&
+      (!entry.heavyDutyOnly || job?.heavyDuty === true)
+  );
+}
+
 export async function getVendorComplianceConfig() {
   const settings = await Settings.findOne().lean();
   return resolveVendorComplianceConfig(settings || {});
@@ -119,36 +199,64 @@ export function computeDocumentStatus({ doc, enforcement, autoSuspendOnExpiry })
 }
 
 export async function evaluateVendorCompliance(vendorId, options = {}) {
-  const [settings, docs] = await Promise.all([
+  const [settings, docs, vendor] = await Promise.all([
     Settings.findOne().lean(),
-    Document.find({ ownerType: "vendor", vendorId }).lean(),
+    Document.find({ ownerType: "vendor", vendorId }).sort({ uploadedAt: -1 }).lean(),
+    options.vendor ||
+      Vendor.findById(vendorId).select("services heavyDuty city baseAddress").lean(),
   ]);
 
   const config = resolveVendorComplianceConfig(settings || {});
   const enforcement = options.enforce ?? config.enforce ?? "submission";
   const autoSuspendOnExpiry =
     options.autoSuspendOnExpiry ?? config.autoSuspendOnExpiry ?? true;
-  const requirements = config.documents.filter((req) => req.required !== false);
+
+  // Union of the baseline and every applicable set, keyed by requirement.
+  // A key required globally anywhere is global; otherwise its gates add up.
+  const byKey = new Map();
+  const addRequirement = (req, gate, setLabel) => {
+    if (req.required === false) return;
+    const entry = byKey.get(req.key) || { requirement: req, gates: [], appliesTo: [] };
+    entry.gates.push(gate);
+    if (setLabel && !entry.appliesTo.includes(setLabel)) entry.appliesTo.push(setLabel);
+    byKey.set(req.key, entry);
+  };
+  config.documents.forEach((req) =>
+    addRequirement(req, { services: [], heavyDutyOnly: false }, null)
+  );
+  applicableRequirementSets(config, vendor).forEach(({ set, gate }) =>
+    set.documents.forEach((req) => addRequirement(req, gate, set.label))
+  );
+  const isGlobal = (gate) => !gate.services.length && !gate.heavyDutyOnly;
+  const requirements = [...byKey.values()].map((entry) => ({
+    ...entry.requirement,
+    appliesTo: entry.appliesTo,
+    gates: entry.gates.some(isGlobal) ? [] : entry.gates,
+  }));
 
   const now = Date.now();
+  const unexpired = (doc) =>
+    !doc.expiresAt || new Date(doc.expiresAt).getTime() > now;
+  const isVerified = (doc) => VERIFIED_STATUSES.has((doc.status || "").toLowerCase());
   const results = requirements.map((req) => {
-    const matches = docs.filter((doc) => {
+    const versions = docs.filter((doc) => {
       if (doc.requirementKey && req.key) {
         return doc.requirementKey === req.key;
       }
       return (doc.kind || "").toLowerCase() === (req.kind || "").toLowerCase();
     });
+    const matches = versions.filter((doc) => !doc.supersededBy);
 
+    // A renewal awaiting review (or rejected) does not void the newest
+    // verified version it replaced while that one is still in date.
     const activeDoc = matches.find((doc) => {
-      if (!doc) return false;
-      if (doc.expiresAt && new Date(doc.expiresAt).getTime() <= now) {
-        return false;
-      }
-      if (enforcement === "verified") {
-        return VERIFIED_STATUSES.has((doc.status || "").toLowerCase());
-      }
+      if (!unexpired(doc)) return false;
+      if (enforcement === "verified") return isVerified(doc);
       return SUBMISSION_STATUSES.has((doc.status || "").toLowerCase());
-    }) || matches[0] || null;
+    }) ||
+      versions.find((doc) => doc.supersededBy && isVerified(doc) && unexpired(doc)) ||
+      matches[0] ||
+      null;
 
     const status = computeDocumentStatus({
       doc: activeDoc,
@@ -163,25 +271,45 @@ export async function evaluateVendorCompliance(vendorId, options = {}) {
     };
   });
 
-  const missing = results
-    .filter((r) => !r.status.valid)
-    .map((r) => ({
-      key: r.requirement.key,
-      label: r.requirement.label,
-      reason: r.status.reason || "missing",
-    }));
+  const failing = enforcement === "off" ? [] : results.filter((r) => !r.status.valid);
+  const missing = failing.map((r) => ({
+    key: r.requirement.key,
+    label: r.requirement.label,
+    reason: r.status.reason || "missing",
+    appliesTo: r.requirement.appliesTo,
+  }));
 
-  const allowed = enforcement === "off" || missing.length === 0;
-  const status = allowed ? "compliant" : "non_compliant";
+  // Scoped gaps block only the services they cover; global gaps block everything.
+  const blocked = [];
+  for (const r of failing) {
+    for (const gate of r.requirement.gates) {
+      const services = gate.services.length ? gate.services : [null];
+      for (const service of services) {
+        let entry = blocked.find(
+          (item) => item.service === service && item.heavyDutyOnly === gate.heavyDutyOnly
+        );
+        if (!entry) {
+          entry = { service, heavyDutyOnly: gate.heavyDutyOnly, keys: [] };
+          blocked.push(entry);
+        }
+        if (!entry.keys.includes(r.requirement.key)) entry.keys.push(r.requirement.key);
+      }
+    }
+  }
+
+  const allowed = !failing.some((r) => !r.requirement.gates.length);
+  const status = missing.length === 0 ? "compliant" : "non_compliant";
 
   return {
     allowed,
     status,
     enforcement,
     missing,
+    blocked,
     requirements: results.map((r) => ({
       key: r.requirement.key,
       label: r.requirement.label,
+      appliesTo: r.requirement.appliesTo,
       description: r.requirement.description || "",
       accepts: r.requirement.accepts,
       expires: r.requirement.expires,
@@ -200,6 +328,9 @@ export async function evaluateVendorCompliance(vendorId, options = {}) {
             uploadedAt: r.document.uploadedAt,
             notes: r.document.notes || "",
             metadata: r.document.metadata || null,
+            version: r.document.version || 1,
+            reviewedAt: r.document.reviewedAt || null,
+            rejection: r.document.status === "rejected" ? r.document.rejection || null : null,
           }
         : null,
     })),
@@ -209,10 +340,13 @@ export async function evaluateVendorCompliance(vendorId, options = {}) {
 export async function refreshVendorCompliance(vendorId, options = {}) {
   const [evaluation, vendorDoc] = await Promise.all([
     evaluateVendorCompliance(vendorId, options),
-    Vendor.findById(vendorId).select("complianceOverride").lean(),
+    Vendor.findById(vendorId)
+      .select("complianceOverride compliance.suspendedAt compliance.suspensionReason")
+      .lean(),
   ]);
   const override = vendorDoc?.complianceOverride === true;
   const allowed = override ? true : evaluation.allowed;
+  const suspended = !allowed && vendorDoc?.compliance?.suspendedAt;
   await Vendor.findByIdAndUpdate(
     vendorId,
     {
@@ -223,16 +357,56 @@ export async function refreshVendorCompliance(vendorId, options = {}) {
         allowed,
         override,
         missing: evaluation.missing,
+        blocked: override ? [] : evaluation.blocked,
         requirements: evaluation.requirements,
+        suspendedAt: suspended ? vendorDoc.compliance.suspendedAt : null,
+        suspensionReason: suspended ? vendorDoc.compliance.suspensionReason : null,
       },
     },
     { new: false }
   );
+  // Documents are one of the onboarding checklist items.
+  try {
+    await syncVendorOnboarding(vendorId);
+  } catch (error) {
+    console.error("[compliance] Failed to sync vendor onboarding", vendorId, error);
+  }
   return evaluation;
 }
 
+let refreshAllRun = null;
+let refreshAllQueued = false;
+
+/**
+ * Re-evaluate every vendor against the current requirements, one at a time
+ * and without the sweep's expiries, reminders or notifications. Calls made
+ * while a pass is running share one follow-up pass.
+ */
+export function refreshAllVendorCompliance() {
+  if (refreshAllRun) {
+    refreshAllQueued = true;
+    return refreshAllRun;
+  }
+  refreshAllRun = (async () => {
+    do {
+      refreshAllQueued = false;
+      const vendors = await Vendor.find({}, { _id: 1 }).lean();
+      for (const { _id } of vendors) {
+        try {
+          await refreshVendorCompliance(_id);
+        } catch (error) {
+          console.error("[compliance] Failed to refresh vendor", _id, error);
+        }
+      }
+    } while (refreshAllQueued);
+  })().finally(() => {
+    refreshAllRun = null;
+  });
+  return refreshAllRun;
+}
+
 export async function complianceSummary({ ownerType, vendorId, driverId }) {
-  const query = { ownerType };
+  const query = { ownerType, supersededBy: null };
   if (ownerType === "vendor" && vendorId) query.vendorId = vendorId;
   if (ownerType === "driver" && driverId) query.driverId = driverId;
 
@@ -0,0 +1,403 @@
+// server/src/lib/complianceSweep.js
+// Nightly vendor compliance sweep (automation/complianceSweeper.js, or on
+// demand from /api/vendors/compliance/sweep): expires lapsed documents,
+// re-evaluates every vendor, reminds vendors ahead of expiry, suspends
+// vendors blocked by an expired document and summarizes it for admins.
+import ComplianceSweep from "../models/ComplianceSweep.js";
+import Document from "../models/Document.js";
+import Settings from "../models/Settings.js";
+import Vendor from "../models/Vendor.js";
+import AdminNotification from "../models/AdminNotification.js";
+import VendorNotification from "../models/VendorNotification.js";
+import {
+  allRequirementDocuments,
+  getVendorComplianceConfig,
+  refreshVendorCompliance,
+} from "./compliance.js";
+import { getClientBaseUrl } from "./clientUrl.js";
+import { notifyContact } from "./notifier.js";
+import { resolveCompanyTimeZone } from "./schedule.js";
+import {
+  sendAdminPushNotifications,
+  sendVendorPushNotifications,
+} from "./push.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LIVE_STATUSES = ["pending", "submitted", "verified"];
+
+const groupByVendor = (docs) => {
+  const map = new Map();
+  for (const doc of docs) {
+    const key = String(doc.vendorId);
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(doc);
+  }
+  return map;
+};
+
+const documentLabel = (doc, requirements) =>
+  requirements.find((req) => doc.requirementKey && req.key === doc.requirementKey)
+    ?.label ||
+  doc.title ||
+  doc.kind;
+
+async function expireLapsedDocuments(now) {
+  const lapsed = await Document.find({
+    ownerType: "vendor",
+    vendorId: { $ne: null },
+    status: { $in: LIVE_STATUSES },
+    supersededBy: null,
+    expiresAt: { $ne: null, $lte: now },
+  })
+    .select("_id vendorId title kind requirementKey expiresAt")
+    .lean();
+  if (lapsed.length) {
+    await Document.updateMany(
+      { _id: { $in: lapsed.map((doc) => doc._id) }, status: { $in: LIVE_STATUSES } },
+      { $set: { status: "expired" } }
+    );
+  }
+  return lapsed;
+}
+
+async function remindVendor(vendor, items, dueLabel) {
+  const body = [
+    "These compliance documents need attention:",
+    ...items.map((item) => `- ${item}`),
+    "Upload replacements in the vendor app to keep receiving jobs.",
+  ].join("\n");
+  const portalUrl = `${getClientBaseUrl()}/vendor/profile`;
+
+  const notification = await VendorNotification.create({
+    vendorId: vendor._id,
+    source: "compliance_sweep",
+    title: "Compliance documents need attention",
+    body,
+    severity: "warning",
+    meta: {
+      role: "vendor",
+      kind: "compliance_reminder",
+      route: "/vendor/profile",
+    },
+  });
+  await sendVendorPushNotifications([notification]);
+  await notifyContact("vendor", {
+    phone: vendor.phone,
+    email: vendor.email,
+    sms: `${body}\n${portalUrl}`,
+    emailMessage: {
+      template: "complianceReminder",
+      data: {
+        vendorName: vendor.name,
+        items,
+        dueLabel,
+        portalUrl,
+      },
+    },
+  });
+}
+
+async function notifyAdmins(sweep) {
+  const { totals } = sweep;
+  if (
+    !totals.documentsExpired &&
+    !totals.suspended &&
+    !totals.restored &&
+    !totals.statusChanges &&
+    !totals.errors
+  ) {
+    return;
+  }
+
+  const lines = [
+    `${totals.vendors} vendor(s) checked: ${totals.compliant} compliant, ${totals.nonCompliant} non-compliant.`,
+    totals.documentsExpired ? `${totals.documentsExpired} document(s) expired.` : null,
+    totals.suspended ? `${totals.suspended} vendor(s) suspended for expired documents.` : null,
+    totals.restored ? `${totals.restored} vendor(s) back in compliance.` : null,
+    totals.remindersSent ? `${totals.remindersSent} reminder(s) sent.` : null,
+    totals.errors ? `${totals.errors} vendor(s) could not be checked.` : null,
+    ...sweep.changes
+      .filter((change) => change.suspended)
+      .slice(0, 10)
+      .map(
+        (change) =>
+          `Suspended: ${change.vendorName} (${
+            change.expiredDocuments.join(", ") || "expired documents"
+          })`
+      ),
+  ].filter(Boolean);
+
+  try {
+    const notification = await AdminNotification.create({
+      title: totals.suspended
+        ? `Compliance sweep suspended ${totals.suspended} vendor(s)`
+        : "Compliance sweep completed",
+      body: lines.join("\n"),
+      severity: totals.suspended || totals.errors ? "warning" : "info",
+      meta: {
+        role: "admin",
+        kind: "compliance_sweep",
+        route: "/admin/vendors",
+        sweepId: sweep._id,
+      },
+    });
+    await sendAdminPushNotifications([notification]);
+  } catch (error) {
+    console.error("[compliance-sweep] Failed to notify admins", error);
+  }
+}
+
+async function sweepVendors(sweep, now) {
+  const [settings, config] = await Promise.all([
+    Settings.findOne().select("automation.compliance defaults.timezone").lean(),
+    getVendorComplianceConfig(),
+  ]);
+  const requirementDocs = allRequirementDocuments(config);
+  const automation = settings?.automation?.compliance || {};
+  const notifyVendors = automation.autoNotifyMissingDocs !== false;
+  const remindDays = Number(automation.remindBeforeExpiryDays) || 7;
+  const timeZone = resolveCompanyTimeZone(settings);
+  const formatDate = (value) =>
+    new Date(value).toLocaleDateString("en-US", {
+      month: "short",
+      day: "numeric",
+      year: "numeric",
+      timeZone,
+    });
+
+  const lapsed = groupByVendor(await expireLapsedDocuments(now));
+  const upcoming = groupByVendor(
+    await Document.find({
+      ownerType: "vendor",
+      vendorId: { $ne: null },
+      status: { $in: LIVE_STATUSES },
+      supersededBy: null,
+      expiresAt: { $gt: now, $lte: new Date(now.getTime() + remindDays * DAY_MS) },
+      expiryReminderSentAt: null,
+    })
+      .select("_id vendorId title kind requirementKey expiresAt")
+      .lean()
+  );
+
+  const vendors = await Vendor.find({})
+    .select(
+      "_id name phone email complianceStatus complianceOverride compliance.suspendedAt"
+    )
+    .lean();
+  const totals = sweep.totals;
+
+  for (const vendor of vendors) {
+    const key = String(vendor._id);
+    const change = {
+      vendorId: vendor._id,
+      vendorName: vendor.name,
+      before: vendor.complianceStatus || "pending",
+      expiredDocuments: (lapsed.get(key) || []).map((doc) =>
+        documentLabel(doc, requirementDocs)
+      ),
+      reminders: [],
+    };
+    totals.vendors += 1;
+    totals.documentsExpired += change.expiredDocuments.length;
+
+    try {
+      const evaluation = await refreshVendorCompliance(vendor._id);
+      const override = vendor.complianceOverride === true;
+      const allowed = override || evaluation.allowed;
+      change.after = evaluation.status;
+      if (allowed) totals.compliant += 1;
+      else totals.nonCompliant += 1;
+      if (change.after !== change.before) totals.statusChanges += 1;
+
+      const expired = evaluation.missing.filter((item) => item.reason === "expired");
+      if (
+        config.autoSuspendOnExpiry &&
+        !allowed &&
+        expired.length &&
+        !vendor.compliance?.suspendedAt
+      ) {
+        await Vendor.updateOne(
+          { _id: vendor._id },
+          {
+            $set: {
+              "compliance.suspendedAt": now,
+              "compliance.suspensionReason": `Expired: ${expired
+                .map((item) => item.label || item.key)
+                .join(", ")}`,
+            },
+          }
+        );
+        change.suspended = true;
+        totals.suspended += 1;
+      } else if (allowed && vendor.compliance?.suspendedAt) {
+        change.restored = true;
+        totals.restored += 1;
+      }
+
+      const expiring = upcoming.get(key) || [];
+      if (notifyVendors) {
+        change.reminders = [
+          ...expiring.map(
+            (doc) =>
+              `${documentLabel(doc, requirementDocs)} expires ${formatDate(doc.expiresAt)}`
+          ),
+          // Outstanding items are repeated only when this sweep changed something.
+          ...(change.expiredDocuments.length || change.suspended
+            ? evaluation.missing.map(
+                (item) => `${item.label || item.key}: ${item.reason || "missing"}`
+              )
+            : []),
+        ];
+        if (change.reminders.length) {
+          await remindVendor(
+            vendor,
+            change.reminders,
+            expiring.length ? `within ${remindDays} day${remindDays === 1 ? "" : "s"}` : null
+          );
+          totals.remindersSent += 1;
+          if (expiring.length) {
+            await Document.updateMany(
+              { _id: { $in: expiring.map((doc) => doc._id) } },
+              { $set: { expiryReminderSentAt: now } }
+            );
+          }
+        }
+      }
+    } catch (error) {
+      change.error = error?.message || "Compliance check failed";
+      totals.errors += 1;
+      console.error("[compliance-sweep] Vendor check failed", vendor._id, error);
+    }
+
+    if (
+      change.expiredDocuments.length ||
+      change.reminders.length ||
+      change.suspended ||
+      change.restored ||
+      change.error ||
+      change.after !== change.before
+    ) {
+      sweep.changes.push(change);
+    }
+  }
+}
+
+/**
+ * Run one sweep and persist it as a ComplianceSweep. Scheduled runs pass
+ * their `scheduledFor` slot and get null back when that slot already ran.
+ */
+export async function runComplianceSweep({
+  trigger = "manual",
+  scheduledFor = null,
+  actor = null,
+  now = new Date(),
+} = {}) {
+  let sweep;
+  try {
+    sweep = await ComplianceSweep.create({
+      trigger,
+      scheduledFor: scheduledFor || undefined,
+      startedAt: now,
+      requestedBy: actor
+        ? { role: actor.role, id: actor.id ? String(actor.id) : undefined }
+        : undefined,
+    });
+  } catch (error) {
+    if (error?.code === 11000 && scheduledFor) return null;
+    throw error;
+  }
+
+  try {
+    await sweepVendors(sweep, now);
+    sweep.status = "completed";
+  } catch (error) {
+    sweep.status = "failed";
+    sweep.error = error?.message || "Compliance sweep failed";
+    console.error("[compliance-sweep] Sweep failed", error);
+  }
+  sweep.completedAt = new Date();
+  await sweep.save();
+  await notifyAdmins(sweep);
+  return sweep;
+}
+
+/** Latest sweep plus the live vendor picture for the admin report. */
+export async function buildComplianceReport({ now = new Date() } = {}) {
+  const settings = await Settings.findOne()
+    .select("automation.compliance")
+    .lean();
+  const remindDays =
+    Number(settings?.automation?.compliance?.remindBeforeExpiryDays) || 7;
+
+  const [latest, vendors, expiring] = await Promise.all([
+    ComplianceSweep.findOne({ status: { $ne: "running" } })
+      .sort({ startedAt: -1 })
+      .lean(),
+    Vendor.find({})
+      .select(
+        "_id name complianceStatus complianceOverride compliance.missing compliance.suspendedAt compliance.suspensionReason compliance.lastCheckedAt"
+      )
+      .lean(),
+    Document.find({
+      ownerType: "vendor",
+      vendorId: { $ne: null },
+      status: { $in: LIVE_STATUSES },
+      supersededBy: null,
+      expiresAt: { $gt: now, $lte: new Date(now.getTime() + remindDays * DAY_MS) },
+    })
+      .select("_id vendorId title requirementKey expiresAt expiryReminderSentAt")
+      .sort({ expiresAt: 1 })
+      .lean(),
+  ]);
+
+  const names = new Map(vendors.map((vendor) => [String(vendor._id), vendor.name]));
+  const counts = {
+    total: vendors.length,
+    compliant: 0,
+    nonCompliant: 0,
+    pending: 0,
+    suspended: 0,
+    overridden: 0,
+  };
+  for (const vendor of vendors) {
+    if (vendor.complianceStatus === "compliant") counts.compliant += 1;
+    else if (vendor.complianceStatus === "non_compliant") counts.nonCompliant += 1;
+    else counts.pending += 1;
+    if (vendor.compliance?.suspendedAt) counts.suspended += 1;
+    if (vendor.complianceOverride) counts.overridden += 1;
+  }
+
+  return {
+    generatedAt: now,
+    remindBeforeExpiryDays: remindDays,
+    lastSweep: latest,
+    vendors: counts,
+    suspended: vendors
+      .filter((vendor) => vendor.compliance?.suspendedAt)
+      .map((vendor) => ({
+        vendorId: vendor._id,
+        name: vendor.name,
+        suspendedAt: vendor.compliance.suspendedAt,
+        reason: vendor.compliance.suspensionReason || "",
+        missing: vendor.compliance.missing || [],
+      })),
+    nonCompliant: vendors
+      .filter((vendor) => vendor.complianceStatus === "non_compliant")
+      .map((vendor) => ({
+        vendorId: vendor._id,
+        name: vendor.name,
+        override: vendor.complianceOverride === true,
+        missing: vendor.compliance?.missing || [],
+        lastCheckedAt: vendor.compliance?.lastCheckedAt || null,
+      })),
+    expiringSoon: expiring.map((doc) => ({
+      documentId: doc._id,
+      vendorId: doc.vendorId,
+      vendorName: names.get(String(doc.vendorId)) || "",
+      title: doc.title,
+      requirementKey: doc.requirementKey,
+      expiresAt: doc.expiresAt,
+      reminderSentAt: doc.expiryReminderSentAt || null,
+    })),
+  };
+}
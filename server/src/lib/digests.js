@@ -0,0 +1,352 @@
+// server/src/lib/digests.js
+import User from "../models/User.js";
+import Vendor from "../models/Vendor.js";
+import AdminNotification from "../models/AdminNotification.js";
+import VendorNotification from "../models/VendorNotification.js";
+import { notifyEmail, notifySMS } from "./notifier.js";
+import { buildRangeReport, buildVendorScorecards } from "./reporting.js";
+import { getOperationsDigest, isAIEnabled } from "./ai.js";
+import {
+  sendAdminPushNotifications,
+  sendVendorPushNotifications,
+} from "./push.js";
+
+const splitList = (value) =>
+  String(value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+const formatMoney = (value) => `$${(Number(value) || 0).toFixed(2)}`;
+
+const formatDay = (date, timeZone) =>
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    month: "short",
+    day: "numeric",
+  }).format(date);
+
+const rangeCaption = ({ from, to }, timeZone) =>
+  `${formatDay(from, timeZone)} - ${formatDay(to, timeZone)}`;
+
+const sendDigestEmail = (to, subject, text) =>
+  notifyEmail(to, { template: "digest", data: { subject, text } });
+
+async function deliver(channel, audience, to, send, extra = {}) {
+  try {
+    const result = await send();
+    return {
+      channel,
+      audience,
+      to,
+      ok: Boolean(result?.ok),
+      queuedId: result?.queuedId || null,
+      error: null,
+      ...extra,
+    };
+  } catch (error) {
+    return {
+      channel,
+      audience,
+      to,
+      ok: false,
+      queuedId: null,
+      error: error?.message || "Delivery failed",
+      ...extra,
+    };
+  }
+}
+
+export async function resolveAdminRecipients() {
+  const configuredEmails = splitList(process.env.DIGEST_ADMIN_EMAILS);
+  const emails = configuredEmails.length
+    ? configuredEmails
+    : (await User.find({ role: "admin" }).select("email").lean())
+        .map((user) => user.email)
+        .filter(Boolean);
+  return {
+    emails: [...new Set(emails.map((email) => email.toLowerCase()))],
+    phones: splitList(process.env.DIGEST_ADMIN_PHONES),
+  };
+}
+
+const summarizeScorecards = (scorecards) => {
+  const ranked = scorecards
+    .filter((card) => card.stats.completed > 0)
+    .sort((a, b) => b.stats.completed - a.stats.completed);
+  const lagging = scorecards.filter(
+    (card) => card.stats.slaHitRate !== null && card.stats.slaHitRate < 70
+  );
+  const nonCompliant = scorecards.filter(
+    (card) => card.compliance.status === "non_compliant"
+  );
+  return { ranked, lagging, nonCompliant };
+};
+
+/**
+ * Build the admin operations digest for a window. Falls back to a plain
+ * metrics summary when AI is disabled or the OpenAI call fails.
+ */
+export async function buildAdminDigest({ label, from, to, timeZone }) {
+  const [report, scorecards] = await Promise.all([
+    buildRangeReport({ from, to }),
+    buildVendorScorecards({ since: from }),
+  ]);
+  const { ranked, lagging, nonCompliant } = summarizeScorecards(scorecards);
+
+  const metrics = {
+    jobs: report.totals.count,
+    completed: report.totals.completed,
+    gross: Math.round(report.totals.gross * 100) / 100,
+    fiveStarReviews: report.satisfaction.five,
+    privateFeedback: report.satisfaction.private,
+    activeVendors: scorecards.length,
+  };
+
+  const highlights = ranked
+    .slice(0, 3)
+    .map(
+      (card) =>
+        `${card.name}: ${card.stats.completed} completed, ${formatMoney(
+          card.stats.gross
+        )} gross`
+    );
+  const blockers = [
+    ...lagging
+      .slice(0, 3)
+      .map((card) => `${card.name} SLA hit rate ${card.stats.slaHitRate}%`),
+    ...nonCompliant
+      .slice(0, 3)
+      .map((card) => `${card.name} is not compliant`),
+  ];
+
+  let ai = null;
+  if (isAIEnabled()) {
+    try {
+      ai = await getOperationsDigest({
+        rangeLabel: label,
+        metrics,
+        highlights,
+        blockers,
+      });
+    } catch (error) {
+      console.error("[digests] AI summary failed", error?.message || error);
+    }
+  }
+
+  const subject = `ServiceOps ${label.toLowerCase()} digest (${rangeCaption(
+    { from, to },
+    timeZone
+  )})`;
+  const lines = [
+    `${metrics.jobs} jobs, ${metrics.completed} completed, ${formatMoney(
+      metrics.gross
+    )} gross.`,
+    `Feedback: ${metrics.fiveStarReviews} five-star, ${metrics.privateFeedback} private.`,
+  ];
+  if (ai?.summary) lines.push("", ai.summary);
+  if (highlights.length) lines.push("", "Top vendors:", ...highlights.map((h) => `- ${h}`));
+  if (blockers.length) lines.push("", "Watch list:", ...blockers.map((b) => `- ${b}`));
+  if (ai?.nextActions?.length) {
+    lines.push("", "Next actions:", ...ai.nextActions.map((a) => `- ${a}`));
+  }
+
+  return {
+    subject,
+    text: lines.join("\n"),
+    shortText: `${subject}: ${metrics.jobs} jobs, ${metrics.completed} completed, ${formatMoney(
+      metrics.gross
+    )} gross.`,
+    summary: { metrics, highlights, blockers, ai: ai ? ai.summary : null },
+  };
+}
+
+export async function sendAdminDigest({ key, label, from, to, timeZone, channels }) {
+  const digest = await buildAdminDigest({ label, from, to, timeZone });
+  const recipients = await resolveAdminRecipients();
+  const deliveries = [];
+
+  if (channels.email) {
+    for (const email of recipients.emails) {
+      deliveries.push(
+        await deliver("email", "admin", email, () =>
+          sendDigestEmail(email, digest.subject, digest.text)
+        )
+      );
+    }
+  }
+
+  if (channels.sms) {
+    for (const phone of recipients.phones) {
+      deliveries.push(
+        await deliver("sms", "admin", phone, () =>
+          notifySMS(phone, digest.shortText)
+        )
+      );
+    }
+  }
+
+  if (channels.push) {
+    deliveries.push(
+      await deliver("push", "admin", null, async () => {
+        const notification = await AdminNotification.create({
+          title: digest.subject,
+          body: digest.shortText,
+          severity: "info",
+          meta: {
+            role: "admin",
+            kind: "digest",
+            digest: key,
+            route: "/reports",
+            from,
+            to,
+          },
+        });
+        await sendAdminPushNotifications([notification]);
+        return { ok: true };
+      })
+    );
+  }
+
+  return {
+    deliveries,
+    recipients: recipients.emails.length + recipients.phones.length,
+    summary: digest.summary,
+  };
+}
+
+const buildVendorDigestText = (vendor, card, { from, to }, timeZone) => {
+  const stats = card?.stats || {};
+  const subject = `Your ServiceOps week (${rangeCaption({ from, to }, timeZone)})`;
+  const lines = [
+    `Hi ${vendor.name || "there"},`,
+    `Jobs assigned: ${stats.assigned || 0}, completed: ${stats.completed || 0}.`,
+    `Gross: ${formatMoney(stats.gross)}, platform commission: ${formatMoney(
+      stats.commission
+    )}.`,
+  ];
+  if (stats.avgArrivalMinutes !== null && stats.avgArrivalMinutes !== undefined) {
+    lines.push(`Average arrival: ${stats.avgArrivalMinutes} min.`);
+  }
+  if (stats.slaHitRate !== null && stats.slaHitRate !== undefined) {
+    lines.push(`On-time rate: ${stats.slaHitRate}%.`);
+  }
+  if (stats.avgRating !== null && stats.avgRating !== undefined) {
+    lines.push(`Average rating: ${stats.avgRating}/5.`);
+  }
+  const issues = card?.compliance?.issues || [];
+  if (issues.length) {
+    lines.push(
+      "",
+      "Compliance items to resolve:",
+      ...issues.map((issue) => `- ${issue.label || issue.key}`)
+    );
+  }
+  return {
+    subject,
+    text: lines.join("\n"),
+    shortText: `ServiceOps week: ${stats.completed || 0} jobs completed, ${formatMoney(
+      stats.gross
+    )} gross.${issues.length ? " Compliance items pending in the app." : ""}`,
+  };
+};
+
+export async function sendVendorDigests({ key, from, to, timeZone, channels }) {
+  const vendors = await Vendor.find({ active: { $ne: false } })
+    .select("_id name phone email complianceStatus compliance")
+    .lean();
+  if (!vendors.length) {
+    return { deliveries: [], recipients: 0, summary: { vendors: 0 } };
+  }
+
+  const scorecards = await buildVendorScorecards({
+    since: from,
+    vendorIds: vendors.map((vendor) => vendor._id),
+  });
+  const cardByVendor = new Map(
+    scorecards.map((card) => [String(card.vendorId), card])
+  );
+
+  const deliveries = [];
+  let recipients = 0;
+
+  for (const vendor of vendors) {
+    const card = cardByVendor.get(String(vendor._id)) || null;
+    const hasIssues = Array.isArray(vendor.compliance?.missing)
+      ? vendor.compliance.missing.length > 0
+      : false;
+    // Quiet weeks with nothing to act on are skipped instead of sending zeros.
+    if (!card && !hasIssues) continue;
+
+    const digest = buildVendorDigestText(
+      vendor,
+      card || {
+        stats: {},
+        compliance: {
+          issues: (vendor.compliance?.missing || []).map((missing) => ({
+            key: missing.key,
+            label: missing.label,
+          })),
+        },
+      },
+      { from, to },
+      timeZone
+    );
+    const extra = { vendorId: vendor._id };
+    recipients += 1;
+
+    if (channels.email && vendor.email) {
+      deliveries.push(
+        await deliver(
+          "email",
+          "vendor",
+          vendor.email,
+          () => sendDigestEmail(vendor.email, digest.subject, digest.text),
+          extra
+        )
+      );
+    }
+
+    if (channels.sms && vendor.phone) {
+      deliveries.push(
+        await deliver(
+          "sms",
+          "vendor",
+          vendor.phone,
+          () => notifySMS(vendor.phone, digest.shortText),
+          extra
+        )
+      );
+    }
+
+    if (channels.push) {
+      deliveries.push(
+        await deliver(
+          "push",
+          "vendor",
+          null,
+          async () => {
+            const notification = await VendorNotification.create({
+              vendorId: vendor._id,
+              source: "digest",
+              title: digest.subject,
+              body: digest.text,
+              severity: "info",
+              meta: {
+                role: "vendor",
+                kind: "digest",
+                digest: key,
+                route: "/vendor/app",
+              },
+            });
+            await sendVendorPushNotifications([notification]);
+            return { ok: true };
+          },
+          extra
+        )
+      );
+    }
+  }
+
+  return { deliveries, recipients, summary: { vendors: recipients } };
+}
@@ -0,0 +1,243 @@
+// server/src/lib/documentReview.js
+// Reviewer workflow for compliance documents: the age-ordered queue,
+// approve/reject decisions (rejections carry a REJECTION_REASONS code),
+// version chaining on re-upload and the vendor notice for each decision.
+import mongoose from "mongoose";
+import Document, { REJECTION_REASONS } from "../models/Document.js";
+import User from "../models/User.js";
+import Vendor from "../models/Vendor.js";
+import VendorNotification from "../models/VendorNotification.js";
+import { refreshVendorCompliance } from "./compliance.js";
+import { getClientBaseUrl } from "./clientUrl.js";
+import { notifyContact } from "./notifier.js";
+import { sendVendorPushNotifications } from "./push.js";
+
+export const REVIEWABLE_STATUSES = ["pending", "submitted"];
+
+const APPROVABLE = ["pending", "submitted", "rejected"];
+const REJECTABLE = ["pending", "submitted", "verified"];
+
+const reviewError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+export const rejectionReasonOptions = () =>
+  Object.entries(REJECTION_REASONS).map(([value, label]) => ({ value, label }));
+
+/**
+ * Chain a freshly created document onto the current version for the same
+ * owner and requirement. The older row keeps its status and file and is
+ * marked superseded. Returns the updated new document.
+ */
+export async function supersedePreviousVersion(doc) {
+  if (!doc?.requirementKey) return doc;
+  const ownerField = doc.ownerType === "driver" ? "driverId" : "vendorId";
+  const current = {
+    _id: { $ne: doc._id },
+    ownerType: doc.ownerType,
+    [ownerField]: doc[ownerField] || null,
+    requirementKey: doc.requirementKey,
+    supersededBy: null,
+  };
+  const previous = await Document.findOne(current).sort({ uploadedAt: -1 }).lean();
+  if (!previous) return doc;
+
+  await Document.updateMany(current, {
+    $set: { supersededBy: doc._id, supersededAt: new Date() },
+  });
+  return Document.findByIdAndUpdate(
+    doc._id,
+    {
+      $set: {
+        version: (previous.version || 1) + 1,
+        previousVersionId: previous._id,
+      },
+    },
+    { new: true }
+  );
+}
+
+/** Every version of the document's owner/requirement, newest first. */
+export async function loadDocumentHistory(id) {
+  if (!mongoose.isValidObjectId(id)) throw reviewError("Invalid document id", 400);
+  const doc = await Document.findById(id).lean();
+  if (!doc) throw reviewError("Document not found", 404);
+  if (!doc.requirementKey) return [doc];
+  const ownerField = doc.ownerType === "driver" ? "driverId" : "vendorId";
+  return Document.find({
+    ownerType: doc.ownerType,
+    [ownerField]: doc[ownerField] || null,
+    requirementKey: doc.requirementKey,
+  })
+    .sort({ version: -1, uploadedAt: -1 })
+    .lean();
+}
+
+/** Current submitted/pending documents, oldest upload first. */
+export async function loadReviewQueue({ ownerType, vendorId, limit = 200 } = {}) {
+  const query = {
+    status: { $in: REVIEWABLE_STATUSES },
+    supersededBy: null,
+    ownerType: ownerType || { $in: ["vendor", "driver"] },
+  };
+  if (vendorId) query.vendorId = vendorId;
+
+  const docs = await Document.find(query)
+    .sort({ uploadedAt: 1 })
+    .limit(limit)
+    .lean();
+  const vendorIds = [
+    ...new Set(docs.filter((doc) => doc.vendorId).map((doc) => String(doc.vendorId))),
+  ];
+  const vendors = vendorIds.length
+    ? await Vendor.find({ _id: { $in: vendorIds } }).select("_id name").lean()
+    : [];
+  const names = new Map(vendors.map((vendor) => [String(vendor._id), vendor.name]));
+  const now = Date.now();
+
+  return docs.map((doc) => ({
+    ...doc,
+    vendorName: doc.vendorId ? names.get(String(doc.vendorId)) || "" : "",
+    ageHours: Math.max(
+      0,
+      Math.round((now - new Date(doc.uploadedAt || doc.createdAt).getTime()) / 36e5)
+    ),
+  }));
+}
+
+async function reviewerLabel(actor) {
+  if (!actor?.id || !mongoose.isValidObjectId(actor.id)) return actor?.role || "admin";
+  const user = await User.findById(actor.id).select("email").lean();
+  return user?.email || actor.role || "admin";
+}
+
+async function notifyVendorOfDecision(doc) {
+  if (doc.ownerType !== "vendor" || !doc.vendorId) return;
+  const vendor = await Vendor.findById(doc.vendorId).select("_id name phone email").lean();
+  if (!vendor) return;
+
+  const approved = doc.status === "verified";
+  const title = approved
+    ? `${doc.title} approved`
+    : `${doc.title} needs to be resubmitted`;
+  const body = approved
+    ? `Your ${doc.title} has been reviewed and approved.`
+    : [
+        `Your ${doc.title} was not accepted: ${doc.rejection?.label || "see notes"}.`,
+        doc.rejection?.note ? `Reviewer note: ${doc.rejection.note}` : null,
+        "Upload a corrected file in the vendor app.",
+      ]
+        .filter(Boolean)
+        .join("\n");
+  const portalUrl = `${getClientBaseUrl()}/vendor/profile`;
+
+  try {
+    const notification = await VendorNotification.create({
+      vendorId: vendor._id,
+      source: "document_review",
+      title,
+      body,
+      severity: approved ? "success" : "warning",
+      meta: {
+        role: "vendor",
+        kind: approved ? "document_approved" : "document_rejected",
+        route: "/vendor/profile",
+        documentId: doc._id,
+        requirementKey: doc.requirementKey,
+      },
+    });
+    await sendVendorPushNotifications([notification]);
+    await notifyContact("vendor", {
+      phone: vendor.phone,
+      email: vendor.email,
+      sms: approved ? body : `${body}\n${portalUrl}`,
+      emailMessage: {
+        template: "documentReviewed",
+        data: {
+          vendorName: vendor.name,
+          documentTitle: doc.title,
+          approved,
+          reason: doc.rejection?.label,
+          note: doc.rejection?.note,
+          portalUrl,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("[documents] Failed to notify vendor of review", doc._id, error);
+  }
+}
+
+/**
+ * Approve or reject one current document. Rejections need a reason code
+ * from REJECTION_REASONS ("other" also needs a note). The vendor is told
+ * either way and their compliance is re-evaluated.
+ */
+export async function reviewDocument(id, { decision, reason, note, actor = null } = {}) {
+  if (!mongoose.isValidObjectId(id)) throw reviewError("Invalid document id", 400);
+  if (!["approve", "reject"].includes(decision)) {
+    throw reviewError("decision must be approve or reject", 400);
+  }
+  const cleanNote = String(note ?? "").trim().slice(0, 500);
+  if (decision === "reject") {
+    if (!REJECTION_REASONS[reason]) {
+      throw reviewError("Select a rejection reason", 400);
+    }
+    if (reason === "other" && !cleanNote) {
+      throw reviewError("Add a note explaining the rejection", 400);
+    }
+  }
+
+  const existing = await Document.findById(id).select("status supersededBy").lean();
+  if (!existing) throw reviewError("Document not found", 404);
+  if (existing.supersededBy) {
+    throw reviewError("A newer version of this document has been uploaded", 409);
+  }
+
+  const approve = decision === "approve";
+  const update = {
+    status: approve ? "verified" : "rejected",
+    reviewedAt: new Date(),
+    reviewedBy: await reviewerLabel(actor),
+  };
+  const changes = approve
+    ? { $set: update, $unset: { rejection: "" } }
+    : {
+        $set: {
+          ...update,
+          rejection: {
+            reason,
+            label: REJECTION_REASONS[reason],
+            note: cleanNote || undefined,
+          },
+        },
+      };
+
+  const doc = await Document.findOneAndUpdate(
+    {
+      _id: id,
+      supersededBy: null,
+      status: { $in: approve ? APPROVABLE : REJECTABLE },
+    },
+    changes,
+    { new: true }
+  ).lean();
+  if (!doc) {
+    throw reviewError(
+      `A ${existing.status} document cannot be ${approve ? "approved" : "rejected"}`,
+      409
+    );
+  }
+
+  if (doc.ownerType === "vendor" && doc.vendorId) {
+    try {
+      await refreshVendorCompliance(doc.vendorId);
+    } catch (error) {
+      console.error("[documents] Failed to refresh vendor compliance", error);
+    }
+  }
+  await notifyVendorOfDecision(doc);
+  return doc;
+}
@@ -0,0 +1,189 @@
+// server/src/lib/emailTemplates.js
+// HTML + plain-text renderings for transactional email. Every template
+// returns { subject, html, text } so notifyEmail can send either part.
+
+const BRAND = process.env.EMAIL_BRAND_NAME || "ServiceOps";
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const layout = ({ heading, paragraphs = [], items = [], action = null }) => {
+  const body = paragraphs
+    .map((line) => `<p style="margin:0 0 12px">${escapeHtml(line)}</p>`)
+    .join("");
+  const list = items.length
+    ? `<ul style="margin:0 0 12px;padding-left:20px">${items
+        .map((item) => `<li>${escapeHtml(item)}</li>`)
+        .join("")}</ul>`
+    : "";
+  const button = action
+    ? `<p style="margin:16px 0"><a href="${escapeHtml(
+        action.url
+      )}" style="background:#2563eb;color:#fff;padding:10px 16px;border-radius:6px;text-decoration:none">${escapeHtml(
+        action.label
+      )}</a></p>`
+    : "";
+  const html = `<!doctype html><html><body style="font-family:Arial,sans-serif;color:#111827;line-height:1.5"><div style="max-width:560px;margin:0 auto;padding:24px"><h2 style="margin:0 0 16px">${escapeHtml(
+    heading
+  )}</h2>${body}${list}${button}<p style="margin:24px 0 0;color:#6b7280;font-size:12px">${escapeHtml(
+    BRAND
+  )}</p></div></body></html>`;
+
+  const text = [
+    heading,
+    "",
+    ...paragraphs,
+    ...(items.length ? ["", ...items.map((item) => `- ${item}`)] : []),
+    ...(action ? ["", `${action.label}: ${action.url}`] : []),
+    "",
+    BRAND,
+  ].join("\n");
+
+  return { html, text };
+};
+
+const templates = {
+  jobStatus: ({ title, message, service, trackUrl }) => ({
+    subject: `${BRAND}: ${title}`,
+    ...layout({
+      heading: title,
+      paragraphs: [message, service ? `Service: ${service}` : null].filter(Boolean),
+      action: trackUrl ? { label: "Track your job", url: trackUrl } : null,
+    }),
+  }),
+
+  bidAccepted: ({ vendorName, service, pickupAddress, price, portalUrl }) => ({
+    subject: `${BRAND}: your bid was accepted`,
+    ...layout({
+      heading: "Your bid was accepted",
+      paragraphs: [
+        `Hi ${vendorName || "there"}, the customer selected your bid.`,
+        service ? `Service: ${service}` : null,
+        pickupAddress ? `Pickup: ${pickupAddress}` : null,
+        Number.isFinite(Number(price)) ? `Price: $${Number(price).toFixed(2)}` : null,
+      ].filter(Boolean),
+      action: portalUrl ? { label: "Open job", url: portalUrl } : null,
+    }),
+  }),
+
+  bidNotSelected: ({ vendorName, service, pickupAddress }) => ({
+    subject: `${BRAND}: another bid was selected`,
+    ...layout({
+      heading: "Your bid was not selected",
+      paragraphs: [
+        `Hi ${vendorName || "there"}, the customer went with another provider this time. Thanks for bidding.`,
+        service ? `Service: ${service}` : null,
+        pickupAddress ? `Pickup: ${pickupAddress}` : null,
+      ].filter(Boolean),
+    }),
+  }),
+
+  invoiceIssued: ({
+    customerName,
+    number,
+    service,
+    total,
+    balanceDue,
+    receipt,
+    invoiceUrl,
+  }) => ({
+    subject: `${BRAND}: ${receipt ? "receipt" : "invoice"} ${number}`,
+    ...layout({
+      heading: receipt ? "Thanks for your payment" : "Your invoice is ready",
+      paragraphs: [
+        `Hi ${customerName || "there"}, your ${receipt ? "receipt" : "invoice"} ${number} is ready.`,
+        service ? `Service: ${service}` : null,
+        total ? `Total: ${total}` : null,
+        balanceDue ? `Balance due: ${balanceDue}` : null,
+      ].filter(Boolean),
+      action: invoiceUrl
+        ? { label: receipt ? "View receipt" : "View invoice", url: invoiceUrl }
+        : null,
+    }),
+  }),
+
+  complianceReminder: ({ vendorName, items = [], dueLabel, portalUrl }) => ({
+    subject: `${BRAND}: compliance documents need attention`,
+    ...layout({
+      heading: "Compliance documents need attention",
+      paragraphs: [
+        `Hi ${vendorName || "there"}, the following items need to be uploaded or renewed${
+          dueLabel ? ` ${dueLabel}` : ""
+        }.`,
+      ],
+      items,
+      action: portalUrl ? { label: "Upload documents", url: portalUrl } : null,
+    }),
+  }),
+
+  documentReviewed: ({ vendorName, documentTitle, approved, reason, note, portalUrl }) => ({
+    subject: approved
+      ? `${BRAND}: ${documentTitle} approved`
+      : `${BRAND}: ${documentTitle} needs to be resubmitted`,
+    ...layout({
+      heading: approved ? "Document approved" : "Document needs to be resubmitted",
+      paragraphs: approved
+        ? [`Hi ${vendorName || "there"}, your ${documentTitle} has been reviewed and approved.`]
+        : [
+            `Hi ${vendorName || "there"}, your ${documentTitle} was not accepted.`,
+            reason ? `Reason: ${reason}` : null,
+            note ? `Reviewer note: ${note}` : null,
+            "Please upload a corrected file to stay eligible for jobs.",
+          ].filter(Boolean),
+      action:
+        !approved && portalUrl ? { label: "Upload a new file", url: portalUrl } : null,
+    }),
+  }),
+
+  onboardingReminder: ({ vendorName, items = [], portalUrl }) => ({
+    subject: `${BRAND}: finish your vendor application`,
+    ...layout({
+      heading: "Finish your vendor application",
+      paragraphs: [
+        `Hi ${vendorName || "there"}, you're almost set up. Complete these steps so we can review your application.`,
+      ],
+      items,
+      action: portalUrl ? { label: "Continue application", url: portalUrl } : null,
+    }),
+  }),
+
+  vendorApplicationDecision: ({ vendorName, approved, note, portalUrl }) => ({
+    subject: approved
+      ? `${BRAND}: your vendor application was approved`
+      : `${BRAND}: update on your vendor application`,
+    ...layout({
+      heading: approved ? "Application approved" : "Application not approved",
+      paragraphs: [
+        approved
+          ? `Hi ${vendorName || "there"}, your application has been approved. You can now see and bid on open jobs.`
+          : `Hi ${vendorName || "there"}, we were not able to approve your application.`,
+        note ? `Note from our team: ${note}` : null,
+      ].filter(Boolean),
+      action: approved && portalUrl ? { label: "Open the vendor app", url: portalUrl } : null,
+    }),
+  }),
+
+  digest: ({ subject, text }) => ({
+    subject,
+    ...layout({
+      heading: subject,
+      paragraphs: String(text || "")
+        .split("\n")
+        .filter((line) => line.trim())
+        .map((line) => (line.startsWith("- ") ? `\u2022 ${line.slice(2)}` : line)),
+    }),
+  }),
+};
+
+export const EMAIL_TEMPLATES = Object.keys(templates);
+
+export function renderEmail(template, data = {}) {
+  const render = templates[template];
+  if (!render) throw new Error(`Unknown email template "${template}"`);
+  return render(data);
+}
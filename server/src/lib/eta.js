@@ -0,0 +1,287 @@
+// server/src/lib/eta.js
+// Live ETAs for assigned jobs. Each vendor location ping re-estimates the
+// time to pickup for the vendor's open jobs, stores it (plus a capped
+// history) on the job and fires the customer "driver is X minutes away"
+// alert from Settings.automation.alerts.customer.driverEtaMinutes.
+//
+// Estimation goes through a provider `{ name, estimate({ from, to, job, now,
+// config }) }` resolving to { minutes, distanceKm }. The built-in
+// "straight_line" provider uses haversine distance times a detour factor at
+// an average speed per urgency, slowed during configured peak windows;
+// routing engines can be plugged in with registerEtaProvider().
+import Job from "../models/Jobs.js";
+import Customer from "../models/Customer.js";
+import Settings from "../models/Settings.js";
+import { haversineKm } from "./geo.js";
+import { buildTrackingUrl } from "./trackingLinks.js";
+import { notifyContact } from "./notifier.js";
+import { sendCustomerPushNotifications } from "./push.js";
+import {
+  getZonedParts,
+  parseTimeOfDay,
+  resolveCompanyTimeZone,
+} from "./schedule.js";
+
+export const ETA_STATUSES = ["Assigned", "OnTheWay"];
+export const ETA_HISTORY_LIMIT = 200;
+
+export const DEFAULT_ETA_CONFIG = {
+  provider: "straight_line",
+  detourFactor: 1.3,
+  speedKph: { emergency: 50, urgent: 45, standard: 40 },
+  peakWindows: [
+    { start: "07:00", end: "09:30", speedFactor: 0.7 },
+    { start: "16:00", end: "19:00", speedFactor: 0.7 },
+  ],
+};
+
+// History rows are only appended when the ETA moves or this much time passed.
+const HISTORY_MIN_INTERVAL_MS = 60_000;
+
+const positive = (value) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : null;
+};
+
+export function sanitizePeakWindows(windows) {
+  if (!Array.isArray(windows)) return [];
+  return windows
+    .filter((peak) => peak && parseTimeOfDay(peak.start) && parseTimeOfDay(peak.end))
+    .map((peak) => ({
+      start: String(peak.start).trim(),
+      end: String(peak.end).trim(),
+      speedFactor: Math.min(2, positive(peak.speedFactor) || 1),
+    }));
+}
+
+export async function loadEtaConfig() {
+  const settings = await Settings.findOne()
+    .select("eta defaults.timezone automation.alerts.customer.driverEtaMinutes")
+    .lean();
+  const eta = settings?.eta || {};
+  const speeds = eta.speedKph || {};
+  return {
+    provider: eta.provider || DEFAULT_ETA_CONFIG.provider,
+    detourFactor: Math.max(1, positive(eta.detourFactor) || DEFAULT_ETA_CONFIG.detourFactor),
+    speedKph: {
+      emergency: positive(speeds.emergency) || DEFAULT_ETA_CONFIG.speedKph.emergency,
+      urgent: positive(speeds.urgent) || DEFAULT_ETA_CONFIG.speedKph.urgent,
+      standard: positive(speeds.standard) || DEFAULT_ETA_CONFIG.speedKph.standard,
+    },
+    peakWindows: Array.isArray(eta.peakWindows)
+      ? sanitizePeakWindows(eta.peakWindows)
+      : DEFAULT_ETA_CONFIG.peakWindows,
+    timeZone: resolveCompanyTimeZone(settings),
+    alertMinutes: Number(settings?.automation?.alerts?.customer?.driverEtaMinutes) || 0,
+  };
+}
+
+/** Speed multiplier for the peak window covering `now` (1 outside them). */
+export function peakSpeedFactor(config, now = new Date()) {
+  const { hour, minute } = getZonedParts(now, config.timeZone || "UTC");
+  const current = hour * 60 + minute;
+  for (const peak of config.peakWindows || []) {
+    const start = parseTimeOfDay(peak.start);
+    const end = parseTimeOfDay(peak.end);
+    if (!start || !end) continue;
+    const from = start.hour * 60 + start.minute;
+    const to = end.hour * 60 + end.minute;
+    const inside = from <= to ? current >= from && current < to : current >= from || current < to;
+    if (inside) return peak.speedFactor || 1;
+  }
+  return 1;
+}
+
+export const straightLineEtaProvider = {
+  name: "straight_line",
+  estimate({ from, to, job, now, config }) {
+    const km = haversineKm(from.lat, from.lng, to.lat, to.lng);
+    if (!Number.isFinite(km)) return null;
+    const distanceKm = km * config.detourFactor;
+    const baseSpeed =
+      config.speedKph[job?.urgency] || config.speedKph.standard;
+    const speed = baseSpeed * peakSpeedFactor(config, now);
+    return {
+      distanceKm,
+      minutes: Math.max(1, Math.ceil((distanceKm / speed) * 60)),
+    };
+  },
+};
+
+const providers = new Map([[straightLineEtaProvider.name, straightLineEtaProvider]]);
+
+export function registerEtaProvider(provider) {
+  if (!provider?.name || typeof provider.estimate !== "function") {
+    throw new Error("ETA provider requires a name and estimate()");
+  }
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Estimate one leg with the configured provider, falling back to the
+ * straight-line model when the provider is missing or fails.
+ */
+export async function estimateEta({ from, to, job, now = new Date(), config }) {
+  const provider = providers.get(config.provider) || straightLineEtaProvider;
+  if (provider !== straightLineEtaProvider) {
+    try {
+      const result = await provider.estimate({ from, to, job, now, config });
+      if (result && Number.isFinite(result.minutes)) {
+        return { ...result, method: provider.name };
+      }
+    } catch (error) {
+      console.error(`[eta] Provider ${provider.name} failed`, error);
+    }
+  }
+  const result = straightLineEtaProvider.estimate({ from, to, job, now, config });
+  return result ? { ...result, method: straightLineEtaProvider.name } : null;
+}
+
+async function sendDriverEtaAlert(job, minutes) {
+  if (!job.customerId) return;
+  const vendorName = job.vendorName || "Your provider";
+  const title = "Your provider is almost there";
+  const body = `${vendorName} is about ${minutes} minute${
+    minutes === 1 ? "" : "s"
+  } away.`;
+  const route = `/status/${job._id}`;
+  const trackUrl = buildTrackingUrl(job);
+
+  await sendCustomerPushNotifications([
+    {
+      customerId: job.customerId,
+      jobId: job._id,
+      title,
+      body,
+      severity: "info",
+      meta: {
+        role: "customer",
+        jobId: job._id,
+        kind: "driver_eta",
+        route,
+        absoluteUrl: trackUrl,
+        dedupeKey: `customer:job:${job._id}:driver_eta`,
+      },
+    },
+  ]);
+
+  const customer = await Customer.findById(job.customerId)
+    .select("phone email")
+    .lean();
+  await notifyContact("customer", {
+    phone: customer?.phone,
+    email: customer?.email,
+    sms: `${body} Track them here: ${trackUrl}`,
+    emailMessage: {
+      template: "jobStatus",
+      data: { title, message: body, service: job.serviceType, trackUrl },
+    },
+    jobId: job._id,
+  });
+}
+
+/**
+ * Recompute ETAs for every open pre-arrival job assigned to `vendorId` from
+ * a fresh location. Returns the public ETA payloads, one per updated job,
+ * for the caller to push to job subscribers.
+ */
+export async function recomputeVendorJobEtas({ vendorId, lat, lng, now = new Date() }) {
+  if (!vendorId || !Number.isFinite(lat) || !Number.isFinite(lng)) return [];
+
+  const jobs = await Job.find({
+    vendorId,
+    cancelled: { $ne: true },
+    status: { $in: ETA_STATUSES },
+  })
+    .select(
+      "status urgency serviceType pickupLat pickupLng customerId vendorName eta tracking"
+    )
+    .lean();
+  if (!jobs.length) return [];
+
+  const config = await loadEtaConfig();
+  const updates = [];
+
+  for (const job of jobs) {
+    if (!Number.isFinite(job.pickupLat) || !Number.isFinite(job.pickupLng)) continue;
+    try {
+      const estimate = await estimateEta({
+        from: { lat, lng },
+        to: { lat: job.pickupLat, lng: job.pickupLng },
+        job,
+        now,
+        config,
+      });
+      if (!estimate) continue;
+
+      const distanceKm = Math.round(estimate.distanceKm * 100) / 100;
+      const eta = {
+        minutes: estimate.minutes,
+        distanceKm,
+        method: estimate.method,
+        computedAt: now,
+        arriveBy: new Date(now.getTime() + estimate.minutes * 60_000),
+      };
+      const previous = job.eta || {};
+      const appendHistory =
+        !previous.computedAt ||
+        previous.minutes !== eta.minutes ||
+        now - new Date(previous.computedAt) >= HISTORY_MIN_INTERVAL_MS;
+
+      const update = {
+        $set: {
+          "eta.minutes": eta.minutes,
+          "eta.distanceKm": eta.distanceKm,
+          "eta.method": eta.method,
+          "eta.computedAt": eta.computedAt,
+          "eta.arriveBy": eta.arriveBy,
+        },
+      };
+      if (appendHistory) {
+        update.$push = {
+          etaHistory: {
+            $each: [{ ...eta, lat, lng }],
+            $slice: -ETA_HISTORY_LIMIT,
+          },
+        };
+      }
+      await Job.updateOne({ _id: job._id }, update);
+      updates.push({ jobId: String(job._id), status: job.status, ...eta });
+
+      if (
+        config.alertMinutes > 0 &&
+        eta.minutes <= config.alertMinutes &&
+        !previous.customerAlertedAt
+      ) {
+        const claimed = await Job.findOneAndUpdate(
+          { _id: job._id, "eta.customerAlertedAt": null },
+          { $set: { "eta.customerAlertedAt": now } },
+          { new: true }
+        )
+          .select("_id")
+          .lean();
+        if (claimed) {
+          await sendDriverEtaAlert(job, eta.minutes).catch((error) => {
+            console.error("[eta] Failed to send driver ETA alert", job._id, error);
+          });
+        }
+      }
+    } catch (error) {
+      console.error("[eta] Failed to update job ETA", job._id, error);
+    }
+  }
+  return updates;
+}
+
+/** Public ETA shape for job payloads (null until one has been computed). */
+export function serializeJobEta(job) {
+  const eta = job?.eta;
+  if (!eta?.computedAt || !Number.isFinite(eta.minutes)) return null;
+  return {
+    minutes: eta.minutes,
+    distanceKm: eta.distanceKm ?? null,
+    method: eta.method || null,
+    computedAt: eta.computedAt,
+    arriveBy: eta.arriveBy || null,
+  };
+}
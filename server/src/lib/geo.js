@@ -0,0 +1,43 @@
+// server/src/lib/geo.js
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * Great-circle distance in km between two lat/lng pairs.
+ * Returns Infinity when any coordinate is missing or not a number.
+ */
+export function haversineKm(aLat, aLng, bLat, bLng) {
+  const lat1 = Number(aLat);
+  const lat2 = Number(bLat);
+  const lng1 = Number(aLng);
+  const lng2 = Number(bLng);
+  if (
+    aLat == null ||
+    aLng == null ||
+    bLat == null ||
+    bLng == null ||
+    !Number.isFinite(lat1) ||
+    !Number.isFinite(lat2) ||
+    !Number.isFinite(lng1) ||
+    !Number.isFinite(lng2)
+  ) {
+    return Infinity;
+  }
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const h =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(dLng / 2) *
+      Math.sin(dLng / 2);
+  const c = 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+  return EARTH_RADIUS_KM * c;
+}
+
+// Same as haversineKm but null instead of Infinity, for JSON payloads.
+export function distanceKmOrNull(aLat, aLng, bLat, bLng) {
+  const km = haversineKm(aLat, aLng, bLat, bLng);
+  return Number.isFinite(km) ? km : null;
+}
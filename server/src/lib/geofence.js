@@ -0,0 +1,217 @@
+// server/src/lib/geofence.js
+// Geofence automation driven by vendor location pings: entering the pickup
+// radius moves the job to Arrived, entering the dropoff radius suggests
+// completion to the vendor. Enabled per service type via Settings.geofence.
+import Job from "../models/Jobs.js";
+import Settings from "../models/Settings.js";
+import VendorNotification from "../models/VendorNotification.js";
+import { haversineKm } from "./geo.js";
+import { recordJobEvent } from "./jobEvents.js";
+import { loadJobWorkflow, statusSideEffects } from "./jobWorkflow.js";
+import { sendVendorPushNotifications } from "./push.js";
+
+export const DEFAULT_GEOFENCE_RADIUS_METERS = 150;
+
+const ARRIVE_FROM = ["Assigned", "OnTheWay"];
+const DROPOFF_STATUSES = ["Arrived", "Loaded", "InTransit"];
+
+const positive = (value) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : null;
+};
+
+const normalizeKey = (value) => String(value || "").trim().toLowerCase();
+
+export function sanitizeGeofenceRules(rules) {
+  if (!Array.isArray(rules)) return [];
+  return rules
+    .filter((rule) => rule && typeof rule === "object")
+    .map((rule) => ({
+      serviceType: String(rule.serviceType || "").trim(),
+      autoArrive: rule.autoArrive !== false,
+      suggestCompletion: rule.suggestCompletion !== false,
+      radiusMeters: positive(rule.radiusMeters),
+    }))
+    .filter((rule) => rule.autoArrive || rule.suggestCompletion);
+}
+
+/**
+ * Rule for a job's service type: an exact (case-insensitive) match, else the
+ * catch-all rule with an empty service type, else null (geofencing off).
+ */
+export function resolveGeofenceRule(job, config) {
+  if (!config?.enabled) return null;
+  const service = normalizeKey(job?.serviceType);
+  const rules = config.rules || [];
+  const rule =
+    rules.find((item) => item.serviceType && normalizeKey(item.serviceType) === service) ||
+    rules.find((item) => !item.serviceType) ||
+    null;
+  if (!rule) return null;
+  return {
+    ...rule,
+    radiusMeters:
+      rule.radiusMeters || config.radiusMeters || DEFAULT_GEOFENCE_RADIUS_METERS,
+  };
+}
+
+export async function loadGeofenceConfig() {
+  const settings = await Settings.findOne().select("geofence").lean();
+  return {
+    enabled: Boolean(settings?.geofence?.enabled),
+    radiusMeters:
+      positive(settings?.geofence?.radiusMeters) || DEFAULT_GEOFENCE_RADIUS_METERS,
+    rules: sanitizeGeofenceRules(settings?.geofence?.rules),
+  };
+}
+
+const metersTo = (lat, lng, targetLat, targetLng) =>
+  haversineKm(lat, lng, targetLat, targetLng) * 1000;
+
+async function autoArrive(job, { distanceMeters, radiusMeters, now }) {
+  const workflow = await loadJobWorkflow();
+  const allowed = workflow.transitions.some(
+    (transition) => transition.from === job.status && transition.to === "Arrived"
+  );
+  if (!allowed) return false;
+
+  const set = {
+    status: "Arrived",
+    ...statusSideEffects(job, "Arrived", now),
+    "geofence.pickupEnteredAt": now,
+    "geofence.autoArrivedAt": now,
+  };
+  const updated = await Job.findOneAndUpdate(
+    { _id: job._id, vendorId: job.vendorId, status: job.status },
+    { $set: set },
+    { new: true }
+  );
+  if (!updated) return false;
+
+  await recordJobEvent({
+    job: updated,
+    actor: { role: "system", id: null },
+    source: "geofence",
+    before: job,
+    after: updated,
+    meta: {
+      trigger: "geofence",
+      zone: "pickup",
+      distanceMeters: Math.round(distanceMeters),
+      radiusMeters,
+    },
+  });
+  return true;
+}
+
+async function suggestCompletion(job, { distanceMeters, radiusMeters, now }) {
+  const updated = await Job.findOneAndUpdate(
+    {
+      _id: job._id,
+      vendorId: job.vendorId,
+      status: { $in: DROPOFF_STATUSES },
+      "geofence.completionSuggestedAt": null,
+    },
+    {
+      $set: {
+        "geofence.dropoffEnteredAt": now,
+        "geofence.completionSuggestedAt": now,
+      },
+    },
+    { new: true }
+  ).lean();
+  if (!updated) return false;
+
+  await recordJobEvent({
+    job: updated,
+    type: "updated",
+    actor: { role: "system", id: null },
+    source: "geofence",
+    meta: {
+      trigger: "geofence",
+      zone: "dropoff",
+      suggestion: "complete",
+      distanceMeters: Math.round(distanceMeters),
+      radiusMeters,
+    },
+  });
+
+  try {
+    const notification = await VendorNotification.create({
+      vendorId: job.vendorId,
+      jobId: job._id,
+      source: "geofence",
+      title: "At the drop-off?",
+      body: `You're at the drop-off for ${
+        job.serviceType || "your job"
+      }. Mark the job complete once you're done.`,
+      severity: "info",
+      meta: {
+        role: "vendor",
+        kind: "geofence_completion",
+        jobId: job._id,
+        route: `/vendor/jobs/${job._id}`,
+      },
+    });
+    await sendVendorPushNotifications([notification]);
+  } catch (error) {
+    console.error("[geofence] Failed to notify vendor", job._id, error);
+  }
+  return true;
+}
+
+/**
+ * Check one vendor location ping against the geofences of the vendor's open
+ * jobs. Fixes less accurate than the fence radius are ignored. Returns
+ * [{ jobId, action: "arrived" | "suggest_completion" }] for what fired.
+ */
+export async function evaluateVendorGeofences({ vendorId, lat, lng, accuracy, now = new Date() }) {
+  const config = await loadGeofenceConfig();
+  if (!config.enabled || !vendorId) return [];
+
+  const jobs = await Job.find({
+    vendorId,
+    cancelled: { $ne: true },
+    status: { $in: [...ARRIVE_FROM, ...DROPOFF_STATUSES] },
+  })
+    .select(
+      "status vendorId serviceType pickupLat pickupLng dropoffLat dropoffLng assignedAt onTheWayAt arrivedAt completed cancelled geofence"
+    )
+    .lean();
+
+  const fired = [];
+  for (const job of jobs) {
+    const rule = resolveGeofenceRule(job, config);
+    if (!rule) continue;
+    const { radiusMeters } = rule;
+    const fixAccuracy = positive(accuracy);
+    if (fixAccuracy && fixAccuracy > radiusMeters) continue;
+
+    try {
+      if (rule.autoArrive && ARRIVE_FROM.includes(job.status)) {
+        const distanceMeters = metersTo(lat, lng, job.pickupLat, job.pickupLng);
+        if (distanceMeters <= radiusMeters) {
+          const done = await autoArrive(job, { distanceMeters, radiusMeters, now });
+          if (done) fired.push({ jobId: String(job._id), action: "arrived" });
+        }
+      } else if (
+        rule.suggestCompletion &&
+        DROPOFF_STATUSES.includes(job.status) &&
+        !job.geofence?.completionSuggestedAt
+      ) {
+        const distanceMeters = metersTo(lat, lng, job.dropoffLat, job.dropoffLng);
+        if (distanceMeters <= radiusMeters) {
+          const done = await suggestCompletion(job, {
+            distanceMeters,
+            radiusMeters,
+            now,
+          });
+          if (done) fired.push({ jobId: String(job._id), action: "suggest_completion" });
+        }
+      }
+    } catch (error) {
+      console.error("[geofence] Failed to evaluate job", job._id, error);
+    }
+  }
+  return fired;
+}
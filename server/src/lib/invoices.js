@@ -0,0 +1,411 @@
+// server/src/lib/invoices.js
+// Customer invoices and receipts. Issuing snapshots a completed job's
+// charges (pricing line items, any manual adjustment, tax) under the next
+// number from the "invoice" counter. Payment status is always derived from
+// the job's payment ledger. PDFs render on demand behind signed links; voiding
+// an invoice kills its links, and reissuing numbers a fresh replacement.
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Counter from "../models/Counter.js";
+import Customer from "../models/Customer.js";
+import Invoice from "../models/Invoice.js";
+import Job from "../models/Jobs.js";
+import Settings from "../models/Settings.js";
+import { roundCurrency } from "./commission.js";
+import { getClientBaseUrl } from "./clientUrl.js";
+import { notifyContact } from "./notifier.js";
+import {
+  billedAmount,
+  invoicePaymentLine,
+  loadJobLedger,
+  summarizeLedger,
+} from "./paymentLedger.js";
+import { renderTextPdf } from "./pdf.js";
+import { sendCustomerPushNotifications } from "./push.js";
+
+const TOKEN_TYPE = "invoice";
+
+const LINK_DAYS = (() => {
+  const n = Number(process.env.INVOICE_LINK_DAYS);
+  return Number.isFinite(n) && n > 0 ? n : 365;
+})();
+
+const getSecret = () =>
+  process.env.INVOICE_LINK_SECRET ||
+  `${process.env.JWT_SECRET || "dev_secret"}:invoice`;
+
+const invoiceError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const clean = (value, max = 500) => String(value ?? "").trim().slice(0, max);
+
+export const DEFAULT_INVOICING = {
+  prefix: "INV-",
+  taxRate: 0,
+  taxLabel: "Tax",
+  companyName: "",
+  companyAddress: "",
+  footer: "",
+};
+
+/** Fill gaps in stored/incoming invoicing settings; taxRate is 0-1. */
+export function sanitizeInvoicingSettings(input = {}) {
+  const rate = Number(input.taxRate);
+  return {
+    prefix: clean(input.prefix ?? DEFAULT_INVOICING.prefix, 12),
+    taxRate: Number.isFinite(rate) && rate >= 0 && rate <= 1 ? rate : 0,
+    taxLabel: clean(input.taxLabel, 40) || DEFAULT_INVOICING.taxLabel,
+    companyName: clean(input.companyName, 120),
+    companyAddress: clean(input.companyAddress, 300),
+    footer: clean(input.footer, 500),
+  };
+}
+
+async function loadInvoicingConfig() {
+  const settings = await Settings.findOne()
+    .select("invoicing defaults.currency")
+    .lean();
+  return {
+    ...sanitizeInvoicingSettings(settings?.invoicing || {}),
+    currency: settings?.defaults?.currency || "USD",
+  };
+}
+
+async function nextInvoiceNumber(prefix) {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: "invoice" },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  ).lean();
+  return {
+    sequence: counter.seq,
+    number: `${prefix}${String(counter.seq).padStart(6, "0")}`,
+  };
+}
+
+/**
+ * Line items for a job: the pricing engine breakdown (service, mileage,
+ * surcharges) when there is one, reconciled to the billed amount with an
+ * adjustment line; otherwise a single service line.
+ */
+export function buildInvoiceLines(job) {
+  const billed = billedAmount(job);
+  const quoted = Array.isArray(job.priceQuote?.lineItems) ? job.priceQuote.lineItems : [];
+  if (!quoted.length) {
+    return [
+      { code: "service", label: job.serviceType || "Service", amount: billed },
+    ];
+  }
+  const lines = quoted.map((item) => ({
+    code: item.code,
+    label: item.label,
+    amount: roundCurrency(item.amount),
+  }));
+  const quotedTotal = lines.reduce((sum, item) => sum + item.amount, 0);
+  const difference = roundCurrency(billed - quotedTotal);
+  if (difference !== 0) {
+    lines.push({ code: "adjustment", label: "Price adjustment", amount: difference });
+  }
+  return lines;
+}
+
+/** Invoice payment fields for `total` from the job's ledger. */
+async function summarizePayments(jobId, total) {
+  const rows = await loadJobLedger(jobId);
+  const summary = summarizeLedger(rows, total);
+  return {
+    payments: rows.map(invoicePaymentLine),
+    amountPaid: summary.amountPaid,
+    balanceDue: summary.balance,
+    paymentStatus: summary.status,
+  };
+}
+
+async function createInvoice(job, { replaces = null } = {}) {
+  const config = await loadInvoicingConfig();
+  const customer = job.customerId
+    ? await Customer.findById(job.customerId).select("name email phone").lean()
+    : null;
+
+  const lineItems = buildInvoiceLines(job);
+  const subtotal = roundCurrency(lineItems.reduce((sum, item) => sum + item.amount, 0));
+  const tax = roundCurrency(subtotal * config.taxRate);
+  const total = roundCurrency(subtotal + tax);
+  const { sequence, number } = await nextInvoiceNumber(config.prefix);
+
+  return Invoice.create({
+    number,
+    sequence,
+    jobId: job._id,
+    customerId: job.customerId || null,
+    vendorId: job.vendorId || null,
+    customer: {
+      name: customer?.name || job.customerName || "",
+      email: customer?.email || "",
+      phone: customer?.phone || "",
+    },
+    serviceType: job.serviceType || "",
+    pickupAddress: job.pickupAddress || "",
+    dropoffAddress: job.dropoffAddress || "",
+    completedAt: job.completedAt || job.completed || null,
+    currency: job.priceQuote?.currency || config.currency,
+    lineItems,
+    subtotal,
+    taxRate: config.taxRate,
+    taxLabel: config.taxLabel,
+    tax,
+    total,
+    ...(await summarizePayments(job._id, total)),
+    replacesInvoiceId: replaces?._id || null,
+  });
+}
+
+/**
+ * The live invoice for a completed job, issuing one if there is none yet.
+ * Returns { invoice, created }.
+ */
+export async function issueInvoiceForJob(job) {
+  if (!job) throw invoiceError("Job not found", 404);
+  if (job.status !== "Completed") {
+    throw invoiceError("Only completed jobs can be invoiced", 409);
+  }
+  const existing = await Invoice.findOne({ jobId: job._id, status: "issued" });
+  if (existing) return { invoice: existing, created: false };
+  try {
+    return { invoice: await createInvoice(job), created: true };
+  } catch (error) {
+    // Lost a race with another issue for the same job.
+    if (error?.code === 11000) {
+      const winner = await Invoice.findOne({ jobId: job._id, status: "issued" });
+      if (winner) return { invoice: winner, created: false };
+    }
+    throw error;
+  }
+}
+
+async function loadIssuedInvoice(id) {
+  if (!mongoose.isValidObjectId(id)) throw invoiceError("Invalid invoice id", 400);
+  const invoice = await Invoice.findById(id);
+  if (!invoice) throw invoiceError("Invoice not found", 404);
+  if (invoice.status === "void") {
+    throw invoiceError("Invoice is already void", 409);
+  }
+  return invoice;
+}
+
+export async function voidInvoice(id, { reason, actor = null } = {}) {
+  const invoice = await loadIssuedInvoice(id);
+  invoice.status = "void";
+  invoice.voidedAt = new Date();
+  invoice.voidReason = clean(reason, 240) || undefined;
+  invoice.voidedBy = actor
+    ? { role: actor.role, id: actor.id ? String(actor.id) : undefined }
+    : undefined;
+  await invoice.save();
+  return invoice;
+}
+
+/**
+ * Void an invoice and issue a newly numbered one from the job as it stands
+ * now (e.g. after a price correction). Returns { voided, invoice }.
+ */
+export async function reissueInvoice(id, { reason, actor = null } = {}) {
+  const current = await loadIssuedInvoice(id);
+  const job = await Job.findById(current.jobId).lean();
+  if (!job) throw invoiceError("Job not found", 404);
+  const voided = await voidInvoice(id, { reason: reason || "Reissued", actor });
+  const invoice = await createInvoice(job, { replaces: voided });
+  voided.replacedByInvoiceId = invoice._id;
+  await voided.save();
+  return { voided, invoice };
+}
+
+export function mintInvoiceToken(invoice) {
+  return jwt.sign({ typ: TOKEN_TYPE, iid: String(invoice._id) }, getSecret(), {
+    expiresIn: `${LINK_DAYS}d`,
+  });
+}
+
+export const invoicePath = (invoice) => `/invoice/${mintInvoiceToken(invoice)}`;
+
+export function buildInvoiceUrl(invoice, base = getClientBaseUrl()) {
+  return `${String(base || "").replace(/\/$/, "")}${invoicePath(invoice)}`;
+}
+
+/** Link to a job's live invoice, or null when none has been issued. */
+export async function invoiceUrlForJob(jobId, base) {
+  const invoice = await Invoice.findOne({ jobId, status: "issued" })
+    .select("_id")
+    .lean();
+  return invoice ? buildInvoiceUrl(invoice, base) : null;
+}
+
+/** Load the invoice behind a signed link: 401 bad link, 410 voided. */
+export async function resolveInvoiceToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(String(token || ""), getSecret());
+  } catch {
+    throw invoiceError("Invalid or expired invoice link.", 401);
+  }
+  if (payload?.typ !== TOKEN_TYPE || !mongoose.isValidObjectId(payload.iid)) {
+    throw invoiceError("Invalid or expired invoice link.", 401);
+  }
+  const invoice = await Invoice.findById(payload.iid).lean();
+  if (!invoice) throw invoiceError("Invoice not found.", 404);
+  if (invoice.status === "void") {
+    throw invoiceError("This invoice was voided.", 410);
+  }
+  return invoice;
+}
+
+/** Customer-safe view used by the public invoice page. */
+export function serializePublicInvoice(invoice) {
+  return {
+    number: invoice.number,
+    kind: invoice.paymentStatus === "paid" ? "receipt" : "invoice",
+    issuedAt: invoice.issuedAt,
+    customerName: invoice.customer?.name || "",
+    serviceType: invoice.serviceType,
+    pickupAddress: invoice.pickupAddress,
+    dropoffAddress: invoice.dropoffAddress,
+    completedAt: invoice.completedAt,
+    currency: invoice.currency,
+    lineItems: invoice.lineItems,
+    subtotal: invoice.subtotal,
+    taxLabel: invoice.taxLabel,
+    taxRate: invoice.taxRate,
+    tax: invoice.tax,
+    total: invoice.total,
+    amountPaid: invoice.amountPaid,
+    balanceDue: invoice.balanceDue,
+    paymentStatus: invoice.paymentStatus,
+    payments: (invoice.payments || []).map(({ kind, amount, method, receivedAt }) => ({
+      kind: kind || "payment",
+      amount,
+      method,
+      receivedAt,
+    })),
+  };
+}
+
+const formatDate = (value) =>
+  value ? new Date(value).toISOString().slice(0, 10) : "";
+
+const money = (value, currency) => `${roundCurrency(value).toFixed(2)} ${currency}`;
+
+const PAYMENT_STATUS_LABELS = {
+  paid: "PAID IN FULL",
+  refunded: "REFUNDED",
+  disputed: "PAYMENT DISPUTED",
+  partial: "PARTIALLY PAID",
+  unpaid: "UNPAID",
+};
+
+export async function invoicePdf(invoice) {
+  const config = await loadInvoicingConfig();
+  const currency = invoice.currency || "USD";
+  const pad = (value, width) => String(value ?? "").slice(0, width).padEnd(width);
+  const total = (label, value) => `${pad(label, 72)}${money(value, currency).padStart(14)}`;
+  const receipt = invoice.paymentStatus === "paid";
+  const taxLabel = `${invoice.taxLabel || "Tax"} (${roundCurrency(
+    (invoice.taxRate || 0) * 100
+  )}%)`;
+
+  const lines = [
+    config.companyName || null,
+    config.companyAddress || null,
+    config.companyName || config.companyAddress ? "" : null,
+    `${receipt ? "Receipt" : "Invoice"}:  ${invoice.number}`,
+    `Issued:    ${formatDate(invoice.issuedAt)}`,
+    `Customer:  ${invoice.customer?.name || "-"}`,
+    `Service:   ${invoice.serviceType || "-"}`,
+    invoice.pickupAddress ? `Pickup:    ${invoice.pickupAddress}` : null,
+    invoice.dropoffAddress ? `Drop-off:  ${invoice.dropoffAddress}` : null,
+    invoice.completedAt ? `Completed: ${formatDate(invoice.completedAt)}` : null,
+    "",
+    `${pad("Description", 72)}${"Amount".padStart(14)}`,
+    "-".repeat(86),
+    ...invoice.lineItems.map(
+      (item) =>
+        `${pad(item.label, 72)}${roundCurrency(item.amount).toFixed(2).padStart(14)}`
+    ),
+    "-".repeat(86),
+    total("Subtotal", invoice.subtotal),
+    invoice.tax ? total(taxLabel, invoice.tax) : null,
+    total("Total", invoice.total),
+    total("Paid", invoice.amountPaid),
+    total("Balance due", invoice.balanceDue),
+    "",
+    ...(invoice.payments || []).map((payment) => {
+      const kind = payment.kind || "payment";
+      const outflow = kind === "refund" || kind === "chargeback";
+      return `${pad(formatDate(payment.receivedAt), 12)}${pad(kind, 12)}${pad(
+        payment.method,
+        48
+      )}${money(outflow ? -payment.amount : payment.amount, currency).padStart(14)}`;
+    }),
+    (invoice.payments || []).length ? "" : null,
+    `Status: ${PAYMENT_STATUS_LABELS[invoice.paymentStatus] || "UNPAID"}`,
+    config.footer ? "" : null,
+    config.footer || null,
+  ].filter((line) => line !== null && line !== undefined);
+
+  return renderTextPdf({ title: receipt ? "Receipt" : "Invoice", lines });
+}
+
+/** Send the customer their invoice link by SMS/email and push. Best-effort. */
+export async function sendInvoiceToCustomer(invoice, { baseUrl } = {}) {
+  const url = buildInvoiceUrl(invoice, baseUrl || getClientBaseUrl());
+  const receipt = invoice.paymentStatus === "paid";
+  const kind = receipt ? "receipt" : "invoice";
+  const service = invoice.serviceType || "your service";
+  const body = `Your ${kind} ${invoice.number} for ${service} (${money(
+    invoice.total,
+    invoice.currency
+  )}) is ready.`;
+
+  await notifyContact("customer", {
+    phone: invoice.customer?.phone,
+    email: invoice.customer?.email,
+    sms: `${body} View or download: ${url}`,
+    emailMessage: {
+      template: "invoiceIssued",
+      data: {
+        customerName: invoice.customer?.name,
+        number: invoice.number,
+        service: invoice.serviceType,
+        total: money(invoice.total, invoice.currency),
+        balanceDue:
+          invoice.balanceDue > 0 ? money(invoice.balanceDue, invoice.currency) : null,
+        receipt,
+        invoiceUrl: url,
+      },
+    },
+    jobId: invoice.jobId,
+  });
+
+  if (invoice.customerId) {
+    await sendCustomerPushNotifications([
+      {
+        customerId: invoice.customerId,
+        jobId: invoice.jobId,
+        title: receipt ? "Your receipt is ready" : "Your invoice is ready",
+        body,
+        severity: "info",
+        meta: {
+          role: "customer",
+          jobId: invoice.jobId,
+          kind: "invoice_issued",
+          route: invoicePath(invoice),
+          absoluteUrl: url,
+          dedupeKey: `customer:invoice:${invoice._id}`,
+        },
+      },
+    ]);
+  }
+  return url;
+}
@@ -1,5 +1,9 @@
 import { getCommissionSettings, evaluateCommission } from "./commission.js";
 import { chargeVendorCommission } from "./billing.js";
+import { recordJobEvent } from "./jobEvents.js";
+import { issueInvoiceForJob, sendInvoiceToCustomer } from "./invoices.js";
+import { recordLedgerEntry } from "./paymentLedger.js";
+import { PAYMENT_METHODS } from "../models/Payment.js";
 
 const sanitizeNote = (note) => {
   if (!note) return undefined;
@@ -11,7 +15,11 @@ export async function completeJobWithPayment(job, {
   method = null,
   note,
   actor = "vendor",
+  eventActor = null,
+  source = null,
   autoCharge,
+  clientBaseUrl = null,
+  collectedBy = null,
 } = {}) {
   if (!job) throw new Error("job document required");
   const numericAmount = Number(amount);
@@ -19,13 +27,13 @@ export async function completeJobWithPayment(job, {
     throw new Error("amount must be greater than 0");
   }
 
+  const before = job.toObject();
   const config = await getCommissionSettings();
   const summary = evaluateCommission(job, numericAmount, { config });
   const now = new Date();
 
   job.status = "Completed";
   job.completed = job.completed || now;
-  job.paymentStatus = "paid";
   if (method) job.paymentMethod = method;
   job.paymentDate = now;
 
@@ -54,6 +62,15 @@ export async function completeJobWithPayment(job, {
   job.serviceFee = summary.commissionAmount;
 
   await job.save();
+  await recordJobEvent({
+    job,
+    type: "completed",
+    actor: eventActor || { role: actor, id: null },
+    source: source || `${actor}.complete`,
+    before,
+    after: job,
+    meta: { flagged: summary.flagged },
+  });
 
   let charge = null;
   const shouldCharge = autoCharge ?? summary.shouldAutoCharge;
@@ -70,5 +87,38 @@ export async function completeJobWithPayment(job, {
     await job.save();
   }
 
-  return { summary, job, charge };
+  // The reported amount goes on the ledger once (re-completing is a no-op),
+  // which is what moves paymentStatus. Money taken at the scene is the
+  // vendor's unless the caller says otherwise.
+  try {
+    const { summary: payment } = await recordLedgerEntry(job, {
+      kind: "payment",
+      amount: numericAmount,
+      method: PAYMENT_METHODS.includes(method) ? method : "other",
+      receivedAt: now,
+      note: sanitizeNote(note),
+      collectedBy: collectedBy || (job.vendorId ? "vendor" : "company"),
+      actor: eventActor || { role: actor, id: null },
+      sourceKey: `completion:${job._id}`,
+    });
+    if (payment) {
+      job.paymentStatus = payment.status;
+      job.amountPaid = payment.amountPaid;
+      job.paymentBalance = payment.balance;
+    }
+  } catch (error) {
+    console.error("[payments] Failed to record completion payment", job._id, error);
+  }
+
+  // The customer's invoice/receipt link goes out with completion; a failure
+  // here must not undo the completion itself.
+  let invoice = null;
+  try {
+    ({ invoice } = await issueInvoiceForJob(job));
+    await sendInvoiceToCustomer(invoice, { baseUrl: clientBaseUrl });
+  } catch (error) {
+    console.error("[invoices] Failed to issue invoice on completion", job._id, error);
+  }
+
+  return { summary, job, charge, invoice };
 }
@@ -0,0 +1,130 @@
+// server/src/lib/jobEvents.js
+import mongoose from "mongoose";
+import JobEvent from "../models/JobEvent.js";
+import { decodeRequestActor } from "./authTokens.js";
+
+// Job fields whose changes are worth keeping in the audit trail.
+const TRACKED_FIELDS = [
+  "status",
+  "vendorId",
+  "vendorName",
+  "vendorPhone",
+  "selectedBidId",
+  "biddingOpen",
+  "quotedPrice",
+  "finalPrice",
+  "priority",
+  "notes",
+  "serviceType",
+  "pickupAddress",
+  "dropoffAddress",
+  "scheduling",
+  "cancellationReason",
+  "paymentStatus",
+  "paymentMethod",
+  "reportedPayment.amount",
+  "reportedPayment.method",
+  "commission.amount",
+  "commission.status",
+];
+
+const plain = (doc) =>
+  doc && typeof doc.toObject === "function" ? doc.toObject() : doc || {};
+
+const readPath = (obj, path) =>
+  path.split(".").reduce((acc, key) => (acc == null ? acc : acc[key]), obj);
+
+const normalizeValue = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") {
+    return JSON.parse(JSON.stringify(value));
+  }
+  return value;
+};
+
+/**
+ * Field-level diff of two job snapshots (documents or lean objects).
+ * Returns [{ field, from, to }] for the tracked fields that changed.
+ */
+export function diffJob(before, after, fields = TRACKED_FIELDS) {
+  const prev = plain(before);
+  const next = plain(after);
+  const changes = [];
+  for (const field of fields) {
+    const from = normalizeValue(readPath(prev, field));
+    const to = normalizeValue(readPath(next, field));
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Who made the request: the authenticated admin or vendor when the route
+ * resolved one, otherwise whatever bearer token was sent, else `fallbackRole`.
+ * Admin is only ever recorded from a verified staff identity, together
+ * with its `staffRole` (dispatcher, finance, ...).
+ */
+export function actorFromRequest(req, fallbackRole = "system") {
+  if (req?.adminId) {
+    return { role: "admin", id: String(req.adminId), staffRole: req.adminRole };
+  }
+  if (req?.vendorId) return { role: "vendor", id: String(req.vendorId) };
+  try {
+    const actor = decodeRequestActor(req);
+    return actor.role === "admin"
+      ? { role: "admin", id: actor.id, staffRole: actor.staffRole }
+      : { role: actor.role, id: actor.id };
+  } catch {
+    return { role: fallbackRole === "admin" ? "system" : fallbackRole, id: null };
+  }
+}
+
+// Pick the most specific event type for a set of changes.
+const inferType = (changes) => {
+  const status = changes.find((change) => change.field === "status");
+  if (status?.to === "Completed") return "completed";
+  if (status?.to === "Cancelled") return "cancelled";
+  const vendor = changes.find((change) => change.field === "vendorId");
+  if (vendor) return vendor.to ? "assigned" : "unassigned";
+  if (status) return "status_changed";
+  return "updated";
+};
+
+/**
+ * Append an event for one job mutation. Pass `before`/`after` snapshots to
+ * capture a diff; `type` is inferred from the diff when omitted. Updates
+ * that change nothing tracked are skipped unless `type` is given.
+ * Never throws: a failed audit write is logged, not surfaced to the caller.
+ */
+export async function recordJobEvent({
+  job,
+  jobId,
+  type,
+  actor,
+  source,
+  before = null,
+  after = null,
+  meta = {},
+}) {
+  try {
+    const id = jobId || job?._id;
+    if (!id) return null;
+    const changes = before || after ? diffJob(before, after || job) : [];
+    if (!type && !changes.length) return null;
+    return await JobEvent.create({
+      jobId: id,
+      type: type || inferType(changes),
+      actor: actor || { role: "system", id: null },
+      source,
+      changes,
+      meta,
+    });
+  } catch (error) {
+    console.error("[jobEvents] failed to record event", error);
+    return null;
+  }
+}
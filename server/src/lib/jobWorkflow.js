@@ -0,0 +1,314 @@
+// server/src/lib/jobWorkflow.js
+// Single source of truth for job statuses: labels, customer copy, the
+// timestamp each status stamps, and which roles may move between them.
+// Settings.jobWorkflow can relabel statuses or replace the transition
+// table; Settings.workflow.advancedJobWorkflow unlocks the advanced states.
+import Settings from "../models/Settings.js";
+import { STAFF_ROLES } from "../middleware/authorize.js";
+
+export const WORKFLOW_ROLES = [...STAFF_ROLES, "vendor"];
+
+export const JOB_STATUS_CATALOG = [
+  {
+    key: "Unassigned",
+    label: "Unassigned",
+    customerTitle: "Request received",
+    customerMessage:
+      "We received your request and will notify you once a provider accepts.",
+    timestampField: null,
+  },
+  {
+    key: "Assigned",
+    label: "Assigned",
+    customerTitle: "Driver assigned",
+    customerMessage:
+      "A provider has been assigned. Track their progress from your dashboard.",
+    timestampField: "assignedAt",
+  },
+  {
+    key: "OnTheWay",
+    label: "On the way",
+    customerTitle: "Driver en route",
+    customerMessage: "Your provider is en route. Hang tight.",
+    timestampField: "onTheWayAt",
+  },
+  {
+    key: "Arrived",
+    label: "Arrived",
+    customerTitle: "Driver arrived",
+    customerMessage: "Your provider has arrived at the pickup location.",
+    timestampField: "arrivedAt",
+  },
+  {
+    key: "Loaded",
+    label: "Loaded",
+    customerTitle: "Vehicle loaded",
+    customerMessage: "Your vehicle is loaded and getting ready to move.",
+    timestampField: "loadedAt",
+    advanced: true,
+  },
+  {
+    key: "InTransit",
+    label: "In transit",
+    customerTitle: "Vehicle in transit",
+    customerMessage: "Your vehicle is on its way to the drop-off location.",
+    timestampField: "inTransitAt",
+    advanced: true,
+  },
+  {
+    key: "OnHold",
+    label: "On hold",
+    customerTitle: "Job on hold",
+    customerMessage:
+      "Your job is temporarily on hold. Our dispatch team will follow up shortly.",
+    timestampField: "onHoldAt",
+    advanced: true,
+  },
+  {
+    key: "Completed",
+    label: "Completed",
+    customerTitle: "Service completed",
+    customerMessage: "Service completed. Thanks for choosing ServiceOps.",
+    timestampField: "completedAt",
+    terminal: true,
+  },
+  {
+    key: "Cancelled",
+    label: "Cancelled",
+    customerTitle: "Job cancelled",
+    customerMessage: "Your job has been cancelled. Reach out if you still need help.",
+    timestampField: "cancelledAt",
+    terminal: true,
+  },
+  {
+    key: "GOA",
+    label: "Gone on arrival",
+    customerTitle: "Provider could not find the vehicle",
+    customerMessage:
+      "Your provider arrived but could not locate the vehicle. Contact us to reschedule.",
+    timestampField: "goaAt",
+    terminal: true,
+    advanced: true,
+  },
+];
+
+export const JOB_STATUS_KEYS = JOB_STATUS_CATALOG.map((status) => status.key);
+
+export const TERMINAL_STATUSES = JOB_STATUS_CATALOG.filter(
+  (status) => status.terminal
+).map((status) => status.key);
+
+const CATALOG_BY_KEY = new Map(
+  JOB_STATUS_CATALOG.map((status) => [status.key, status])
+);
+
+const ACTIVE_STATES = ["Assigned", "OnTheWay", "Arrived", "Loaded", "InTransit"];
+
+// "*" as `from` means every non-terminal status.
+export const DEFAULT_JOB_TRANSITIONS = [
+  { from: "Unassigned", to: "Assigned", roles: ["admin", "dispatcher"] },
+  { from: "Assigned", to: "OnTheWay", roles: ["admin", "dispatcher", "vendor"] },
+  { from: "Assigned", to: "Arrived", roles: ["admin", "dispatcher"] },
+  { from: "Assigned", to: "Completed", roles: ["admin", "dispatcher"] },
+  { from: "Assigned", to: "Unassigned", roles: ["admin", "dispatcher"] },
+  { from: "OnTheWay", to: "Arrived", roles: ["admin", "dispatcher", "vendor"] },
+  { from: "OnTheWay", to: "Completed", roles: ["admin", "dispatcher", "vendor"] },
+  { from: "OnTheWay", to: "Assigned", roles: ["admin", "dispatcher"] },
+  { from: "Arrived", to: "Completed", roles: ["admin", "dispatcher", "vendor"] },
+  { from: "Arrived", to: "OnTheWay", roles: ["admin", "dispatcher"] },
+  { from: "Arrived", to: "Loaded", roles: ["admin", "dispatcher", "vendor"] },
+  { from: "Arrived", to: "GOA", roles: ["admin", "dispatcher", "vendor"] },
+  { from: "Loaded", to: "InTransit", roles: ["admin", "dispatcher", "vendor"] },
+  { from: "Loaded", to: "Arrived", roles: ["admin", "dispatcher"] },
+  { from: "InTransit", to: "Completed", roles: ["admin", "dispatcher", "vendor"] },
+  { from: "InTransit", to: "Loaded", roles: ["admin", "dispatcher"] },
+  { from: "Completed", to: "Arrived", roles: ["admin", "dispatcher"] },
+  { from: "*", to: "OnHold", roles: ["admin", "dispatcher"] },
+  ...["Unassigned", ...ACTIVE_STATES].map((to) => ({
+    from: "OnHold",
+    to,
+    roles: ["admin", "dispatcher"],
+  })),
+  { from: "*", to: "Cancelled", roles: ["admin", "dispatcher"] },
+  { from: "Cancelled", to: "Unassigned", roles: ["admin", "dispatcher"] },
+  { from: "GOA", to: "Unassigned", roles: ["admin", "dispatcher"] },
+];
+
+const sanitizeRoles = (roles) =>
+  Array.isArray(roles)
+    ? roles.filter((role) => WORKFLOW_ROLES.includes(role))
+    : [];
+
+const isKnownStatus = (key) => CATALOG_BY_KEY.has(key);
+
+/**
+ * Clean a Settings.jobWorkflow payload: unknown status keys and roles are
+ * dropped so the stored definition always matches the Job schema enum.
+ */
+export function sanitizeJobWorkflow(input = {}) {
+  const statuses = Array.isArray(input.statuses)
+    ? input.statuses
+        .filter((status) => status && isKnownStatus(status.key))
+        .map((status) => ({
+          key: status.key,
+          label: typeof status.label === "string" ? status.label.trim() : "",
+          customerTitle:
+            typeof status.customerTitle === "string"
+              ? status.customerTitle.trim()
+              : "",
+          customerMessage:
+            typeof status.customerMessage === "string"
+              ? status.customerMessage.trim()
+              : "",
+          enabled: status.enabled !== false,
+        }))
+    : [];
+
+  const transitions = Array.isArray(input.transitions)
+    ? input.transitions
+        .filter(
+          (transition) =>
+            transition &&
+            (transition.from === "*" || isKnownStatus(transition.from)) &&
+            isKnownStatus(transition.to)
+        )
+        .map((transition) => ({
+          from: transition.from,
+          to: transition.to,
+          roles: sanitizeRoles(transition.roles),
+        }))
+        .filter((transition) => transition.roles.length)
+    : [];
+
+  return { statuses, transitions };
+}
+
+/**
+ * Resolve the active workflow from a Settings document (lean or hydrated).
+ * Returns { advanced, statuses, transitions } with "*" expanded.
+ */
+export function buildJobWorkflow(settings) {
+  const advanced = Boolean(settings?.workflow?.advancedJobWorkflow);
+  const overrides = new Map(
+    (settings?.jobWorkflow?.statuses || []).map((status) => [status.key, status])
+  );
+
+  const statuses = JOB_STATUS_CATALOG.filter((status) => {
+    if (status.advanced && !advanced) return false;
+    return overrides.get(status.key)?.enabled !== false;
+  }).map((status) => {
+    const override = overrides.get(status.key) || {};
+    return {
+      key: status.key,
+      label: override.label || status.label,
+      customerTitle: override.customerTitle || status.customerTitle,
+      customerMessage: override.customerMessage || status.customerMessage,
+      terminal: Boolean(status.terminal),
+      advanced: Boolean(status.advanced),
+    };
+  });
+
+  const enabled = new Set(statuses.map((status) => status.key));
+  const configured = settings?.jobWorkflow?.transitions;
+  const source =
+    Array.isArray(configured) && configured.length
+      ? configured
+      : DEFAULT_JOB_TRANSITIONS;
+
+  const seen = new Map();
+  for (const transition of source) {
+    const froms =
+      transition.from === "*"
+        ? statuses
+            .filter((status) => !status.terminal && status.key !== transition.to)
+            .map((status) => status.key)
+        : [transition.from];
+    for (const from of froms) {
+      if (!enabled.has(from) || !enabled.has(transition.to)) continue;
+      const id = `${from}>${transition.to}`;
+      const roles = new Set([
+        ...(seen.get(id)?.roles || []),
+        ...sanitizeRoles(transition.roles),
+      ]);
+      seen.set(id, { from, to: transition.to, roles: [...roles] });
+    }
+  }
+
+  return { advanced, statuses, transitions: [...seen.values()] };
+}
+
+export async function loadJobWorkflow() {
+  const settings = await Settings.findOne()
+    .select("workflow.advancedJobWorkflow jobWorkflow")
+    .lean();
+  return buildJobWorkflow(settings);
+}
+
+export function getStatusDefinition(workflow, key) {
+  return (
+    workflow?.statuses?.find((status) => status.key === key) ||
+    CATALOG_BY_KEY.get(key) ||
+    null
+  );
+}
+
+/** Transitions `role` may make from `from`; admin may make every one. */
+export function allowedNextStatuses(workflow, from, role) {
+  return workflow.transitions
+    .filter(
+      (transition) =>
+        transition.from === from &&
+        (role === "admin" || transition.roles.includes(role))
+    )
+    .map((transition) => transition.to);
+}
+
+/**
+ * Throw a 400 for statuses the workflow does not know and a 409 for
+ * transitions the role may not make. Same-status moves are a no-op.
+ */
+export function assertTransition(workflow, from, to, role) {
+  if (!workflow.statuses.some((status) => status.key === to)) {
+    const err = new Error("Invalid status");
+    err.status = 400;
+    throw err;
+  }
+  if (from === to) return;
+  if (!allowedNextStatuses(workflow, from, role).includes(to)) {
+    const err = new Error(`Cannot move job from ${from} to ${to}`);
+    err.status = 409;
+    throw err;
+  }
+}
+
+/**
+ * Field updates that accompany a status change: first-time timestamps,
+ * the legacy `cancelled` / `completed` mirrors and the time spent OnHold,
+ * which lib/sla.js adds back to the SLA clocks.
+ */
+export function statusSideEffects(job, nextStatus, now = new Date()) {
+  const set = {};
+  const field = CATALOG_BY_KEY.get(nextStatus)?.timestampField;
+  if (field && !job?.[field]) set[field] = now;
+
+  // jobs already on hold before heldSince existed fall back to onHoldAt
+  const heldSince =
+    job?.sla?.heldSince || (job?.status === "OnHold" ? job?.onHoldAt : null);
+  if (nextStatus === "OnHold") {
+    if (!job?.sla?.heldSince) set["sla.heldSince"] = now;
+  } else if (heldSince) {
+    const held = Math.max(0, now.getTime() - new Date(heldSince).getTime());
+    set["sla.heldMs"] = (job.sla?.heldMs || 0) + held;
+    set["sla.heldSince"] = null;
+  }
+
+  if (nextStatus === "Completed" && !job?.completed) {
+    set.completed = now;
+  }
+  if (nextStatus === "Cancelled") {
+    set.cancelled = true;
+  } else if (job?.cancelled) {
+    set.cancelled = false;
+  }
+  return set;
+}
@@ -1,44 +1,106 @@
-import Outbox from "../models/Outbox.js";
-
-let twilioClient = null;
-const { TWILIO_SID, TWILIO_TOKEN, TWILIO_FROM } = process.env;
-if (TWILIO_SID && TWILIO_TOKEN) {
-  const twilio = await import("twilio");
-  twilioClient = twilio.default(TWILIO_SID, TWILIO_TOKEN);
-}
+import Outbox, { outboxBackoffMs } from "../models/Outbox.js";
+import Settings from "../models/Settings.js";
+import { renderEmail } from "./emailTemplates.js";
+import { smtpTransport, twilioTransport } from "./outboxTransports.js";
 
 /**
- * Send SMS if Twilio creds exist, else queue in Outbox.
- * Returns { ok, queuedId? } or throws.
+ * Try the transport right away; when it is missing or errors, leave the
+ * message in the Outbox for the dispatcher to retry.
  */
-export async function notifySMS(to, body, jobId = null) {
-  if (!to || !body) throw new Error("Missing to/body");
-
-  if (twilioClient && TWILIO_FROM) {
+async function sendOrQueue(transport, record) {
+  if (transport) {
     try {
-      await twilioClient.messages.create({ from: TWILIO_FROM, to, body });
+      await transport.send(record);
       return { ok: true };
     } catch (e) {
-      // fall back to queue if Twilio fails
+      // fall back to queue if the provider fails; the outbox dispatcher retries it
+      const now = new Date();
       const rec = await Outbox.create({
-        kind: "sms",
-        to,
-        body,
-        jobId,
+        ...record,
         status: "failed",
         error: e.message,
+        attempts: 1,
+        lastAttemptAt: now,
+        nextAttemptAt: new Date(now.getTime() + outboxBackoffMs(1)),
       });
       return { ok: false, queuedId: rec._id };
     }
   }
 
-  // No Twilio -> queue for later
-  const rec = await Outbox.create({
-    kind: "sms",
+  // No provider -> queue for later
+  const rec = await Outbox.create({ ...record, status: "queued" });
+  return { ok: true, queuedId: rec._id };
+}
+
+/**
+ * Send SMS if Twilio creds exist, else queue in Outbox.
+ * Returns { ok, queuedId? } or throws.
+ */
+export async function notifySMS(to, body, jobId = null) {
+  if (!to || !body) throw new Error("Missing to/body");
+  return sendOrQueue(twilioTransport, { kind: "sms", to, body, jobId });
+}
+
+/**
+ * Send email over SMTP if configured, else queue in Outbox.
+ * `message` is either { subject, text, html? } or { template, data }
+ * rendered through lib/emailTemplates.js.
+ * Returns { ok, queuedId? } or throws.
+ */
+export async function notifyEmail(to, message, jobId = null) {
+  const rendered = message?.template
+    ? renderEmail(message.template, message.data)
+    : message;
+  if (!to || !rendered?.subject || !rendered?.text) {
+    throw new Error("Missing to/subject/text");
+  }
+  return sendOrQueue(smtpTransport, {
+    kind: "email",
     to,
-    body,
+    subject: rendered.subject,
+    body: rendered.text,
+    html: rendered.html,
     jobId,
-    status: "queued",
   });
-  return { ok: true, queuedId: rec._id };
+}
+
+const CHANNEL_DEFAULTS = {
+  customer: { sms: true, email: true, push: false },
+  vendor: { sms: true, email: false, push: true },
+};
+
+/**
+ * Channel toggles from Settings.automation.alerts.<audience>.channels.
+ */
+export async function getChannelPreferences(audience) {
+  const fallback = CHANNEL_DEFAULTS[audience] || { sms: true, email: false, push: false };
+  const settings = await Settings.findOne()
+    .select(`automation.alerts.${audience}.channels`)
+    .lean();
+  const channels = settings?.automation?.alerts?.[audience]?.channels || {};
+  return {
+    sms: channels.sms !== undefined ? Boolean(channels.sms) : fallback.sms,
+    email: channels.email !== undefined ? Boolean(channels.email) : fallback.email,
+    push: channels.push !== undefined ? Boolean(channels.push) : fallback.push,
+  };
+}
+
+/**
+ * Send one message over every enabled channel the recipient can receive.
+ * Returns { sms, email } results (null when a channel was skipped).
+ */
+export async function notifyContact(
+  audience,
+  { phone, email, sms, emailMessage, jobId = null, channels = null }
+) {
+  const prefs = channels || (await getChannelPreferences(audience));
+  const results = { sms: null, email: null };
+
+  if (prefs.sms && phone && sms) {
+    results.sms = await notifySMS(phone, sms, jobId);
+  }
+  if (prefs.email && email && emailMessage) {
+    results.email = await notifyEmail(email, emailMessage, jobId);
+  }
+  return results;
 }
@@ -0,0 +1,119 @@
+import fsPromises from "fs/promises";
+import path from "path";
+
+/**
+ * Outbox transports deliver a single Outbox record. A transport is
+ * `{ name, send(item) }` where `send` resolves on delivery and throws on
+ * failure; the dispatcher owns retries. Transports are resolved per kind
+ * ("sms", "email"), and OUTBOX_TRANSPORT=console|file overrides every kind
+ * so delivery can be verified locally without real providers.
+ */
+
+const transports = new Map();
+
+const { TWILIO_SID, TWILIO_TOKEN, TWILIO_FROM } = process.env;
+let twilioClient = null;
+if (TWILIO_SID && TWILIO_TOKEN) {
+  const twilio = await import("twilio");
+  twilioClient = twilio.default(TWILIO_SID, TWILIO_TOKEN);
+}
+
+export const twilioTransport =
+  twilioClient && TWILIO_FROM
+    ? {
+        name: "twilio",
+        async send(item) {
+          await twilioClient.messages.create({
+            from: TWILIO_FROM,
+            to: item.to,
+            body: item.body,
+          });
+        },
+      }
+    : null;
+
+const { SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS } = process.env;
+const EMAIL_FROM = process.env.EMAIL_FROM || SMTP_USER || "no-reply@serviceops.local";
+let smtpClient = null;
+if (SMTP_HOST) {
+  const nodemailer = await import("nodemailer");
+  smtpClient = nodemailer.default.createTransport({
+    host: SMTP_HOST,
+    port: Number(SMTP_PORT) || 587,
+    secure: String(SMTP_SECURE || "").toLowerCase() === "true",
+    auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+  });
+}
+
+export const smtpTransport = smtpClient
+  ? {
+      name: "smtp",
+      async send(item) {
+        await smtpClient.sendMail({
+          from: EMAIL_FROM,
+          to: item.to,
+          subject: item.subject || "Notification",
+          text: item.body,
+          html: item.html || undefined,
+        });
+      },
+    }
+  : null;
+
+export const consoleTransport = {
+  name: "console",
+  async send(item) {
+    console.log(
+      `[outbox:console] ${item.kind} -> ${item.to}${
+        item.subject ? ` (${item.subject})` : ""
+      }\n${item.body}`
+    );
+  },
+};
+
+const resolveOutboxFile = () =>
+  path.resolve(process.env.OUTBOX_FILE_PATH || "outbox.log");
+
+export const fileTransport = {
+  name: "file",
+  async send(item) {
+    const line = JSON.stringify({
+      id: item._id,
+      kind: item.kind,
+      to: item.to,
+      subject: item.subject || undefined,
+      body: item.body,
+      jobId: item.jobId || undefined,
+      deliveredAt: new Date().toISOString(),
+    });
+    await fsPromises.appendFile(resolveOutboxFile(), `${line}\n`);
+  },
+};
+
+const OVERRIDES = { console: consoleTransport, file: fileTransport };
+
+if (twilioTransport) {
+  transports.set("sms", twilioTransport);
+}
+if (smtpTransport) {
+  transports.set("email", smtpTransport);
+}
+
+export function registerOutboxTransport(kind, transport) {
+  if (!kind || typeof transport?.send !== "function") {
+    throw new Error("Outbox transport requires a kind and a send(item) function");
+  }
+  transports.set(kind, transport);
+}
+
+/**
+ * Transport for a kind, or null when nothing can deliver it yet
+ * (the dispatcher then leaves the row queued instead of burning attempts).
+ */
+export function getOutboxTransport(kind) {
+  const override = String(process.env.OUTBOX_TRANSPORT || "")
+    .trim()
+    .toLowerCase();
+  if (OVERRIDES[override]) return OVERRIDES[override];
+  return transports.get(kind) || null;
+}
@@ -0,0 +1,300 @@
+// server/src/lib/paymentLedger.js
+// Per-job payment ledger. Deposits and payments (any number, any tender)
+// add money; refunds and chargebacks take it back. Job.paymentStatus,
+// amountPaid and paymentBalance are derived from the rows here and never
+// set by hand. The amount due is the live invoice total, else the job price.
+import mongoose from "mongoose";
+import Invoice from "../models/Invoice.js";
+import Job from "../models/Jobs.js";
+import Payment, { PAYMENT_KINDS, PAYMENT_METHODS } from "../models/Payment.js";
+import { roundCurrency } from "./commission.js";
+
+export const PAYMENT_STATUSES = ["unpaid", "partial", "paid", "refunded", "disputed"];
+
+const INFLOW_KINDS = new Set(["deposit", "payment"]);
+
+const ledgerError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const clean = (value, max = 240) => String(value ?? "").trim().slice(0, max) || undefined;
+
+/** The amount the customer owes for the service, before tax. */
+export function billedAmount(job) {
+  const candidates = [job.finalPrice, job.reportedPayment?.amount, job.quotedPrice];
+  const amount = candidates.map(Number).find((n) => Number.isFinite(n) && n > 0);
+  return roundCurrency(amount || 0);
+}
+
+/**
+ * Signed effect of one row on what the customer has paid. Chargebacks take
+ * the money back while open or lost; a won dispute returns it.
+ */
+export function signedAmount(row) {
+  const amount = Number(row?.amount) || 0;
+  if (INFLOW_KINDS.has(row?.kind || "payment")) return amount;
+  if (row.kind === "chargeback" && row.dispute?.status === "won") return 0;
+  return -amount;
+}
+
+/**
+ * Totals and derived status for `rows` against `amountDue`. Refunds and
+ * lost chargebacks also lower what is owed, so a partial refund on a paid
+ * job stays paid; an open chargeback marks the job disputed.
+ */
+export function summarizeLedger(rows = [], amountDue = 0) {
+  let collected = 0;
+  let refunded = 0;
+  let chargedBack = 0;
+  let written = 0;
+  let disputed = false;
+  for (const row of rows) {
+    const amount = Number(row.amount) || 0;
+    const kind = row.kind || "payment";
+    if (INFLOW_KINDS.has(kind)) collected += amount;
+    else if (kind === "refund") refunded += amount;
+    else if (kind === "chargeback") {
+      const status = row.dispute?.status || "open";
+      if (status === "open") disputed = true;
+      if (status !== "won") chargedBack += amount;
+      if (status === "lost") written += amount;
+    }
+  }
+
+  const due = roundCurrency(Math.max(0, (Number(amountDue) || 0) - refunded - written));
+  const amountPaid = roundCurrency(collected - refunded - chargedBack);
+  const balance = roundCurrency(Math.max(0, due - amountPaid));
+
+  let status;
+  if (disputed) status = "disputed";
+  else if (amountPaid <= 0) status = refunded + written > 0 ? "refunded" : "unpaid";
+  else status = balance > 0 ? "partial" : "paid";
+
+  return {
+    amountDue: due,
+    collected: roundCurrency(collected),
+    refunded: roundCurrency(refunded),
+    chargedBack: roundCurrency(chargedBack),
+    amountPaid,
+    balance,
+    credit: roundCurrency(Math.max(0, amountPaid - due)),
+    status,
+  };
+}
+
+export function loadJobLedger(jobId) {
+  return Payment.find({ jobId }).sort({ receivedAt: 1, createdAt: 1 }).lean();
+}
+
+export function serializeLedgerEntry(row) {
+  return {
+    _id: row._id,
+    jobId: row.jobId,
+    kind: row.kind || "payment",
+    amount: roundCurrency(row.amount),
+    signedAmount: roundCurrency(signedAmount(row)),
+    method: row.method,
+    collectedBy: row.collectedBy || "company",
+    receivedAt: row.receivedAt,
+    note: row.note || "",
+    reason: row.reason || "",
+    reference: row.reference || "",
+    refundOf: row.refundOf || null,
+    dispute: row.kind === "chargeback" ? row.dispute || { status: "open" } : null,
+    recordedBy: row.recordedBy || null,
+  };
+}
+
+async function loadJobPayments(jobId) {
+  const [job, rows, invoice] = await Promise.all([
+    Job.findById(jobId)
+      .select("finalPrice quotedPrice reportedPayment")
+      .lean(),
+    loadJobLedger(jobId),
+    Invoice.findOne({ jobId, status: "issued" }).select("total").lean(),
+  ]);
+  const summary = job
+    ? summarizeLedger(rows, invoice ? invoice.total : billedAmount(job))
+    : null;
+  return { job, invoice, rows, summary };
+}
+
+/** Ledger summary without writing anything. Same shape as syncJobPayments. */
+export async function readJobPayments(jobId) {
+  const { job, rows, summary } = await loadJobPayments(jobId);
+  return { job, summary, entries: rows };
+}
+
+/**
+ * Recompute a job's payment fields (and its live invoice's) from the
+ * ledger. Returns { job, summary, entries }; job is null when missing.
+ */
+export async function syncJobPayments(jobId) {
+  const { job, invoice, rows, summary } = await loadJobPayments(jobId);
+  if (!job) return { job: null, summary: null, entries: rows };
+
+  await Job.updateOne(
+    { _id: jobId },
+    {
+      $set: {
+        paymentStatus: summary.status,
+        amountPaid: summary.amountPaid,
+        paymentBalance: summary.balance,
+      },
+    }
+  );
+  if (invoice) {
+    await Invoice.updateOne(
+      { _id: invoice._id },
+      {
+        $set: {
+          paymentStatus: summary.status,
+          amountPaid: summary.amountPaid,
+          balanceDue: summary.balance,
+          payments: rows.map(invoicePaymentLine),
+        },
+      }
+    );
+  }
+  return { job, summary, entries: rows };
+}
+
+export const invoicePaymentLine = (row) => ({
+  paymentId: row._id,
+  kind: row.kind || "payment",
+  amount: roundCurrency(row.amount),
+  method: row.method,
+  receivedAt: row.receivedAt,
+});
+
+/**
+ * Add a row to a job's ledger and re-derive its payment status.
+ * Refunds need a reason and cannot exceed what is still held; `refundOf`
+ * must name a deposit/payment on the same job. Rows with a `sourceKey`
+ * are recorded once. Returns { entry, summary }.
+ */
+export async function recordLedgerEntry(
+  job,
+  {
+    kind = "payment",
+    amount,
+    method,
+    receivedAt,
+    note,
+    reason,
+    reference,
+    collectedBy = "company",
+    refundOf = null,
+    actor = null,
+    sourceKey = null,
+  } = {}
+) {
+  if (!job?._id) throw ledgerError("Job not found", 404);
+  if (!PAYMENT_KINDS.includes(kind)) throw ledgerError("Invalid payment kind", 400);
+  const value = roundCurrency(Number(amount));
+  if (!Number.isFinite(value) || value <= 0) {
+    throw ledgerError("amount must be greater than 0", 400);
+  }
+  if (method && !PAYMENT_METHODS.includes(method)) {
+    throw ledgerError("Invalid payment method", 400);
+  }
+  const at = receivedAt ? new Date(receivedAt) : new Date();
+  if (Number.isNaN(at.getTime())) throw ledgerError("Invalid receivedAt", 400);
+
+  if (sourceKey) {
+    const existing = await Payment.findOne({ sourceKey }).lean();
+    if (existing) {
+      const { summary } = await syncJobPayments(job._id);
+      return { entry: existing, summary, created: false };
+    }
+  }
+
+  const rows = await loadJobLedger(job._id);
+  let refundSource = null;
+  if (kind === "refund" || kind === "chargeback") {
+    if (kind === "refund" && !clean(reason)) {
+      throw ledgerError("A reason is required for refunds", 400);
+    }
+    const held = rows.reduce((sum, row) => sum + signedAmount(row), 0);
+    if (value > roundCurrency(held)) {
+      throw ledgerError(
+        `Only ${roundCurrency(Math.max(0, held)).toFixed(2)} is available to return`,
+        409
+      );
+    }
+    if (refundOf) {
+      if (!mongoose.isValidObjectId(refundOf)) {
+        throw ledgerError("Invalid refundOf", 400);
+      }
+      refundSource = rows.find(
+        (row) => String(row._id) === String(refundOf) && INFLOW_KINDS.has(row.kind || "payment")
+      );
+      if (!refundSource) {
+        throw ledgerError("refundOf must be a payment on this job", 400);
+      }
+      const alreadyReturned = rows
+        .filter((row) => row.refundOf && String(row.refundOf) === String(refundOf))
+        .reduce((sum, row) => sum + (Number(row.amount) || 0), 0);
+      if (value > roundCurrency(refundSource.amount - alreadyReturned)) {
+        throw ledgerError("Refund exceeds the remaining amount of that payment", 409);
+      }
+    }
+  }
+
+  let entry;
+  try {
+    entry = await Payment.create({
+      jobId: job._id,
+      kind,
+      amount: value,
+      method: method || refundSource?.method || "cash",
+      collectedBy: refundSource?.collectedBy || collectedBy,
+      receivedAt: at,
+      note: clean(note),
+      reason: clean(reason),
+      reference: clean(reference, 120),
+      refundOf: refundSource?._id || null,
+      dispute: kind === "chargeback" ? { status: "open" } : undefined,
+      recordedBy: actor
+        ? { role: actor.role, id: actor.id ? String(actor.id) : undefined }
+        : undefined,
+      sourceKey: sourceKey || undefined,
+    });
+  } catch (error) {
+    if (error?.code === 11000 && sourceKey) {
+      const { summary } = await syncJobPayments(job._id);
+      return { entry: await Payment.findOne({ sourceKey }).lean(), summary, created: false };
+    }
+    throw error;
+  }
+
+  const { summary } = await syncJobPayments(job._id);
+  return { entry: entry.toObject(), summary, created: true };
+}
+
+/** Close an open chargeback as won (money returned) or lost. */
+export async function resolveChargeback(id, { outcome, note, actor = null } = {}) {
+  if (!mongoose.isValidObjectId(id)) throw ledgerError("Invalid payment id", 400);
+  if (!["won", "lost"].includes(outcome)) {
+    throw ledgerError("outcome must be won or lost", 400);
+  }
+  const entry = await Payment.findOneAndUpdate(
+    { _id: id, kind: "chargeback", "dispute.status": { $in: ["open", null] } },
+    {
+      $set: {
+        "dispute.status": outcome,
+        "dispute.resolvedAt": new Date(),
+        "dispute.note": clean(note),
+        "dispute.resolvedBy": actor
+          ? { role: actor.role, id: actor.id ? String(actor.id) : undefined }
+          : undefined,
+      },
+    },
+    { new: true }
+  ).lean();
+  if (!entry) throw ledgerError("No open chargeback with that id", 404);
+  const { summary } = await syncJobPayments(entry.jobId);
+  return { entry, summary };
+}
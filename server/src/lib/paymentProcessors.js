@@ -0,0 +1,411 @@
+import crypto from "crypto";
+
+/**
+ * Payment processors charge a vendor's saved payment method for platform
+ * commission. A processor is `{ name, charge(input), refund(input),
+ * parseWebhook(request) }`:
+ *
+ * - charge({ amount, currency, customerId, paymentMethodId, idempotencyKey,
+ *   description, metadata }) resolves to { status: "succeeded" | "pending" |
+ *   "failed", reference, failureCode, failureReason, retryable }. Declines
+ *   resolve as "failed"; only transport/config problems throw.
+ * - refund({ reference, amount, reason, idempotencyKey }) resolves to
+ *   { reference, amount, status }.
+ * - retrievePaymentMethod({ customerId, paymentMethodId }) resolves to
+ *   { id, customerId, brand, last4 }, or null when the processor has no
+ *   such method for that customer.
+ * - parseWebhook({ rawBody, headers, body }) verifies the callback and returns
+ *   a normalized event { id, type, reference, amount, status, reason,
+ *   failureCode, failureReason }, where type is one of WEBHOOK_EVENT_TYPES.
+ *
+ * Amounts are always in major currency units at this boundary.
+ */
+
+export const WEBHOOK_EVENT_TYPES = [
+  "charge.succeeded",
+  "charge.failed",
+  "charge.refunded",
+  "dispute.opened",
+  "dispute.closed",
+  "ignored",
+];
+
+const processors = new Map();
+
+const badRequest = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+const toMinor = (amount) => Math.round(Number(amount || 0) * 100);
+const fromMinor = (amount) => Math.round(Number(amount || 0)) / 100;
+
+const headerValue = (headers, name) => {
+  const value = headers?.[name] ?? headers?.[name.toLowerCase()];
+  return Array.isArray(value) ? value[0] : value;
+};
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ""));
+  const right = Buffer.from(String(b || ""));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// --- Stripe ---------------------------------------------------------------
+
+const { STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET } = process.env;
+const STRIPE_API_BASE = process.env.STRIPE_API_BASE || "https://api.stripe.com/v1";
+const STRIPE_WEBHOOK_TOLERANCE_SEC = 300;
+
+// Soft declines worth retrying later; everything else needs vendor action.
+const STRIPE_RETRYABLE_DECLINES = new Set([
+  "insufficient_funds",
+  "processing_error",
+  "try_again_later",
+  "issuer_not_available",
+  "reenter_transaction",
+  "approve_with_id",
+  "generic_decline",
+  "do_not_honor",
+]);
+
+const encodeForm = (payload, prefix = "", params = new URLSearchParams()) => {
+  for (const [key, value] of Object.entries(payload)) {
+    if (value === undefined || value === null) continue;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === "object") {
+      encodeForm(value, name, params);
+    } else {
+      params.append(name, String(value));
+    }
+  }
+  return params;
+};
+
+async function stripeRequest(path, payload, idempotencyKey) {
+  const response = await fetch(`${STRIPE_API_BASE}${path}`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${STRIPE_SECRET_KEY}`,
+      "Content-Type": "application/x-www-form-urlencoded",
+      ...(idempotencyKey ? { "Idempotency-Key": idempotencyKey } : {}),
+    },
+    body: encodeForm(payload).toString(),
+  });
+  const data = await response.json().catch(() => ({}));
+  return { ok: response.ok, status: response.status, data };
+}
+
+async function stripeGet(path) {
+  const response = await fetch(`${STRIPE_API_BASE}${path}`, {
+    headers: { Authorization: `Bearer ${STRIPE_SECRET_KEY}` },
+  });
+  const data = await response.json().catch(() => ({}));
+  return { ok: response.ok, status: response.status, data };
+}
+
+export const stripeProcessor = STRIPE_SECRET_KEY
+  ? {
+      name: "stripe",
+      async charge({
+        amount,
+        currency,
+        customerId,
+        paymentMethodId,
+        idempotencyKey,
+        description,
+        metadata,
+      }) {
+        const { ok, data } = await stripeRequest(
+          "/payment_intents",
+          {
+            amount: toMinor(amount),
+            currency: String(currency || "usd").toLowerCase(),
+            customer: customerId,
+            payment_method: paymentMethodId,
+            confirm: true,
+            off_session: true,
+            description,
+            metadata,
+          },
+          idempotencyKey
+        );
+
+        if (ok) {
+          if (data.status === "succeeded") {
+            return { status: "succeeded", reference: data.id };
+          }
+          if (data.status === "processing") {
+            return { status: "pending", reference: data.id };
+          }
+          return {
+            status: "failed",
+            reference: data.id,
+            failureCode: data.status,
+            failureReason: `Payment requires action (${data.status})`,
+            retryable: false,
+          };
+        }
+
+        const error = data.error || {};
+        if (error.type === "card_error") {
+          const code = error.decline_code || error.code || "card_declined";
+          return {
+            status: "failed",
+            reference: error.payment_intent?.id || null,
+            failureCode: code,
+            failureReason: error.message || "Card declined",
+            retryable: STRIPE_RETRYABLE_DECLINES.has(code),
+          };
+        }
+        if (error.type === "invalid_request_error") {
+          return {
+            status: "failed",
+            reference: null,
+            failureCode: error.code || "invalid_request",
+            failureReason: error.message || "Payment request rejected",
+            retryable: false,
+          };
+        }
+        throw new Error(error.message || "Stripe request failed");
+      },
+      async refund({ reference, amount, reason, idempotencyKey }) {
+        const { ok, data } = await stripeRequest(
+          "/refunds",
+          {
+            payment_intent: reference,
+            amount: amount != null ? toMinor(amount) : undefined,
+            metadata: reason ? { reason } : undefined,
+          },
+          idempotencyKey
+        );
+        if (!ok) {
+          throw new Error(data.error?.message || "Stripe refund failed");
+        }
+        return {
+          reference: data.id,
+          amount: fromMinor(data.amount),
+          status: data.status,
+        };
+      },
+      async retrievePaymentMethod({ customerId, paymentMethodId }) {
+        const { ok, status, data } = await stripeGet(
+          `/payment_methods/${encodeURIComponent(paymentMethodId)}`
+        );
+        if (status === 404) return null;
+        if (!ok) {
+          throw new Error(data.error?.message || "Stripe request failed");
+        }
+        if (!data.customer || data.customer !== customerId) return null;
+        return {
+          id: data.id,
+          customerId: data.customer,
+          brand: data.card?.brand || null,
+          last4: data.card?.last4 || null,
+        };
+      },
+      parseWebhook({ rawBody, headers }) {
+        if (!STRIPE_WEBHOOK_SECRET) {
+          throw badRequest("Stripe webhook secret not configured");
+        }
+        const signature = String(headerValue(headers, "stripe-signature") || "");
+        const parts = Object.fromEntries(
+          signature.split(",").map((part) => part.trim().split("="))
+        );
+        const timestamp = Number(parts.t);
+        if (!timestamp || !parts.v1 || !rawBody) {
+          throw badRequest("Missing webhook signature");
+        }
+        if (Math.abs(Date.now() / 1000 - timestamp) > STRIPE_WEBHOOK_TOLERANCE_SEC) {
+          throw badRequest("Webhook signature expired");
+        }
+        const expected = crypto
+          .createHmac("sha256", STRIPE_WEBHOOK_SECRET)
+          .update(`${timestamp}.${rawBody.toString("utf8")}`)
+          .digest("hex");
+        if (!safeEqual(expected, parts.v1)) {
+          throw badRequest("Invalid webhook signature");
+        }
+
+        const event = JSON.parse(rawBody.toString("utf8"));
+        const object = event.data?.object || {};
+        const base = { id: event.id };
+
+        switch (event.type) {
+          case "payment_intent.succeeded":
+            return { ...base, type: "charge.succeeded", reference: object.id };
+          case "payment_intent.payment_failed": {
+            const error = object.last_payment_error || {};
+            const code = error.decline_code || error.code || "card_declined";
+            return {
+              ...base,
+              type: "charge.failed",
+              reference: object.id,
+              failureCode: code,
+              failureReason: error.message || "Payment failed",
+              retryable: STRIPE_RETRYABLE_DECLINES.has(code),
+            };
+          }
+          case "charge.refunded":
+            return {
+              ...base,
+              type: "charge.refunded",
+              reference: object.payment_intent,
+              amount: fromMinor(object.amount_refunded),
+              refundReference: object.refunds?.data?.[0]?.id || event.id,
+            };
+          case "charge.dispute.created":
+            return {
+              ...base,
+              type: "dispute.opened",
+              reference: object.payment_intent,
+              disputeReference: object.id,
+              amount: fromMinor(object.amount),
+              reason: object.reason,
+            };
+          case "charge.dispute.closed":
+            return {
+              ...base,
+              type: "dispute.closed",
+              reference: object.payment_intent,
+              disputeReference: object.id,
+              amount: fromMinor(object.amount),
+              reason: object.reason,
+              status: object.status === "lost" ? "lost" : "won",
+            };
+          default:
+            return { ...base, type: "ignored", reference: null };
+        }
+      },
+    }
+  : null;
+
+// --- Fake -----------------------------------------------------------------
+
+// Local processor for development and tests. The payment method id picks the
+// outcome: anything containing "insufficient" soft-declines (retryable),
+// "declined" hard-declines, "pending" settles later via webhook, and every
+// other id succeeds; ids containing "missing" do not exist. Webhooks take
+// normalized events as plain JSON, signed with an HMAC of
+// FAKE_PROCESSOR_WEBHOOK_SECRET in x-fake-signature.
+const fakeCharges = new Map();
+
+export const fakeProcessor = {
+  name: "fake",
+  async charge({ paymentMethodId, idempotencyKey }) {
+    if (idempotencyKey && fakeCharges.has(idempotencyKey)) {
+      return fakeCharges.get(idempotencyKey);
+    }
+    const method = String(paymentMethodId || "").toLowerCase();
+    const reference = `fake_ch_${crypto.randomBytes(8).toString("hex")}`;
+    let result;
+    if (method.includes("insufficient")) {
+      result = {
+        status: "failed",
+        reference,
+        failureCode: "insufficient_funds",
+        failureReason: "Insufficient funds",
+        retryable: true,
+      };
+    } else if (method.includes("declined")) {
+      result = {
+        status: "failed",
+        reference,
+        failureCode: "card_declined",
+        failureReason: "Card declined",
+        retryable: false,
+      };
+    } else if (method.includes("pending")) {
+      result = { status: "pending", reference };
+    } else {
+      result = { status: "succeeded", reference };
+    }
+    if (idempotencyKey) fakeCharges.set(idempotencyKey, result);
+    return result;
+  },
+  async refund({ amount }) {
+    return {
+      reference: `fake_re_${crypto.randomBytes(8).toString("hex")}`,
+      amount: Number(amount) || 0,
+      status: "succeeded",
+    };
+  },
+  async retrievePaymentMethod({ customerId, paymentMethodId }) {
+    const method = String(paymentMethodId || "");
+    if (!method || !customerId || method.toLowerCase().includes("missing")) return null;
+    return { id: method, customerId, brand: "visa", last4: "4242" };
+  },
+  parseWebhook({ rawBody, headers, body }) {
+    const secret = process.env.FAKE_PROCESSOR_WEBHOOK_SECRET;
+    if (!secret) {
+      throw badRequest("Fake processor webhook secret not configured");
+    }
+    const expected = crypto
+      .createHmac("sha256", secret)
+      .update(rawBody || "")
+      .digest("hex");
+    if (!safeEqual(expected, headerValue(headers, "x-fake-signature"))) {
+      throw badRequest("Invalid webhook signature");
+    }
+    const event = body || {};
+    if (!event.id || !event.type) {
+      throw badRequest("Webhook event id and type are required");
+    }
+    const data = event.data || {};
+    return {
+      id: String(event.id),
+      type: WEBHOOK_EVENT_TYPES.includes(event.type) ? event.type : "ignored",
+      reference: data.reference || null,
+      amount: data.amount != null ? Number(data.amount) : null,
+      status: data.status,
+      reason: data.reason,
+      failureCode: data.failureCode,
+      failureReason: data.failureReason,
+      retryable: Boolean(data.retryable),
+      refundReference: data.refundReference || event.id,
+      disputeReference: data.disputeReference || data.reference,
+    };
+  },
+};
+
+// Never reachable in production, not even by name from a webhook URL.
+if (process.env.NODE_ENV !== "production") {
+  processors.set(fakeProcessor.name, fakeProcessor);
+}
+if (stripeProcessor) {
+  processors.set(stripeProcessor.name, stripeProcessor);
+}
+
+export function registerPaymentProcessor(processor) {
+  if (
+    !processor?.name ||
+    typeof processor.charge !== "function" ||
+    typeof processor.parseWebhook !== "function"
+  ) {
+    throw new Error("Payment processor requires a name, charge() and parseWebhook()");
+  }
+  processors.set(processor.name, processor);
+}
+
+/** Registered processor by exact name (used for webhook routing). */
+export function findPaymentProcessor(name) {
+  return processors.get(String(name || "").trim().toLowerCase()) || null;
+}
+
+/**
+ * Processor for a new charge. PAYMENT_PROCESSOR overrides everything, then
+ * the vendor's billing.provider, then Stripe when configured. The fake
+ * processor is only a fallback outside production; null means nothing can
+ * take the charge.
+ */
+export function getPaymentProcessor(preferred) {
+  const override = String(process.env.PAYMENT_PROCESSOR || "")
+    .trim()
+    .toLowerCase();
+  if (override) return findPaymentProcessor(override);
+  const named = findPaymentProcessor(preferred);
+  if (named) return named;
+  if (stripeProcessor) return stripeProcessor;
+  return findPaymentProcessor(fakeProcessor.name);
+}
@@ -0,0 +1,587 @@
+// server/src/lib/payouts.js
+// Vendor payout ledger: accrual from completed jobs and vendor expenses,
+// settlement batches that lock what they include, and statements.
+import mongoose from "mongoose";
+import Job from "../models/Jobs.js";
+import Payment from "../models/Payment.js";
+import Expense from "../models/Expense.js";
+import Vendor from "../models/Vendor.js";
+import Settings from "../models/Settings.js";
+import SettlementBatch from "../models/SettlementBatch.js";
+import VendorLedgerEntry from "../models/VendorLedgerEntry.js";
+import { roundCurrency } from "./commission.js";
+import { renderTextPdf } from "./pdf.js";
+import { signedAmount } from "./paymentLedger.js";
+
+export const CADENCE_DAYS = { weekly: 7, biweekly: 14 };
+
+const DAY_MS = 864e5;
+
+// Commission the platform could not collect from the vendor's card is netted
+// against their payout instead.
+const UNCOLLECTED_COMMISSION = ["failed", "skipped"];
+
+const httpError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+export const normalizeSplit = (raw, fallback) => {
+  if (raw == null) return fallback;
+  const num = Number(raw);
+  if (!Number.isFinite(num)) return fallback;
+  if (num <= 0) return 0;
+  if (num <= 1) return Math.min(1, Math.max(0, num));
+  return Math.min(1, Math.max(0, num / 100));
+};
+
+const toObjectId = (value) =>
+  value instanceof mongoose.Types.ObjectId
+    ? value
+    : new mongoose.Types.ObjectId(String(value));
+
+const jobLabel = (job) => `#${String(job._id).slice(-6).toUpperCase()}`;
+
+async function loadPayoutSettings() {
+  const settings = await Settings.findOne()
+    .select("payouts defaults.defaultEarningsSplit defaults.currency")
+    .lean();
+  return {
+    cadence: settings?.payouts?.cadence === "biweekly" ? "biweekly" : "weekly",
+    autoSettle: Boolean(settings?.payouts?.autoSettle),
+    defaultSplit: normalizeSplit(settings?.defaults?.defaultEarningsSplit, 0.6),
+    currency: settings?.defaults?.currency || "USD",
+  };
+}
+
+// The earning (or uncollected commission) a completed job is worth to its
+// vendor, given the company-held amount and the vendor's split.
+function jobLedgerEntry(job, collected, split) {
+  const occurredAt = job.completed || new Date();
+  if (collected > 0) {
+    return {
+      sourceKey: `earning:${job._id}`,
+      vendorId: job.vendorId,
+      type: "earning",
+      amount: roundCurrency(collected * split),
+      jobId: job._id,
+      occurredAt,
+      description: `${job.serviceType || "Job"} ${jobLabel(job)} (${Math.round(
+        split * 100
+      )}% of ${roundCurrency(collected).toFixed(2)})`,
+    };
+  }
+  if (
+    UNCOLLECTED_COMMISSION.includes(job.commission?.status) &&
+    Number(job.commission?.amount) > 0
+  ) {
+    return {
+      sourceKey: `commission:${job._id}`,
+      vendorId: job.vendorId,
+      type: "commission",
+      amount: -roundCurrency(job.commission.amount),
+      jobId: job._id,
+      occurredAt,
+      description: `Commission on ${job.serviceType || "job"} ${jobLabel(job)}`,
+    };
+  }
+  return null;
+}
+
+const companyHeld = (payments) =>
+  payments
+    .filter((payment) => payment.collectedBy !== "vendor")
+    .reduce((sum, payment) => sum + signedAmount(payment), 0);
+
+/**
+ * Bring unsettled ledger entries in line with current job and expense data.
+ * Entries derived from jobs not yet locked by a settlement are recomputed
+ * (payments recorded late, commission waived...), settled entries are never
+ * touched. Safe to run repeatedly.
+ */
+export async function syncVendorLedger({ vendorId = null } = {}) {
+  const config = await loadPayoutSettings();
+  const jobFilter = {
+    status: "Completed",
+    settlementBatchId: null,
+    vendorId: vendorId ? toObjectId(vendorId) : { $ne: null },
+  };
+  const jobs = await Job.find(jobFilter)
+    .select("_id vendorId serviceType completed commission")
+    .lean();
+
+  const expenseFilter = vendorId
+    ? { vendorId: toObjectId(vendorId) }
+    : { vendorId: { $ne: null } };
+  const [payments, vendors, expenses] = await Promise.all([
+    jobs.length
+      ? Payment.find({
+          jobId: { $in: jobs.map((job) => job._id) },
+          collectedBy: { $ne: "vendor" },
+        })
+          .select("jobId kind amount dispute")
+          .lean()
+      : [],
+    Vendor.find(vendorId ? { _id: vendorId } : {})
+      .select("_id earningsSplit")
+      .lean(),
+    Expense.find(expenseFilter).select("_id vendorId amount title date").lean(),
+  ]);
+
+  // Company-held money per job, net of refunds and chargebacks.
+  const paidByJob = new Map();
+  for (const payment of payments) {
+    const key = String(payment.jobId);
+    paidByJob.set(key, (paidByJob.get(key) || 0) + signedAmount(payment));
+  }
+  const splitByVendor = new Map(
+    vendors.map((v) => [String(v._id), normalizeSplit(v.earningsSplit, config.defaultSplit)])
+  );
+
+  const desired = [];
+  for (const job of jobs) {
+    const collected = Number(paidByJob.get(String(job._id))) || 0;
+    const split = splitByVendor.get(String(job.vendorId)) ?? config.defaultSplit;
+    const entry = jobLedgerEntry(job, collected, split);
+    if (entry) desired.push(entry);
+  }
+  for (const expense of expenses) {
+    desired.push({
+      sourceKey: `expense:${expense._id}`,
+      vendorId: expense.vendorId,
+      type: "expense",
+      amount: roundCurrency(expense.amount),
+      expenseId: expense._id,
+      occurredAt: expense.date || new Date(),
+      description: expense.title || "Expense reimbursement",
+    });
+  }
+
+  const keys = desired.map((entry) => entry.sourceKey);
+  const settledKeys = new Set(
+    (
+      await VendorLedgerEntry.find({
+        sourceKey: { $in: keys },
+        settlementId: { $ne: null },
+      })
+        .select("sourceKey")
+        .lean()
+    ).map((entry) => entry.sourceKey)
+  );
+
+  const ops = desired
+    .filter((entry) => !settledKeys.has(entry.sourceKey))
+    .map((entry) => ({
+      updateOne: {
+        filter: { sourceKey: entry.sourceKey, settlementId: null },
+        update: { $set: entry },
+        upsert: true,
+      },
+    }));
+  if (ops.length) {
+    await VendorLedgerEntry.bulkWrite(ops, { ordered: false });
+  }
+
+  // Drop unsettled job entries that no longer apply (e.g. commission waived).
+  if (jobs.length) {
+    await VendorLedgerEntry.deleteMany({
+      jobId: { $in: jobs.map((job) => job._id) },
+      type: { $in: ["earning", "commission"] },
+      settlementId: null,
+      sourceKey: { $nin: keys },
+    });
+  }
+  return desired.length;
+}
+
+/** Current balance per vendor (positive = owed to the vendor). */
+export async function getVendorBalances({ vendorId = null } = {}) {
+  await syncVendorLedger({ vendorId });
+  const match = vendorId ? { vendorId: toObjectId(vendorId) } : {};
+  const rows = await VendorLedgerEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: "$vendorId",
+        balance: { $sum: "$amount" },
+        unsettled: {
+          $sum: { $cond: [{ $eq: ["$settlementId", null] }, "$amount", 0] },
+        },
+        lastPayoutAt: {
+          $max: { $cond: [{ $eq: ["$type", "payout"] }, "$occurredAt", null] },
+        },
+      },
+    },
+  ]);
+  const vendors = await Vendor.find({ _id: { $in: rows.map((row) => row._id) } })
+    .select("name")
+    .lean();
+  const names = new Map(vendors.map((v) => [String(v._id), v.name]));
+  return rows
+    .map((row) => ({
+      vendorId: String(row._id),
+      vendorName: names.get(String(row._id)) || "Vendor",
+      balance: roundCurrency(row.balance),
+      unsettled: roundCurrency(row.unsettled),
+      lastPayoutAt: row.lastPayoutAt || null,
+    }))
+    .sort((a, b) => b.balance - a.balance);
+}
+
+/**
+ * A job locked by a settlement keeps its settled entries; when its payments
+ * change afterwards (a refund, a chargeback or its outcome) the difference
+ * is posted as an unsettled adjustment so it lands in the next open period.
+ * Keyed by `sourceKey`, so repeating the call is a no-op. Returns the entry
+ * or null.
+ */
+export async function postSettledJobAdjustment(jobId, { sourceKey, description, actor = null }) {
+  const job = await Job.findById(jobId)
+    .select("_id vendorId serviceType completed commission settlementBatchId")
+    .lean();
+  if (!job?.settlementBatchId || !job.vendorId) return null;
+  if (await VendorLedgerEntry.exists({ sourceKey })) return null;
+
+  const [config, vendor, payments, posted] = await Promise.all([
+    loadPayoutSettings(),
+    Vendor.findById(job.vendorId).select("earningsSplit").lean(),
+    Payment.find({ jobId: job._id }).select("kind amount dispute collectedBy").lean(),
+    VendorLedgerEntry.find({ jobId: job._id, type: { $ne: "payout" } })
+      .select("amount")
+      .lean(),
+  ]);
+  const split = normalizeSplit(vendor?.earningsSplit, config.defaultSplit);
+  const owed = jobLedgerEntry(job, companyHeld(payments), split)?.amount || 0;
+  const already = posted.reduce((sum, entry) => sum + (Number(entry.amount) || 0), 0);
+  const delta = roundCurrency(owed - already);
+  if (delta === 0) return null;
+
+  try {
+    return await VendorLedgerEntry.create({
+      vendorId: job.vendorId,
+      type: "adjustment",
+      amount: delta,
+      jobId: job._id,
+      sourceKey,
+      description: `${description} ${jobLabel(job)} (settled earlier)`.slice(0, 300),
+      occurredAt: new Date(),
+      createdBy: actor?.id ? String(actor.id) : null,
+    });
+  } catch (error) {
+    if (error?.code === 11000) return null;
+    throw error;
+  }
+}
+
+export async function createLedgerAdjustment({ vendorId, amount, description, actor }) {
+  if (!mongoose.isValidObjectId(vendorId)) throw httpError(400, "Invalid vendorId");
+  const value = roundCurrency(amount);
+  if (value === 0) {
+    throw httpError(400, "amount must be a non-zero number");
+  }
+  const note = String(description || "").trim();
+  if (!note) throw httpError(400, "description required");
+  const vendor = await Vendor.exists({ _id: vendorId });
+  if (!vendor) throw httpError(404, "Vendor not found");
+
+  return VendorLedgerEntry.create({
+    vendorId,
+    type: "adjustment",
+    amount: value,
+    description: note.slice(0, 300),
+    occurredAt: new Date(),
+    createdBy: actor?.id ? String(actor.id) : null,
+  });
+}
+
+const summarize = (entries) => {
+  let credits = 0;
+  let debits = 0;
+  for (const entry of entries) {
+    if (entry.amount >= 0) credits += entry.amount;
+    else debits += -entry.amount;
+  }
+  return { credits: roundCurrency(credits), debits: roundCurrency(debits) };
+};
+
+/**
+ * Lock every unsettled entry up to `periodEnd` into a new batch and write
+ * one statement per vendor. Jobs behind the entries are stamped with the
+ * batch so their financials stop changing.
+ */
+export async function createSettlementBatch({ cadence, periodEnd, actor } = {}) {
+  const config = await loadPayoutSettings();
+  const batchCadence = CADENCE_DAYS[cadence] ? cadence : config.cadence;
+  const end = periodEnd ? new Date(periodEnd) : new Date();
+  if (!Number.isFinite(end.getTime())) throw httpError(400, "Invalid periodEnd");
+
+  await syncVendorLedger();
+
+  const previous = await SettlementBatch.findOne()
+    .sort({ periodEnd: -1 })
+    .select("periodEnd")
+    .lean();
+  const periodStart =
+    previous?.periodEnd && previous.periodEnd < end
+      ? previous.periodEnd
+      : new Date(end.getTime() - CADENCE_DAYS[batchCadence] * DAY_MS);
+
+  const candidates = await VendorLedgerEntry.find({
+    settlementId: null,
+    type: { $ne: "payout" },
+    occurredAt: { $lte: end },
+  })
+    .select("_id")
+    .lean();
+  if (!candidates.length) throw httpError(409, "Nothing to settle for this period");
+
+  const batch = await SettlementBatch.create({
+    reference: `STL-${end.toISOString().slice(0, 10).replace(/-/g, "")}-${String(
+      new mongoose.Types.ObjectId()
+    ).slice(-4).toUpperCase()}`,
+    cadence: batchCadence,
+    periodStart,
+    periodEnd: end,
+    currency: config.currency,
+    createdBy: actor?.id ? String(actor.id) : null,
+  });
+
+  // Claim atomically so a concurrent batch can't take the same entries.
+  await VendorLedgerEntry.updateMany(
+    { _id: { $in: candidates.map((entry) => entry._id) }, settlementId: null },
+    { $set: { settlementId: batch._id } }
+  );
+  const entries = await VendorLedgerEntry.find({ settlementId: batch._id }).lean();
+  if (!entries.length) {
+    await SettlementBatch.deleteOne({ _id: batch._id });
+    throw httpError(409, "Nothing to settle for this period");
+  }
+
+  const jobIds = [
+    ...new Set(entries.filter((e) => e.jobId).map((e) => String(e.jobId))),
+  ];
+  if (jobIds.length) {
+    await Job.updateMany(
+      { _id: { $in: jobIds }, settlementBatchId: null },
+      { $set: { settlementBatchId: batch._id, settlementLockedAt: new Date() } }
+    );
+  }
+
+  const byVendor = new Map();
+  for (const entry of entries) {
+    const key = String(entry.vendorId);
+    if (!byVendor.has(key)) byVendor.set(key, []);
+    byVendor.get(key).push(entry);
+  }
+
+  const vendorIds = [...byVendor.keys()].map(toObjectId);
+  const [vendors, openings] = await Promise.all([
+    Vendor.find({ _id: { $in: vendorIds } }).select("name").lean(),
+    VendorLedgerEntry.aggregate([
+      {
+        $match: {
+          vendorId: { $in: vendorIds },
+          settlementId: { $nin: [null, batch._id] },
+        },
+      },
+      { $group: { _id: "$vendorId", total: { $sum: "$amount" } } },
+    ]),
+  ]);
+  const names = new Map(vendors.map((v) => [String(v._id), v.name]));
+  const openingByVendor = new Map(openings.map((o) => [String(o._id), o.total]));
+
+  const statements = [...byVendor.entries()].map(([vendorKey, items]) => {
+    const { credits, debits } = summarize(items);
+    const openingBalance = roundCurrency(openingByVendor.get(vendorKey) || 0);
+    const closingBalance = roundCurrency(openingBalance + credits - debits);
+    return {
+      vendorId: vendorKey,
+      vendorName: names.get(vendorKey) || "Vendor",
+      openingBalance,
+      credits,
+      debits,
+      closingBalance,
+      amountDue: Math.max(0, closingBalance),
+      entryCount: items.length,
+      jobCount: new Set(items.filter((i) => i.jobId).map((i) => String(i.jobId))).size,
+    };
+  });
+
+  batch.statements = statements;
+  batch.totals = {
+    credits: roundCurrency(statements.reduce((sum, s) => sum + s.credits, 0)),
+    debits: roundCurrency(statements.reduce((sum, s) => sum + s.debits, 0)),
+    amountDue: roundCurrency(statements.reduce((sum, s) => sum + s.amountDue, 0)),
+  };
+  if (statements.every((s) => s.amountDue <= 0)) {
+    batch.status = "paid";
+    batch.paidAt = new Date();
+  }
+  await batch.save();
+  return batch.toObject();
+}
+
+/**
+ * Record payouts for a batch (one vendor, or every unpaid statement) as
+ * payout debits on the ledger. Re-running is a no-op for paid statements.
+ */
+export async function markSettlementPaid(batchId, { vendorId = null, reference = "", actor } = {}) {
+  const batch = await SettlementBatch.findById(batchId);
+  if (!batch) throw httpError(404, "Settlement batch not found");
+
+  const targets = batch.statements.filter(
+    (s) => !s.paidAt && (!vendorId || String(s.vendorId) === String(vendorId))
+  );
+  if (vendorId && !targets.length) {
+    const exists = batch.statements.some((s) => String(s.vendorId) === String(vendorId));
+    throw httpError(exists ? 409 : 404, exists ? "Statement already paid" : "Statement not found");
+  }
+
+  const now = new Date();
+  for (const statement of targets) {
+    if (statement.amountDue > 0) {
+      await VendorLedgerEntry.updateOne(
+        { sourceKey: `payout:${batch._id}:${statement.vendorId}` },
+        {
+          $setOnInsert: {
+            vendorId: statement.vendorId,
+            type: "payout",
+            amount: -statement.amountDue,
+            description: `Payout ${batch.reference}${reference ? ` (${reference})` : ""}`,
+            occurredAt: now,
+            settlementId: batch._id,
+            createdBy: actor?.id ? String(actor.id) : null,
+          },
+        },
+        { upsert: true }
+      );
+    }
+    statement.paidAt = now;
+    statement.payoutReference = String(reference || "").trim() || null;
+  }
+
+  if (batch.statements.every((s) => s.paidAt || s.amountDue <= 0)) {
+    batch.status = "paid";
+    batch.paidAt = batch.paidAt || now;
+  }
+  await batch.save();
+  return batch.toObject();
+}
+
+/** Statement data for one vendor in one batch, or null when absent. */
+export async function loadSettlementStatement(batchId, vendorId) {
+  if (!mongoose.isValidObjectId(batchId) || !mongoose.isValidObjectId(vendorId)) {
+    return null;
+  }
+  const batch = await SettlementBatch.findById(batchId).lean();
+  const statement = batch?.statements?.find(
+    (s) => String(s.vendorId) === String(vendorId)
+  );
+  if (!statement) return null;
+  const entries = await VendorLedgerEntry.find({
+    settlementId: batch._id,
+    vendorId: statement.vendorId,
+    type: { $ne: "payout" },
+  })
+    .sort({ occurredAt: 1 })
+    .lean();
+  return { batch, statement, entries };
+}
+
+const formatDate = (value) =>
+  value ? new Date(value).toISOString().slice(0, 10) : "";
+
+const money = (value, currency) => `${roundCurrency(value).toFixed(2)} ${currency}`;
+
+export function statementCsv({ batch, statement, entries }) {
+  const rows = [
+    ["Statement", batch.reference],
+    ["Vendor", statement.vendorName],
+    ["Period", `${formatDate(batch.periodStart)} to ${formatDate(batch.periodEnd)}`],
+    ["Currency", batch.currency],
+    [],
+    ["Date", "Type", "Description", "Job", "Amount"],
+    ...entries.map((entry) => [
+      formatDate(entry.occurredAt),
+      entry.type,
+      entry.description,
+      entry.jobId ? String(entry.jobId) : "",
+      roundCurrency(entry.amount).toFixed(2),
+    ]),
+    [],
+    ["Opening balance", "", "", "", statement.openingBalance.toFixed(2)],
+    ["Credits", "", "", "", statement.credits.toFixed(2)],
+    ["Debits", "", "", "", (-statement.debits).toFixed(2)],
+    ["Closing balance", "", "", "", statement.closingBalance.toFixed(2)],
+    ["Amount due", "", "", "", statement.amountDue.toFixed(2)],
+    ["Paid", statement.paidAt ? formatDate(statement.paidAt) : "No"],
+  ];
+  const escape = (v) => {
+    if (v === undefined || v === null) return "";
+    const s = String(v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return rows.map((row) => row.map(escape).join(",")).join("\n");
+}
+
+export function statementPdf({ batch, statement, entries }) {
+  const currency = batch.currency || "USD";
+  const pad = (value, width) => String(value ?? "").slice(0, width).padEnd(width);
+  const lines = [
+    `Vendor:    ${statement.vendorName}`,
+    `Statement: ${batch.reference}`,
+    `Period:    ${formatDate(batch.periodStart)} to ${formatDate(batch.periodEnd)}`,
+    "",
+    `${pad("Date", 12)}${pad("Type", 12)}${pad("Description", 48)}${"Amount".padStart(14)}`,
+    "-".repeat(86),
+    ...entries.map(
+      (entry) =>
+        `${pad(formatDate(entry.occurredAt), 12)}${pad(entry.type, 12)}${pad(
+          entry.description,
+          48
+        )}${roundCurrency(entry.amount).toFixed(2).padStart(14)}`
+    ),
+    "-".repeat(86),
+    `${pad("Opening balance", 72)}${money(statement.openingBalance, currency).padStart(14)}`,
+    `${pad("Credits", 72)}${money(statement.credits, currency).padStart(14)}`,
+    `${pad("Debits", 72)}${money(-statement.debits, currency).padStart(14)}`,
+    `${pad("Closing balance", 72)}${money(statement.closingBalance, currency).padStart(14)}`,
+    `${pad("Amount due", 72)}${money(statement.amountDue, currency).padStart(14)}`,
+    "",
+    statement.paidAt
+      ? `Paid ${formatDate(statement.paidAt)}${
+          statement.payoutReference ? ` - ref ${statement.payoutReference}` : ""
+        }`
+      : "Payment pending",
+  ];
+  return renderTextPdf({ title: "Settlement statement", lines });
+}
+
+/**
+ * Create the next batch when auto-settlement is on and a full cadence has
+ * elapsed since the last one. Returns the batch or null.
+ */
+export async function runScheduledSettlement({ now = new Date() } = {}) {
+  const config = await loadPayoutSettings();
+  if (!config.autoSettle) return null;
+
+  const last = await SettlementBatch.findOne()
+    .sort({ periodEnd: -1 })
+    .select("periodEnd")
+    .lean();
+  const cadenceMs = CADENCE_DAYS[config.cadence] * DAY_MS;
+  const elapsed = last ? now.getTime() - last.periodEnd.getTime() : cadenceMs;
+  if (elapsed < cadenceMs) return null;
+
+  // Close on the latest cadence boundary so periods stay aligned.
+  const periodEnd = last
+    ? new Date(last.periodEnd.getTime() + Math.floor(elapsed / cadenceMs) * cadenceMs)
+    : now;
+  try {
+    return await createSettlementBatch({ cadence: config.cadence, periodEnd });
+  } catch (error) {
+    if (error.status === 409) return null;
+    throw error;
+  }
+}
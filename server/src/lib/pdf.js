@@ -0,0 +1,94 @@
+// server/src/lib/pdf.js
+// Minimal text-only PDF writer for statements and similar documents.
+// Renders a title plus monospaced lines on US Letter pages; no external
+// dependency, ASCII only.
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 50;
+const LINE_HEIGHT = 13;
+const FONT_SIZE = 9;
+const TITLE_SIZE = 14;
+
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/[^\x20-\x7e]/g, "?")
+    .replace(/\\/g, "\\\\")
+    .replace(/\(/g, "\\(")
+    .replace(/\)/g, "\\)");
+
+function pageStream(title, lines, pageNumber, pageCount) {
+  const ops = ["BT"];
+  let y = PAGE_HEIGHT - MARGIN;
+  if (title) {
+    ops.push(`/F2 ${TITLE_SIZE} Tf`, `${MARGIN} ${y} Td`, `(${escapeText(title)}) Tj`);
+    ops.push(`0 ${-LINE_HEIGHT * 2} Td`);
+    y -= LINE_HEIGHT * 2;
+  } else {
+    ops.push(`${MARGIN} ${y} Td`);
+  }
+  ops.push(`/F1 ${FONT_SIZE} Tf`, `${LINE_HEIGHT} TL`);
+  for (const line of lines) {
+    ops.push(`(${escapeText(line)}) Tj`, "T*");
+  }
+  ops.push("ET");
+  ops.push(
+    "BT",
+    `/F1 ${FONT_SIZE - 1} Tf`,
+    `${PAGE_WIDTH - MARGIN - 60} ${MARGIN / 2} Td`,
+    `(Page ${pageNumber} of ${pageCount}) Tj`,
+    "ET"
+  );
+  return ops.join("\n");
+}
+
+/**
+ * Render `lines` (strings) under an optional `title` and return a PDF
+ * Buffer. Long documents are split across pages automatically.
+ */
+export function renderTextPdf({ title = "", lines = [] } = {}) {
+  const usable = PAGE_HEIGHT - MARGIN * 2 - LINE_HEIGHT * 2;
+  const perPage = Math.max(1, Math.floor(usable / LINE_HEIGHT));
+  const pages = [];
+  for (let i = 0; i < lines.length || pages.length === 0; i += perPage) {
+    pages.push(lines.slice(i, i + perPage));
+  }
+
+  // Object ids: 1 catalog, 2 pages, 3-4 fonts, then page/content pairs.
+  const objects = [];
+  const pageIds = pages.map((_, index) => 5 + index * 2);
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] = `<< /Type /Pages /Kids [${pageIds
+    .map((id) => `${id} 0 R`)
+    .join(" ")}] /Count ${pages.length} >>`;
+  objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>";
+  objects[4] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold >>";
+
+  pages.forEach((pageLines, index) => {
+    const pageId = pageIds[index];
+    const stream = pageStream(
+      index === 0 ? title : "",
+      pageLines,
+      index + 1,
+      pages.length
+    );
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${
+      pageId + 1
+    } 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let out = "%PDF-1.4\n";
+  const offsets = [];
+  for (let id = 1; id < objects.length; id += 1) {
+    offsets[id] = Buffer.byteLength(out);
+    out += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xrefOffset = Buffer.byteLength(out);
+  out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id += 1) {
+    out += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  }
+  out += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(out, "latin1");
+}
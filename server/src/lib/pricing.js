@@ -0,0 +1,314 @@
+// server/src/lib/pricing.js
+// Quote engine. Settings.pricing holds per-service rules (base fee, rate per
+// mile/km beyond an included distance, minimum; "" = every other service)
+// plus heavy-duty and after-hours surcharges and urgency multipliers.
+// computeQuote() is pure; quoteJob() loads the config and company clock.
+import Settings from "../models/Settings.js";
+import { haversineKm } from "./geo.js";
+import {
+  getZonedParts,
+  parseTimeOfDay,
+  resolveCompanyTimeZone,
+} from "./schedule.js";
+
+export const PRICING_URGENCIES = ["emergency", "urgent", "standard"];
+export const DISTANCE_UNITS = ["mi", "km"];
+
+const KM_PER_MILE = 1.609344;
+// Straight-line pickup/dropoff distance stretched to approximate the road route.
+const ROAD_FACTOR = 1.3;
+
+export const DEFAULT_PRICING_CONFIG = {
+  enabled: true,
+  distanceUnit: "mi",
+  rules: [
+    { serviceType: "", baseFee: 75, perUnit: 4, includedDistance: 5, minimum: 75 },
+  ],
+  heavyDutySurcharge: 75,
+  afterHours: { start: "19:00", end: "07:00", surcharge: 35, weekends: false },
+  urgencyMultipliers: { emergency: 1.5, urgent: 1.25, standard: 1 },
+};
+
+const nonNegative = (value, fallback = null) => {
+  const num = Number(value);
+  return value !== null && value !== "" && Number.isFinite(num) && num >= 0
+    ? num
+    : fallback;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const normalizeKey = (value) => String(value || "").trim().toLowerCase();
+
+export function sanitizePricingRules(rules) {
+  if (!Array.isArray(rules)) return [];
+  return rules
+    .filter((rule) => rule && typeof rule === "object")
+    .map((rule) => ({
+      serviceType: String(rule.serviceType || "").trim(),
+      baseFee: nonNegative(rule.baseFee, 0),
+      perUnit: nonNegative(rule.perUnit, 0),
+      includedDistance: nonNegative(rule.includedDistance, 0),
+      minimum: nonNegative(rule.minimum, 0),
+    }));
+}
+
+/** Fill gaps in a stored/incoming pricing config with the defaults. */
+export function normalizePricingConfig(pricing = {}) {
+  const defaults = DEFAULT_PRICING_CONFIG;
+  const afterHours = pricing.afterHours || {};
+  const multipliers = pricing.urgencyMultipliers || {};
+  const multiplier = (key) =>
+    Math.max(0.1, nonNegative(multipliers[key], defaults.urgencyMultipliers[key]));
+  return {
+    enabled: pricing.enabled !== false,
+    distanceUnit: DISTANCE_UNITS.includes(pricing.distanceUnit)
+      ? pricing.distanceUnit
+      : defaults.distanceUnit,
+    rules: Array.isArray(pricing.rules)
+      ? sanitizePricingRules(pricing.rules)
+      : sanitizePricingRules(defaults.rules),
+    heavyDutySurcharge: nonNegative(
+      pricing.heavyDutySurcharge,
+      defaults.heavyDutySurcharge
+    ),
+    afterHours: {
+      start: parseTimeOfDay(afterHours.start)
+        ? String(afterHours.start).trim()
+        : defaults.afterHours.start,
+      end: parseTimeOfDay(afterHours.end)
+        ? String(afterHours.end).trim()
+        : defaults.afterHours.end,
+      surcharge: nonNegative(afterHours.surcharge, defaults.afterHours.surcharge),
+      weekends:
+        afterHours.weekends !== undefined
+          ? Boolean(afterHours.weekends)
+          : defaults.afterHours.weekends,
+    },
+    urgencyMultipliers: {
+      emergency: multiplier("emergency"),
+      urgent: multiplier("urgent"),
+      standard: multiplier("standard"),
+    },
+  };
+}
+
+export async function loadPricingConfig() {
+  const settings = await Settings.findOne()
+    .select("pricing defaults.currency defaults.timezone")
+    .lean();
+  return {
+    ...normalizePricingConfig(settings?.pricing || {}),
+    currency: settings?.defaults?.currency || "USD",
+    timeZone: resolveCompanyTimeZone(settings),
+  };
+}
+
+/** "12.4 mi", "3 km", "850 m", "1,200 ft" -> km; bare numbers use `unit`. */
+export function parseDistanceKm(value, unit = "mi") {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === "number") {
+    if (!Number.isFinite(value) || value < 0) return null;
+    return unit === "km" ? value : value * KM_PER_MILE;
+  }
+  const match = /([\d.,]+)\s*(mi|miles?|km|kilometers?|kilometres?|m|meters?|metres?|ft|feet)?\b/i.exec(
+    String(value)
+  );
+  if (!match) return null;
+  const amount = Number(match[1].replace(/,/g, ""));
+  if (!Number.isFinite(amount) || amount < 0) return null;
+  const suffix = (match[2] || unit).toLowerCase();
+  if (suffix.startsWith("mi")) return amount * KM_PER_MILE;
+  if (suffix.startsWith("k")) return amount;
+  if (suffix === "ft" || suffix === "feet") return (amount * 0.3048) / 1000;
+  return amount / 1000;
+}
+
+/**
+ * Trip distance for pricing, preferring what the caller measured:
+ * distanceKm, distanceMeters, the estimatedDistance text, then the
+ * pickup/dropoff coordinates. Returns { km, source } (km null if unknown).
+ */
+export function resolveTripDistance(input = {}, unit = "mi") {
+  const km = nonNegative(input.distanceKm);
+  if (km !== null) return { km, source: "distanceKm" };
+  const meters = nonNegative(input.distanceMeters);
+  if (meters !== null) return { km: meters / 1000, source: "distanceMeters" };
+  const parsed = parseDistanceKm(input.estimatedDistance, unit);
+  if (parsed !== null) return { km: parsed, source: "estimatedDistance" };
+  const straight = haversineKm(
+    input.pickupLat,
+    input.pickupLng,
+    input.dropoffLat,
+    input.dropoffLng
+  );
+  if (Number.isFinite(straight)) {
+    return { km: straight * ROAD_FACTOR, source: "coordinates" };
+  }
+  return { km: null, source: null };
+}
+
+const minutesOfDay = (value) => {
+  const time = parseTimeOfDay(value);
+  return time ? time.hour * 60 + time.minute : null;
+};
+
+/** True when `at` falls in the after-hours window (or a weekend, if enabled). */
+export function isAfterHours(afterHours, at, timeZone) {
+  const parts = getZonedParts(at, timeZone);
+  const weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+  if (afterHours.weekends && (weekday === 0 || weekday === 6)) return true;
+  const start = minutesOfDay(afterHours.start);
+  const end = minutesOfDay(afterHours.end);
+  if (start === null || end === null || start === end) return false;
+  const current = parts.hour * 60 + parts.minute;
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+}
+
+export function resolvePricingRule(serviceType, rules = []) {
+  const service = normalizeKey(serviceType);
+  return (
+    rules.find((rule) => rule.serviceType && normalizeKey(rule.serviceType) === service) ||
+    rules.find((rule) => !rule.serviceType) ||
+    DEFAULT_PRICING_CONFIG.rules[0]
+  );
+}
+
+export function normalizeUrgency(input = {}) {
+  if (PRICING_URGENCIES.includes(input.urgency)) return input.urgency;
+  return input.priority === "urgent" ? "urgent" : "standard";
+}
+
+const URGENCY_LABELS = {
+  emergency: "Emergency",
+  urgent: "Urgent",
+  standard: "Standard",
+};
+
+/**
+ * Price one request. `input` carries serviceType, urgency/priority,
+ * heavyDuty, a distance (see resolveTripDistance) and optionally
+ * `serviceAt` (defaults to `now`) for the after-hours check.
+ * Returns { total, currency, lineItems: [{ code, label, amount }], ... }.
+ */
+export function computeQuote(input = {}, config = {}, now = new Date()) {
+  const pricing = normalizePricingConfig(config);
+  const unit = pricing.distanceUnit;
+  const rule = resolvePricingRule(input.serviceType, pricing.rules);
+  const urgency = normalizeUrgency(input);
+  const heavyDuty = input.heavyDuty === true || input.heavyDuty === "true";
+  const serviceAt = input.serviceAt ? new Date(input.serviceAt) : now;
+  const afterHours =
+    pricing.afterHours.surcharge > 0 &&
+    !Number.isNaN(serviceAt.getTime()) &&
+    isAfterHours(pricing.afterHours, serviceAt, config.timeZone || "UTC");
+
+  const lineItems = [];
+  const add = (code, label, amount) => {
+    if (amount > 0) lineItems.push({ code, label, amount: roundMoney(amount) });
+  };
+
+  add("base", `${input.serviceType || "Service"} base fee`, rule.baseFee);
+
+  const distance = resolveTripDistance(input, unit);
+  const distanceUnits =
+    distance.km === null ? null : unit === "mi" ? distance.km / KM_PER_MILE : distance.km;
+  if (distanceUnits !== null) {
+    const billable = Math.max(0, distanceUnits - rule.includedDistance);
+    add(
+      "distance",
+      `Distance: ${billable.toFixed(1)} ${unit} beyond ${rule.includedDistance} included`,
+      billable * rule.perUnit
+    );
+  }
+
+  if (heavyDuty) add("heavy_duty", "Heavy-duty surcharge", pricing.heavyDutySurcharge);
+  if (afterHours) add("after_hours", "After-hours surcharge", pricing.afterHours.surcharge);
+
+  const subtotal = lineItems.reduce((sum, item) => sum + item.amount, 0);
+  const multiplier = pricing.urgencyMultipliers[urgency] ?? 1;
+  if (multiplier !== 1) {
+    // A discount multiplier (< 1) shows up as a negative line.
+    const amount = roundMoney(subtotal * (multiplier - 1));
+    if (amount !== 0) {
+      lineItems.push({
+        code: "urgency",
+        label: `${URGENCY_LABELS[urgency]} (x${multiplier})`,
+        amount,
+      });
+    }
+  }
+
+  let total = lineItems.reduce((sum, item) => sum + item.amount, 0);
+  if (total < rule.minimum) {
+    add("minimum", "Minimum charge adjustment", rule.minimum - total);
+    total = rule.minimum;
+  }
+
+  return {
+    total: roundMoney(total),
+    currency: config.currency || "USD",
+    serviceType: input.serviceType || "",
+    urgency,
+    heavyDuty,
+    afterHours,
+    distance: {
+      value: distanceUnits === null ? null : Math.round(distanceUnits * 10) / 10,
+      unit,
+      source: distance.source,
+    },
+    lineItems,
+    computedAt: now,
+  };
+}
+
+/** Quote against the saved Settings.pricing; null when pricing is disabled. */
+export async function quoteJob(input = {}, now = new Date()) {
+  const config = await loadPricingConfig();
+  if (!config.enabled) return null;
+  return computeQuote(input, config, now);
+}
+
+/** Pricing inputs from a request body or job document. */
+export function quoteInputFrom(source = {}) {
+  const scheduling = source.scheduling || {};
+  return {
+    serviceType: source.serviceType,
+    urgency: source.urgency,
+    priority: source.priority,
+    heavyDuty: source.heavyDuty,
+    distanceKm: source.distanceKm,
+    distanceMeters: source.distanceMeters,
+    estimatedDistance: source.estimatedDistance ?? source.distanceText,
+    pickupLat: source.pickupLat ?? source.coordinates?.lat,
+    pickupLng: source.pickupLng ?? source.coordinates?.lng,
+    dropoffLat: source.dropoffLat ?? source.destinationCoordinates?.lat,
+    dropoffLng: source.dropoffLng ?? source.destinationCoordinates?.lng,
+    serviceAt:
+      source.serviceAt ||
+      scheduling.confirmedWindowStart ||
+      scheduling.requestedWindowStart ||
+      null,
+  };
+}
+
+/**
+ * Price a job about to be created. A positive `requestedPrice` (typed in by
+ * staff) wins over the engine and marks the breakdown overridden.
+ * Returns { quotedPrice, priceQuote }; priceQuote is null with pricing off.
+ */
+export async function priceNewJob(source = {}, requestedPrice = 0) {
+  const requested = Number(requestedPrice);
+  const fallback = Number.isFinite(requested) && requested > 0 ? requested : 0;
+  const quote = await quoteJob(quoteInputFrom(source));
+  if (!quote) return { quotedPrice: fallback, priceQuote: null };
+  if (fallback > 0) {
+    return {
+      quotedPrice: fallback,
+      priceQuote: { ...quote, overridden: fallback !== quote.total },
+    };
+  }
+  return { quotedPrice: quote.total, priceQuote: quote };
+}
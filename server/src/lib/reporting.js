@@ -0,0 +1,292 @@
+import Job from "../models/Jobs.js";
+import Vendor from "../models/Vendor.js";
+import Feedback from "../models/Feedback.js";
+import { loadSlaConfig, slaOutcome } from "./sla.js";
+
+export const toMinutes = (ms) => Math.round(ms / 60000);
+
+const SCORECARD_JOB_FIELDS = {
+  _id: 1,
+  vendorId: 1,
+  status: 1,
+  cancelled: 1,
+  finalPrice: 1,
+  quotedPrice: 1,
+  commission: 1,
+  urgency: 1,
+  serviceType: 1,
+  assignedAt: 1,
+  arrivedAt: 1,
+  completedAt: 1,
+  sla: 1,
+};
+
+/**
+ * Range report shared by GET /api/reports/range and the scheduled digests.
+ * Returns { from, to, totals, byService, byCity, topVendors, satisfaction }.
+ */
+export async function buildRangeReport({ from, to, service = "", city = "" }) {
+  const match = { created: { $gte: from, $lte: to } };
+  if (service) match.serviceType = service;
+
+  // Base pipeline with optional city filter via vendor lookup
+  const pipeline = [
+    { $match: match },
+    {
+      $lookup: {
+        from: "vendors",
+        localField: "vendorId",
+        foreignField: "_id",
+        as: "vendor",
+      },
+    },
+    { $unwind: { path: "$vendor", preserveNullAndEmptyArrays: true } },
+  ];
+  if (city) pipeline.push({ $match: { "vendor.city": city } });
+  pipeline.push({
+    $project: {
+      status: 1,
+      serviceType: 1,
+      quotedPrice: 1,
+      vendorCity: "$vendor.city",
+    },
+  });
+
+  const jobs = await Job.aggregate(pipeline);
+
+  const totals = {
+    count: jobs.length,
+    completed: jobs.filter((j) => j.status === "Completed").length,
+    gross: jobs.reduce((s, j) => s + (Number(j.quotedPrice) || 0), 0),
+  };
+
+  const byService = {};
+  for (const j of jobs) {
+    const k = j.serviceType || "Other";
+    byService[k] = (byService[k] || 0) + 1;
+  }
+
+  const byCity = {};
+  for (const j of jobs) {
+    const k = j.vendorCity || "-";
+    byCity[k] = (byCity[k] || 0) + 1;
+  }
+
+  // Top vendors by completed & revenue
+  const topVendors = await Job.aggregate([
+    { $match: { ...match, status: "Completed" } },
+    {
+      $group: {
+        _id: "$vendorId",
+        jobs: { $sum: 1 },
+        revenue: { $sum: { $ifNull: ["$quotedPrice", 0] } },
+      },
+    },
+    { $sort: { jobs: -1, revenue: -1 } },
+    { $limit: 5 },
+    {
+      $lookup: {
+        from: "vendors",
+        localField: "_id",
+        foreignField: "_id",
+        as: "vendor",
+      },
+    },
+    { $unwind: { path: "$vendor", preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        vendorId: "$_id",
+        name: "$vendor.name",
+        city: "$vendor.city",
+        jobs: 1,
+        revenue: 1,
+      },
+    },
+  ]);
+
+  // Satisfaction split (5* vs private (<5))
+  const fb = await Feedback.find(
+    { createdAt: { $gte: from, $lte: to } },
+    { rating: 1 }
+  ).lean();
+  const satisfaction = {
+    five: fb.filter((x) => x.rating === 5).length,
+    private: fb.filter((x) => x.rating < 5).length,
+  };
+
+  return { from, to, totals, byService, byCity, topVendors, satisfaction };
+}
+
+export const buildVendorScorecard = ({
+  jobs,
+  feedbackByJob,
+  vendorDoc,
+  slaPolicies = [],
+}) => {
+  const score = {
+    vendorId: vendorDoc?._id || null,
+    name: vendorDoc?.name || "Vendor",
+    city: vendorDoc?.city || "",
+    services: Array.isArray(vendorDoc?.services)
+      ? vendorDoc.services
+      : [],
+    active: vendorDoc?.active !== false,
+    heavyDuty: vendorDoc?.heavyDuty || false,
+    stats: {
+      assigned: 0,
+      completed: 0,
+      cancelled: 0,
+      avgArrivalMinutes: null,
+      slaHitRate: null,
+      avgRating: null,
+      gross: 0,
+      commission: 0,
+      avgCompletionMinutes: null,
+    },
+    compliance: {
+      status: vendorDoc?.complianceStatus || "pending",
+      issues:
+        Array.isArray(vendorDoc?.compliance?.missing) &&
+        vendorDoc.compliance.missing.length
+          ? vendorDoc.compliance.missing.map((missing) => ({
+              key: missing.key,
+              label: missing.label,
+              reason: missing.reason || "",
+            }))
+          : [],
+      nextCheck:
+        vendorDoc?.compliance?.lastCheckedAt || vendorDoc?.updatedAt || null,
+    },
+  };
+
+  if (!jobs.length) {
+    return score;
+  }
+
+  let arrivalTotal = 0;
+  let arrivalCount = 0;
+  let completionTotal = 0;
+  let completionCount = 0;
+  let slaHits = 0;
+  let slaJudged = 0;
+
+  for (const job of jobs) {
+    score.stats.assigned += 1;
+    if (job.cancelled) {
+      score.stats.cancelled += 1;
+    }
+    const price = Number(job.finalPrice || job.quotedPrice || 0);
+    score.stats.gross += price;
+    const commissionAmount = Number(job.commission?.amount || 0);
+    score.stats.commission += commissionAmount;
+
+    if (job.status === "Completed") {
+      score.stats.completed += 1;
+    }
+
+    if (job.arrivedAt && job.assignedAt) {
+      const arrivalMinutes = toMinutes(
+        new Date(job.arrivedAt) - new Date(job.assignedAt)
+      );
+      if (Number.isFinite(arrivalMinutes)) {
+        arrivalTotal += arrivalMinutes;
+        arrivalCount += 1;
+      }
+    }
+
+    const metSla = slaOutcome(job, slaPolicies);
+    if (metSla !== null) {
+      slaJudged += 1;
+      if (metSla) slaHits += 1;
+    }
+
+    if (job.completedAt && job.assignedAt) {
+      const completionMinutes = toMinutes(
+        new Date(job.completedAt) - new Date(job.assignedAt)
+      );
+      if (Number.isFinite(completionMinutes)) {
+        completionTotal += completionMinutes;
+        completionCount += 1;
+      }
+    }
+  }
+
+  if (arrivalCount > 0) {
+    score.stats.avgArrivalMinutes = Math.round((arrivalTotal / arrivalCount) * 10) / 10;
+  }
+  if (slaJudged > 0) {
+    score.stats.slaHitRate = Math.round((slaHits / slaJudged) * 100);
+  }
+  if (completionCount > 0) {
+    score.stats.avgCompletionMinutes =
+      Math.round((completionTotal / completionCount) * 10) / 10;
+  }
+
+  const ratings = jobs
+    .map((job) => feedbackByJob.get(String(job._id))?.rating)
+    .filter((rating) => Number.isFinite(rating));
+
+  if (ratings.length) {
+    const avgRating =
+      ratings.reduce((total, rating) => total + rating, 0) / ratings.length;
+    score.stats.avgRating = Math.round(avgRating * 10) / 10;
+  }
+
+  return score;
+};
+
+/**
+ * Scorecards for every vendor with jobs created since `since`.
+ * Shared by GET /api/ops/vendor-scorecards and the scheduled digests.
+ */
+export async function buildVendorScorecards({ since, vendorIds = null }) {
+  const jobFilter = { vendorId: { $ne: null }, created: { $gte: since } };
+  const vendorFilter = {};
+  if (Array.isArray(vendorIds)) {
+    jobFilter.vendorId = { $in: vendorIds };
+    vendorFilter._id = { $in: vendorIds };
+  }
+
+  const [recentJobs, feedbackDocs, vendors, slaConfig] = await Promise.all([
+    Job.find(jobFilter, SCORECARD_JOB_FIELDS).lean(),
+    Feedback.find(
+      { createdAt: { $gte: since } },
+      { jobId: 1, rating: 1 }
+    ).lean(),
+    Vendor.find(vendorFilter, {
+      _id: 1,
+      name: 1,
+      city: 1,
+      services: 1,
+      complianceStatus: 1,
+      compliance: 1,
+      active: 1,
+      heavyDuty: 1,
+    }).lean(),
+    loadSlaConfig(),
+  ]);
+
+  const feedbackByJob = new Map(
+    feedbackDocs.map((doc) => [String(doc.jobId), doc])
+  );
+  const vendorMap = new Map(vendors.map((vendor) => [String(vendor._id), vendor]));
+
+  const jobsByVendor = new Map();
+  for (const job of recentJobs) {
+    const key = String(job.vendorId);
+    if (!jobsByVendor.has(key)) {
+      jobsByVendor.set(key, []);
+    }
+    jobsByVendor.get(key).push(job);
+  }
+
+  return Array.from(jobsByVendor.entries()).map(([vendorId, jobs]) =>
+    buildVendorScorecard({
+      jobs,
+      feedbackByJob,
+      vendorDoc: vendorMap.get(vendorId),
+      slaPolicies: slaConfig.policies,
+    })
+  );
+}
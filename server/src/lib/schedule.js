@@ -0,0 +1,161 @@
+// server/src/lib/schedule.js
+// Wall-clock schedule helpers. Settings store times as "HH:mm" in the company
+// timezone, so every calculation goes through Intl instead of the host clock.
+
+export const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const FALLBACK_TIMEZONE = "UTC";
+const formatterCache = new Map();
+
+export function isValidTimeZone(value) {
+  if (typeof value !== "string" || !value.trim()) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value.trim() });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function resolveCompanyTimeZone(settings) {
+  const configured = settings?.defaults?.timezone;
+  if (isValidTimeZone(configured)) return configured.trim();
+  if (isValidTimeZone(process.env.COMPANY_TIMEZONE)) {
+    return process.env.COMPANY_TIMEZONE.trim();
+  }
+  return FALLBACK_TIMEZONE;
+}
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatterCache.get(timeZone);
+};
+
+export function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(date)) {
+    if (part.type !== "literal") parts[part.type] = Number(part.value);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour === 24 ? 0 : parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+const offsetMs = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * Convert a wall-clock time in `timeZone` to the matching UTC instant.
+ * Re-checks the offset once so DST transitions resolve to a real instant.
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const firstOffset = offsetMs(new Date(guess), timeZone);
+  let utc = guess - firstOffset;
+  const secondOffset = offsetMs(new Date(utc), timeZone);
+  if (secondOffset !== firstOffset) {
+    utc = guess - secondOffset;
+  }
+  return new Date(utc);
+}
+
+export function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || "").trim());
+  if (!match) return null;
+  const hour = Number(match[1]);
+  const minute = Number(match[2]);
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute };
+}
+
+const candidateForOffset = (localToday, dayOffset, timeOfDay, weekdayIndex, timeZone) => {
+  const calendarDay = new Date(
+    Date.UTC(localToday.year, localToday.month - 1, localToday.day + dayOffset)
+  );
+  if (weekdayIndex !== null && calendarDay.getUTCDay() !== weekdayIndex) {
+    return null;
+  }
+  return zonedTimeToUtc(
+    {
+      year: calendarDay.getUTCFullYear(),
+      month: calendarDay.getUTCMonth() + 1,
+      day: calendarDay.getUTCDate(),
+      hour: timeOfDay.hour,
+      minute: timeOfDay.minute,
+    },
+    timeZone
+  );
+};
+
+const resolveWeekday = (weekday) => {
+  if (!weekday) return null;
+  const index = WEEKDAYS.indexOf(String(weekday).toLowerCase());
+  return index >= 0 ? index : null;
+};
+
+/**
+ * Most recent slot at or before `now` for a daily ({ time }) or weekly
+ * ({ time, weekday }) schedule. Returns null when the time is malformed.
+ */
+export function previousOccurrence({ time, weekday = null }, now, timeZone) {
+  const timeOfDay = parseTimeOfDay(time);
+  if (!timeOfDay) return null;
+  const weekdayIndex = resolveWeekday(weekday);
+  const localToday = getZonedParts(now, timeZone);
+
+  for (let back = 0; back <= 7; back += 1) {
+    const candidate = candidateForOffset(
+      localToday,
+      -back,
+      timeOfDay,
+      weekdayIndex,
+      timeZone
+    );
+    if (candidate && candidate.getTime() <= now.getTime()) return candidate;
+  }
+  return null;
+}
+
+/**
+ * First slot strictly after `now` for the same schedule shapes.
+ */
+export function nextOccurrence({ time, weekday = null }, now, timeZone) {
+  const timeOfDay = parseTimeOfDay(time);
+  if (!timeOfDay) return null;
+  const weekdayIndex = resolveWeekday(weekday);
+  const localToday = getZonedParts(now, timeZone);
+
+  for (let ahead = 0; ahead <= 8; ahead += 1) {
+    const candidate = candidateForOffset(
+      localToday,
+      ahead,
+      timeOfDay,
+      weekdayIndex,
+      timeZone
+    );
+    if (candidate && candidate.getTime() > now.getTime()) return candidate;
+  }
+  return null;
+}
@@ -0,0 +1,205 @@
+// server/src/lib/serviceArea.js
+// Vendor service areas drawn as GeoJSON polygons. `coverage` replaces the
+// radiusKm circle when present; `exclusions` always win. Both are stored as
+// MultiPolygons with 2dsphere indexes (models/Vendor.js).
+import Vendor from "../models/Vendor.js";
+import { haversineKm } from "./geo.js";
+
+const MAX_POLYGONS = 20;
+const MAX_RING_POINTS = 500;
+
+const areaError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+function normalizeRing(ring, label) {
+  if (!Array.isArray(ring)) throw areaError(`${label} must be a list of [lng, lat] points`);
+  const points = ring.map((position) => {
+    const lng = Number(position?.[0]);
+    const lat = Number(position?.[1]);
+    if (
+      !Number.isFinite(lng) ||
+      !Number.isFinite(lat) ||
+      Math.abs(lng) > 180 ||
+      Math.abs(lat) > 90
+    ) {
+      throw areaError(`${label} has an invalid coordinate`);
+    }
+    return [lng, lat];
+  });
+  if (points.length && !samePosition(points[0], points[points.length - 1])) {
+    points.push([...points[0]]);
+  }
+  const distinct = new Set(points.map((point) => point.join(","))).size;
+  if (points.length < 4 || distinct < 3) {
+    throw areaError(`${label} needs at least 3 distinct points`);
+  }
+  if (points.length > MAX_RING_POINTS) {
+    throw areaError(`${label} has more than ${MAX_RING_POINTS} points`);
+  }
+  return points;
+}
+
+/**
+ * Coerce a Polygon, MultiPolygon, Feature or FeatureCollection into a
+ * MultiPolygon geometry. Empty input (null, [], no features) returns null.
+ */
+export function normalizeAreaGeometry(input, label = "Service area") {
+  if (input == null) return null;
+  let polygons;
+  if (input.type === "FeatureCollection") {
+    polygons = (input.features || []).flatMap((feature) =>
+      normalizeAreaGeometry(feature?.geometry, label)?.coordinates || []
+    );
+  } else if (input.type === "Feature") {
+    return normalizeAreaGeometry(input.geometry, label);
+  } else if (input.type === "Polygon") {
+    polygons = [input.coordinates];
+  } else if (input.type === "MultiPolygon") {
+    polygons = input.coordinates;
+  } else {
+    throw areaError(`${label} must be a GeoJSON Polygon or MultiPolygon`);
+  }
+  if (!Array.isArray(polygons)) throw areaError(`${label} has no coordinates`);
+  if (!polygons.length) return null;
+  if (polygons.length > MAX_POLYGONS) {
+    throw areaError(`${label} can have at most ${MAX_POLYGONS} shapes`);
+  }
+  return {
+    type: "MultiPolygon",
+    coordinates: polygons.map((rings, index) => {
+      if (!Array.isArray(rings) || !rings.length) {
+        throw areaError(`${label} shape ${index + 1} is empty`);
+      }
+      return rings.map((ring) => normalizeRing(ring, `${label} shape ${index + 1}`));
+    }),
+  };
+}
+
+// Ray casting on a closed [lng, lat] ring.
+function inRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/** Whether [lng, lat] falls inside a MultiPolygon (holes respected). */
+export function multiPolygonContains(geometry, lat, lng) {
+  const polygons = geometry?.coordinates;
+  if (!Array.isArray(polygons)) return false;
+  return polygons.some(
+    ([outer, ...holes]) =>
+      Array.isArray(outer) &&
+      inRing(lng, lat, outer) &&
+      !holes.some((hole) => inRing(lng, lat, hole))
+  );
+}
+
+export const hasServiceArea = (vendor) =>
+  Array.isArray(vendor?.serviceArea?.coverage?.coordinates) &&
+  vendor.serviceArea.coverage.coordinates.length > 0;
+
+/**
+ * Polygon check for a pickup point: false inside an exclusion zone or
+ * outside drawn coverage. Vendors without coverage, and pickups without
+ * coordinates, pass; callers fall back to radiusKm where they use it.
+ */
+export function vendorServesPoint(vendor, lat, lng) {
+  const pointLat = Number(lat);
+  const pointLng = Number(lng);
+  if (lat == null || lng == null || !Number.isFinite(pointLat) || !Number.isFinite(pointLng)) {
+    return true;
+  }
+  if (multiPolygonContains(vendor?.serviceArea?.exclusions, pointLat, pointLng)) {
+    return false;
+  }
+  if (!hasServiceArea(vendor)) return true;
+  return multiPolygonContains(vendor.serviceArea.coverage, pointLat, pointLng);
+}
+
+/** Drawn coverage when the vendor has it, else the radius around lat/lng. */
+export function vendorReachesPoint(vendor, lat, lng) {
+  if (!vendorServesPoint(vendor, lat, lng)) return false;
+  if (hasServiceArea(vendor)) return true;
+  const km = haversineKm(vendor?.lat, vendor?.lng, lat, lng);
+  return Number.isFinite(km) && km <= (Number(vendor?.radiusKm) || 25);
+}
+
+/**
+ * Mongo filter for vendors whose drawn coverage (if any) contains the
+ * point; uses the 2dsphere index. Exclusions are checked in memory.
+ */
+export function serviceAreaQuery(lat, lng) {
+  const pointLat = Number(lat);
+  const pointLng = Number(lng);
+  if (lat == null || lng == null || !Number.isFinite(pointLat) || !Number.isFinite(pointLng)) {
+    return {};
+  }
+  return {
+    $or: [
+      { "serviceArea.coverage": null },
+      {
+        "serviceArea.coverage": {
+          $geoIntersects: {
+            $geometry: { type: "Point", coordinates: [pointLng, pointLat] },
+          },
+        },
+      },
+    ],
+  };
+}
+
+export const serializeServiceArea = (vendor) => ({
+  coverage: vendor?.serviceArea?.coverage?.coordinates?.length
+    ? vendor.serviceArea.coverage
+    : null,
+  exclusions: vendor?.serviceArea?.exclusions?.coordinates?.length
+    ? vendor.serviceArea.exclusions
+    : null,
+  updatedAt: vendor?.serviceArea?.updatedAt || null,
+});
+
+/**
+ * Replace a vendor's drawn areas. `coverage`/`exclusions` left undefined
+ * keep their current value; null or an empty collection clears them.
+ * Returns the updated vendor.
+ */
+export async function saveVendorServiceArea(vendorId, { coverage, exclusions } = {}) {
+  const $set = { "serviceArea.updatedAt": new Date() };
+  const $unset = {};
+  for (const [field, value, label] of [
+    ["coverage", coverage, "Service area"],
+    ["exclusions", exclusions, "Exclusion zone"],
+  ]) {
+    if (value === undefined) continue;
+    const geometry = normalizeAreaGeometry(value, label);
+    if (geometry) $set[`serviceArea.${field}`] = geometry;
+    else $unset[`serviceArea.${field}`] = "";
+  }
+
+  try {
+    const vendor = await Vendor.findByIdAndUpdate(
+      vendorId,
+      Object.keys($unset).length ? { $set, $unset } : { $set },
+      { new: true }
+    ).lean();
+    if (!vendor) throw areaError("Vendor not found", 404);
+    return vendor;
+  } catch (error) {
+    // 2dsphere rejects self-intersecting or otherwise malformed polygons.
+    if (error?.code === 16755) {
+      throw areaError("A shape is invalid; make sure its edges do not cross");
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,352 @@
+// server/src/lib/sla.js
+// SLA policies (time-to-assign / arrive / complete per service type and
+// urgency) and the breach evaluator run by automation/slaMonitor.js.
+import Job from "../models/Jobs.js";
+import Vendor from "../models/Vendor.js";
+import Settings from "../models/Settings.js";
+import AdminNotification from "../models/AdminNotification.js";
+import VendorNotification from "../models/VendorNotification.js";
+import { recordJobEvent } from "./jobEvents.js";
+import { notifyContact } from "./notifier.js";
+import {
+  sendAdminPushNotifications,
+  sendVendorPushNotifications,
+} from "./push.js";
+
+export const SLA_STAGES = ["assign", "arrive", "complete"];
+export const SLA_URGENCIES = ["emergency", "urgent", "standard"];
+
+// Built-in targets in minutes, used wherever Settings.sla.policies has no match.
+export const DEFAULT_SLA_TARGETS = {
+  emergency: { assignMinutes: 5, arriveMinutes: 15, completeMinutes: 90 },
+  urgent: { assignMinutes: 10, arriveMinutes: 30, completeMinutes: 120 },
+  standard: { assignMinutes: 15, arriveMinutes: 45, completeMinutes: 180 },
+};
+
+const STAGE_FIELDS = {
+  assign: "assignMinutes",
+  arrive: "arriveMinutes",
+  complete: "completeMinutes",
+};
+
+const STAGE_LABELS = {
+  assign: "assignment",
+  arrive: "arrival",
+  complete: "completion",
+};
+
+// Statuses that stop the SLA clock.
+const PAUSED_STATUSES = new Set(["OnHold"]);
+const ARRIVED_STATUSES = new Set(["Arrived", "Loaded", "InTransit"]);
+
+const positive = (value) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : null;
+};
+
+const normalizeKey = (value) => String(value || "").trim().toLowerCase();
+
+export function sanitizeSlaPolicies(policies) {
+  if (!Array.isArray(policies)) return [];
+  return policies
+    .filter((policy) => policy && typeof policy === "object")
+    .map((policy) => ({
+      serviceType: String(policy.serviceType || "").trim(),
+      urgency: SLA_URGENCIES.includes(policy.urgency) ? policy.urgency : "",
+      assignMinutes: positive(policy.assignMinutes),
+      arriveMinutes: positive(policy.arriveMinutes),
+      completeMinutes: positive(policy.completeMinutes),
+    }))
+    .filter(
+      (policy) =>
+        policy.assignMinutes || policy.arriveMinutes || policy.completeMinutes
+    );
+}
+
+export async function loadSlaConfig() {
+  const settings = await Settings.findOne()
+    .select("sla automation.alerts.vendor.slaReminderMinutes")
+    .lean();
+  return {
+    enabled: settings?.sla?.enabled !== false,
+    escalateOnBreach: settings?.sla?.escalateOnBreach !== false,
+    policies: sanitizeSlaPolicies(settings?.sla?.policies),
+    reminderMinutes:
+      positive(settings?.automation?.alerts?.vendor?.slaReminderMinutes) || 20,
+  };
+}
+
+/**
+ * Targets for one job. The most specific policy wins per field
+ * (service + urgency, then service, then urgency, then catch-all) and
+ * anything still unset falls back to DEFAULT_SLA_TARGETS.
+ */
+export function resolveSlaTargets(job, policies = []) {
+  const urgency = SLA_URGENCIES.includes(job?.urgency) ? job.urgency : "standard";
+  const service = normalizeKey(job?.serviceType);
+
+  const rank = (policy) => {
+    const policyService = normalizeKey(policy.serviceType);
+    if (policyService && policyService !== service) return -1;
+    if (policy.urgency && policy.urgency !== urgency) return -1;
+    return (policyService ? 2 : 0) + (policy.urgency ? 1 : 0);
+  };
+
+  const matches = policies
+    .map((policy) => ({ policy, score: rank(policy) }))
+    .filter((item) => item.score >= 0)
+    .sort((a, b) => b.score - a.score);
+
+  const targets = { ...DEFAULT_SLA_TARGETS[urgency] };
+  for (const field of Object.values(STAGE_FIELDS)) {
+    const match = matches.find((item) => positive(item.policy[field]));
+    if (match) targets[field] = positive(match.policy[field]);
+  }
+  return targets;
+}
+
+/**
+ * Deadlines for the stages still open on this job, pushed back by the
+ * time the job spent OnHold. `clockStart` is what the stage is measured
+ * from; a breach belongs to that clock.
+ * Returns [{ stage, targetMinutes, dueAt, clockStart }].
+ */
+export function openSlaStages(job, targets) {
+  if (!job || job.cancelled || PAUSED_STATUSES.has(job.status)) return [];
+  if (["Completed", "Cancelled", "GOA"].includes(job.status)) return [];
+
+  const heldMs = Number(job.sla?.heldMs) || 0;
+  const at = (start, minutes) =>
+    new Date(start.getTime() + heldMs + minutes * 60 * 1000);
+  const stages = [];
+  const assignFrom = job.sla?.assignClockFrom || job.created || job.createdAt;
+
+  if (!job.assignedAt && assignFrom) {
+    const clockStart = new Date(assignFrom);
+    stages.push({
+      stage: "assign",
+      targetMinutes: targets.assignMinutes,
+      dueAt: at(clockStart, targets.assignMinutes),
+      clockStart,
+    });
+  }
+  if (job.assignedAt) {
+    const clockStart = new Date(job.assignedAt);
+    if (!job.arrivedAt && !ARRIVED_STATUSES.has(job.status)) {
+      stages.push({
+        stage: "arrive",
+        targetMinutes: targets.arriveMinutes,
+        dueAt: at(clockStart, targets.arriveMinutes),
+        clockStart,
+      });
+    }
+    stages.push({
+      stage: "complete",
+      targetMinutes: targets.completeMinutes,
+      dueAt: at(clockStart, targets.completeMinutes),
+      clockStart,
+    });
+  }
+  return stages;
+}
+
+/**
+ * Whether a finished assignment met its arrival SLA. Breaches recorded
+ * against the current vendor on vendor-owned stages count as misses;
+ * older jobs without breach history are judged on arrivedAt - assignedAt.
+ * Returns null when the job has nothing to judge yet.
+ */
+export function slaOutcome(job, policies = []) {
+  const breaches = Array.isArray(job?.sla?.breaches) ? job.sla.breaches : [];
+  const vendorId = job?.vendorId ? String(job.vendorId) : null;
+  const missed = breaches.some(
+    (breach) =>
+      (breach.stage === "arrive" || breach.stage === "complete") &&
+      (breach.vendorId === undefined || String(breach.vendorId) === vendorId)
+  );
+  if (missed) return false;
+  if (!job?.assignedAt || !job?.arrivedAt) return null;
+  const minutes =
+    (new Date(job.arrivedAt).getTime() - new Date(job.assignedAt).getTime()) / 60000;
+  if (!Number.isFinite(minutes)) return null;
+  return minutes <= resolveSlaTargets(job, policies).arriveMinutes;
+}
+
+const jobLabel = (job) => `#${String(job._id).slice(-6).toUpperCase()}`;
+
+// Breaches stamped before clockStart was recorded count for any clock.
+const breachedOnClock = (breach, { stage, clockStart }) =>
+  breach.stage === stage &&
+  (!breach.clockStart ||
+    new Date(breach.clockStart).getTime() === new Date(clockStart).getTime());
+
+async function stampBreach(
+  job,
+  { stage, targetMinutes, dueAt, clockStart },
+  config,
+  now
+) {
+  const set = {};
+  if (config.escalateOnBreach) {
+    set.priority = "urgent";
+    if (!job.escalatedAt) set.escalatedAt = now;
+  }
+
+  const updated = await Job.findOneAndUpdate(
+    {
+      _id: job._id,
+      $nor: [
+        { "sla.breaches": { $elemMatch: { stage, clockStart } } },
+        { "sla.breaches": { $elemMatch: { stage, clockStart: null } } },
+      ],
+    },
+    {
+      $push: {
+        "sla.breaches": {
+          stage,
+          targetMinutes,
+          dueAt,
+          breachedAt: now,
+          vendorId: stage === "assign" ? null : job.vendorId || null,
+          clockStart,
+        },
+      },
+      ...(Object.keys(set).length ? { $set: set } : {}),
+    },
+    { new: true }
+  ).lean();
+  if (!updated) return null;
+
+  await recordJobEvent({
+    job: updated,
+    type: "sla_breached",
+    actor: { role: "system", id: null },
+    source: "sla_monitor",
+    before: job,
+    after: updated,
+    meta: { stage, targetMinutes, dueAt, vendorId: job.vendorId || null },
+  });
+
+  try {
+    const notification = await AdminNotification.create({
+      title: `SLA breached: ${STAGE_LABELS[stage]}`,
+      body: `${updated.serviceType || "Job"} ${jobLabel(updated)} missed its ${targetMinutes} min ${STAGE_LABELS[stage]} target${
+        updated.vendorName ? ` (${updated.vendorName})` : ""
+      }.`,
+      severity: "danger",
+      jobId: updated._id,
+      customerId: updated.customerId || null,
+      meta: {
+        role: "admin",
+        kind: "sla_breach",
+        route: `/jobs/${updated._id}`,
+        jobId: updated._id,
+        stage,
+        dueAt,
+      },
+    });
+    await sendAdminPushNotifications([notification]);
+  } catch (error) {
+    console.error("[sla-monitor] Failed to notify admins", updated._id, error);
+  }
+  return updated;
+}
+
+async function remindVendor(job, { dueAt }, now) {
+  const locked = await Job.findOneAndUpdate(
+    { _id: job._id, "sla.vendorRemindedAt": null },
+    { $set: { "sla.vendorRemindedAt": now } }
+  );
+  if (!locked) return false;
+
+  const minutesLeft = Math.max(0, Math.round((dueAt - now) / 60000));
+  const body = `Job ${jobLabel(job)}${
+    job.pickupAddress ? ` at ${job.pickupAddress}` : ""
+  } is due on site in ${minutesLeft} min. Update your status if you are running late.`;
+
+  try {
+    const notification = await VendorNotification.create({
+      vendorId: job.vendorId,
+      jobId: job._id,
+      source: "sla_monitor",
+      title: "Arrival deadline approaching",
+      body,
+      severity: "warning",
+      meta: {
+        role: "vendor",
+        kind: "sla_reminder",
+        jobId: job._id,
+        route: "/vendor/app",
+        dueAt,
+      },
+    });
+    await sendVendorPushNotifications([notification]);
+    const vendor = await Vendor.findById(job.vendorId).select("phone email").lean();
+    await notifyContact("vendor", {
+      phone: vendor?.phone || job.vendorPhone,
+      sms: body,
+      jobId: job._id,
+    });
+  } catch (error) {
+    console.error("[sla-monitor] Failed to remind vendor", job._id, error);
+  }
+  return true;
+}
+
+/**
+ * One evaluator pass over open jobs: stamp and escalate breaches, and
+ * remind vendors `reminderMinutes` before their arrival deadline.
+ * Returns { breaches, reminders }.
+ */
+export async function evaluateSla({ limit = 200, now = new Date() } = {}) {
+  const config = await loadSlaConfig();
+  const result = { breaches: 0, reminders: 0 };
+  if (!config.enabled) return result;
+
+  const jobs = await Job.find({
+    cancelled: { $ne: true },
+    status: { $nin: ["Completed", "Cancelled", "GOA", "OnHold"] },
+    "sla.exhaustedAt": null,
+  })
+    .select(
+      "_id status created createdAt assignedAt arrivedAt urgency serviceType priority escalatedAt vendorId vendorName vendorPhone customerId pickupAddress sla"
+    )
+    .sort({ created: 1 })
+    .limit(limit)
+    .lean();
+
+  for (const job of jobs) {
+    try {
+      const targets = resolveSlaTargets(job, config.policies);
+      const breaches = job.sla?.breaches || [];
+      const stages = openSlaStages(job, targets);
+      let open = 0;
+      for (const stage of stages) {
+        if (breaches.some((breach) => breachedOnClock(breach, stage))) continue;
+        if (stage.dueAt <= now) {
+          if (await stampBreach(job, stage, config, now)) result.breaches += 1;
+          continue;
+        }
+        open += 1;
+        if (
+          stage.stage === "arrive" &&
+          job.vendorId &&
+          !job.sla?.vendorRemindedAt &&
+          stage.dueAt - now <= config.reminderMinutes * 60 * 1000
+        ) {
+          if (await remindVendor(job, stage, now)) result.reminders += 1;
+        }
+      }
+      // Nothing left to breach until the clocks restart; stop scanning it.
+      if (stages.length && !open) {
+        await Job.updateOne(
+          { _id: job._id, "sla.exhaustedAt": null },
+          { $set: { "sla.exhaustedAt": now } }
+        );
+      }
+    } catch (error) {
+      console.error("[sla-monitor] Failed to evaluate job", job._id, error);
+    }
+  }
+  return result;
+}
@@ -0,0 +1,101 @@
+// server/src/lib/trackingLinks.js
+// Signed customer tracking links. A token is scoped to one job and to the
+// job's tracking.version, so bumping the version revokes every link minted
+// so far; links also lapse TRACKING_LINK_TTL_HOURS after the job ends.
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Job from "../models/Jobs.js";
+import { getClientBaseUrl } from "./clientUrl.js";
+
+const TOKEN_TYPE = "tracking";
+
+const toPositive = (value, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+const TTL_AFTER_END_HOURS = toPositive(process.env.TRACKING_LINK_TTL_HOURS, 24);
+const MAX_LIFETIME_DAYS = toPositive(process.env.TRACKING_LINK_MAX_DAYS, 30);
+
+const getSecret = () =>
+  process.env.TRACKING_LINK_SECRET ||
+  `${process.env.JWT_SECRET || "dev_secret"}:tracking`;
+
+const linkError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const jobEndedAt = (job) => {
+  const ended = job?.completedAt || job?.completed || job?.cancelledAt || null;
+  return ended ? new Date(ended) : null;
+};
+
+/** When links for this job stop working, or null while it is still open. */
+export function trackingLinkExpiresAt(job) {
+  const ended = jobEndedAt(job);
+  return ended ? new Date(ended.getTime() + TTL_AFTER_END_HOURS * 3600000) : null;
+}
+
+export function mintTrackingToken(job) {
+  return jwt.sign(
+    {
+      typ: TOKEN_TYPE,
+      jid: String(job._id),
+      v: Number(job.tracking?.version) || 0,
+    },
+    getSecret(),
+    { expiresIn: `${MAX_LIFETIME_DAYS}d` }
+  );
+}
+
+export const trackingPath = (job) => `/track/${mintTrackingToken(job)}`;
+
+export function buildTrackingUrl(job, base = getClientBaseUrl()) {
+  return `${String(base || "").replace(/\/$/, "")}${trackingPath(job)}`;
+}
+
+/** Signature/expiry check only; returns { jobId, version } or throws 401. */
+export function verifyTrackingToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(String(token || ""), getSecret());
+  } catch {
+    throw linkError("Invalid or expired tracking link.", 401);
+  }
+  if (payload?.typ !== TOKEN_TYPE || !mongoose.isValidObjectId(payload.jid)) {
+    throw linkError("Invalid or expired tracking link.", 401);
+  }
+  return { jobId: payload.jid, version: Number(payload.v) || 0 };
+}
+
+/**
+ * Load the job a tracking token points at. Throws 404 when the job is
+ * gone and 410 when the link was revoked or has lapsed after completion.
+ */
+export async function resolveTrackingJob(token) {
+  const { jobId, version } = verifyTrackingToken(token);
+  const job = await Job.findById(jobId).lean();
+  if (!job) throw linkError("Job not found or link expired.", 404);
+  if ((Number(job.tracking?.version) || 0) !== version) {
+    throw linkError("This tracking link has been revoked.", 410);
+  }
+  const expiresAt = trackingLinkExpiresAt(job);
+  if (expiresAt && expiresAt.getTime() <= Date.now()) {
+    throw linkError("This tracking link has expired.", 410);
+  }
+  return job;
+}
+
+/** Invalidate every outstanding tracking link for a job. */
+export async function revokeTrackingLinks(jobId) {
+  return Job.findByIdAndUpdate(
+    jobId,
+    {
+      $inc: { "tracking.version": 1 },
+      $set: { "tracking.revokedAt": new Date() },
+    },
+    { new: true }
+  ).lean();
+}
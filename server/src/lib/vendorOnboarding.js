@@ -0,0 +1,334 @@
+// server/src/lib/vendorOnboarding.js
+// Vendor application pipeline. Self-registered vendors start as "applied"
+// and move through documents_pending and under_review as their checklist
+// fills in; only an admin moves them to approved or rejected. Applicants
+// who stall before review are nudged (automation/onboardingNudger.js).
+import mongoose from "mongoose";
+import AdminNotification from "../models/AdminNotification.js";
+import Vendor from "../models/Vendor.js";
+import VendorNotification from "../models/VendorNotification.js";
+import { getClientBaseUrl } from "./clientUrl.js";
+import { hasServiceArea } from "./serviceArea.js";
+import { notifyContact } from "./notifier.js";
+import {
+  sendAdminPushNotifications,
+  sendVendorPushNotifications,
+} from "./push.js";
+
+export const PIPELINE_STATUSES = ["applied", "documents_pending", "under_review"];
+
+export const ONBOARDING_STATUS_LABELS = {
+  applied: "Application started",
+  documents_pending: "Documents pending",
+  under_review: "Under review",
+  approved: "Approved",
+  rejected: "Rejected",
+};
+
+const NUDGE_STATUSES = ["applied", "documents_pending"];
+
+const onboardingError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const clean = (value, max = 1000) => String(value ?? "").trim().slice(0, max);
+
+const actorRef = (actor) =>
+  actor ? { role: actor.role, id: actor.id ? String(actor.id) : undefined } : undefined;
+
+export const onboardingStatus = (vendor) => vendor?.onboarding?.status || "approved";
+
+export const isVendorApproved = (vendor) => onboardingStatus(vendor) === "approved";
+
+/** Mongo filter matching isVendorApproved (no status also counts). */
+export const APPROVED_VENDOR_QUERY = Object.freeze({
+  "onboarding.status": { $in: [null, "approved"] },
+});
+
+/** What an applicant still has to do, in the order the vendor app shows it. */
+export function onboardingChecklist(vendor) {
+  const services = Array.isArray(vendor?.services) ? vendor.services.filter(Boolean) : [];
+  const located =
+    Boolean(vendor?.city || vendor?.baseAddress) ||
+    (Number.isFinite(vendor?.lat) && Number.isFinite(vendor?.lng)) ||
+    hasServiceArea(vendor);
+  const billing = vendor?.billing || {};
+  const compliance = vendor?.compliance || {};
+  const missingDocs = (compliance.missing || [])
+    .filter((item) => !item.appliesTo?.length)
+    .map((item) => item.label || item.key);
+
+  return [
+    {
+      key: "terms",
+      label: "Accept the terms of service",
+      done: Boolean(vendor?.tosAcceptedAt),
+      detail: vendor?.tosAcceptedAt
+        ? `Accepted ${new Date(vendor.tosAcceptedAt).toLocaleDateString()}`
+        : "",
+    },
+    {
+      key: "service_area",
+      label: "Set your services and service area",
+      done: services.length > 0 && located,
+      detail:
+        services.length && located
+          ? `${services.join(", ")} in ${
+              hasServiceArea(vendor)
+                ? "your drawn service area"
+                : vendor.city || vendor.baseAddress || "your area"
+            }`
+          : !services.length
+            ? "Add at least one service"
+            : "Add your city or base address",
+    },
+    {
+      key: "payment_method",
+      label: "Add a payment method",
+      done: Boolean(billing.customerId && billing.defaultPaymentMethodId),
+      detail: billing.cardLast4
+        ? `${billing.cardBrand || "Card"} ending ${billing.cardLast4}`
+        : "Used for platform commission on completed jobs",
+    },
+    {
+      key: "documents",
+      label: "Upload required documents",
+      done: vendor?.complianceOverride === true || compliance.allowed === true,
+      detail: missingDocs.length ? `Missing: ${missingDocs.join(", ")}` : "",
+    },
+  ];
+}
+
+const pipelineStatusFor = (checklist) => {
+  const open = checklist.filter((item) => !item.done).map((item) => item.key);
+  if (!open.length) return "under_review";
+  if (open.length === 1 && open[0] === "documents") return "documents_pending";
+  return "applied";
+};
+
+export function serializeOnboarding(vendor, { includeHistory = false } = {}) {
+  const status = onboardingStatus(vendor);
+  const onboarding = vendor?.onboarding || {};
+  const checklist = onboardingChecklist(vendor);
+  return {
+    status,
+    label: ONBOARDING_STATUS_LABELS[status] || status,
+    checklist,
+    complete: checklist.every((item) => item.done),
+    appliedAt: onboarding.appliedAt || null,
+    statusChangedAt: onboarding.statusChangedAt || null,
+    decidedAt: onboarding.decidedAt || null,
+    decisionNote: onboarding.decisionNote || "",
+    ...(includeHistory
+      ? {
+          history: onboarding.history || [],
+          nudgeCount: onboarding.nudgeCount || 0,
+          lastNudgedAt: onboarding.lastNudgedAt || null,
+        }
+      : {}),
+  };
+}
+
+async function notifyAdminsOfApplication(vendor) {
+  try {
+    const notification = await AdminNotification.create({
+      title: `Vendor application ready for review: ${vendor.name}`,
+      body: `${vendor.name} completed the onboarding checklist and is waiting for approval.`,
+      severity: "info",
+      meta: {
+        role: "admin",
+        kind: "vendor_application",
+        route: "/admin/vendors",
+        vendorId: vendor._id,
+      },
+    });
+    await sendAdminPushNotifications([notification]);
+  } catch (error) {
+    console.error("[onboarding] Failed to notify admins", vendor._id, error);
+  }
+}
+
+async function notifyVendor(vendor, { title, body, severity, kind, template, data }) {
+  const portalUrl = `${getClientBaseUrl()}/vendor/app`;
+  const notification = await VendorNotification.create({
+    vendorId: vendor._id,
+    source: "onboarding",
+    title,
+    body,
+    severity,
+    meta: { role: "vendor", kind, route: "/vendor/app" },
+  });
+  await sendVendorPushNotifications([notification]);
+  await notifyContact("vendor", {
+    phone: vendor.phone,
+    email: vendor.email,
+    sms: `${body}\n${portalUrl}`,
+    emailMessage: {
+      template,
+      data: { vendorName: vendor.name, ...data, portalUrl },
+    },
+  });
+}
+
+/**
+ * Move an applicant to the pipeline status their checklist supports. Approved
+ * and rejected vendors are left alone. Returns the (possibly updated) vendor.
+ */
+export async function syncVendorOnboarding(vendorId) {
+  const vendor = await Vendor.findById(vendorId).lean();
+  const current = vendor?.onboarding?.status;
+  if (!PIPELINE_STATUSES.includes(current)) return vendor;
+
+  const next = pipelineStatusFor(onboardingChecklist(vendor));
+  if (next === current) return vendor;
+
+  const now = new Date();
+  const updated = await Vendor.findOneAndUpdate(
+    { _id: vendor._id, "onboarding.status": current },
+    {
+      $set: {
+        "onboarding.status": next,
+        "onboarding.statusChangedAt": now,
+        "onboarding.lastNudgedAt": null,
+        "onboarding.nudgeCount": 0,
+      },
+      $push: { "onboarding.history": { status: next, at: now } },
+    },
+    { new: true }
+  ).lean();
+  if (!updated) return Vendor.findById(vendorId).lean();
+  if (next === "under_review") await notifyAdminsOfApplication(updated);
+  return updated;
+}
+
+/**
+ * Admin decision on an application. Approval needs a complete checklist and
+ * activates the vendor; rejection needs a note, which the vendor sees.
+ * Approved vendors can be rejected later, which also deactivates them.
+ */
+export async function decideApplication(vendorId, { decision, note, actor = null } = {}) {
+  if (!mongoose.isValidObjectId(vendorId)) {
+    throw onboardingError("Invalid vendor id", 400);
+  }
+  if (!["approve", "reject"].includes(decision)) {
+    throw onboardingError("decision must be approve or reject", 400);
+  }
+  const cleanNote = clean(note);
+  const approve = decision === "approve";
+  if (!approve && !cleanNote) {
+    throw onboardingError("Add a note explaining the rejection", 400);
+  }
+
+  const vendor = await Vendor.findById(vendorId).lean();
+  if (!vendor) throw onboardingError("Vendor not found", 404);
+  const current = onboardingStatus(vendor);
+  if (current === (approve ? "approved" : "rejected")) {
+    throw onboardingError(`Vendor is already ${current}`, 409);
+  }
+  if (approve) {
+    const open = onboardingChecklist(vendor).filter((item) => !item.done);
+    if (open.length) {
+      throw onboardingError(
+        `Checklist incomplete: ${open.map((item) => item.label).join(", ")}`,
+        409
+      );
+    }
+  }
+
+  const now = new Date();
+  const status = approve ? "approved" : "rejected";
+  const updated = await Vendor.findOneAndUpdate(
+    { _id: vendor._id, "onboarding.status": vendor.onboarding?.status || null },
+    {
+      $set: {
+        active: approve,
+        "onboarding.status": status,
+        "onboarding.statusChangedAt": now,
+        "onboarding.decidedAt": now,
+        "onboarding.decidedBy": actorRef(actor),
+        "onboarding.decisionNote": cleanNote || undefined,
+      },
+      $push: {
+        "onboarding.history": {
+          status,
+          at: now,
+          note: cleanNote || undefined,
+          actor: actorRef(actor),
+        },
+      },
+    },
+    { new: true }
+  ).lean();
+  if (!updated) {
+    throw onboardingError("The application changed; reload and try again", 409);
+  }
+
+  try {
+    await notifyVendor(updated, {
+      title: approve ? "Your vendor application was approved" : "Your vendor application was not approved",
+      body: approve
+        ? ["You can now see and bid on open jobs.", cleanNote].filter(Boolean).join("\n")
+        : `Your application was not approved: ${cleanNote}`,
+      severity: approve ? "success" : "warning",
+      kind: approve ? "application_approved" : "application_rejected",
+      template: "vendorApplicationDecision",
+      data: { approved: approve, note: cleanNote },
+    });
+  } catch (error) {
+    console.error("[onboarding] Failed to notify vendor of decision", vendorId, error);
+  }
+  return updated;
+}
+
+/**
+ * Remind applicants who have not moved for `afterHours`, at most
+ * `maxNudges` times per status. Returns the number of vendors nudged.
+ */
+export async function nudgeStalledApplicants({
+  now = new Date(),
+  afterHours = 48,
+  maxNudges = 3,
+  limit = 50,
+} = {}) {
+  const cutoff = new Date(now.getTime() - afterHours * 60 * 60 * 1000);
+  const stalled = {
+    "onboarding.status": { $in: NUDGE_STATUSES },
+    "onboarding.statusChangedAt": { $lte: cutoff },
+    "onboarding.nudgeCount": { $lt: maxNudges },
+    $or: [
+      { "onboarding.lastNudgedAt": null },
+      { "onboarding.lastNudgedAt": { $lte: cutoff } },
+    ],
+  };
+  const candidates = await Vendor.find(stalled).select("_id").limit(limit).lean();
+
+  let nudged = 0;
+  for (const { _id } of candidates) {
+    const vendor = await Vendor.findOneAndUpdate(
+      { ...stalled, _id },
+      { $set: { "onboarding.lastNudgedAt": now }, $inc: { "onboarding.nudgeCount": 1 } },
+      { new: true }
+    ).lean();
+    if (!vendor) continue;
+
+    const items = onboardingChecklist(vendor)
+      .filter((item) => !item.done)
+      .map((item) => item.label);
+    try {
+      await notifyVendor(vendor, {
+        title: "Finish your vendor application",
+        body: `You're almost set up. Still to do: ${items.join(", ")}.`,
+        severity: "info",
+        kind: "onboarding_reminder",
+        template: "onboardingReminder",
+        data: { items },
+      });
+      nudged += 1;
+    } catch (error) {
+      console.error("[onboarding] Failed to nudge vendor", _id, error);
+    }
+  }
+  return nudged;
+}
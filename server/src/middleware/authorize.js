@@ -0,0 +1,63 @@
+// server/src/middleware/authorize.js
+import { requireAdminAuth } from "../routes/adminAuth.js";
+
+export const STAFF_ROLES = ["admin", "dispatcher", "finance", "readonly"];
+
+const ALL_STAFF = STAFF_ROLES;
+const FINANCE_VIEW = ["admin", "finance", "readonly"];
+
+/**
+ * Who may call each admin API area. `read` covers GET/HEAD, `write`
+ * covers every other method. Admin is always allowed.
+ */
+export const ACCESS_POLICY = {
+  reports: { read: FINANCE_VIEW, write: ["admin"] },
+  financials: { read: FINANCE_VIEW, write: ["admin", "finance"] },
+  payments: { read: FINANCE_VIEW, write: ["admin", "finance"] },
+  exports: { read: FINANCE_VIEW, write: ["admin"] },
+  expenses: { read: FINANCE_VIEW, write: ["admin", "finance"] },
+  ops: { read: ALL_STAFF, write: ["admin", "dispatcher"] },
+  crm: { read: ALL_STAFF, write: ["admin", "dispatcher"] },
+  documents: { read: ALL_STAFF, write: ["admin", "dispatcher"] },
+  outbox: { read: ALL_STAFF, write: ["admin", "dispatcher"] },
+  settings: { read: ALL_STAFF, write: ["admin"] },
+  vendors: { read: ALL_STAFF, write: ["admin", "dispatcher"] },
+  // Live vendor positions and customer/vendor conversations (REST + sockets).
+  dispatch: { read: ["admin", "dispatcher"], write: ["admin", "dispatcher"] },
+  users: { read: ["admin"], write: ["admin"] },
+};
+
+const READ_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+export function canAccess(role, area, method = "GET") {
+  if (role === "admin") return true;
+  const policy = ACCESS_POLICY[area];
+  if (!policy) return false;
+  const allowed = READ_METHODS.has(String(method).toUpperCase())
+    ? policy.read
+    : policy.write;
+  return allowed.includes(role);
+}
+
+/**
+ * Role gate for one policy area. Verifies the admin token first, then
+ * checks the caller's role against ACCESS_POLICY for the request method.
+ */
+export function authorize(area) {
+  if (!ACCESS_POLICY[area]) {
+    throw new Error(`Unknown access policy area "${area}"`);
+  }
+  return (req, res, next) => {
+    requireAdminAuth(req, res, () => {
+      if (!req.adminId || !STAFF_ROLES.includes(req.adminRole)) {
+        return res.status(403).json({ message: "Staff access required" });
+      }
+      if (!canAccess(req.adminRole, area, req.method)) {
+        return res
+          .status(403)
+          .json({ message: "Your role does not allow this action" });
+      }
+      next();
+    });
+  };
+}
@@ -1,7 +1,7 @@
 import mongoose from "mongoose";
 import Job from "../models/Jobs.js";
 import Vendor from "../models/Vendor.js";
-import { decodeRequestActor } from "../lib/authTokens.js";
+import { actorCanAccess, decodeRequestActor } from "../lib/authTokens.js";
 
 const isValidObjectId = (value) => {
   try {
@@ -61,7 +61,7 @@ export async function requireConversationAccess(req, res, next) {
         // ignore lookup errors and fall back to strict id match
       }
     }
-    const isAdmin = actor.role === "admin";
+    const isAdmin = actorCanAccess(actor, "dispatch", req.method);
 
     if (!isCustomer && !isVendor && !isAdmin) {
       return res.status(403).json({ message: "Access denied" });
@@ -0,0 +1,35 @@
+// server/src/middleware/rateLimit.js
+// Fixed-window request limiter keyed by client IP (req.ip, so set
+// TRUST_PROXY behind a proxy). State is per process, which is enough to
+// slow down guessing against public lookup routes.
+
+export function rateLimit({ windowMs = 60000, max = 30 } = {}) {
+  const hits = new Map();
+  let sweepAt = Date.now() + windowMs;
+
+  return (req, res, next) => {
+    const now = Date.now();
+    if (now >= sweepAt) {
+      for (const [key, entry] of hits) {
+        if (entry.resetAt <= now) hits.delete(key);
+      }
+      sweepAt = now + windowMs;
+    }
+
+    const key = req.ip || req.socket?.remoteAddress || "unknown";
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count += 1;
+
+    if (entry.count > max) {
+      res.set("Retry-After", String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res
+        .status(429)
+        .json({ message: "Too many requests. Please try again shortly." });
+    }
+    next();
+  };
+}
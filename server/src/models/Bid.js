@@ -1,5 +1,51 @@
 // server/src/models/Bid.js
 import mongoose from "mongoose";
+
+export const BID_STATUSES = [
+  "active",
+  "withdrawn",
+  "expired",
+  "rejected",
+  "accepted",
+];
+
+export const COUNTER_OFFER_STATUSES = [
+  "pending",
+  "accepted",
+  "declined",
+  "superseded",
+];
+
+// Previous terms, pushed whenever a vendor revises or accepts a counter
+const BidRevisionSchema = new mongoose.Schema(
+  {
+    price: { type: Number, min: 0 },
+    etaMinutes: { type: Number },
+    revisedAt: { type: Date, default: Date.now },
+    reason: {
+      type: String,
+      enum: ["revised", "counter_accepted"],
+      default: "revised",
+    },
+  },
+  { _id: false }
+);
+
+const CounterOfferSchema = new mongoose.Schema(
+  {
+    price: { type: Number, min: 0, required: true },
+    note: { type: String, default: "" },
+    status: {
+      type: String,
+      enum: COUNTER_OFFER_STATUSES,
+      default: "pending",
+    },
+    createdAt: { type: Date, default: Date.now },
+    respondedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
 const BidSchema = new mongoose.Schema({
   jobId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -17,10 +63,19 @@ const BidSchema = new mongoose.Schema({
   vendorPhone: { type: String }, // keep for compatibility
   etaMinutes: { type: Number, min: 1, max: 480, required: true },
   price: { type: Number, min: 0, required: true },
+  status: { type: String, enum: BID_STATUSES, default: "active" },
+  expiresAt: { type: Date, default: null },
+  revisions: { type: [BidRevisionSchema], default: [] },
+  counterOffer: { type: CounterOfferSchema, default: null },
+  withdrawnAt: { type: Date, default: null },
+  rejectedAt: { type: Date, default: null },
+  acceptedAt: { type: Date, default: null },
   createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
 });
 BidSchema.index(
   { jobId: 1, vendorId: 1 },
   { unique: true, partialFilterExpression: { vendorId: { $exists: true } } }
 );
+BidSchema.index({ status: 1, expiresAt: 1 });
 export default mongoose.model("Bid", BidSchema);
@@ -1,5 +1,53 @@
 import mongoose from "mongoose";
 
+export const COMMISSION_CHARGE_STATUSES = [
+  "pending",
+  "succeeded",
+  "failed",
+  "waived",
+  "refunded",
+];
+
+const ChargeAttemptSchema = new mongoose.Schema(
+  {
+    at: { type: Date, default: Date.now },
+    status: { type: String, enum: ["succeeded", "failed"], required: true },
+    processor: { type: String, trim: true },
+    reference: { type: String, trim: true },
+    failureCode: { type: String, trim: true },
+    failureReason: { type: String, trim: true },
+    retryable: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const ChargeRefundSchema = new mongoose.Schema(
+  {
+    reference: { type: String, trim: true },
+    amount: { type: Number, min: 0, required: true },
+    reason: { type: String, trim: true },
+    status: { type: String, trim: true, default: "succeeded" },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const ChargeDisputeSchema = new mongoose.Schema(
+  {
+    reference: { type: String, trim: true },
+    amount: { type: Number, min: 0, default: 0 },
+    reason: { type: String, trim: true },
+    status: {
+      type: String,
+      enum: ["open", "won", "lost"],
+      default: "open",
+    },
+    openedAt: { type: Date, default: Date.now },
+    closedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
 const CommissionChargeSchema = new mongoose.Schema(
   {
     jobId: { type: mongoose.Schema.Types.ObjectId, ref: "Job", required: true },
@@ -7,22 +55,40 @@ const CommissionChargeSchema = new mongoose.Schema(
     reportedAmount: { type: Number, required: true, min: 0 },
     commissionRate: { type: Number, required: true, min: 0, max: 1 },
     commissionAmount: { type: Number, required: true, min: 0 },
+    currency: { type: String, trim: true, default: "USD" },
     status: {
       type: String,
-      enum: ["pending", "succeeded", "failed"],
+      enum: COMMISSION_CHARGE_STATUSES,
       default: "pending",
       index: true,
     },
     processor: { type: String, default: "manual" },
     processorReference: { type: String, trim: true },
+    failureCode: { type: String, trim: true },
     failureReason: { type: String, trim: true },
     requestedAt: { type: Date, default: Date.now },
     processedAt: { type: Date },
+
+    // Declines marked retryable by the processor are retried on a backoff
+    // schedule by automation/commissionRetrier.js until maxAttempts.
+    attempts: { type: [ChargeAttemptSchema], default: [] },
+    nextRetryAt: { type: Date, default: null },
+    lockedAt: { type: Date, default: null },
+
+    refunds: { type: [ChargeRefundSchema], default: [] },
+    refundedAmount: { type: Number, min: 0, default: 0 },
+    disputes: { type: [ChargeDisputeSchema], default: [] },
+
+    waivedAt: { type: Date, default: null },
+    waivedBy: { type: String, trim: true, default: null },
+    waiveReason: { type: String, trim: true, default: null },
   },
   { timestamps: true }
 );
 
 CommissionChargeSchema.index({ jobId: 1 }, { unique: true });
 CommissionChargeSchema.index({ vendorId: 1, createdAt: -1 });
+CommissionChargeSchema.index({ status: 1, nextRetryAt: 1 });
+CommissionChargeSchema.index({ processor: 1, processorReference: 1 });
 
 export default mongoose.model("CommissionCharge", CommissionChargeSchema);
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+const SweepChangeSchema = new mongoose.Schema(
+  {
+    vendorId: { type: mongoose.Schema.Types.ObjectId, ref: "Vendor" },
+    vendorName: { type: String, default: "" },
+    before: { type: String, default: null },
+    after: { type: String, default: null },
+    expiredDocuments: { type: [String], default: [] },
+    reminders: { type: [String], default: [] },
+    suspended: { type: Boolean, default: false },
+    restored: { type: Boolean, default: false },
+    error: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const ComplianceSweepSchema = new mongoose.Schema(
+  {
+    trigger: { type: String, enum: ["schedule", "manual"], default: "schedule" },
+    // Nightly slot in UTC; unique so restarts never sweep the same night twice.
+    // Left unset on manual runs: the sparse index skips missing fields, not nulls.
+    scheduledFor: { type: Date },
+    status: {
+      type: String,
+      enum: ["running", "completed", "failed"],
+      default: "running",
+      index: true,
+    },
+    startedAt: { type: Date, default: Date.now },
+    completedAt: { type: Date, default: null },
+    requestedBy: {
+      role: { type: String, trim: true },
+      id: { type: String, trim: true },
+    },
+    totals: {
+      vendors: { type: Number, default: 0 },
+      compliant: { type: Number, default: 0 },
+      nonCompliant: { type: Number, default: 0 },
+      statusChanges: { type: Number, default: 0 },
+      documentsExpired: { type: Number, default: 0 },
+      remindersSent: { type: Number, default: 0 },
+      suspended: { type: Number, default: 0 },
+      restored: { type: Number, default: 0 },
+      errors: { type: Number, default: 0 },
+    },
+    // Only vendors something happened to
+    changes: { type: [SweepChangeSchema], default: [] },
+    error: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+ComplianceSweepSchema.index({ scheduledFor: 1 }, { unique: true, sparse: true });
+ComplianceSweepSchema.index({ createdAt: -1 });
+
+export default mongoose.model("ComplianceSweep", ComplianceSweepSchema);
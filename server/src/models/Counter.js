@@ -0,0 +1,10 @@
+// server/src/models/Counter.js
+import mongoose from "mongoose";
+
+// Named sequences (e.g. "invoice"), advanced atomically with $inc.
+const CounterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+});
+
+export default mongoose.model("Counter", CounterSchema);
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+export const DIGEST_KEYS = ["adminDaily", "adminWeekly", "vendorWeekly"];
+
+const DigestDeliverySchema = new mongoose.Schema(
+  {
+    channel: { type: String, enum: ["sms", "email", "push"], required: true },
+    audience: { type: String, enum: ["admin", "vendor"], required: true },
+    to: { type: String, default: null },
+    vendorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vendor",
+      default: null,
+    },
+    ok: { type: Boolean, default: false },
+    queuedId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    error: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const DigestRunSchema = new mongoose.Schema(
+  {
+    digest: { type: String, enum: DIGEST_KEYS, required: true },
+    // Slot in UTC the run belongs to; unique per digest so restarts never resend.
+    scheduledFor: { type: Date, required: true },
+    timezone: { type: String, default: "UTC" },
+    status: {
+      type: String,
+      enum: ["running", "sent", "partial", "failed", "skipped"],
+      default: "running",
+      index: true,
+    },
+    catchUp: { type: Boolean, default: false },
+    startedAt: { type: Date, default: Date.now },
+    completedAt: { type: Date, default: null },
+    range: {
+      from: { type: Date },
+      to: { type: Date },
+    },
+    channels: {
+      sms: { type: Boolean, default: false },
+      email: { type: Boolean, default: false },
+      push: { type: Boolean, default: false },
+    },
+    recipients: { type: Number, default: 0 },
+    deliveries: { type: [DigestDeliverySchema], default: [] },
+    summary: { type: mongoose.Schema.Types.Mixed, default: null },
+    error: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+DigestRunSchema.index({ digest: 1, scheduledFor: 1 }, { unique: true });
+DigestRunSchema.index({ createdAt: -1 });
+
+export default mongoose.model("DigestRun", DigestRunSchema);
@@ -2,6 +2,17 @@ import mongoose from "mongoose";
 
 const STATUS_VALUES = ["pending", "submitted", "verified", "rejected", "expired"];
 
+// Structured reasons a reviewer picks from when rejecting a document.
+export const REJECTION_REASONS = {
+  illegible: "File is unreadable or blurry",
+  wrong_document: "Wrong document for this requirement",
+  expired: "Document is expired",
+  name_mismatch: "Name does not match the vendor account",
+  incomplete: "Document is incomplete or missing pages",
+  details_mismatch: "Number or dates do not match the file",
+  other: "Other",
+};
+
 const DocumentSchema = new mongoose.Schema(
   {
     ownerType: {
@@ -33,18 +44,37 @@ const DocumentSchema = new mongoose.Schema(
       default: "pending",
     },
     expiresAt: { type: Date, default: null },
+    expiryReminderSentAt: { type: Date, default: null },
     notes: { type: String, default: "" },
     metadata: { type: mongoose.Schema.Types.Mixed, default: null },
     uploadedAt: { type: Date, default: () => new Date() },
     reviewedAt: { type: Date, default: null },
     reviewedBy: { type: String, default: "" },
+    rejection: {
+      reason: { type: String, enum: Object.keys(REJECTION_REASONS) },
+      label: { type: String },
+      note: { type: String, trim: true },
+    },
+    // Re-uploads create a new version; older versions stay as history.
+    version: { type: Number, default: 1 },
+    previousVersionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Document",
+      default: null,
+    },
+    supersededBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Document",
+      default: null,
+    },
+    supersededAt: { type: Date, default: null },
   },
   { timestamps: true }
 );
 
 DocumentSchema.index({ ownerType: 1, vendorId: 1, requirementKey: 1 });
 DocumentSchema.index({ ownerType: 1, driverId: 1, requirementKey: 1 });
-DocumentSchema.index({ ownerType: 1, status: 1 });
+DocumentSchema.index({ ownerType: 1, status: 1, uploadedAt: 1 });
 
 export default mongoose.model("Document", DocumentSchema);
 
@@ -7,6 +7,8 @@ const ExpenseSchema = new mongoose.Schema(
     date: { type: Date, default: Date.now },
     type: { type: String, enum: ["fixed", "variable"], default: "variable" },
     notes: { type: String, trim: true },
+    // Set when the expense is reimbursed to a vendor through the payout ledger
+    vendorId: { type: mongoose.Schema.Types.ObjectId, ref: "Vendor", default: null },
   },
   { timestamps: true }
 );
@@ -0,0 +1,119 @@
+// server/src/models/Invoice.js
+import mongoose from "mongoose";
+
+export const INVOICE_STATUSES = ["issued", "void"];
+export const INVOICE_PAYMENT_STATUSES = [
+  "unpaid",
+  "partial",
+  "paid",
+  "refunded",
+  "disputed",
+];
+
+const InvoiceLineSchema = new mongoose.Schema(
+  {
+    code: { type: String, trim: true },
+    label: { type: String, trim: true },
+    amount: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const InvoicePaymentSchema = new mongoose.Schema(
+  {
+    paymentId: { type: mongoose.Schema.Types.ObjectId, ref: "Payment" },
+    kind: { type: String, trim: true },
+    amount: { type: Number, default: 0 },
+    method: { type: String, trim: true },
+    receivedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+const InvoiceSchema = new mongoose.Schema(
+  {
+    number: { type: String, required: true, unique: true, trim: true },
+    sequence: { type: Number, required: true },
+    status: {
+      type: String,
+      enum: INVOICE_STATUSES,
+      default: "issued",
+      index: true,
+    },
+
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+      required: true,
+      index: true,
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      default: null,
+      index: true,
+    },
+    vendorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vendor",
+      default: null,
+    },
+
+    // Snapshot at issue time so later job edits don't rewrite the invoice
+    customer: {
+      name: { type: String, trim: true },
+      email: { type: String, trim: true },
+      phone: { type: String, trim: true },
+    },
+    serviceType: { type: String, trim: true },
+    pickupAddress: { type: String, trim: true },
+    dropoffAddress: { type: String, trim: true },
+    completedAt: { type: Date },
+
+    currency: { type: String, default: "USD" },
+    lineItems: { type: [InvoiceLineSchema], default: [] },
+    subtotal: { type: Number, default: 0 },
+    taxRate: { type: Number, default: 0 },
+    taxLabel: { type: String, default: "Tax" },
+    tax: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+
+    // Derived from the job's payment ledger (lib/paymentLedger.js)
+    paymentStatus: {
+      type: String,
+      enum: INVOICE_PAYMENT_STATUSES,
+      default: "unpaid",
+      index: true,
+    },
+    amountPaid: { type: Number, default: 0 },
+    balanceDue: { type: Number, default: 0 },
+    payments: { type: [InvoicePaymentSchema], default: [] },
+
+    issuedAt: { type: Date, default: Date.now, index: true },
+    voidedAt: { type: Date, default: null },
+    voidReason: { type: String, trim: true },
+    voidedBy: {
+      role: { type: String, trim: true },
+      id: { type: String, trim: true },
+    },
+    replacesInvoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+      default: null,
+    },
+    replacedByInvoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// At most one live invoice per job; reissuing voids the old one first.
+InvoiceSchema.index(
+  { jobId: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: "issued" } }
+);
+
+export default mongoose.model("Invoice", InvoiceSchema);
@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+import { STAFF_ROLES } from "../middleware/authorize.js";
+
+export const JOB_EVENT_TYPES = [
+  "created",
+  "updated",
+  "status_changed",
+  "assigned",
+  "unassigned",
+  "bid_selected",
+  "bidding_opened",
+  "scheduling_updated",
+  "completed",
+  "cancelled",
+  "sla_breached",
+];
+
+export const JOB_EVENT_ACTOR_ROLES = [
+  "admin",
+  "vendor",
+  "customer",
+  "system",
+];
+
+const JobEventChangeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    from: { type: mongoose.Schema.Types.Mixed, default: null },
+    to: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { _id: false }
+);
+
+const JobEventSchema = new mongoose.Schema(
+  {
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+      required: true,
+    },
+    type: { type: String, enum: JOB_EVENT_TYPES, required: true },
+    actor: {
+      role: { type: String, enum: JOB_EVENT_ACTOR_ROLES, default: "system" },
+      id: { type: String, default: null },
+      // which admin-console role an "admin" actor signed in with
+      staffRole: { type: String, enum: STAFF_ROLES },
+    },
+    // Mutation path that wrote the event, e.g. "jobs.patch" or "vendor.feed".
+    source: { type: String, required: true },
+    changes: { type: [JobEventChangeSchema], default: [] },
+    meta: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+JobEventSchema.index({ jobId: 1, createdAt: -1 });
+
+// Events are append-only; refuse any query that would rewrite or drop them.
+const rejectMutation = function (next) {
+  next(new Error("Job events are immutable"));
+};
+for (const op of [
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+]) {
+  JobEventSchema.pre(op, rejectMutation);
+}
+JobEventSchema.pre("save", function (next) {
+  if (!this.isNew) return next(new Error("Job events are immutable"));
+  next();
+});
+
+export default mongoose.model("JobEvent", JobEventSchema);
@@ -1,4 +1,9 @@
 import mongoose from "mongoose";
+import {
+  JOB_STATUS_KEYS,
+  TERMINAL_STATUSES,
+  statusSideEffects,
+} from "../lib/jobWorkflow.js";
 
 const schedulingConfirmationSchema = new mongoose.Schema(
   {
@@ -79,6 +84,37 @@ const jobMediaSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Line-item breakdown of a computed quote (lib/pricing.js)
+const priceQuoteSchema = new mongoose.Schema(
+  {
+    total: { type: Number },
+    currency: { type: String, default: "USD" },
+    urgency: { type: String },
+    heavyDuty: { type: Boolean, default: false },
+    afterHours: { type: Boolean, default: false },
+    distance: {
+      value: { type: Number, default: null },
+      unit: { type: String },
+      source: { type: String, default: null },
+    },
+    lineItems: {
+      type: [
+        {
+          _id: false,
+          code: { type: String },
+          label: { type: String },
+          amount: { type: Number },
+        },
+      ],
+      default: [],
+    },
+    // Staff entered a different price than the engine computed
+    overridden: { type: Boolean, default: false },
+    computedAt: { type: Date },
+  },
+  { _id: false }
+);
+
 const JobSchema = new mongoose.Schema(
   {
     // Core relations
@@ -102,7 +138,7 @@ const JobSchema = new mongoose.Schema(
     // Status flow
     status: {
       type: String,
-      enum: ["Unassigned", "Assigned", "OnTheWay", "Arrived", "Completed"],
+      enum: JOB_STATUS_KEYS,
       default: "Unassigned",
       index: true,
     },
@@ -114,6 +150,7 @@ const JobSchema = new mongoose.Schema(
     dropoffLng: { type: Number },
     shareLive: { type: Boolean, default: false },
     vehiclePinned: { type: Boolean, default: true },
+    heavyDuty: { type: Boolean, default: false },
 
     created: { type: Date, default: Date.now },
     completed: { type: Date },
@@ -122,20 +159,58 @@ const JobSchema = new mongoose.Schema(
     vendorToken: { type: String, default: null },
     customerToken: { type: String, default: null },
     vendorAcceptedToken: { type: String, default: null },
+    // Signed customer tracking links (lib/trackingLinks.js); bumping the
+    // version revokes every link minted before it.
+    tracking: {
+      version: { type: Number, default: 0 },
+      revokedAt: { type: Date, default: null },
+    },
     selectedBidId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Bid",
       default: null,
     },
     biddingOpen: { type: Boolean, default: false },
+    // Minutes each bid stays selectable; null uses BID_EXPIRY_MINUTES
+    bidExpiryMinutes: { type: Number, min: 0, default: null },
     unbidAlertSentAt: { type: Date, default: null },
     bidMode: {
       type: String,
-      enum: ["open", "fixed"],
+      enum: ["open", "fixed", "auto"],
       default: "open",
       index: true,
     },
 
+    // Auto dispatch: one offer at a time, nearest eligible vendor first
+    autoDispatch: {
+      status: {
+        type: String,
+        enum: ["idle", "offering", "accepted", "exhausted"],
+        default: "idle",
+      },
+      startedAt: { type: Date, default: null },
+      finishedAt: { type: Date, default: null },
+      offers: {
+        type: [
+          {
+            _id: false,
+            vendorId: { type: mongoose.Schema.Types.ObjectId, ref: "Vendor" },
+            vendorName: { type: String, default: null },
+            distanceKm: { type: Number, default: null },
+            offeredAt: { type: Date },
+            expiresAt: { type: Date },
+            respondedAt: { type: Date, default: null },
+            outcome: {
+              type: String,
+              enum: ["pending", "accepted", "declined", "expired"],
+              default: "pending",
+            },
+          },
+        ],
+        default: [],
+      },
+    },
+
 
     // Vendor details once selected
     vendorName: { type: String, default: null },
@@ -146,6 +221,8 @@ const JobSchema = new mongoose.Schema(
     // Business fields
     quotedPrice: { type: Number, default: 0 },
     finalPrice: { type: Number, default: 0 },
+    // Pricing engine breakdown behind quotedPrice
+    priceQuote: { type: priceQuoteSchema, default: null },
     pickupAddress: { type: String, required: true, trim: true },
     dropoffAddress: { type: String, trim: true },
     serviceType: { type: String, trim: true },
@@ -174,12 +251,77 @@ const JobSchema = new mongoose.Schema(
     priority: { type: String, enum: ["normal", "urgent"], default: "normal" },
     escalatedAt: { type: Date, default: null },
 
-    // Payment status
+    // SLA breaches stamped by automation/slaMonitor.js, one per stage and
+    // stage clock (clockStart), so a reassignment re-arms arrive/complete
+    sla: {
+      breaches: {
+        type: [
+          {
+            _id: false,
+            stage: { type: String, enum: ["assign", "arrive", "complete"] },
+            targetMinutes: { type: Number },
+            dueAt: { type: Date },
+            breachedAt: { type: Date },
+            // vendor on the job when a vendor-owned stage breached
+            vendorId: { type: mongoose.Schema.Types.ObjectId, ref: "Vendor" },
+            clockStart: { type: Date },
+          },
+        ],
+        default: [],
+      },
+      vendorRemindedAt: { type: Date, default: null },
+      // OnHold time on the current clocks, plus the open hold if any
+      heldMs: { type: Number, default: 0 },
+      heldSince: { type: Date, default: null },
+      // assign clock restart after an unassignment (default: created)
+      assignClockFrom: { type: Date, default: null },
+      // every open stage has breached; the monitor skips the job until
+      // an assignment change restarts the clocks
+      exhaustedAt: { type: Date, default: null },
+    },
+
+    // Live ETA to pickup from vendor location pings (lib/eta.js)
+    eta: {
+      minutes: { type: Number, default: null },
+      distanceKm: { type: Number, default: null },
+      method: { type: String, default: null },
+      computedAt: { type: Date, default: null },
+      arriveBy: { type: Date, default: null },
+      customerAlertedAt: { type: Date, default: null },
+    },
+    etaHistory: {
+      type: [
+        {
+          _id: false,
+          minutes: { type: Number },
+          distanceKm: { type: Number },
+          method: { type: String },
+          lat: { type: Number },
+          lng: { type: Number },
+          computedAt: { type: Date },
+          arriveBy: { type: Date },
+        },
+      ],
+      default: [],
+    },
+
+    // Geofence triggers from vendor location pings (lib/geofence.js)
+    geofence: {
+      pickupEnteredAt: { type: Date, default: null },
+      autoArrivedAt: { type: Date, default: null },
+      dropoffEnteredAt: { type: Date, default: null },
+      completionSuggestedAt: { type: Date, default: null },
+    },
+
+    // Payment status, derived from the payment ledger (lib/paymentLedger.js);
+    // "pending" only survives on jobs that predate the ledger.
     paymentStatus: {
       type: String,
-      enum: ["pending", "paid", "refunded", "disputed"],
-      default: "pending",
+      enum: ["pending", "unpaid", "partial", "paid", "refunded", "disputed"],
+      default: "unpaid",
     },
+    amountPaid: { type: Number, default: 0 },
+    paymentBalance: { type: Number, default: 0 },
     paymentMethod: { type: String },
     paymentDate: { type: Date },
 
@@ -214,7 +356,7 @@ const JobSchema = new mongoose.Schema(
       amount: { type: Number, default: 0, min: 0 },
       status: {
         type: String,
-        enum: ["pending", "charged", "failed", "skipped"],
+        enum: ["pending", "charged", "failed", "skipped", "waived", "refunded"],
         default: "pending",
       },
       chargedAt: { type: Date },
@@ -222,6 +364,14 @@ const JobSchema = new mongoose.Schema(
       failureReason: { type: String, trim: true },
     },
 
+    // Vendor payout settlement that locked this job's financials
+    settlementBatchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SettlementBatch",
+      default: null,
+    },
+    settlementLockedAt: { type: Date, default: null },
+
     // Expected vs reported safeguard metadata
     expectedRevenue: { type: Number, default: 0, min: 0 },
     flags: {
@@ -249,7 +399,11 @@ const JobSchema = new mongoose.Schema(
     assignedAt: { type: Date },
     onTheWayAt: { type: Date },
     arrivedAt: { type: Date },
+    loadedAt: { type: Date },
+    inTransitAt: { type: Date },
+    onHoldAt: { type: Date },
     completedAt: { type: Date },
+    goaAt: { type: Date },
 
     // Cancellation
     cancelled: { type: Boolean, default: false },
@@ -279,6 +433,7 @@ JobSchema.index({ priority: 1, status: 1 });
 JobSchema.index({ "commission.status": 1, created: -1 });
 JobSchema.index({ "flags.underReport": 1, created: -1 });
 JobSchema.index({ status: 1, unbidAlertSentAt: 1, created: 1 });
+JobSchema.index({ "autoDispatch.status": 1, "autoDispatch.offers.expiresAt": 1 });
 
 // Geospatial index for location-based queries
 JobSchema.index({ pickupLat: 1, pickupLng: 1 });
@@ -302,7 +457,7 @@ JobSchema.virtual("duration").get(function () {
 
 // Method to check if job is active
 JobSchema.methods.isActive = function () {
-  return !this.cancelled && this.status !== "Completed";
+  return !this.cancelled && !TERMINAL_STATUSES.includes(this.status);
 };
 
 // Method to get status timeline
@@ -312,7 +467,11 @@ JobSchema.methods.getTimeline = function () {
     assigned: this.assignedAt,
     onTheWay: this.onTheWayAt,
     arrived: this.arrivedAt,
+    loaded: this.loadedAt,
+    inTransit: this.inTransitAt,
+    onHold: this.onHoldAt,
     completed: this.completedAt,
+    goa: this.goaAt,
     cancelled: this.cancelledAt,
   };
 };
@@ -335,23 +494,7 @@ JobSchema.statics.findByCustomer = function (customerId) {
 // Pre-save middleware to update timestamps based on status changes
 JobSchema.pre("save", function (next) {
   if (this.isModified("status")) {
-    const now = new Date();
-
-    switch (this.status) {
-      case "Assigned":
-        this.assignedAt = this.assignedAt || now;
-        break;
-      case "OnTheWay":
-        this.onTheWayAt = this.onTheWayAt || now;
-        break;
-      case "Arrived":
-        this.arrivedAt = this.arrivedAt || now;
-        break;
-      case "Completed":
-        this.completedAt = this.completedAt || now;
-        this.completed = this.completed || now;
-        break;
-    }
+    this.set(statusSideEffects(this, this.status));
   }
   next();
 });
@@ -1,14 +1,40 @@
 import mongoose from "mongoose";
 
+export const OUTBOX_STATUSES = ["queued", "sending", "sent", "failed", "dead"];
+
+const parseNumber = (value, fallback) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+};
+
+export const outboxMaxAttempts = () =>
+  parseNumber(process.env.OUTBOX_MAX_ATTEMPTS, 5);
+
+// Exponential backoff: base * 2^(attempts-1), capped (defaults 1 min .. 1 h).
+export const outboxBackoffMs = (attempts) => {
+  const base = parseNumber(process.env.OUTBOX_BACKOFF_BASE_MS, 60_000);
+  const cap = parseNumber(process.env.OUTBOX_BACKOFF_MAX_MS, 60 * 60_000);
+  return Math.min(base * 2 ** Math.max(attempts - 1, 0), cap);
+};
+
 const OutboxSchema = new mongoose.Schema({
   kind: { type: String, enum: ["sms","email"], required: true },
   to: { type: String, required: true },       // phone or email
-  body: { type: String, required: true },
+  subject: { type: String },                  // email only
+  body: { type: String, required: true },     // sms text / email plain text
+  html: { type: String },                     // email only
   jobId: { type: mongoose.Schema.Types.ObjectId, ref: "Job" },
-  status: { type: String, enum: ["queued","sent","failed"], default: "queued" },
-  error: { type: String },
+  status: { type: String, enum: OUTBOX_STATUSES, default: "queued" },
+  error: { type: String },                    // last delivery error
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastAttemptAt: { type: Date },
+  deadAt: { type: Date },
+  transport: { type: String },                // transport that delivered it
   createdAt: { type: Date, default: Date.now },
   sentAt: { type: Date }
 });
 
+OutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+
 export default mongoose.model("Outbox", OutboxSchema);
@@ -1,16 +1,67 @@
 import mongoose from "mongoose";
 
+// Ledger rows per job (lib/paymentLedger.js). Amounts are always positive;
+// the kind decides the direction.
+export const PAYMENT_KINDS = ["deposit", "payment", "refund", "chargeback"];
+export const PAYMENT_METHODS = [
+  "cash",
+  "zelle",
+  "venmo",
+  "square",
+  "card",
+  "bank_transfer",
+  "other",
+];
+export const DISPUTE_STATUSES = ["open", "won", "lost"];
+
 const PaymentSchema = new mongoose.Schema(
   {
-    jobId: { type: mongoose.Schema.Types.ObjectId, ref: "Job", required: true },
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+      required: true,
+      index: true,
+    },
+    kind: { type: String, enum: PAYMENT_KINDS, default: "payment" },
     amount: { type: Number, required: true, min: 0 },
     method: {
       type: String,
-      enum: ["cash", "zelle", "venmo", "square", "card", "other"],
+      enum: PAYMENT_METHODS,
       default: "cash",
     },
+    // Vendor-collected money counts toward the customer's balance but is
+    // not company revenue and earns no payout.
+    collectedBy: {
+      type: String,
+      enum: ["company", "vendor"],
+      default: "company",
+    },
     receivedAt: { type: Date, default: Date.now },
     note: { type: String, trim: true },
+    reason: { type: String, trim: true },
+    reference: { type: String, trim: true },
+    // Refunds: the inflow being returned, when known
+    refundOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      default: null,
+    },
+    // Chargebacks only
+    dispute: {
+      status: { type: String, enum: DISPUTE_STATUSES },
+      resolvedAt: { type: Date },
+      note: { type: String, trim: true },
+      resolvedBy: {
+        role: { type: String, trim: true },
+        id: { type: String, trim: true },
+      },
+    },
+    recordedBy: {
+      role: { type: String, trim: true },
+      id: { type: String, trim: true },
+    },
+    // Idempotency key for system-recorded rows (e.g. "completion:<jobId>")
+    sourceKey: { type: String, trim: true, unique: true, sparse: true },
   },
   { timestamps: true }
 );
@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+// One row per processor webhook delivery, keyed on the processor's event id
+// so redelivered callbacks are acknowledged without being applied twice.
+const PaymentWebhookEventSchema = new mongoose.Schema(
+  {
+    processor: { type: String, required: true, trim: true },
+    eventId: { type: String, required: true, trim: true },
+    type: { type: String, required: true, trim: true },
+    status: {
+      type: String,
+      enum: ["received", "processed", "ignored", "failed"],
+      default: "received",
+    },
+    chargeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CommissionCharge",
+      default: null,
+    },
+    error: { type: String, trim: true, default: null },
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    processedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+PaymentWebhookEventSchema.index({ processor: 1, eventId: 1 }, { unique: true });
+
+export default mongoose.model("PaymentWebhookEvent", PaymentWebhookEventSchema);
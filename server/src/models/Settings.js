@@ -18,6 +18,20 @@ const DocumentRequirementSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Extra documents for vendors matching every filter given (services offered,
+// heavy-duty capability, city/state); applied on top of the baseline list.
+const RequirementSetSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    label: { type: String, required: true },
+    services: { type: [String], default: [] },
+    heavyDuty: { type: Boolean, default: false },
+    regions: { type: [String], default: [] },
+    documents: { type: [DocumentRequirementSchema], default: [] },
+  },
+  { _id: false }
+);
+
 const defaultVendorDocs = () => [
   {
     key: "government_id",
@@ -87,6 +101,8 @@ const SettingsSchema = new mongoose.Schema(
       defaultCity: { type: String, default: "" },
       // store as 0-1 internally (UI can accept "60" and convert to 0.6)
       defaultEarningsSplit: { type: Number, default: 0.6, min: 0, max: 1 },
+      // IANA zone used for digest schedules; empty falls back to COMPANY_TIMEZONE / UTC
+      timezone: { type: String, default: "" },
     },
 
     // 4) Intervals (polling, etc.)
@@ -124,6 +140,7 @@ const SettingsSchema = new mongoose.Schema(
           type: [DocumentRequirementSchema],
           default: defaultVendorDocs,
         },
+        requirementSets: { type: [RequirementSetSchema], default: [] },
       },
     },
 
@@ -194,6 +211,160 @@ const SettingsSchema = new mongoose.Schema(
         remindBeforeExpiryDays: { type: Number, default: 7 },
       },
     },
+
+    // 9) Job status workflow overrides (empty = built-in definition in lib/jobWorkflow.js)
+    jobWorkflow: {
+      statuses: {
+        type: [
+          {
+            _id: false,
+            key: { type: String, required: true },
+            label: { type: String, default: "" },
+            customerTitle: { type: String, default: "" },
+            customerMessage: { type: String, default: "" },
+            enabled: { type: Boolean, default: true },
+          },
+        ],
+        default: [],
+      },
+      transitions: {
+        type: [
+          {
+            _id: false,
+            from: { type: String, required: true },
+            to: { type: String, required: true },
+            roles: { type: [String], default: [] },
+          },
+        ],
+        default: [],
+      },
+    },
+
+    // 10) Automatic nearest-vendor dispatch (bidMode "auto")
+    dispatch: {
+      offerTimeoutSec: { type: Number, default: 90, min: 15 },
+      // Vendors not seen within this window are skipped (0 = ignore freshness)
+      maxLastSeenMinutes: { type: Number, default: 30, min: 0 },
+      maxOffers: { type: Number, default: 5, min: 1 },
+    },
+
+    // 11) SLA policies (targets in minutes; unmatched jobs use lib/sla.js defaults)
+    sla: {
+      enabled: { type: Boolean, default: true },
+      escalateOnBreach: { type: Boolean, default: true },
+      policies: {
+        type: [
+          {
+            _id: false,
+            serviceType: { type: String, default: "" },
+            urgency: {
+              type: String,
+              enum: ["", "emergency", "urgent", "standard"],
+              default: "",
+            },
+            assignMinutes: { type: Number, default: null },
+            arriveMinutes: { type: Number, default: null },
+            completeMinutes: { type: Number, default: null },
+          },
+        ],
+        default: [],
+      },
+    },
+
+    // 12) Vendor payout settlements
+    payouts: {
+      cadence: { type: String, enum: ["weekly", "biweekly"], default: "weekly" },
+      // Create settlement batches on schedule (otherwise admins run them by hand)
+      autoSettle: { type: Boolean, default: false },
+    },
+
+    // 13) Geofence automation (rules per service type; "" = every other service)
+    geofence: {
+      enabled: { type: Boolean, default: false },
+      radiusMeters: { type: Number, default: 150, min: 25 },
+      rules: {
+        type: [
+          {
+            _id: false,
+            serviceType: { type: String, default: "" },
+            autoArrive: { type: Boolean, default: true },
+            suggestCompletion: { type: Boolean, default: true },
+            radiusMeters: { type: Number, default: null },
+          },
+        ],
+        default: [],
+      },
+    },
+
+    // 14) Live ETA model (straight-line distance x detour factor at an
+    // average speed per urgency, slowed inside peak windows)
+    eta: {
+      provider: { type: String, default: "straight_line" },
+      detourFactor: { type: Number, default: 1.3, min: 1 },
+      speedKph: {
+        emergency: { type: Number, default: 50 },
+        urgent: { type: Number, default: 45 },
+        standard: { type: Number, default: 40 },
+      },
+      peakWindows: {
+        type: [
+          {
+            _id: false,
+            start: { type: String, required: true },
+            end: { type: String, required: true },
+            speedFactor: { type: Number, default: 0.7 },
+          },
+        ],
+        default: () => [
+          { start: "07:00", end: "09:30", speedFactor: 0.7 },
+          { start: "16:00", end: "19:00", speedFactor: 0.7 },
+        ],
+      },
+    },
+
+    // 15) Quote pricing (rules per service type; "" = every other service).
+    // perUnit is charged per distanceUnit beyond includedDistance.
+    pricing: {
+      enabled: { type: Boolean, default: true },
+      distanceUnit: { type: String, enum: ["mi", "km"], default: "mi" },
+      rules: {
+        type: [
+          {
+            _id: false,
+            serviceType: { type: String, default: "" },
+            baseFee: { type: Number, default: 0, min: 0 },
+            perUnit: { type: Number, default: 0, min: 0 },
+            includedDistance: { type: Number, default: 0, min: 0 },
+            minimum: { type: Number, default: 0, min: 0 },
+          },
+        ],
+        default: () => [
+          { serviceType: "", baseFee: 75, perUnit: 4, includedDistance: 5, minimum: 75 },
+        ],
+      },
+      heavyDutySurcharge: { type: Number, default: 75, min: 0 },
+      afterHours: {
+        start: { type: String, default: "19:00" },
+        end: { type: String, default: "07:00" },
+        surcharge: { type: Number, default: 35, min: 0 },
+        weekends: { type: Boolean, default: false },
+      },
+      urgencyMultipliers: {
+        emergency: { type: Number, default: 1.5, min: 0.1 },
+        urgent: { type: Number, default: 1.25, min: 0.1 },
+        standard: { type: Number, default: 1, min: 0.1 },
+      },
+    },
+
+    // 16) Customer invoices (lib/invoices.js); taxRate stored 0-1.
+    invoicing: {
+      prefix: { type: String, default: "INV-" },
+      taxRate: { type: Number, default: 0, min: 0, max: 1 },
+      taxLabel: { type: String, default: "Tax" },
+      companyName: { type: String, default: "" },
+      companyAddress: { type: String, default: "" },
+      footer: { type: String, default: "" },
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+const SettlementStatementSchema = new mongoose.Schema(
+  {
+    vendorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vendor",
+      required: true,
+    },
+    vendorName: { type: String, trim: true, default: "" },
+    openingBalance: { type: Number, default: 0 },
+    credits: { type: Number, default: 0 },
+    debits: { type: Number, default: 0 },
+    closingBalance: { type: Number, default: 0 },
+    amountDue: { type: Number, default: 0 },
+    entryCount: { type: Number, default: 0 },
+    jobCount: { type: Number, default: 0 },
+    paidAt: { type: Date, default: null },
+    payoutReference: { type: String, trim: true, default: null },
+  },
+  { _id: false }
+);
+
+const SettlementBatchSchema = new mongoose.Schema(
+  {
+    reference: { type: String, trim: true, required: true },
+    cadence: {
+      type: String,
+      enum: ["weekly", "biweekly"],
+      default: "weekly",
+    },
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+    status: {
+      type: String,
+      enum: ["locked", "paid"],
+      default: "locked",
+      index: true,
+    },
+    currency: { type: String, trim: true, default: "USD" },
+    statements: { type: [SettlementStatementSchema], default: [] },
+    totals: {
+      credits: { type: Number, default: 0 },
+      debits: { type: Number, default: 0 },
+      amountDue: { type: Number, default: 0 },
+    },
+    createdBy: { type: String, trim: true, default: null },
+    paidAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+SettlementBatchSchema.index({ periodEnd: -1 });
+SettlementBatchSchema.index({ "statements.vendorId": 1, periodEnd: -1 });
+
+export default mongoose.model("SettlementBatch", SettlementBatchSchema);
@@ -4,7 +4,11 @@ const userSchema = new mongoose.Schema(
   {
     email: { type: String, required: true, unique: true },
     passwordHash: { type: String, required: true },
-    role: { type: String, enum: ["admin", "driver"], default: "admin" },
+    role: {
+      type: String,
+      enum: ["admin", "dispatcher", "finance", "readonly", "driver"],
+      default: "admin",
+    },
   },
   { timestamps: true }
 );
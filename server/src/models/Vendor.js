@@ -1,10 +1,19 @@
 ﻿// server/src/models/Vendor.js
 import mongoose from "mongoose";
 
+export const ONBOARDING_STATUSES = [
+  "applied",
+  "documents_pending",
+  "under_review",
+  "approved",
+  "rejected",
+];
+
 const complianceRequirementSchema = new mongoose.Schema(
   {
     key: { type: String },
     label: { type: String },
+    appliesTo: { type: [String], default: undefined },
     status: {
       uploaded: { type: Boolean },
       valid: { type: Boolean },
@@ -16,11 +25,26 @@ const complianceRequirementSchema = new mongoose.Schema(
       url: { type: String },
       expiresAt: { type: Date },
       uploadedAt: { type: Date },
+      version: { type: Number },
+      reviewedAt: { type: Date },
+      rejection: {
+        reason: { type: String },
+        label: { type: String },
+        note: { type: String },
+      },
     },
   },
   { _id: false }
 );
 
+const multiPolygonSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ["MultiPolygon"], required: true },
+    coordinates: { type: [[[[Number]]]], required: true },
+  },
+  { _id: false }
+);
+
 const VendorSchema = new mongoose.Schema(
   {
     name: { type: String, required: true },
@@ -39,6 +63,13 @@ const VendorSchema = new mongoose.Schema(
     heavyDuty: { type: Boolean, default: false },
     radiusKm: { type: Number, default: 25 },
     baseAddress: { type: String, trim: true },
+    // Drawn areas (lib/serviceArea.js). Coverage replaces radiusKm when set;
+    // exclusions apply either way.
+    serviceArea: {
+      coverage: { type: multiPolygonSchema, default: undefined },
+      exclusions: { type: multiPolygonSchema, default: undefined },
+      updatedAt: { type: Date },
+    },
 
     earningsSplit: { type: Number, default: 0.6 },
 
@@ -61,6 +92,39 @@ const VendorSchema = new mongoose.Schema(
 
     tosAcceptedAt: { type: Date },
 
+    // Application pipeline (lib/vendorOnboarding.js). Vendors created before
+    // the pipeline have no status and count as approved.
+    onboarding: {
+      status: { type: String, enum: ONBOARDING_STATUSES },
+      appliedAt: { type: Date },
+      statusChangedAt: { type: Date },
+      decidedAt: { type: Date },
+      decidedBy: {
+        role: { type: String, trim: true },
+        id: { type: String, trim: true },
+      },
+      decisionNote: { type: String, trim: true },
+      lastNudgedAt: { type: Date, default: null },
+      nudgeCount: { type: Number, default: 0 },
+      history: {
+        type: [
+          new mongoose.Schema(
+            {
+              status: { type: String },
+              at: { type: Date },
+              note: { type: String, trim: true },
+              actor: {
+                role: { type: String, trim: true },
+                id: { type: String, trim: true },
+              },
+            },
+            { _id: false }
+          ),
+        ],
+        default: [],
+      },
+    },
+
     complianceStatus: {
       type: String,
       enum: ["pending", "compliant", "non_compliant"],
@@ -70,6 +134,10 @@ const VendorSchema = new mongoose.Schema(
       lastCheckedAt: { type: Date, default: null },
       enforcement: { type: String, default: "submission" },
       allowed: { type: Boolean, default: false },
+      // Set by the nightly sweep when an expired document blocks the vendor;
+      // cleared on the first check that finds them compliant again.
+      suspendedAt: { type: Date, default: null },
+      suspensionReason: { type: String, default: null },
       missing: {
         type: [
           new mongoose.Schema(
@@ -77,6 +145,22 @@ const VendorSchema = new mongoose.Schema(
               key: { type: String },
               label: { type: String },
               reason: { type: String },
+              appliesTo: { type: [String], default: undefined },
+            },
+            { _id: false }
+          ),
+        ],
+        default: [],
+      },
+      // Jobs the vendor may not take until scoped requirements are met:
+      // service null = any service; heavyDutyOnly = heavy-duty jobs only.
+      blocked: {
+        type: [
+          new mongoose.Schema(
+            {
+              service: { type: String, default: null },
+              heavyDutyOnly: { type: Boolean, default: false },
+              keys: { type: [String], default: [] },
             },
             { _id: false }
           ),
@@ -93,4 +177,8 @@ const VendorSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+VendorSchema.index({ "serviceArea.coverage": "2dsphere" });
+VendorSchema.index({ "serviceArea.exclusions": "2dsphere" });
+VendorSchema.index({ "onboarding.status": 1, "onboarding.statusChangedAt": 1 });
+
 export default mongoose.model("Vendor", VendorSchema);
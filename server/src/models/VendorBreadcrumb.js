@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+export const BREADCRUMB_SOURCES = ["socket", "profile"];
+
+// One row per vendor location ping. Rows expire through the TTL index on
+// expiresAt, which lib/breadcrumbs.js sets longer for points tied to a job.
+const VendorBreadcrumbSchema = new mongoose.Schema(
+  {
+    vendorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vendor",
+      required: true,
+    },
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+      default: null,
+    },
+    lat: { type: Number, required: true },
+    lng: { type: Number, required: true },
+    accuracy: { type: Number, default: null },
+    heading: { type: Number, default: null },
+    speed: { type: Number, default: null },
+    source: { type: String, enum: BREADCRUMB_SOURCES, default: "socket" },
+    recordedAt: { type: Date, required: true, default: Date.now },
+    expiresAt: { type: Date, required: true },
+  },
+  { versionKey: false }
+);
+
+VendorBreadcrumbSchema.index({ vendorId: 1, recordedAt: 1 });
+VendorBreadcrumbSchema.index({ jobId: 1, recordedAt: 1 });
+VendorBreadcrumbSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("VendorBreadcrumb", VendorBreadcrumbSchema);
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+export const LEDGER_ENTRY_TYPES = [
+  "earning",
+  "commission",
+  "adjustment",
+  "expense",
+  "payout",
+];
+
+// Signed amounts: credits (owed to the vendor) are positive, debits negative,
+// so a vendor's balance is the plain sum of their entries.
+const VendorLedgerEntrySchema = new mongoose.Schema(
+  {
+    vendorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vendor",
+      required: true,
+    },
+    type: { type: String, enum: LEDGER_ENTRY_TYPES, required: true },
+    amount: { type: Number, required: true },
+    description: { type: String, trim: true, default: "" },
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: "Job", default: null },
+    expenseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Expense",
+      default: null,
+    },
+    occurredAt: { type: Date, default: Date.now },
+    // Stable key for entries derived from jobs/expenses/payouts so accrual
+    // can be re-run safely; manual adjustments leave it unset.
+    sourceKey: { type: String, trim: true },
+    settlementId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SettlementBatch",
+      default: null,
+    },
+    createdBy: { type: String, trim: true, default: null },
+  },
+  { timestamps: true }
+);
+
+VendorLedgerEntrySchema.index({ vendorId: 1, occurredAt: -1 });
+VendorLedgerEntrySchema.index({ settlementId: 1, vendorId: 1 });
+VendorLedgerEntrySchema.index({ sourceKey: 1 }, { unique: true, sparse: true });
+
+export default mongoose.model("VendorLedgerEntry", VendorLedgerEntrySchema);
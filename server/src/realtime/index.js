@@ -2,7 +2,16 @@ import { Server } from "socket.io";
 import mongoose from "mongoose";
 import Vendor from "../models/Vendor.js";
 import Job from "../models/Jobs.js";
-import { decodeAppToken } from "../lib/authTokens.js";
+import {
+  actorCanAccess,
+  decodeAppToken,
+  extractTokenFromAuthHeader,
+} from "../lib/authTokens.js";
+import { recordBreadcrumb } from "../lib/breadcrumbs.js";
+import { evaluateVendorGeofences } from "../lib/geofence.js";
+import { recomputeVendorJobEtas } from "../lib/eta.js";
+import { resolveTrackingJob } from "../lib/trackingLinks.js";
+import { isVendorApproved } from "../lib/vendorOnboarding.js";
 
 let ioInstance = null;
 let allowAllOrigins = false;
@@ -10,7 +19,20 @@ let allowedOriginSet = new Set();
 
 const VENDOR_ROOM = "vendors/live";
 const MESSAGE_ROOM_PREFIX = "messages/job/";
+const JOB_ROOM_PREFIX = "jobs/";
 const SOCKET_METHODS = ["GET", "POST", "PATCH", "PUT", "DELETE", "OPTIONS"];
+const GUEST_ACTOR = Object.freeze({ role: "guest", id: null });
+
+const parsePositive = (value, fallback) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+};
+
+// Location pings closer together than this (per socket) are rejected.
+const LOCATION_MIN_INTERVAL_MS = parsePositive(
+  process.env.SOCKET_LOCATION_MIN_INTERVAL_MS,
+  2_000
+);
 
 const toFiniteNumber = (value) => {
   if (value === null || value === undefined || value === "") return null;
@@ -62,6 +84,7 @@ const fetchVendorSnapshot = async () => {
 };
 
 const roomForJob = (jobId) => `${MESSAGE_ROOM_PREFIX}${jobId}`;
+const trackingRoomForJob = (jobId) => `${JOB_ROOM_PREFIX}${jobId}`;
 
 const canAccessJobConversation = async (actor, jobId) => {
   if (!mongoose.Types.ObjectId.isValid(jobId)) {
@@ -78,7 +101,7 @@ const canAccessJobConversation = async (actor, jobId) => {
 
   const isCustomer = actor.role === "customer" && actor.id === customerId;
   const isVendor = actor.role === "vendor" && actor.id === vendorId;
-  const isAdmin = actor.role === "admin";
+  const isAdmin = actorCanAccess(actor, "dispatch");
 
   if (!isCustomer && !isVendor && !isAdmin) {
     return { ok: false, reason: "Access denied" };
@@ -87,6 +110,46 @@ const canAccessJobConversation = async (actor, jobId) => {
   return { ok: true, job, isCustomer, isVendor, isAdmin };
 };
 
+const handshakeToken = (handshake = {}) =>
+  handshake.auth?.token ||
+  extractTokenFromAuthHeader(handshake.headers?.authorization || "") ||
+  null;
+
+// Bind each socket to the identity in its handshake token. Sockets without
+// a token connect as guests (job tracking by customer token only); a token
+// that fails to verify rejects the connection.
+const authenticateSocket = (socket, next) => {
+  const token = handshakeToken(socket.handshake);
+  if (!token) {
+    socket.data.actor = GUEST_ACTOR;
+    return next();
+  }
+  try {
+    const { role, id, staffRole } = decodeAppToken(token);
+    socket.data.actor = { role, id, staffRole };
+    next();
+  } catch {
+    next(new Error("Unauthorized"));
+  }
+};
+
+const reply = (ack, payload) => {
+  if (typeof ack === "function") ack(payload);
+};
+
+// Job room actor: an explicit token in the payload wins, otherwise the
+// identity bound at handshake.
+const resolveActor = (socket, token) => {
+  if (token) return decodeAppToken(token);
+  const actor = socket.data.actor || GUEST_ACTOR;
+  if (actor.role === "guest") {
+    const err = new Error("Missing token");
+    err.status = 401;
+    throw err;
+  }
+  return actor;
+};
+
 const isAllowedOrigin = (origin) => {
   if (allowAllOrigins) return true;
   if (!origin) return true;
@@ -121,17 +184,30 @@ export const initRealtime = (httpServer, options = {}) => {
     },
   });
 
-  ioInstance.on("connection", async (socket) => {
-    socket.join(VENDOR_ROOM);
+  ioInstance.use(authenticateSocket);
 
-    try {
-      const snapshot = await fetchVendorSnapshot();
-      socket.emit("vendors:snapshot", snapshot);
-    } catch (error) {
-      console.error("Failed to emit initial vendor snapshot", error);
+  ioInstance.on("connection", async (socket) => {
+    const actor = socket.data.actor || GUEST_ACTOR;
+    const canWatchVendors = actorCanAccess(actor, "dispatch");
+    const canToggleVendors = actorCanAccess(actor, "vendors", "PATCH");
+    let lastLocationAt = 0;
+
+    // The live vendor map is for dispatch staff only.
+    if (canWatchVendors) {
+      socket.join(VENDOR_ROOM);
+      try {
+        const snapshot = await fetchVendorSnapshot();
+        socket.emit("vendors:snapshot", snapshot);
+      } catch (error) {
+        console.error("Failed to emit initial vendor snapshot", error);
+      }
     }
 
     socket.on("vendors:requestSnapshot", async (ack) => {
+      if (!canWatchVendors) {
+        reply(ack, { ok: false, error: "Forbidden" });
+        return;
+      }
       try {
         const snapshot = await fetchVendorSnapshot();
         if (typeof ack === "function") {
@@ -150,15 +226,32 @@ export const initRealtime = (httpServer, options = {}) => {
     });
 
     socket.on("vendor:location", async (payload = {}, ack) => {
-      const { vendorId, lat, lng } = payload;
-      const id = typeof vendorId === "string" ? vendorId : String(vendorId || "");
+      const { vendorId, lat, lng, accuracy, heading, speed } = payload || {};
+      if (actor.role !== "vendor") {
+        reply(ack, { ok: false, error: "Forbidden" });
+        return;
+      }
+      const id = actor.id;
+      if (vendorId && String(vendorId) !== id) {
+        reply(ack, { ok: false, error: "Cannot update another vendor" });
+        return;
+      }
       if (!mongoose.Types.ObjectId.isValid(id)) {
-        if (typeof ack === "function") {
-          ack({ ok: false, error: "Invalid vendorId" });
-        }
+        reply(ack, { ok: false, error: "Invalid vendorId" });
         return;
       }
 
+      const nowMs = Date.now();
+      if (nowMs - lastLocationAt < LOCATION_MIN_INTERVAL_MS) {
+        reply(ack, {
+          ok: false,
+          error: "Too many location updates",
+          retryAfterMs: LOCATION_MIN_INTERVAL_MS - (nowMs - lastLocationAt),
+        });
+        return;
+      }
+      lastLocationAt = nowMs;
+
       const numericLat = toFiniteNumber(lat);
       const numericLng = toFiniteNumber(lng);
       if (!Number.isFinite(numericLat) || !Number.isFinite(numericLng)) {
@@ -188,6 +281,40 @@ export const initRealtime = (httpServer, options = {}) => {
           return;
         }
 
+        recordBreadcrumb({
+          vendorId: vendor._id,
+          lat: numericLat,
+          lng: numericLng,
+          accuracy,
+          heading,
+          speed,
+          source: "socket",
+          recordedAt: update.lastSeenAt,
+        }).catch((error) => {
+          console.error("vendor:location breadcrumb failed", error);
+        });
+        evaluateVendorGeofences({
+          vendorId: vendor._id,
+          lat: numericLat,
+          lng: numericLng,
+          accuracy,
+        }).catch((error) => {
+          console.error("vendor:location geofence check failed", error);
+        });
+        recomputeVendorJobEtas({
+          vendorId: vendor._id,
+          lat: numericLat,
+          lng: numericLng,
+        })
+          .then((etas) => {
+            etas.forEach((eta) => {
+              ioInstance.to(trackingRoomForJob(eta.jobId)).emit("job:eta", eta);
+            });
+          })
+          .catch((error) => {
+            console.error("vendor:location ETA update failed", error);
+          });
+
         const sanitized = sanitizeVendor(vendor);
         broadcastVendorUpdate(sanitized);
 
@@ -203,8 +330,21 @@ export const initRealtime = (httpServer, options = {}) => {
     });
 
     socket.on("vendor:toggle", async (payload = {}, ack) => {
-      const { vendorId, active, updatesPaused } = payload;
-      const id = typeof vendorId === "string" ? vendorId : String(vendorId || "");
+      const { vendorId, active, updatesPaused } = payload || {};
+      // Vendors may only toggle themselves; vendor-managing staff may toggle anyone.
+      let id;
+      if (actor.role === "vendor") {
+        if (vendorId && String(vendorId) !== actor.id) {
+          reply(ack, { ok: false, error: "Cannot update another vendor" });
+          return;
+        }
+        id = actor.id;
+      } else if (canToggleVendors) {
+        id = typeof vendorId === "string" ? vendorId : String(vendorId || "");
+      } else {
+        reply(ack, { ok: false, error: "Forbidden" });
+        return;
+      }
       if (!mongoose.Types.ObjectId.isValid(id)) {
         if (typeof ack === "function") {
           ack({ ok: false, error: "Invalid vendorId" });
@@ -222,6 +362,17 @@ export const initRealtime = (httpServer, options = {}) => {
       }
 
       try {
+        if (update.active === true) {
+          const current = await Vendor.findById(id).select("onboarding.status").lean();
+          if (current && !isVendorApproved(current)) {
+            reply(ack, {
+              ok: false,
+              error: "Vendors can go active once their application is approved",
+            });
+            return;
+          }
+        }
+
         const vendor = await Vendor.findByIdAndUpdate(
           id,
           { $set: update },
@@ -251,24 +402,20 @@ export const initRealtime = (httpServer, options = {}) => {
     socket.on("messages:join", async (payload = {}, ack) => {
       try {
         const { token, jobId } = payload || {};
-        if (!token || !jobId) {
-          if (typeof ack === "function") {
-            ack({ ok: false, error: "Missing token or jobId" });
-          }
+        if (!jobId) {
+          reply(ack, { ok: false, error: "Missing jobId" });
           return;
         }
 
-        let actor;
+        let member;
         try {
-          actor = decodeAppToken(token);
+          member = resolveActor(socket, token);
         } catch (error) {
-          if (typeof ack === "function") {
-            ack({ ok: false, error: error.message || "Invalid token" });
-          }
+          reply(ack, { ok: false, error: error.message || "Invalid token" });
           return;
         }
 
-        const result = await canAccessJobConversation(actor, jobId);
+        const result = await canAccessJobConversation(member, jobId);
         if (!result.ok) {
           if (typeof ack === "function") {
             ack({ ok: false, error: result.reason || "Access denied" });
@@ -287,6 +434,53 @@ export const initRealtime = (httpServer, options = {}) => {
       }
     });
 
+    // Live job tracking (ETA updates). Signed-in sockets use their handshake
+    // identity; guest trackers pass the signed tracking token from their link.
+    socket.on("job:watch", async (payload = {}, ack) => {
+      try {
+        const { token, trackingToken, jobId } = payload || {};
+        if (!jobId || !mongoose.Types.ObjectId.isValid(jobId)) {
+          if (typeof ack === "function") ack({ ok: false, error: "Invalid job id" });
+          return;
+        }
+
+        let allowed = false;
+        if (trackingToken) {
+          try {
+            const job = await resolveTrackingJob(trackingToken);
+            allowed = String(job._id) === String(jobId);
+          } catch {
+            allowed = false;
+          }
+        } else {
+          try {
+            const result = await canAccessJobConversation(
+              resolveActor(socket, token),
+              jobId
+            );
+            allowed = result.ok;
+          } catch {
+            allowed = false;
+          }
+        }
+        if (!allowed) {
+          if (typeof ack === "function") ack({ ok: false, error: "Access denied" });
+          return;
+        }
+
+        socket.join(trackingRoomForJob(jobId));
+        if (typeof ack === "function") ack({ ok: true });
+      } catch (error) {
+        if (typeof ack === "function") {
+          ack({ ok: false, error: error.message || "Unable to watch job" });
+        }
+      }
+    });
+
+    socket.on("job:unwatch", (payload = {}) => {
+      if (payload?.jobId) socket.leave(trackingRoomForJob(payload.jobId));
+    });
+
     socket.on("messages:leave", (payload = {}, ack) => {
       try {
         const { jobId } = payload || {};
@@ -2,15 +2,25 @@ import { Router } from "express";
 import mongoose from "mongoose";
 import Vendor from "../models/Vendor.js";
 import Job from "../models/Jobs.js";
+import { TERMINAL_STATUSES } from "../lib/jobWorkflow.js";
 import Feedback from "../models/Feedback.js";
 import Payment from "../models/Payment.js";
 import Document from "../models/Document.js";
 import { complianceSummary, refreshVendorCompliance } from "../lib/compliance.js";
+import { signedAmount } from "../lib/paymentLedger.js";
+import { saveVendorServiceArea, serializeServiceArea } from "../lib/serviceArea.js";
+import {
+  PIPELINE_STATUSES,
+  decideApplication,
+  isVendorApproved,
+  serializeOnboarding,
+} from "../lib/vendorOnboarding.js";
 import {
   broadcastVendorUpdate,
   broadcastVendorRemoval,
 } from "../realtime/index.js";
 import { requireAdminAuth } from "./adminAuth.js";
+import { authorize } from "../middleware/authorize.js";
 import {
   isPushConfigured,
   registerAdminSubscription,
@@ -19,6 +29,8 @@ import {
 
 const router = Router();
 
+router.use("/vendors", authorize("vendors"));
+
 const sanitizeId = (value) =>
   value && mongoose.Types.ObjectId.isValid(value) ? String(value) : null;
 
@@ -58,6 +70,7 @@ const serializeVendorListItem = (vendor, compliance, stats) => ({
   complianceStatus: vendor.complianceStatus || "pending",
   compliance,
   complianceOverride: vendor.complianceOverride === true,
+  onboarding: serializeOnboarding(vendor),
   stats,
   activity: buildVendorActivity(vendor),
 });
@@ -69,7 +82,7 @@ const summarizeVendorStats = ({
   feedbackByJob = new Map(),
 }) => {
   const completed = jobs.filter((job) => job.status === "Completed");
-  const activeJobs = jobs.filter((job) => job.status !== "Completed");
+  const activeJobs = jobs.filter((job) => !TERMINAL_STATUSES.includes(job.status));
 
   const revenue = completed.reduce(
     (sum, job) => sum + asCurrency(paymentsByJob.get(String(job._id)) || 0),
@@ -162,7 +175,7 @@ router.get("/vendors/overview", async (_req, res, next) => {
     payments.forEach((payment) => {
       const key = String(payment.jobId);
       const current = paymentsByJob.get(key) || 0;
-      paymentsByJob.set(key, current + (payment.amount || 0));
+      paymentsByJob.set(key, current + signedAmount(payment));
     });
 
     const feedback = await Feedback.find({
@@ -192,6 +205,33 @@ router.get("/vendors/overview", async (_req, res, next) => {
   }
 });
 
+// GET /api/admin/vendors/applications?status=under_review
+// Applicants in the pipeline (or with the given status), oldest first.
+router.get("/vendors/applications", async (req, res, next) => {
+  try {
+    const status = String(req.query.status || "").trim();
+    const statuses = status ? [status] : PIPELINE_STATUSES;
+    const vendors = await Vendor.find({ "onboarding.status": { $in: statuses } })
+      .sort({ "onboarding.appliedAt": 1 })
+      .limit(200)
+      .lean();
+    res.json(
+      vendors.map((vendor) => ({
+        _id: vendor._id,
+        name: vendor.name,
+        phone: vendor.phone || "",
+        email: vendor.email || "",
+        city: vendor.city || "",
+        services: Array.isArray(vendor.services) ? vendor.services : [],
+        heavyDuty: !!vendor.heavyDuty,
+        onboarding: serializeOnboarding(vendor, { includeHistory: true }),
+      }))
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
 const serializeDocument = (doc) => ({
   _id: doc._id,
   title: doc.title,
@@ -225,7 +265,7 @@ const buildVendorDetail = async (vendor) => {
   payments.forEach((payment) => {
     const key = String(payment.jobId);
     const current = paymentsByJob.get(key) || 0;
-    paymentsByJob.set(key, current + (payment.amount || 0));
+    paymentsByJob.set(key, current + signedAmount(payment));
   });
   const feedbackByJob = new Map(
     feedback.map((entry) => [String(entry.jobId), entry])
@@ -255,10 +295,15 @@ const buildVendorDetail = async (vendor) => {
       city: vendor.city || "",
       services: Array.isArray(vendor.services) ? vendor.services : [],
       heavyDuty: !!vendor.heavyDuty,
+      lat: typeof vendor.lat === "number" ? vendor.lat : null,
+      lng: typeof vendor.lng === "number" ? vendor.lng : null,
+      radiusKm: typeof vendor.radiusKm === "number" ? vendor.radiusKm : 25,
+      serviceArea: serializeServiceArea(vendor),
       earningsSplit: split,
       complianceStatus: vendor.complianceStatus || "pending",
       compliance,
       complianceOverride: vendor.complianceOverride === true,
+      onboarding: serializeOnboarding(vendor, { includeHistory: true }),
       activity: buildVendorActivity(vendor),
     },
     stats: {
@@ -268,7 +313,9 @@ const buildVendorDetail = async (vendor) => {
     },
     jobs: {
       recent: jobs.slice(0, 20),
-      active: jobs.filter((job) => job.status !== "Completed").slice(0, 20),
+      active: jobs
+        .filter((job) => !TERMINAL_STATUSES.includes(job.status))
+        .slice(0, 20),
     },
     documents: docs.map(serializeDocument),
   };
@@ -293,6 +340,42 @@ router.get("/vendors/:vendorId", async (req, res, next) => {
   }
 });
 
+const decisionRoute = (decision) => async (req, res, next) => {
+  try {
+    const vendor = await decideApplication(req.params.vendorId, {
+      decision,
+      note: req.body?.note,
+      actor: { role: req.adminRole || "admin", id: req.adminId || null },
+    });
+    broadcastVendorUpdate(vendor);
+    res.json(await buildVendorDetail(vendor));
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    next(error);
+  }
+};
+
+// POST /api/admin/vendors/:vendorId/approve|reject  { note }
+router.post("/vendors/:vendorId/approve", decisionRoute("approve"));
+router.post("/vendors/:vendorId/reject", decisionRoute("reject"));
+
+// PUT /api/admin/vendors/:vendorId/service-area  { coverage?, exclusions? }
+router.put("/vendors/:vendorId/service-area", async (req, res, next) => {
+  try {
+    const vendorId = sanitizeId(req.params.vendorId);
+    if (!vendorId) {
+      return res.status(400).json({ message: "Invalid vendor id" });
+    }
+    const { coverage, exclusions } = req.body || {};
+    const vendor = await saveVendorServiceArea(vendorId, { coverage, exclusions });
+    broadcastVendorUpdate(vendor);
+    res.json(await buildVendorDetail(vendor));
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    next(error);
+  }
+});
+
 router.patch("/vendors/:vendorId", async (req, res, next) => {
   try {
     const vendorId = sanitizeId(req.params.vendorId);
@@ -352,6 +435,14 @@ router.patch("/vendors/:vendorId", async (req, res, next) => {
     if (!Object.keys(update).length) {
       return res.status(400).json({ message: "No updates supplied" });
     }
+    if (update.active === true) {
+      const current = await Vendor.findById(vendorId).select("onboarding.status").lean();
+      if (current && !isVendorApproved(current)) {
+        return res
+          .status(409)
+          .json({ message: "Approve the vendor's application before activating them" });
+      }
+    }
 
     let vendor = await Vendor.findByIdAndUpdate(
       vendorId,
@@ -363,7 +454,10 @@ router.patch("/vendors/:vendorId", async (req, res, next) => {
       return res.status(404).json({ message: "Vendor not found" });
     }
 
-    if (overrideProvided && overrideValue === false) {
+    const scopeChanged = ["services", "heavyDuty", "city"].some(
+      (field) => update[field] !== undefined
+    );
+    if ((overrideProvided && overrideValue === false) || scopeChanged) {
       await refreshVendorCompliance(vendorId);
       vendor = await Vendor.findById(vendorId).lean();
     }
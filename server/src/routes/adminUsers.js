@@ -0,0 +1,89 @@
+import { Router } from "express";
+import bcrypt from "bcryptjs";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import { STAFF_ROLES } from "../middleware/authorize.js";
+
+const router = Router();
+
+const sanitize = (user) => ({
+  _id: user._id,
+  email: user.email,
+  role: user.role || "admin",
+  createdAt: user.createdAt,
+});
+
+const resolveRole = (value) => {
+  const role = String(value || "").trim().toLowerCase();
+  return STAFF_ROLES.includes(role) ? role : null;
+};
+
+router.get("/", async (_req, res, next) => {
+  try {
+    const users = await User.find({ role: { $in: STAFF_ROLES } })
+      .sort({ email: 1 })
+      .lean();
+    res.json(users.map(sanitize));
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.post("/", async (req, res, next) => {
+  try {
+    const { email, password } = req.body || {};
+    const role = resolveRole(req.body?.role);
+    if (!email || !password) {
+      return res.status(400).json({ message: "Email and password are required" });
+    }
+    if (!role) {
+      return res
+        .status(400)
+        .json({ message: `Role must be one of: ${STAFF_ROLES.join(", ")}` });
+    }
+
+    const emailLower = String(email).trim().toLowerCase();
+    const existing = await User.findOne({ email: emailLower }).lean();
+    if (existing) {
+      return res.status(409).json({ message: "User already exists" });
+    }
+
+    const passwordHash = await bcrypt.hash(String(password), 12);
+    const user = await User.create({ email: emailLower, passwordHash, role });
+    res.status(201).json(sanitize(user));
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.patch("/:id", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ message: "Invalid user id" });
+    }
+    const role = resolveRole(req.body?.role);
+    if (!role) {
+      return res
+        .status(400)
+        .json({ message: `Role must be one of: ${STAFF_ROLES.join(", ")}` });
+    }
+    if (String(id) === String(req.adminId) && role !== "admin") {
+      return res
+        .status(409)
+        .json({ message: "You cannot remove your own admin role" });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      id,
+      { $set: { role } },
+      { new: true }
+    ).lean();
+    if (!user) return res.status(404).json({ message: "User not found" });
+    res.json(sanitize(user));
+  } catch (e) {
+    next(e);
+  }
+});
+
+export default router;
@@ -4,12 +4,13 @@ import Job from "../models/Jobs.js";
 import Message from "../models/Message.js";
 import Feedback from "../models/Feedback.js";
 import Customer from "../models/Customer.js";
-import { decodeRequestActor } from "../lib/authTokens.js";
+import { actorCanAccess, decodeRequestActor } from "../lib/authTokens.js";
 import {
   sendVendorPushNotifications,
   sendCustomerPushNotifications,
 } from "../lib/push.js";
 import { resolveClientBaseUrl } from "../lib/clientUrl.js";
+import { serviceAreaQuery, vendorServesPoint } from "../lib/serviceArea.js";
 import { getIo } from "../realtime/index.js";
 import {
   getJobCreationAdvice,
@@ -95,17 +96,21 @@ router.post("/vendors/recommendations", async (req, res, next) => {
     const job = payload.job || {};
     const limit = Math.min(Math.max(Number(payload.limit) || 5, 1), 10);
 
+    // With pickup coordinates, only vendors whose service area covers it.
     const vendorQuery = {
       active: { $ne: false },
+      ...serviceAreaQuery(job.pickupLat, job.pickupLng),
     };
 
-    const vendors = await Vendor.find(vendorQuery)
-      .select(
-        "_id name city services heavyDuty radiusKm updatesPaused complianceStatus compliance.lastCheckedAt compliance.missing active lastSeenAt"
-      )
-      .sort({ updatesPaused: 1, complianceStatus: 1, name: 1 })
-      .limit(limit * 3)
-      .lean();
+    const vendors = (
+      await Vendor.find(vendorQuery)
+        .select(
+          "_id name city services heavyDuty radiusKm serviceArea updatesPaused complianceStatus compliance.lastCheckedAt compliance.missing active lastSeenAt"
+        )
+        .sort({ updatesPaused: 1, complianceStatus: 1, name: 1 })
+        .limit(limit * 3)
+        .lean()
+    ).filter((vendor) => vendorServesPoint(vendor, job.pickupLat, job.pickupLng));
 
     if (!vendors.length) {
       return res
@@ -511,10 +516,10 @@ router.post("/followups/send", async (req, res, next) => {
         .json({ message: error.message || "Unauthorized" });
     }
 
-    if (actor.role !== "admin") {
+    if (!actorCanAccess(actor, "crm", req.method)) {
       return res
         .status(403)
-        .json({ message: "Only admins may send follow-ups." });
+        .json({ message: "Your role does not allow sending follow-ups." });
     }
 
     const {
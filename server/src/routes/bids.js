@@ -1,13 +1,25 @@
 // server/src/routes/bids.js
 import { Router } from "express";
 import mongoose from "mongoose";
-import crypto from "crypto";
 import Job from "../models/Jobs.js";
 import Bid from "../models/Bid.js";
 import Customer from "../models/Customer.js";
-import { notifySMS } from "../lib/notifier.js";
+import Vendor from "../models/Vendor.js";
+import { notifyContact } from "../lib/notifier.js";
+import { actorFromRequest } from "../lib/jobEvents.js";
+import { actorCanAccess, decodeRequestActor } from "../lib/authTokens.js";
 import { getClientBaseUrl, resolveClientBaseUrl } from "../lib/clientUrl.js";
 import { sendCustomerPushNotifications } from "../lib/push.js";
+import { assignVendorToJob } from "../lib/assignment.js";
+import { buildTrackingUrl, trackingPath } from "../lib/trackingLinks.js";
+import {
+  closeOutBids,
+  counterBid,
+  effectiveBidStatus,
+  expireStaleBids,
+  serializeBid,
+  submitBid,
+} from "../lib/bids.js";
 
 const router = Router();
 
@@ -20,6 +32,20 @@ const toInt = (v) => Number.parseInt(v, 10);
 const toNum = (v) => Number(v);
 const clamp = (n, lo, hi) =>
   Number.isFinite(n) ? Math.max(lo, Math.min(hi, n)) : NaN;
+// The job's customer link, the signed-in customer who owns it, or ops staff.
+const canChooseForJob = (req, job) => {
+  const { customerToken } = req.body || {};
+  if (isNonEmpty(customerToken) && customerToken === job.customerToken) return true;
+  let actor = null;
+  try {
+    actor = decodeRequestActor(req);
+  } catch {
+    return false;
+  }
+  if (actor.role === "customer") return actor.id === String(job.customerId || "");
+  return actorCanAccess(actor, "ops", "POST");
+};
+
 const normalizePhone = (input = "") => {
   const str = String(input || "").trim();
   if (!str) return "";
@@ -57,7 +83,7 @@ router.get("/job/:vendorToken", async (req, res, next) => {
 });
 
 // ----------------------------------------------------------
-// Vendor submits or updates a bid (idempotent per job+phone)
+// Vendor submits or revises a bid (one bid per job+phone)
 // POST /api/bids/:vendorToken
 // body: { vendorName, vendorPhone, etaMinutes, price }
 // ----------------------------------------------------------
@@ -101,20 +127,14 @@ router.post("/:vendorToken", async (req, res, next) => {
       }
     }
 
-    // Upsert: if this vendor (phone) already bid on this job, update it
-    const bid = await Bid.findOneAndUpdate(
-      { jobId: job._id, vendorPhone: normalizedPhone },
-      {
-        $set: {
-          jobId: job._id,
-          vendorName: trimmedName,
-          vendorPhone: normalizedPhone,
-          etaMinutes: eta,
-          price: pr,
-        },
-      },
-      { new: true, upsert: true }
-    ).lean();
+    const { bid, created } = await submitBid({
+      job,
+      match: { vendorPhone: normalizedPhone },
+      vendorName: trimmedName,
+      vendorPhone: normalizedPhone,
+      etaMinutes: eta,
+      price: pr,
+    });
 
     // Notify customer (optional, best-effort)
     try {
@@ -125,14 +145,28 @@ router.post("/:vendorToken", async (req, res, next) => {
         : `/status/${job._id}`;
       const customerUrl = `${base.replace(/\/$/, "")}${customerRoute}`;
       const priceLabel = Number.isFinite(pr) ? pr : 0;
+      const label = created ? "New" : "Updated";
       const messageBody = isFixed
-        ? `New ETA: ${bid.vendorName} - ETA ${bid.etaMinutes}m. Fixed price $${priceLabel}`
-        : `New bid: ${bid.vendorName} - $${bid.price}, ETA ${bid.etaMinutes}m`;
+        ? `${label} ETA: ${bid.vendorName} - ETA ${bid.etaMinutes}m. Fixed price $${priceLabel}`
+        : `${label} bid: ${bid.vendorName} - $${bid.price}, ETA ${bid.etaMinutes}m`;
 
-      if (cust?.phone && job.customerToken) {
+      if (job.customerToken) {
         const viewLink = `${base.replace(/\/$/, "")}/choose/${job.customerToken}`;
-        const smsMessage = `${messageBody}. View: ${viewLink}`;
-        await notifySMS(cust.phone, smsMessage, job._id);
+        await notifyContact("customer", {
+          phone: cust?.phone,
+          email: cust?.email,
+          sms: `${messageBody}. View: ${viewLink}`,
+          emailMessage: {
+            template: "jobStatus",
+            data: {
+              title: "New bid received",
+              message: messageBody,
+              service: job.serviceType,
+              trackUrl: viewLink,
+            },
+          },
+          jobId: job._id,
+        });
       }
 
       await sendCustomerPushNotifications([
@@ -148,14 +182,14 @@ router.post("/:vendorToken", async (req, res, next) => {
             kind: "bid",
             route: customerRoute,
             absoluteUrl: customerUrl,
-            dedupeKey: `customer:job:${job._id}:bid:${bid._id}`,
+            dedupeKey: `customer:job:${job._id}:bid:${bid._id}:${bid.revisions.length}`,
           },
         },
       ]);
     } catch {
       /* best-effort */
     }
-    res.status(201).json(bid);
+    res.status(created ? 201 : 200).json(serializeBid(bid));
   } catch (e) {
     next(e);
   }
@@ -171,7 +205,8 @@ router.get("/list/:customerToken", async (req, res, next) => {
     const job = await Job.findOne({ customerToken: token }).lean();
     if (!job) return res.status(404).json({ message: "Invalid link" });
 
-    const bids = await Bid.find({ jobId: job._id })
+    await expireStaleBids({ jobId: job._id });
+    const bids = await Bid.find({ jobId: job._id, status: { $ne: "withdrawn" } })
       .sort({ createdAt: -1 })
       .lean();
 
@@ -183,17 +218,12 @@ router.get("/list/:customerToken", async (req, res, next) => {
         dropoffAddress: job.dropoffAddress || null,
         heavyDuty: !!job.heavyDuty,
         status: job.status,
+        bidMode: job.bidMode || "open",
         biddingOpen: !!job.biddingOpen,
         selectedBidId: job.selectedBidId || null,
       },
-      bids: bids.map((b) => ({
-        _id: b._id,
-        vendorName: b.vendorName,
-        vendorPhone: b.vendorPhone,
-        price: b.price,
-        etaMinutes: b.etaMinutes,
-        createdAt: b.createdAt,
-      })),
+      trackingPath: job.selectedBidId ? trackingPath(job) : null,
+      bids: bids.map((b) => serializeBid(b)),
     });
   } catch (e) {
     next(e);
@@ -201,8 +231,70 @@ router.get("/list/:customerToken", async (req, res, next) => {
 });
 
 // ----------------------------------------------------------
-// Customer selects a bid (locks job, closes bidding, mints vendorAcceptedToken)
+// Customer counters an active bid with a different price
+// POST /api/bids/:bidId/counter
+// body: { customerToken, price, note }
+// ----------------------------------------------------------
+router.post("/:bidId/counter", async (req, res, next) => {
+  try {
+    const { bidId } = req.params;
+    if (!isObjId(bidId))
+      return res.status(400).json({ message: "Invalid bid id" });
+
+    const { customerToken, price, note } = req.body || {};
+    const bid = await Bid.findById(bidId);
+    if (!bid) return res.status(404).json({ message: "Bid not found" });
+
+    const job = await Job.findById(bid.jobId).lean();
+    if (!job || !isNonEmpty(customerToken) || job.customerToken !== customerToken) {
+      return res.status(404).json({ message: "Bid not found" });
+    }
+    if (!job.biddingOpen || job.selectedBidId) {
+      return res.status(409).json({ message: "Bidding is closed" });
+    }
+    if (job.bidMode === "fixed") {
+      return res
+        .status(400)
+        .json({ message: "Fixed-price jobs do not take counter-offers" });
+    }
+
+    const counterPrice = clamp(toNum(price), 0, 1_000_000);
+    if (!Number.isFinite(counterPrice) || counterPrice >= bid.price) {
+      return res
+        .status(400)
+        .json({ message: "Counter-offer must be below the bid price" });
+    }
+
+    await counterBid(bid, { price: counterPrice, note });
+
+    // Best-effort heads-up to the vendor
+    try {
+      const vendor = bid.vendorId
+        ? await Vendor.findById(bid.vendorId).select("phone").lean()
+        : null;
+      await notifyContact("vendor", {
+        phone: vendor?.phone || bid.vendorPhone,
+        sms: `The customer countered your bid for ${
+          job.serviceType || "a job"
+        } at $${counterPrice}. Open the vendor app to accept.`,
+        jobId: job._id,
+      });
+    } catch {
+      /* ignore */
+    }
+
+    res.json(serializeBid(bid.toObject()));
+  } catch (e) {
+    next(e);
+  }
+});
+
+// ----------------------------------------------------------
+// Customer selects a bid. Assignment is a single conditional update
+// (lib/assignment.js): if another bid or an admin got there first this
+// answers 409. Re-selecting the winning bid is a no-op.
 // POST /api/bids/:bidId/select
+// body: { customerToken } (or a customer/staff bearer token)
 // ----------------------------------------------------------
 router.post("/:bidId/select", async (req, res, next) => {
   try {
@@ -213,51 +305,103 @@ router.post("/:bidId/select", async (req, res, next) => {
     const bid = await Bid.findById(bidId).lean();
     if (!bid) return res.status(404).json({ message: "Bid not found" });
 
-    const job = await Job.findById(bid.jobId);
-    if (!job) return res.status(404).json({ message: "Job not found" });
+    const current = await Job.findById(bid.jobId).lean();
+    if (!current || !canChooseForJob(req, current)) {
+      return res.status(404).json({ message: "Bid not found" });
+    }
 
-    // if already selected another bid, block
-    if (job.selectedBidId && String(job.selectedBidId) !== String(bid._id)) {
+    if (current.selectedBidId && String(current.selectedBidId) === String(bid._id)) {
+      return res.json({ ok: true, jobId: current._id, alreadySelected: true });
+    }
+    if (current.selectedBidId || current.vendorId) {
       return res
         .status(409)
         .json({ message: "Another bid has already been selected" });
     }
 
-    job.selectedBidId = bid._id;
-    job.vendorName = bid.vendorName;
-    job.vendorPhone = bid.vendorPhone;
-    job.status = "Assigned";
-    job.biddingOpen = false;
-    job.finalPrice = job.bidMode === "fixed"
-      ? (Number.isFinite(job.quotedPrice) ? job.quotedPrice : bid.price)
-      : bid.price;
-
-    if (!job.vendorAcceptedToken) {
-      job.vendorAcceptedToken = crypto.randomBytes(16).toString("hex");
+    const bidStatus = effectiveBidStatus(bid);
+    if (bidStatus !== "active") {
+      return res
+        .status(409)
+        .json({ message: `This bid is ${bidStatus} and can't be selected` });
     }
 
-    await job.save();
+    // Public bids are keyed by phone; link them to the vendor account if any
+    const vendorDoc = bid.vendorId
+      ? await Vendor.findById(bid.vendorId).select("name phone email").lean()
+      : await Vendor.findOne({ phone: bid.vendorPhone })
+          .select("name phone email")
+          .lean();
+
+    const isFixed = current.bidMode === "fixed";
+    const job = await assignVendorToJob({
+      job: current,
+      vendor: {
+        _id: vendorDoc?._id || bid.vendorId || null,
+        name: bid.vendorName || vendorDoc?.name,
+        phone: bid.vendorPhone || vendorDoc?.phone,
+      },
+      bid,
+      price:
+        isFixed && Number.isFinite(current.quotedPrice)
+          ? current.quotedPrice
+          : bid.price,
+      requireOpen: true,
+      event: {
+        type: "bid_selected",
+        actor: actorFromRequest(req, "customer"),
+        source: "bids.select",
+        meta: {
+          bidId: bid._id,
+          vendorId: vendorDoc?._id || bid.vendorId || null,
+          price: bid.price,
+          etaMinutes: bid.etaMinutes ?? null,
+        },
+      },
+    });
+    await closeOutBids(job, bid);
 
+    const baseClient = (resolveClientBaseUrl(req) || defaultClientBase).replace(
+      /\/$/,
+      ""
+    );
     const vendorPortal = `${baseClient}/vendor/${job.vendorAcceptedToken}`;
-    const statusUrl = `${baseClient}/status/${job._id}`;
+    const statusUrl = buildTrackingUrl(job, baseClient);
 
     // Best-effort notifications
     try {
-      if (job.vendorPhone) {
-        await notifySMS(
-          job.vendorPhone,
-          `Your bid was accepted. Open job: ${vendorPortal}`,
-          job._id
-        );
-      }
+      await notifyContact("vendor", {
+        phone: job.vendorPhone,
+        email: vendorDoc?.email,
+        sms: `Your bid was accepted. Open job: ${vendorPortal}`,
+        emailMessage: {
+          template: "bidAccepted",
+          data: {
+            vendorName: job.vendorName,
+            service: job.serviceType,
+            pickupAddress: job.pickupAddress,
+            price: job.finalPrice,
+            portalUrl: vendorPortal,
+          },
+        },
+        jobId: job._id,
+      });
       const cust = await Customer.findById(job.customerId).lean();
-      if (cust?.phone) {
-        await notifySMS(
-          cust.phone,
-          `Vendor assigned: ${job.vendorName}. Track: ${statusUrl}`,
-          job._id
-        );
-      }
+      await notifyContact("customer", {
+        phone: cust?.phone,
+        email: cust?.email,
+        sms: `Vendor assigned: ${job.vendorName}. Track: ${statusUrl}`,
+        emailMessage: {
+          template: "jobStatus",
+          data: {
+            title: "Driver assigned",
+            message: `${job.vendorName} has been assigned to your request.`,
+            service: job.serviceType,
+            trackUrl: statusUrl,
+          },
+        },
+        jobId: job._id,
+      });
     } catch {
       /* ignore */
     }
@@ -2,14 +2,50 @@ import { Router } from "express";
 import mongoose from "mongoose";
 import Customer from "../models/Customer.js";
 import Job from "../models/Jobs.js";
+import { TERMINAL_STATUSES } from "../lib/jobWorkflow.js";
+import { ETA_STATUSES, serializeJobEta } from "../lib/eta.js";
 import Vendor from "../models/Vendor.js";
 import { requireFields } from "../lib/validate.js";
+import { actorCanAccess, decodeRequestActor } from "../lib/authTokens.js";
+import { authorize } from "../middleware/authorize.js";
+import { resolveClientBaseUrl } from "../lib/clientUrl.js";
+import { invoiceUrlForJob } from "../lib/invoices.js";
+import {
+  buildTrackingUrl,
+  resolveTrackingJob,
+  trackingLinkExpiresAt,
+} from "../lib/trackingLinks.js";
+import { rateLimit } from "../middleware/rateLimit.js";
 
 const router = Router();
 const isObjId = (s) => mongoose.isValidObjectId(s);
+const allowDevShortcuts = process.env.NODE_ENV !== "production";
+
+const statusLookupLimit = rateLimit({
+  windowMs: 60000,
+  // tracking pages poll every 4-10s; leave room for a few devices per IP
+  max: Number(process.env.TRACKING_LOOKUP_RATE_LIMIT || 120),
+});
+
+const tryDecodeActor = (req) => {
+  try {
+    return decodeRequestActor(req);
+  } catch {
+    return null;
+  }
+};
+
+const latestJobForCustomer = async (customerId) =>
+  (await Job.findOne({
+    customerId,
+    status: { $nin: TERMINAL_STATUSES },
+  })
+    .sort({ created: -1 })
+    .lean()) ||
+  (await Job.findOne({ customerId }).sort({ created: -1 }).lean());
 
 // CREATE customer - POST /api/customers
-router.post("/", async (req, res, next) => {
+router.post("/", authorize("ops"), async (req, res, next) => {
   try {
     requireFields(req.body, ["name", "phone"]);
     const created = await Customer.create({
@@ -23,7 +59,7 @@ router.post("/", async (req, res, next) => {
 });
 
 // LIST customers - GET /api/customers
-router.get("/", async (_req, res, next) => {
+router.get("/", authorize("ops"), async (_req, res, next) => {
   try {
     const list = await Customer.find({}, "name phone").lean();
     res.json(list);
@@ -35,67 +71,61 @@ router.get("/", async (_req, res, next) => {
 /**
  * STATUS - GET /api/customers/:id/status
  * Accepts:
- *  - :id = jobId  -> return that job + driver
- *  - :id = customerId -> return latest (active first, else latest) job for that customer
- *  - :id = "demo" or "latest" -> latest job in DB
- *  - non-ObjectId -> try as customer phone
+ *  - ?token=<tracking token> -> the job that signed link is scoped to
+ *  - :id = jobId  -> that job, for its customer or staff
+ *  - :id = customerId -> that customer's latest (active first) job
+ *  - outside production only: "demo"/"latest" and customer phone lookups
  */
-router.get("/:id/status", async (req, res, next) => {
+router.get("/:id/status", statusLookupLimit, async (req, res, next) => {
   try {
     const { id } = req.params;
     let job = null;
     let customer = null;
 
-    // 1) Dev shortcuts
-    if (id === "demo" || id === "latest") {
-      job = await Job.findOne({}).sort({ created: -1 }).lean();
-      if (!job) return res.status(404).json({ message: "No jobs yet" });
-      customer = job.customerId
-        ? await Customer.findById(job.customerId).lean()
-        : null;
-    }
-    // 2) Valid ObjectId: try as Job first; else as Customer
-    else if (isObjId(id)) {
-      job = await Job.findById(id).lean(); // try jobId
-      if (job) {
-        customer = job.customerId
-          ? await Customer.findById(job.customerId).lean()
-          : null;
-      } else {
-        // treat as customerId
+    if (req.query.token) {
+      try {
+        job = await resolveTrackingJob(String(req.query.token));
+      } catch (error) {
+        if (!error.status) throw error;
+        return res.status(error.status).json({ message: error.message });
+      }
+      if (isObjId(id) && String(job._id) !== id) {
+        return res.status(403).json({ message: "Link does not match this job" });
+      }
+    } else if (isObjId(id)) {
+      const actor = tryDecodeActor(req);
+      if (!actor) return res.status(401).json({ message: "Sign in to view this job" });
+      if (actor.role === "vendor") {
+        return res.status(403).json({ message: "Forbidden" });
+      }
+
+      job = await Job.findById(id).lean();
+      if (!job) {
         customer = await Customer.findById(id).lean();
         if (!customer)
           return res.status(404).json({ message: "Customer not found" });
-        job =
-          (await Job.findOne({
-            customerId: customer._id,
-            status: { $ne: "Completed" },
-          })
-            .sort({ created: -1 })
-            .lean()) ||
-          (await Job.findOne({ customerId: customer._id })
-            .sort({ created: -1 })
-            .lean());
+        job = await latestJobForCustomer(customer._id);
       }
-    }
-    // 3) Not an ObjectId: try by customer phone
-    else {
+      const ownerId = job?.customerId || customer?._id;
+      if (actor.role === "customer" && String(ownerId) !== actor.id) {
+        return res.status(404).json({ message: "Status not found" });
+      }
+    } else if (allowDevShortcuts && (id === "demo" || id === "latest")) {
+      job = await Job.findOne({}).sort({ created: -1 }).lean();
+      if (!job) return res.status(404).json({ message: "No jobs yet" });
+    } else if (allowDevShortcuts) {
       customer = await Customer.findOne({ phone: id }).lean();
       if (!customer)
         return res.status(404).json({ message: "Customer not found" });
-      job =
-        (await Job.findOne({
-          customerId: customer._id,
-          status: { $ne: "Completed" },
-        })
-          .sort({ created: -1 })
-          .lean()) ||
-        (await Job.findOne({ customerId: customer._id })
-          .sort({ created: -1 })
-          .lean());
+      job = await latestJobForCustomer(customer._id);
+    } else {
+      return res.status(404).json({ message: "Status not found" });
     }
 
     if (!job) return res.status(404).json({ message: "Status not found" });
+    if (!customer && job.customerId) {
+      customer = await Customer.findById(job.customerId).lean();
+    }
 
     const vendorDoc =
       job.vendorId ? await Vendor.findById(job.vendorId).lean() : null;
@@ -137,24 +167,38 @@ router.get("/:id/status", async (req, res, next) => {
         pickupAddress: job.pickupAddress,
         dropoffAddress: job.dropoffAddress,
         quotedPrice: job.quotedPrice,
+        priceQuote: job.priceQuote || null,
         bidMode: job.bidMode || "open",
         created: job.created,
         completed: job.completed || null,
+        eta: ETA_STATUSES.includes(job.status) ? serializeJobEta(job) : null,
       },
       vendor,
+      trackingUrl: buildTrackingUrl(job, resolveClientBaseUrl(req)),
+      trackingExpiresAt: trackingLinkExpiresAt(job),
+      invoiceUrl:
+        job.status === "Completed"
+          ? await invoiceUrlForJob(job._id, resolveClientBaseUrl(req))
+          : null,
     });
   } catch (e) {
     next(e);
   }
 });
 
-// GET /api/customers/:id/jobs?limit=10
+// GET /api/customers/:id/jobs?limit=10 - the signed-in customer's own
+// jobs, or any customer's for ops staff
 router.get("/:id/jobs", async (req, res, next) => {
   try {
     const { id } = req.params;
+    if (!isObjId(id)) return res.status(400).json({ message: "Invalid customer id" });
+    const actor = tryDecodeActor(req);
+    const isOwner = actor?.role === "customer" && actor.id === String(id);
+    if (!isOwner && !actorCanAccess(actor, "ops")) {
+      return res.status(actor ? 403 : 401).json({ message: "Access denied" });
+    }
     const limit = Math.min(100, Number(req.query.limit || 10));
-    const query = isObjId(id) ? { customerId: id } : {};
-    const jobs = await Job.find(query)
+    const jobs = await Job.find({ customerId: id })
       .sort({ created: -1 })
       .limit(limit)
       .lean();
@@ -2,19 +2,23 @@
 import mongoose from "mongoose";
 import Document from "../models/Document.js";
 import { refreshVendorCompliance } from "../lib/compliance.js";
+import {
+  loadDocumentHistory,
+  loadReviewQueue,
+  rejectionReasonOptions,
+  reviewDocument,
+  supersedePreviousVersion,
+} from "../lib/documentReview.js";
 
 const router = Router();
 
 const isValidId = (value) => mongoose.isValidObjectId(value);
 
-const sanitizeStatus = (value) => {
-  if (!value) return undefined;
-  const normalized = String(value).toLowerCase();
-  return ["pending", "submitted", "verified", "rejected", "expired"].includes(
-    normalized
-  )
-    ? normalized
-    : undefined;
+const adminActor = (req) => ({ role: req.adminRole || "admin", id: req.adminId || null });
+
+const sendError = (res, next, e) => {
+  if (e.status) return res.status(e.status).json({ message: e.message });
+  return next(e);
 };
 
 async function triggerCompliance({ ownerType, vendorId }) {
@@ -28,10 +32,12 @@ async function triggerCompliance({ ownerType, vendorId }) {
   }
 }
 
-// GET /api/documents?ownerType=&driverId=&vendorId=&status=
+// GET /api/documents?ownerType=&driverId=&vendorId=&status=&history=true
 router.get("/", async (req, res, next) => {
   try {
     const query = {};
+    // Superseded versions are only listed on request
+    if (req.query.history !== "true") query.supersededBy = null;
     if (req.query.ownerType) query.ownerType = req.query.ownerType;
     if (req.query.status) query.status = req.query.status;
     if (req.query.driverId) {
@@ -54,6 +60,60 @@ router.get("/", async (req, res, next) => {
   }
 });
 
+// GET /api/documents/queue?ownerType=&vendorId= - awaiting review, oldest first
+router.get("/queue", async (req, res, next) => {
+  try {
+    const { ownerType, vendorId } = req.query;
+    if (ownerType && !["vendor", "driver"].includes(ownerType)) {
+      return res.status(400).json({ message: "Invalid ownerType" });
+    }
+    if (vendorId && !isValidId(vendorId)) {
+      return res.status(400).json({ message: "Invalid vendorId" });
+    }
+    const items = await loadReviewQueue({ ownerType, vendorId });
+    res.json({ items, reasons: rejectionReasonOptions() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/documents/:id/history - every version for the same requirement
+router.get("/:id/history", async (req, res, next) => {
+  try {
+    res.json(await loadDocumentHistory(req.params.id));
+  } catch (error) {
+    sendError(res, next, error);
+  }
+});
+
+// POST /api/documents/:id/approve
+router.post("/:id/approve", async (req, res, next) => {
+  try {
+    const doc = await reviewDocument(req.params.id, {
+      decision: "approve",
+      actor: adminActor(req),
+    });
+    res.json(doc);
+  } catch (error) {
+    sendError(res, next, error);
+  }
+});
+
+// POST /api/documents/:id/reject { reason, note }
+router.post("/:id/reject", async (req, res, next) => {
+  try {
+    const doc = await reviewDocument(req.params.id, {
+      decision: "reject",
+      reason: req.body?.reason,
+      note: req.body?.note,
+      actor: adminActor(req),
+    });
+    res.json(doc);
+  } catch (error) {
+    sendError(res, next, error);
+  }
+});
+
 // POST /api/documents
 router.post("/", async (req, res, next) => {
   try {
@@ -65,7 +125,6 @@ router.post("/", async (req, res, next) => {
       kind,
       requirementKey,
       url,
-      status,
       expiresAt,
       notes,
       mimeType,
@@ -92,14 +151,15 @@ router.post("/", async (req, res, next) => {
       kind,
       requirementKey: requirementKey || null,
       url,
-      status: sanitizeStatus(status) || "pending",
+      // new uploads always await review; verification goes through approve
+      status: "pending",
       expiresAt: expiresAt ? new Date(expiresAt) : null,
       notes,
       mimeType: mimeType || "",
       sizeBytes: Number.isFinite(Number(sizeBytes)) ? Number(sizeBytes) : null,
     };
 
-    const created = await Document.create(payload);
+    const created = await supersedePreviousVersion(await Document.create(payload));
     await triggerCompliance({ ownerType, vendorId: payload.vendorId });
     res.status(201).json(created);
   } catch (error) {
@@ -107,27 +167,22 @@ router.post("/", async (req, res, next) => {
   }
 });
 
-// PATCH /api/documents/:id
+// PATCH /api/documents/:id - descriptive fields only. Status changes go
+// through approve/reject and a new file through a new version.
 router.patch("/:id", async (req, res, next) => {
   try {
+    if (!isValidId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid document id" });
+    }
+    const body = req.body || {};
+    if (["status", "url", "reviewedAt", "reviewedBy"].some((field) => field in body)) {
+      return res.status(400).json({
+        message: "Use the approve/reject actions or upload a new version instead",
+      });
+    }
     const updates = {};
-    [
-      "title",
-      "kind",
-      "url",
-      "requirementKey",
-      "status",
-      "expiresAt",
-      "notes",
-      "mimeType",
-      "sizeBytes",
-    ].forEach((field) => {
-      if (Object.prototype.hasOwnProperty.call(req.body || {}, field)) {
-        if (field === "status") {
-          const normalized = sanitizeStatus(req.body[field]);
-          if (normalized) updates.status = normalized;
-          return;
-        }
+    ["title", "kind", "requirementKey", "expiresAt", "notes"].forEach((field) => {
+      if (Object.prototype.hasOwnProperty.call(body, field)) {
         if (field === "expiresAt") {
           updates.expiresAt = req.body[field]
             ? new Date(req.body[field])
@@ -156,6 +211,11 @@ router.delete("/:id", async (req, res, next) => {
   try {
     const doc = await Document.findByIdAndDelete(req.params.id);
     if (!doc) return res.status(404).json({ message: "Document not found" });
+    // Deleting the current version makes the one it replaced current again.
+    await Document.updateMany(
+      { supersededBy: doc._id },
+      { $set: { supersededBy: null, supersededAt: null } }
+    );
 
     await triggerCompliance({ ownerType: doc.ownerType, vendorId: doc.vendorId });
 
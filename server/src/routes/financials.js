@@ -4,6 +4,9 @@ import Expense from "../models/Expense.js";
 import Job from "../models/Jobs.js";
 import Vendor from "../models/Vendor.js";
 import Settings from "../models/Settings.js";
+import VendorLedgerEntry from "../models/VendorLedgerEntry.js";
+import { normalizeSplit } from "../lib/payouts.js";
+import { signedAmount } from "../lib/paymentLedger.js";
 
 const router = Router();
 
@@ -20,15 +23,6 @@ const toCurrency = (value = 0) => {
   return Math.round(num * 100) / 100;
 };
 
-const normalizeSplit = (raw, fallback) => {
-  if (raw == null) return fallback;
-  const num = Number(raw);
-  if (!Number.isFinite(num)) return fallback;
-  if (num <= 0) return 0;
-  if (num <= 1) return Math.min(1, Math.max(0, num));
-  return Math.min(1, Math.max(0, num / 100));
-};
-
 const inferCity = ({ job, vendor }) => {
   if (vendor?.city) return vendor.city;
   if (typeof job?.pickupAddress === "string") {
@@ -54,10 +48,14 @@ router.get("/", async (req, res, next) => {
     const paymentFilter = { receivedAt: { $gte: from, $lte: to } };
     const expenseFilter = { date: { $gte: from, $lte: to } };
 
-    const [payments, expenses, settings] = await Promise.all([
+    const [payments, expenses, settings, settledPayouts] = await Promise.all([
       Payment.find(paymentFilter).sort({ receivedAt: -1 }).lean(),
       Expense.find(expenseFilter).sort({ date: -1 }).lean(),
       Settings.findOne().lean(),
+      VendorLedgerEntry.aggregate([
+        { $match: { type: "payout", occurredAt: { $gte: from, $lte: to } } },
+        { $group: { _id: null, total: { $sum: "$amount" } } },
+      ]),
     ]);
 
     const jobIds = [
@@ -87,11 +85,24 @@ router.get("/", async (req, res, next) => {
     const vendorMap = new Map(vendors.map((v) => [String(v._id), v]));
     const jobMap = new Map(jobs.map((j) => [String(j._id), j]));
 
+    // Revenue is what the company itself holds: its collections net of
+    // refunds and chargebacks. Vendor-collected money is reported apart.
     const totalsByJob = new Map();
     let revenueTotal = 0;
+    let grossTotal = 0;
+    let refundsTotal = 0;
+    let chargebacksTotal = 0;
+    let vendorCollectedTotal = 0;
     payments.forEach((p) => {
-      const amount = Number(p.amount) || 0;
+      const amount = signedAmount(p);
+      if (p.collectedBy === "vendor") {
+        vendorCollectedTotal += amount;
+        return;
+      }
       revenueTotal += amount;
+      if (amount > 0) grossTotal += amount;
+      else if (p.kind === "refund") refundsTotal -= amount;
+      else chargebacksTotal -= amount;
       const jobId = p.jobId ? String(p.jobId) : null;
       if (!jobId) return;
       totalsByJob.set(jobId, (totalsByJob.get(jobId) || 0) + amount);
@@ -141,9 +152,17 @@ router.get("/", async (req, res, next) => {
 
     const response = {
       range: { from: from.toISOString(), to: to.toISOString() },
-      revenue: { total: toCurrency(revenueTotal) },
+      revenue: {
+        total: toCurrency(revenueTotal),
+        gross: toCurrency(grossTotal),
+        refunds: toCurrency(refundsTotal),
+        chargebacks: toCurrency(chargebacksTotal),
+        vendorCollected: toCurrency(vendorCollectedTotal),
+      },
       payouts: {
         total: toCurrency(payoutsTotal),
+        // Actually paid out through settlement batches (ledger payouts)
+        settled: toCurrency(-(settledPayouts[0]?.total || 0)),
         byVendor: Array.from(vendorTotals.values()).sort(
           (a, b) => b.amount - a.amount
         ),
@@ -157,8 +176,10 @@ router.get("/", async (req, res, next) => {
         payments: payments.slice(0, 10).map((p) => ({
           _id: String(p._id),
           jobId: p.jobId ? String(p.jobId) : null,
-          amount: toCurrency(p.amount),
+          kind: p.kind || "payment",
+          amount: toCurrency(signedAmount(p)),
           method: p.method,
+          collectedBy: p.collectedBy || "company",
           receivedAt: p.receivedAt,
           note: p.note || "",
         })),
@@ -0,0 +1,217 @@
+// server/src/routes/invoices.js
+import { Router } from "express";
+import mongoose from "mongoose";
+import Invoice, {
+  INVOICE_PAYMENT_STATUSES,
+  INVOICE_STATUSES,
+} from "../models/Invoice.js";
+import Job from "../models/Jobs.js";
+import { authorize } from "../middleware/authorize.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { resolveClientBaseUrl } from "../lib/clientUrl.js";
+import {
+  buildInvoiceUrl,
+  invoicePdf,
+  issueInvoiceForJob,
+  reissueInvoice,
+  resolveInvoiceToken,
+  sendInvoiceToCustomer,
+  serializePublicInvoice,
+  voidInvoice,
+} from "../lib/invoices.js";
+
+const router = Router();
+
+const adminActor = (req) => ({ role: req.adminRole || "admin", id: req.adminId || null });
+
+const sendError = (res, next, e) => {
+  if (e.status) return res.status(e.status).json({ message: e.message });
+  return next(e);
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const sendPdf = async (res, invoice) => {
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${invoice.number}.pdf"`);
+  res.send(await invoicePdf(invoice));
+};
+
+// Admin view: the customer link is minted per response, never stored.
+const withLink = (req, invoice) => {
+  const plain = typeof invoice.toObject === "function" ? invoice.toObject() : invoice;
+  return {
+    ...plain,
+    publicUrl:
+      plain.status === "issued"
+        ? buildInvoiceUrl(plain, resolveClientBaseUrl(req))
+        : null,
+  };
+};
+
+// Public: customers open these from the completion SMS/email.
+const publicLimit = rateLimit({
+  windowMs: 60000,
+  max: Number(process.env.INVOICE_LINK_RATE_LIMIT || 30),
+});
+
+router.get("/public/:token", publicLimit, async (req, res, next) => {
+  try {
+    const invoice = await resolveInvoiceToken(req.params.token);
+    res.json(serializePublicInvoice(invoice));
+  } catch (e) {
+    sendError(res, next, e);
+  }
+});
+
+router.get("/public/:token/pdf", publicLimit, async (req, res, next) => {
+  try {
+    await sendPdf(res, await resolveInvoiceToken(req.params.token));
+  } catch (e) {
+    sendError(res, next, e);
+  }
+});
+
+// GET /api/invoices?status=&paymentStatus=&from=&to=&q=&customerId=&jobId=
+router.get("/", authorize("financials"), async (req, res, next) => {
+  try {
+    const { status, paymentStatus, from, to, q: term, customerId, jobId } = req.query;
+    const q = {};
+    if (status) {
+      if (!INVOICE_STATUSES.includes(status)) {
+        return res.status(400).json({ message: "Invalid status" });
+      }
+      q.status = status;
+    }
+    if (paymentStatus) {
+      if (!INVOICE_PAYMENT_STATUSES.includes(paymentStatus)) {
+        return res.status(400).json({ message: "Invalid paymentStatus" });
+      }
+      q.paymentStatus = paymentStatus;
+    }
+    for (const [key, value] of Object.entries({ customerId, jobId })) {
+      if (!value) continue;
+      if (!mongoose.isValidObjectId(value)) {
+        return res.status(400).json({ message: `Invalid ${key}` });
+      }
+      q[key] = value;
+    }
+    if (from || to) {
+      q.issuedAt = {};
+      if (from) q.issuedAt.$gte = new Date(from);
+      if (to) q.issuedAt.$lte = new Date(to);
+    }
+    if (term) {
+      const pattern = new RegExp(escapeRegex(String(term).trim()), "i");
+      q.$or = [
+        { number: pattern },
+        { "customer.name": pattern },
+        { "customer.phone": pattern },
+        { "customer.email": pattern },
+      ];
+    }
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+
+    const items = await Invoice.find(q).sort({ issuedAt: -1 }).limit(limit).lean();
+    res.json(items.map((invoice) => withLink(req, invoice)));
+  } catch (e) {
+    next(e);
+  }
+});
+
+// POST /api/invoices { jobId, notify } - issue (or return) the job's invoice
+router.post("/", authorize("financials"), async (req, res, next) => {
+  try {
+    const { jobId, notify } = req.body || {};
+    if (!mongoose.isValidObjectId(jobId)) {
+      return res.status(400).json({ message: "Valid jobId required" });
+    }
+    const job = await Job.findById(jobId).lean();
+    if (!job) return res.status(404).json({ message: "Job not found" });
+    const { invoice, created } = await issueInvoiceForJob(job);
+    if (notify) {
+      await sendInvoiceToCustomer(invoice, { baseUrl: resolveClientBaseUrl(req) });
+    }
+    res.status(created ? 201 : 200).json(withLink(req, invoice));
+  } catch (e) {
+    sendError(res, next, e);
+  }
+});
+
+router.get("/:id", authorize("financials"), async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid invoice id" });
+    }
+    const invoice = await Invoice.findById(req.params.id).lean();
+    if (!invoice) return res.status(404).json({ message: "Invoice not found" });
+    res.json(withLink(req, invoice));
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.get("/:id/pdf", authorize("financials"), async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid invoice id" });
+    }
+    const invoice = await Invoice.findById(req.params.id).lean();
+    if (!invoice) return res.status(404).json({ message: "Invoice not found" });
+    await sendPdf(res, invoice);
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.post("/:id/void", authorize("financials"), async (req, res, next) => {
+  try {
+    const invoice = await voidInvoice(req.params.id, {
+      reason: req.body?.reason,
+      actor: adminActor(req),
+    });
+    res.json(withLink(req, invoice));
+  } catch (e) {
+    sendError(res, next, e);
+  }
+});
+
+// POST /api/invoices/:id/reissue { reason, notify }
+router.post("/:id/reissue", authorize("financials"), async (req, res, next) => {
+  try {
+    const { voided, invoice } = await reissueInvoice(req.params.id, {
+      reason: req.body?.reason,
+      actor: adminActor(req),
+    });
+    if (req.body?.notify) {
+      await sendInvoiceToCustomer(invoice, { baseUrl: resolveClientBaseUrl(req) });
+    }
+    res.status(201).json({
+      voided: withLink(req, voided),
+      invoice: withLink(req, invoice),
+    });
+  } catch (e) {
+    sendError(res, next, e);
+  }
+});
+
+router.post("/:id/send", authorize("financials"), async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid invoice id" });
+    }
+    const invoice = await Invoice.findById(req.params.id).lean();
+    if (!invoice) return res.status(404).json({ message: "Invoice not found" });
+    if (invoice.status !== "issued") {
+      return res.status(409).json({ message: "Void invoices cannot be sent" });
+    }
+    const url = await sendInvoiceToCustomer(invoice, {
+      baseUrl: resolveClientBaseUrl(req),
+    });
+    res.json({ ok: true, url });
+  } catch (e) {
+    next(e);
+  }
+});
+
+export default router;
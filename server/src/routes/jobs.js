@@ -5,10 +5,41 @@ import mongoose from "mongoose";
 import path from "path";
 import fsPromises from "fs/promises";
 import { completeJobWithPayment } from "../lib/jobCompletion.js";
+import { haversineKm } from "../lib/geo.js";
+import { startAutoDispatch } from "../lib/autoDispatch.js";
+import { assignVendorToJob } from "../lib/assignment.js";
+import { priceNewJob } from "../lib/pricing.js";
+import { invoiceUrlForJob } from "../lib/invoices.js";
+import { syncJobPayments } from "../lib/paymentLedger.js";
+import { getJobRoute } from "../lib/breadcrumbs.js";
+import { expireStaleBids, serializeBid } from "../lib/bids.js";
+import { ETA_STATUSES, serializeJobEta } from "../lib/eta.js";
+import { actorFromRequest, recordJobEvent } from "../lib/jobEvents.js";
+import { authorize } from "../middleware/authorize.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import {
+  buildTrackingUrl,
+  resolveTrackingJob,
+  revokeTrackingLinks,
+  trackingLinkExpiresAt,
+} from "../lib/trackingLinks.js";
+import {
+  JOB_STATUS_KEYS,
+  assertTransition,
+  getStatusDefinition,
+  loadJobWorkflow,
+  statusSideEffects,
+} from "../lib/jobWorkflow.js";
 import Job from "../models/Jobs.js";
 import Vendor from "../models/Vendor.js"; // Changed from Driver to Vendor
 import Customer from "../models/Customer.js";
-import { notifySMS } from "../lib/notifier.js";
+import JobEvent from "../models/JobEvent.js";
+import Bid from "../models/Bid.js";
+import {
+  getChannelPreferences,
+  notifyContact,
+  notifyEmail,
+} from "../lib/notifier.js";
 import VendorNotification from "../models/VendorNotification.js";
 import AdminNotification from "../models/AdminNotification.js";
 import { getClientBaseUrl, resolveClientBaseUrl } from "../lib/clientUrl.js";
@@ -20,23 +51,13 @@ import {
 } from "../lib/push.js";
 const router = Router();
 
-const defaultClientBase = getClientBaseUrl();
-
-export const STATUSES = [
-  "Unassigned",
-  "Assigned",
-  "OnTheWay",
-  "Arrived",
-  "Completed",
-];
+const trackingLookupLimit = rateLimit({
+  windowMs: 60000,
+  // tracking pages poll every 4-10s; leave room for a few devices per IP
+  max: Number(process.env.TRACKING_LOOKUP_RATE_LIMIT || 120),
+});
 
-const STATUS_TITLES = {
-  Unassigned: "Request received",
-  Assigned: "Driver assigned",
-  OnTheWay: "Driver en route",
-  Arrived: "Driver arrived",
-  Completed: "Service completed",
-};
+const defaultClientBase = getClientBaseUrl();
 
 const normalizePhone = (input = "") => {
   if (!input) return "";
@@ -48,23 +69,9 @@ const normalizePhone = (input = "") => {
   return str.replace(/\D+/g, "");
 };
 
-const STATUS_MESSAGES = {
-  Unassigned: "We received your request and will notify you once a provider accepts.",
-  Assigned: "A provider has been assigned. Track their progress from your dashboard.",
-  OnTheWay: "Your provider is en route. Hang tight.",
-  Arrived: "Your provider has arrived at the pickup location.",
-  Completed: "Service completed. Thanks for choosing ServiceOps.",
-};
-
 const jobStatusRoute = (job) =>
   job?.customerToken ? `/status/${job._id}` : `/status/${job?._id}`;
 
-const buildAbsoluteUrl = (baseUrl, route) => {
-  if (!route) return null;
-  const base = (baseUrl || defaultClientBase || "").replace(/\/$/, "");
-  return `${base}${route.startsWith("/") ? "" : "/"}${route}`;
-};
-
 const stringifyId = (value) =>
   value ? String(value instanceof mongoose.Types.ObjectId ? value.toString() : value) : null;
 
@@ -78,11 +85,12 @@ async function notifyCustomerJobChanges(previousJob, nextJob, baseUrl) {
 
   const notifications = [];
   const route = jobStatusRoute(nextJob);
-  const absoluteUrl = buildAbsoluteUrl(baseUrl, route);
+  const absoluteUrl = buildTrackingUrl(nextJob, baseUrl || defaultClientBase);
 
   if (nextStatus && prevStatus !== nextStatus) {
-    const title = STATUS_TITLES[nextStatus] || `Job ${nextStatus}`;
-    let body = STATUS_MESSAGES[nextStatus] || `Your job status is now ${nextStatus}.`;
+    const definition = getStatusDefinition(await loadJobWorkflow(), nextStatus);
+    const title = definition?.customerTitle || `Job ${nextStatus}`;
+    let body = definition?.customerMessage || `Your job status is now ${nextStatus}.`;
 
     if (nextStatus === "Assigned" && nextJob.vendorName) {
       body = `Your provider ${nextJob.vendorName} is confirmed and preparing to roll.`;
@@ -129,15 +137,34 @@ async function notifyCustomerJobChanges(previousJob, nextJob, baseUrl) {
   if (notifications.length) {
     await sendCustomerPushNotifications(notifications);
   }
-}
 
-const ALLOWED_NEXT = {
-  Unassigned: ["Assigned"],
-  Assigned: ["OnTheWay", "Arrived", "Completed", "Unassigned"],
-  OnTheWay: ["Arrived", "Completed"],
-  Arrived: ["Completed"],
-  Completed: [],
-};
+  const statusNotice = notifications.find((entry) => entry.meta.kind === "status");
+  if (statusNotice) {
+    try {
+      const prefs = await getChannelPreferences("customer");
+      const customer = prefs.email
+        ? await Customer.findById(nextJob.customerId).select("email").lean()
+        : null;
+      if (customer?.email) {
+        await notifyEmail(
+          customer.email,
+          {
+            template: "jobStatus",
+            data: {
+              title: statusNotice.title,
+              message: statusNotice.body,
+              service: nextJob.serviceType,
+              trackUrl: absoluteUrl,
+            },
+          },
+          nextJob._id
+        );
+      }
+    } catch (error) {
+      console.error("Failed to email job status update", error);
+    }
+  }
+}
 
 const makeToken = () => crypto.randomBytes(16).toString("hex");
 
@@ -150,9 +177,11 @@ const PAYMENT_METHODS = new Set([
   "other",
 ]);
 
-// Build link payload (only includes vendor/customer links if tokens exist)
+// Build link payload (only includes vendor/customer links if tokens exist).
+// statusUrl is a signed tracking link scoped to this job.
 const linkFor = (job, base = defaultClientBase) => ({
-  statusUrl: `${base}/status/${job._id}`,
+  statusUrl: buildTrackingUrl(job, base),
+  statusExpiresAt: trackingLinkExpiresAt(job),
   ...(job.vendorToken
     ? { vendorLink: `${base}/vendor/${job.vendorToken}` }
     : {}),
@@ -169,33 +198,6 @@ const assertId = (id) => {
   }
 };
 
-const toRadians = (deg) => (deg * Math.PI) / 180;
-const haversineKm = (aLat, aLng, bLat, bLng) => {
-  const lat1 = Number(aLat);
-  const lat2 = Number(bLat);
-  const lng1 = Number(aLng);
-  const lng2 = Number(bLng);
-  if (
-    !Number.isFinite(lat1) ||
-    !Number.isFinite(lat2) ||
-    !Number.isFinite(lng1) ||
-    !Number.isFinite(lng2)
-  ) {
-    return Infinity;
-  }
-  const R = 6371; // km
-  const dLat = toRadians(lat2 - lat1);
-  const dLng = toRadians(lng2 - lng1);
-  const h =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRadians(lat1)) *
-      Math.cos(toRadians(lat2)) *
-      Math.sin(dLng / 2) *
-      Math.sin(dLng / 2);
-  const c = 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
-  return R * c;
-};
-
 const SCHEDULING_STATUSES = new Set([
   "none",
   "requested",
@@ -364,12 +366,21 @@ const sanitizeSchedulingPayload = (payload = {}, base = null) => {
   return changed ? next : null;
 };
 
+// ---------- WORKFLOW (active status definition for boards + clients) ----------
+router.get("/workflow", async (_req, res, next) => {
+  try {
+    res.json(await loadJobWorkflow());
+  } catch (e) {
+    next(e);
+  }
+});
+
 // ---------- LIST (optional filters: ?status=...&q=...) ----------
-router.get("/", async (req, res, next) => {
+router.get("/", authorize("ops"), async (req, res, next) => {
   try {
     const { status, q } = req.query || {};
     const find = {};
-    if (status && STATUSES.includes(status)) find.status = status;
+    if (status && JOB_STATUS_KEYS.includes(status)) find.status = status;
 
     if (q && String(q).trim()) {
       const s = String(q).trim();
@@ -388,7 +399,44 @@ router.get("/", async (req, res, next) => {
   }
 });
 
-router.get("/:id", async (req, res, next) => {
+// ---------- AUDIT TRAIL (newest first) ----------
+router.get("/:id/events", authorize("ops"), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    assertId(id);
+
+    const exists = await Job.exists({ _id: id });
+    if (!exists) return res.status(404).json({ message: "Job not found" });
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+    const events = await JobEvent.find({ jobId: id })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    res.json(events);
+  } catch (e) {
+    next(e);
+  }
+});
+
+// ---------- TRIP REPLAY (vendor breadcrumbs, assignedAt -> completion) ----------
+router.get("/:id/route", authorize("ops"), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    assertId(id);
+
+    const job = await Job.findById(id)
+      .select("vendorId assignedAt completed completedAt cancelledAt")
+      .lean();
+    if (!job) return res.status(404).json({ message: "Job not found" });
+
+    res.json(await getJobRoute(job));
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.get("/:id", authorize("ops"), async (req, res, next) => {
   try {
     const { id } = req.params;
     assertId(id);
@@ -491,12 +539,19 @@ router.get("/:id", async (req, res, next) => {
       assignedAt: job.assignedAt || null,
       onTheWayAt: job.onTheWayAt || null,
       arrivedAt: job.arrivedAt || null,
+      loadedAt: job.loadedAt || null,
+      inTransitAt: job.inTransitAt || null,
+      onHoldAt: job.onHoldAt || null,
       completedAt: job.completedAt || job.completed || null,
+      cancelledAt: job.cancelledAt || null,
+      goaAt: job.goaAt || null,
       escalatedAt: job.escalatedAt || null,
     };
 
     const payment = {
-      status: job.paymentStatus || "pending",
+      status: job.paymentStatus || "unpaid",
+      amountPaid: job.amountPaid ?? 0,
+      balance: job.paymentBalance ?? 0,
       method: job.paymentMethod || job.reportedPayment?.method || null,
       reported: job.reportedPayment || null,
       finalPrice: job.finalPrice || null,
@@ -523,7 +578,7 @@ router.get("/:id", async (req, res, next) => {
 });
 
 // ---------- CREATE ----------
-router.post("/", jobMediaUpload.array("media", JOB_MEDIA_MAX_FILES), async (req, res, next) => {
+router.post("/", authorize("ops"), jobMediaUpload.array("media", JOB_MEDIA_MAX_FILES), async (req, res, next) => {
   const storedFiles = [];
   const files = Array.isArray(req.files) ? req.files : [];
   for (const file of files) {
@@ -560,7 +615,14 @@ router.post("/", jobMediaUpload.array("media", JOB_MEDIA_MAX_FILES), async (req,
       }
     }
 
-    const quotedPrice = Number(body.quotedPrice) || 0;
+    const heavyDuty = body.heavyDuty === true || body.heavyDuty === "true";
+    const estimatedDistance =
+      typeof body.estimatedDistance === "string" ? body.estimatedDistance.trim() : "";
+    const schedulingPayload = sanitizeSchedulingPayload(body.scheduling);
+    const { quotedPrice, priceQuote } = await priceNewJob(
+      { ...body, heavyDuty, estimatedDistance, scheduling: schedulingPayload },
+      body.quotedPrice
+    );
     const notes = typeof body.notes === "string" ? body.notes.trim() : "";
 
     const jobPayload = {
@@ -569,13 +631,16 @@ router.post("/", jobMediaUpload.array("media", JOB_MEDIA_MAX_FILES), async (req,
       dropoffAddress: body.dropoffAddress?.trim() || undefined,
       serviceType: body.serviceType?.trim() || "",
       quotedPrice,
+      priceQuote,
+      heavyDuty,
+      urgency: ["emergency", "urgent"].includes(body.urgency) ? body.urgency : "standard",
+      estimatedDistance: estimatedDistance || undefined,
       notes,
-      bidMode: body.bidMode === "fixed" ? "fixed" : "open",
+      bidMode: ["fixed", "auto"].includes(body.bidMode) ? body.bidMode : "open",
       status: "Unassigned",
       priority: body.priority === "urgent" ? "urgent" : "normal",
     };
 
-    const schedulingPayload = sanitizeSchedulingPayload(body.scheduling);
     if (schedulingPayload) {
       jobPayload.scheduling = schedulingPayload;
     }
@@ -599,6 +664,14 @@ router.post("/", jobMediaUpload.array("media", JOB_MEDIA_MAX_FILES), async (req,
     const job = await Job.create(jobPayload);
     storedFiles.length = 0;
 
+    await recordJobEvent({
+      job,
+      type: "created",
+      actor: actorFromRequest(req),
+      source: "jobs.create",
+      meta: { status: job.status, vendorId: job.vendorId || null },
+    });
+
     try {
       const customer = await Customer.findById(job.customerId).lean();
       const adminNotification = await AdminNotification.create({
@@ -624,6 +697,18 @@ router.post("/", jobMediaUpload.array("media", JOB_MEDIA_MAX_FILES), async (req,
       console.error("Failed to notify admins about new job", notifyError);
     }
 
+    if (job.bidMode === "auto" && !job.vendorId) {
+      try {
+        const dispatched = await startAutoDispatch(job._id, {
+          actor: actorFromRequest(req),
+          source: "jobs.create",
+        });
+        return res.status(201).json(dispatched);
+      } catch (dispatchError) {
+        console.error("Failed to start auto dispatch", dispatchError);
+      }
+    }
+
     res.status(201).json(job);
   } catch (e) {
     await cleanupUploaded();
@@ -631,7 +716,36 @@ router.post("/", jobMediaUpload.array("media", JOB_MEDIA_MAX_FILES), async (req,
   }
 });
 
-router.patch("/:id", async (req, res, next) => {
+// Fields frozen once a payout settlement has included the job.
+const SETTLEMENT_LOCKED_FIELDS = [
+  "vendorId",
+  "status",
+  "finalPrice",
+  "quotedPrice",
+  "paymentStatus",
+  "paymentMethod",
+];
+
+// Fields reset when a job loses its vendor. A job that had been assigned
+// restarts its assign SLA clock from `now` rather than from creation.
+const unassignedFields = (job, status, now) => ({
+  vendorId: null,
+  vendorName: null,
+  vendorPhone: null,
+  vendorAcceptedToken: null,
+  biddingOpen: true,
+  unbidAlertSentAt: null,
+  "sla.vendorRemindedAt": null,
+  ...(job.assignedAt && {
+    assignedAt: null,
+    "sla.assignClockFrom": now,
+    "sla.heldMs": 0,
+    "sla.heldSince": status === "OnHold" ? now : null,
+    "sla.exhaustedAt": null,
+  }),
+});
+
+router.patch("/:id", authorize("ops"), async (req, res, next) => {
   try {
     const { id } = req.params;
     assertId(id);
@@ -645,8 +759,24 @@ router.patch("/:id", async (req, res, next) => {
     const previousJob = job ? (typeof job.toObject === "function" ? job.toObject() : job) : null;
     if (!job) return res.status(404).json({ message: "Job not found" });
 
+    if (
+      job.settlementBatchId &&
+      SETTLEMENT_LOCKED_FIELDS.some(
+        (field) =>
+          Object.prototype.hasOwnProperty.call(payload, field) &&
+          String(payload[field] ?? "") !== String(job[field] ?? "")
+      )
+    ) {
+      return res
+        .status(409)
+        .json({ message: "Job financials are locked by a vendor settlement" });
+    }
+
     const set = {};
     const unset = {};
+    const now = new Date();
+    let assignTo = null;
+    let unassign = false;
 
     if (Object.prototype.hasOwnProperty.call(payload, "priority")) {
       const normalizedPriority = payload.priority === "urgent" ? "urgent" : "normal";
@@ -672,12 +802,11 @@ router.patch("/:id", async (req, res, next) => {
     if (Object.prototype.hasOwnProperty.call(payload, "vendorId")) {
       const vendorId = payload.vendorId;
       if (!vendorId) {
-        set.vendorId = null;
-        set.vendorName = null;
-        set.vendorPhone = null;
-        set.vendorAcceptedToken = null;
-        set.biddingOpen = true;
-        set.unbidAlertSentAt = null;
+        set["eta.minutes"] = null;
+        set["eta.computedAt"] = null;
+        set["eta.arriveBy"] = null;
+        set["eta.customerAlertedAt"] = null;
+        unassign = true;
       } else {
         if (!mongoose.isValidObjectId(vendorId)) {
           return res.status(400).json({ message: "Invalid vendorId" });
@@ -686,10 +815,14 @@ router.patch("/:id", async (req, res, next) => {
         if (!vendor) {
           return res.status(404).json({ message: "Vendor not found" });
         }
-        set.vendorId = vendor._id;
-        set.vendorName = vendor.name || null;
-        set.vendorPhone = normalizePhone(vendor.phone) || null;
-        set.biddingOpen = false;
+        assignTo = {
+          _id: vendor._id,
+          name: vendor.name,
+          phone: normalizePhone(vendor.phone),
+        };
+        if (String(job.vendorId || "") === String(vendor._id)) {
+          set.selectedBidId = job.selectedBidId || null;
+        }
         if (!payload.status) {
           payload.status = "Assigned";
         }
@@ -717,55 +850,78 @@ router.patch("/:id", async (req, res, next) => {
 
     if (Object.prototype.hasOwnProperty.call(payload, "status")) {
       const nextStatus = payload.status;
-      if (!STATUSES.includes(nextStatus)) {
-        return res.status(400).json({ message: "Invalid status" });
-      }
-
       const currentStatus = job.status;
-      if (nextStatus !== currentStatus) {
-        const allowed = new Set(ALLOWED_NEXT[currentStatus] || []);
-        const currentIndex = STATUSES.indexOf(currentStatus);
-        if (currentIndex > 0) {
-          allowed.add(STATUSES[currentIndex - 1]);
-        }
-        allowed.add(currentStatus);
-
-        if (!allowed.has(nextStatus)) {
-          return res
-            .status(409)
-            .json({ message: `Cannot move job from ${currentStatus} to ${nextStatus}` });
-        }
+      assertTransition(
+        await loadJobWorkflow(),
+        currentStatus,
+        nextStatus,
+        req.adminRole || "admin"
+      );
 
+      if (nextStatus !== currentStatus) {
         set.status = nextStatus;
-        const now = new Date();
-        if (nextStatus === "Assigned" && !job.assignedAt) set.assignedAt = now;
-        if (nextStatus === "OnTheWay" && !job.onTheWayAt) set.onTheWayAt = now;
-        if (nextStatus === "Arrived" && !job.arrivedAt) set.arrivedAt = now;
-        if (nextStatus === "Completed") {
-          set.completedAt = job.completedAt || now;
-          set.completed = job.completed || now;
-        }
-        if (nextStatus === "Unassigned") {
-          set.vendorId = null;
-          set.vendorName = null;
-          set.vendorPhone = null;
-          set.vendorAcceptedToken = null;
-          set.biddingOpen = true;
-          set.unbidAlertSentAt = null;
+        Object.assign(set, statusSideEffects(job, nextStatus, now));
+        if (nextStatus === "Cancelled" && typeof payload.cancellationReason === "string") {
+          set.cancellationReason = payload.cancellationReason.trim();
         }
+        if (nextStatus === "Unassigned") unassign = true;
       }
     }
+    // after the status side effects, so hold time isn't carried over
+    if (unassign) Object.assign(set, unassignedFields(job, set.status || job.status, now));
 
-    if (!Object.keys(set).length && !Object.keys(unset).length) {
+    if (!assignTo && !Object.keys(set).length && !Object.keys(unset).length) {
       return res.json(job.toObject());
     }
 
-    const update = {};
-    if (Object.keys(set).length) update.$set = set;
-    if (Object.keys(unset).length) update.$unset = unset;
-
-    await Job.updateOne({ _id: id }, update);
-    const refreshed = await Job.findById(id).lean();
+    const event = { actor: actorFromRequest(req), source: "jobs.patch" };
+    let refreshed;
+    if (assignTo) {
+      // Status and its side effects are already in `set`.
+      const assigned = await assignVendorToJob({
+        job: previousJob,
+        vendor: assignTo,
+        status: null,
+        set,
+        unset,
+        event,
+      });
+      refreshed = assigned.toObject();
+    } else {
+      const update = {};
+      if (Object.keys(set).length) update.$set = set;
+      if (Object.keys(unset).length) update.$unset = unset;
+
+      const result = await Job.updateOne(
+        {
+          _id: id,
+          vendorId: previousJob.vendorId || null,
+          status: previousJob.status,
+        },
+        update
+      );
+      if (!result.matchedCount) {
+        return res.status(409).json({
+          message: "This job was updated by someone else. Refresh and try again.",
+        });
+      }
+      refreshed = await Job.findById(id).lean();
+      await recordJobEvent({
+        job: refreshed,
+        ...event,
+        before: previousJob,
+        after: refreshed,
+      });
+    }
+    if ("finalPrice" in set) {
+      // The balance due follows the price until an invoice fixes it.
+      const { summary } = await syncJobPayments(id);
+      if (summary) {
+        refreshed.paymentStatus = summary.status;
+        refreshed.amountPaid = summary.amountPaid;
+        refreshed.paymentBalance = summary.balance;
+      }
+    }
     if (previousJob && refreshed) {
       await notifyCustomerJobChanges(previousJob, refreshed, resolveClientBaseUrl(req));
     }
@@ -775,7 +931,7 @@ router.patch("/:id", async (req, res, next) => {
   }
 });
 
-router.post("/:id/scheduling", async (req, res, next) => {
+router.post("/:id/scheduling", authorize("ops"), async (req, res, next) => {
   try {
     const { id } = req.params;
     assertId(id);
@@ -801,6 +957,14 @@ router.post("/:id/scheduling", async (req, res, next) => {
 
     job.scheduling = schedulingUpdate;
     await job.save();
+    await recordJobEvent({
+      job,
+      type: "scheduling_updated",
+      actor: actorFromRequest(req),
+      source: "jobs.scheduling",
+      before: previousJob,
+      after: job,
+    });
 
     res.json(job.toObject());
   } catch (error) {
@@ -986,6 +1150,20 @@ router.post(
         customerDoc = await Customer.findById(customerDoc._id).lean();
       }
 
+      const heavyDuty = payload.heavyDuty === true || payload.heavyDuty === "true";
+      // Only the inputs the form collects; never the raw body.
+      const { quotedPrice, priceQuote } = await priceNewJob({
+        serviceType,
+        urgency: payload.urgency,
+        heavyDuty,
+        distanceMeters: payload.distanceInfo?.meters,
+        estimatedDistance: payload.distanceInfo?.distance,
+        pickupLat: coordinates?.lat,
+        pickupLng: coordinates?.lng,
+        dropoffLat: destinationCoordinates?.lat,
+        dropoffLng: destinationCoordinates?.lng,
+      });
+
       const jobPayload = {
         customerId: customerDoc._id,
         pickupAddress,
@@ -999,7 +1177,9 @@ router.post(
         biddingOpen: true,
         vendorToken: makeToken(),
         customerToken: makeToken(),
-        quotedPrice: Number(payload.quotedPrice) || 0,
+        quotedPrice,
+        priceQuote,
+        heavyDuty,
         finalPrice: 0,
         vehicleMake,
         vehicleModel,
@@ -1031,6 +1211,13 @@ router.post(
       const job = await Job.create(jobPayload);
       storedFiles.length = 0;
 
+      await recordJobEvent({
+        job,
+        type: "created",
+        actor: { role: "customer", id: job.customerId ? String(job.customerId) : null },
+        source: "jobs.guest",
+      });
+
       try {
         await AdminNotification.create({
           title: "New guest request",
@@ -1060,8 +1247,7 @@ router.post(
         jobId: job._id,
         customerToken: job.customerToken,
         jobToken: job.customerToken,
-        vendorToken: job.vendorToken,
-        statusUrl: trimmedBase ? `${trimmedBase}/status/${job._id}` : null,
+        statusUrl: buildTrackingUrl(job, trimmedBase || defaultClientBase),
         chooseUrl:
           job.customerToken && trimmedBase
             ? `${trimmedBase}/choose/${job.customerToken}`
@@ -1074,8 +1260,8 @@ router.post(
   }
 );
 
-// ---------- GUEST STATUS (read-only by token) ----------
-router.get("/guest/:token", async (req, res, next) => {
+// ---------- GUEST STATUS (read-only by signed tracking token) ----------
+router.get("/guest/:token", trackingLookupLimit, async (req, res, next) => {
   try {
     const token = String(req.params.token || "").trim();
     if (!token) {
@@ -1084,11 +1270,14 @@ router.get("/guest/:token", async (req, res, next) => {
         .json({ success: false, message: "Missing job token." });
     }
 
-    const job = await Job.findOne({ customerToken: token }).lean();
-    if (!job) {
+    let job;
+    try {
+      job = await resolveTrackingJob(token);
+    } catch (error) {
+      if (!error.status) throw error;
       return res
-        .status(404)
-        .json({ success: false, message: "Job not found or link expired." });
+        .status(error.status)
+        .json({ success: false, message: error.message });
     }
 
     let vendor = null;
@@ -1098,6 +1287,25 @@ router.get("/guest/:token", async (req, res, next) => {
         .lean();
     }
 
+    // Read-only bid summary; choosing or countering needs the customer link.
+    let bids = [];
+    if (job.biddingOpen && !job.selectedBidId) {
+      await expireStaleBids({ jobId: job._id });
+      const docs = await Bid.find({ jobId: job._id, status: "active" })
+        .sort({ price: 1 })
+        .lean();
+      bids = docs
+        .map((bid) => serializeBid(bid))
+        .filter((bid) => bid.status === "active")
+        .map(({ _id, vendorName, price, etaMinutes, expiresAt }) => ({
+          _id,
+          vendorName,
+          price,
+          etaMinutes,
+          expiresAt,
+        }));
+    }
+
     const rating =
       vendor && typeof vendor.rating === "number"
         ? vendor.rating
@@ -1121,13 +1329,18 @@ router.get("/guest/:token", async (req, res, next) => {
         selectedBidId: job.selectedBidId || null,
         quotedPrice: Number.isFinite(job.quotedPrice) ? job.quotedPrice : 0,
         finalPrice: Number.isFinite(job.finalPrice) ? job.finalPrice : 0,
+        priceQuote: job.priceQuote || null,
+        invoiceUrl:
+          job.status === "Completed"
+            ? await invoiceUrlForJob(job._id, resolveClientBaseUrl(req))
+            : null,
         media: Array.isArray(job.media) ? job.media : [],
-        customerToken: job.customerToken,
-        vendorToken: job.vendorToken,
+        trackingExpiresAt: trackingLinkExpiresAt(job),
         pickupLat: Number.isFinite(job.pickupLat) ? job.pickupLat : null,
         pickupLng: Number.isFinite(job.pickupLng) ? job.pickupLng : null,
         dropoffLat: Number.isFinite(job.dropoffLat) ? job.dropoffLat : null,
         dropoffLng: Number.isFinite(job.dropoffLng) ? job.dropoffLng : null,
+        eta: ETA_STATUSES.includes(job.status) ? serializeJobEta(job) : null,
       },
       vendor: vendor
         ? {
@@ -1140,13 +1353,14 @@ router.get("/guest/:token", async (req, res, next) => {
             totalJobs: vendor.totalJobs || null,
           }
         : null,
+      bids,
     });
   } catch (error) {
     next(error);
   }
 });
 
-router.post("/:id/complete", async (req, res, next) => {
+router.post("/:id/complete", authorize("ops"), async (req, res, next) => {
   try {
     const { id } = req.params;
     assertId(id);
@@ -1168,12 +1382,15 @@ router.post("/:id/complete", async (req, res, next) => {
     const previousJob = job ? (typeof job.toObject === "function" ? job.toObject() : job) : null;
     if (!job) return res.status(404).json({ message: "Job not found" });
 
-    const { summary, job: updatedJob, charge } = await completeJobWithPayment(job, {
+    const { summary, job: updatedJob, charge, invoice } = await completeJobWithPayment(job, {
       amount: rawAmount,
       method: paymentMethod,
       note,
       actor: "admin",
+      eventActor: actorFromRequest(req),
+      source: "jobs.complete",
       autoCharge: typeof autoCharge === "boolean" ? autoCharge : undefined,
+      clientBaseUrl: resolveClientBaseUrl(req),
     });
 
     res.json({
@@ -1181,32 +1398,48 @@ router.post("/:id/complete", async (req, res, next) => {
       job: updatedJob.toObject(),
       summary,
       charge,
+      invoice,
     });
   } catch (e) {
     next(e);
   }
 });
-router.get("/:id/links", async (req, res, next) => {
+router.get("/:id/links", authorize("ops"), async (req, res, next) => {
   try {
     const { id } = req.params;
     assertId(id);
     const job = await Job.findById(id).lean();
     if (!job) return res.status(404).json({ message: "Job not found" });
 
-    const links = linkFor(job);
-    if (!job.vendorToken && !job.customerToken) {
-      return res
-        .status(409)
-        .json({ message: "Links not available. Open bidding first." });
-    }
+    res.json(linkFor(job, resolveClientBaseUrl(req)));
+  } catch (e) {
+    next(e);
+  }
+});
 
-    res.json(links);
+// Revoke every tracking link sent for this job and return a fresh one
+router.post("/:id/links/revoke", authorize("ops"), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    assertId(id);
+    const job = await revokeTrackingLinks(id);
+    if (!job) return res.status(404).json({ message: "Job not found" });
+
+    await recordJobEvent({
+      job,
+      type: "updated",
+      actor: actorFromRequest(req),
+      source: "jobs.revoke_tracking",
+      meta: { trackingRevoked: true, trackingVersion: job.tracking?.version },
+    });
+
+    res.json(linkFor(job, resolveClientBaseUrl(req)));
   } catch (e) {
     next(e);
   }
 });
 
-router.post("/:id/open-bidding", async (req, res, next) => {
+router.post("/:id/open-bidding", authorize("ops"), async (req, res, next) => {
   try {
     const { id } = req.params;
     assertId(id);
@@ -1214,12 +1447,29 @@ router.post("/:id/open-bidding", async (req, res, next) => {
     const previousJob = job ? (typeof job.toObject === "function" ? job.toObject() : job) : null;
     if (!job) return res.status(404).json({ message: "Job not found" });
 
+    const bidExpiryMinutes = req.body?.bidExpiryMinutes;
+    if (bidExpiryMinutes !== undefined && bidExpiryMinutes !== null && bidExpiryMinutes !== "") {
+      const minutes = Number(bidExpiryMinutes);
+      if (!Number.isFinite(minutes) || minutes < 0) {
+        return res.status(400).json({ message: "bidExpiryMinutes must be 0 or more" });
+      }
+      job.bidExpiryMinutes = Math.round(minutes);
+    }
+
     job.vendorToken = job.vendorToken || makeToken();
     job.customerToken = job.customerToken || makeToken();
     job.biddingOpen = true;
     job.unbidAlertSentAt = null;
 
     await job.save();
+    await recordJobEvent({
+      job,
+      type: "bidding_opened",
+      actor: actorFromRequest(req),
+      source: "jobs.open_bidding",
+      before: previousJob,
+      after: job,
+    });
 
     const base = resolveClientBaseUrl(req);
     res.json(linkFor(job, base));
@@ -1228,7 +1478,21 @@ router.post("/:id/open-bidding", async (req, res, next) => {
   }
 });
 
-router.post("/:id/ping-vendors", async (req, res, next) => {
+router.post("/:id/auto-dispatch", authorize("ops"), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    assertId(id);
+    const job = await startAutoDispatch(id, {
+      actor: actorFromRequest(req),
+      source: "jobs.auto_dispatch",
+    });
+    res.json(job);
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.post("/:id/ping-vendors", authorize("ops"), async (req, res, next) => {
   try {
     const { id } = req.params;
     assertId(id);
@@ -1258,13 +1522,15 @@ router.post("/:id/ping-vendors", async (req, res, next) => {
     const vendors = await Vendor.find({
       _id: { $in: validVendorIds },
     })
-      .select("_id name phone updatesPaused")
+      .select("_id name phone email updatesPaused")
       .lean();
 
     if (!vendors.length) {
       return res.status(404).json({ message: "No vendors found for ping." });
     }
 
+    const channelPrefs = await getChannelPreferences("vendor");
+
     const baseMessage =
       typeof message === "string" && message.trim().length
         ? message.trim()
@@ -1304,13 +1570,18 @@ router.post("/:id/ping-vendors", async (req, res, next) => {
 
       const hasPhone =
         typeof vendor.phone === "string" && vendor.phone.trim().length > 0;
-      if (!hasPhone) {
+      const hasEmail =
+        typeof vendor.email === "string" && vendor.email.trim().length > 0;
+      if (!(channelPrefs.sms && hasPhone) && !(channelPrefs.email && hasEmail)) {
         results.push({
           vendorId: vendor._id,
           ok: true,
           queuedId: null,
-          channels: { sms: false, inApp: true },
-          note: "No phone on file; sent in-app notification only.",
+          channels: { sms: false, email: false, inApp: true },
+          note:
+            hasPhone || hasEmail
+              ? "SMS and email are disabled for vendors; sent in-app notification only."
+              : "No phone on file; sent in-app notification only.",
         });
         continue;
       }
@@ -1319,23 +1590,39 @@ router.post("/:id/ping-vendors", async (req, res, next) => {
 Status: ${job.status || "Unassigned"}
 Respond in the ServiceOps vendor portal if available.`;
       try {
-        const { ok, queuedId } = await notifySMS(
-          vendor.phone,
-          smsBody,
-          job._id
-        );
+        const sent = await notifyContact("vendor", {
+          phone: vendor.phone,
+          email: vendor.email,
+          sms: smsBody,
+          emailMessage: {
+            template: "jobStatus",
+            data: {
+              title: job.serviceType
+                ? `${job.serviceType} dispatch ping`
+                : "Dispatch ping",
+              message: notificationBody,
+              service: job.serviceType,
+            },
+          },
+          jobId: job._id,
+          channels: channelPrefs,
+        });
         results.push({
           vendorId: vendor._id,
-          ok: Boolean(ok),
-          queuedId: queuedId || null,
-          channels: { sms: Boolean(ok), inApp: true },
+          ok: Boolean(sent.sms?.ok || sent.email?.ok),
+          queuedId: sent.sms?.queuedId || sent.email?.queuedId || null,
+          channels: {
+            sms: Boolean(sent.sms?.ok),
+            email: Boolean(sent.email?.ok),
+            inApp: true,
+          },
         });
       } catch (error) {
         results.push({
           vendorId: vendor._id,
           ok: false,
           error: error?.message || "Failed to notify vendor",
-          channels: { sms: false, inApp: true },
+          channels: { sms: false, email: false, inApp: true },
         });
       }
     }
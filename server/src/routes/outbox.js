@@ -1,10 +1,15 @@
 import { Router } from "express";
-import Outbox from "../models/Outbox.js";
+import mongoose from "mongoose";
+import Outbox, { OUTBOX_STATUSES } from "../models/Outbox.js";
 const router = Router();
 
-router.get("/", async (_req, res, next) => {
+router.get("/", async (req, res, next) => {
   try {
-    const items = await Outbox.find({})
+    const filter = {};
+    const status = String(req.query.status || "").trim();
+    if (status && OUTBOX_STATUSES.includes(status)) filter.status = status;
+
+    const items = await Outbox.find(filter)
       .sort({ createdAt: -1 })
       .limit(200)
       .lean();
@@ -14,4 +19,40 @@ router.get("/", async (_req, res, next) => {
   }
 });
 
+/**
+ * POST /api/outbox/:id/requeue
+ * Puts a dead-lettered (or failed) item back in the queue with a fresh
+ * attempt budget. Returns the updated item.
+ */
+router.post("/:id/requeue", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ message: "Invalid outbox id" });
+    }
+
+    const item = await Outbox.findOneAndUpdate(
+      { _id: id, status: { $in: ["dead", "failed"] } },
+      {
+        $set: { status: "queued", attempts: 0, nextAttemptAt: new Date() },
+        $unset: { deadAt: 1 },
+      },
+      { new: true }
+    ).lean();
+
+    if (!item) {
+      const exists = await Outbox.exists({ _id: id });
+      return exists
+        ? res
+            .status(409)
+            .json({ message: "Only dead or failed items can be requeued" })
+        : res.status(404).json({ message: "Outbox item not found" });
+    }
+
+    res.json(item);
+  } catch (e) {
+    next(e);
+  }
+});
+
 export default router;
@@ -1,12 +1,50 @@
 import { Router } from "express";
-import Payment from "../models/Payment.js";
+import mongoose from "mongoose";
+import Payment, { PAYMENT_KINDS } from "../models/Payment.js";
 import Job from "../models/Jobs.js";
+import CommissionCharge, {
+  COMMISSION_CHARGE_STATUSES,
+} from "../models/CommissionCharge.js";
+import { retryCommissionCharge, waiveCommissionCharge } from "../lib/billing.js";
+import {
+  readJobPayments,
+  recordLedgerEntry,
+  resolveChargeback,
+  serializeLedgerEntry,
+} from "../lib/paymentLedger.js";
+import { postSettledJobAdjustment } from "../lib/payouts.js";
 
 const r = Router();
 
+const adminActor = (req) => ({ role: req.adminRole || "admin", id: req.adminId || null });
+
+// Kinds that may still be recorded after a vendor settlement locks the job;
+// their vendor-side effect goes to the open payout period.
+const POST_SETTLEMENT_KINDS = new Set(["refund", "chargeback"]);
+
+const loadJobForEntry = async (jobId, kind) => {
+  if (!mongoose.isValidObjectId(jobId)) {
+    const err = new Error("Invalid jobId");
+    err.status = 400;
+    throw err;
+  }
+  const job = await Job.findById(jobId);
+  if (!job) {
+    const err = new Error("Job not found");
+    err.status = 404;
+    throw err;
+  }
+  if (job.settlementBatchId && !POST_SETTLEMENT_KINDS.has(kind)) {
+    const err = new Error("Job financials are locked by a vendor settlement");
+    err.status = 409;
+    throw err;
+  }
+  return job;
+};
+
 r.get("/", async (req, res, next) => {
   try {
-    const { from, to, method, jobId } = req.query;
+    const { from, to, method, jobId, kind } = req.query;
     const q = {};
     if (from || to) {
       q.receivedAt = {};
@@ -15,6 +53,12 @@ r.get("/", async (req, res, next) => {
     }
     if (method) q.method = method;
     if (jobId) q.jobId = jobId;
+    if (kind) {
+      if (!PAYMENT_KINDS.includes(kind)) {
+        return res.status(400).json({ message: "Invalid kind" });
+      }
+      q.kind = kind === "payment" ? { $in: ["payment", null] } : kind;
+    }
 
     const items = await Payment.find(q)
       .sort({ receivedAt: -1 })
@@ -27,25 +71,159 @@ r.get("/", async (req, res, next) => {
   }
 });
 
+// POST /api/payments
+// { jobId, kind: deposit|payment|refund|chargeback, amount, method,
+//   receivedAt, note, reason, reference, collectedBy, refundOf }
+// Settled jobs only take refunds and chargebacks.
 r.post("/", async (req, res, next) => {
   try {
-    const { jobId, amount, method, receivedAt, note } = req.body || {};
-    if (!jobId) return res.status(400).json({ message: "jobId required" });
-    if (amount == null)
+    const body = req.body || {};
+    if (!body.jobId) return res.status(400).json({ message: "jobId required" });
+    if (body.amount == null)
       return res.status(400).json({ message: "amount required" });
 
-    const job = await Job.findById(jobId);
+    const kind = body.kind || "payment";
+    const job = await loadJobForEntry(body.jobId, kind);
+    const actor = adminActor(req);
+    const { entry, summary } = await recordLedgerEntry(job, {
+      kind,
+      amount: body.amount,
+      method: body.method || "cash",
+      receivedAt: body.receivedAt,
+      note: body.note,
+      reason: body.reason,
+      reference: body.reference,
+      collectedBy: body.collectedBy === "vendor" ? "vendor" : "company",
+      refundOf: body.refundOf || null,
+      actor,
+    });
+    const adjustment = await postSettledJobAdjustment(job._id, {
+      sourceKey: `payment:${entry._id}`,
+      description: `${kind === "refund" ? "Refund" : "Chargeback"} on job`,
+      actor,
+    });
+    res.status(201).json({ ...serializeLedgerEntry(entry), summary, adjustment });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ message: e.message });
+    next(e);
+  }
+});
+
+// GET /api/payments/jobs/:jobId/ledger -> { summary, entries }
+r.get("/jobs/:jobId/ledger", async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.jobId)) {
+      return res.status(400).json({ message: "Invalid jobId" });
+    }
+    const { job, summary, entries } = await readJobPayments(req.params.jobId);
     if (!job) return res.status(404).json({ message: "Job not found" });
+    res.json({ summary, entries: entries.map(serializeLedgerEntry) });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// POST /api/payments/jobs/:jobId/refunds { amount, reason, method, refundOf, note }
+r.post("/jobs/:jobId/refunds", async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const job = await loadJobForEntry(req.params.jobId, "refund");
+    const actor = adminActor(req);
+    const { entry, summary } = await recordLedgerEntry(job, {
+      kind: "refund",
+      amount: body.amount,
+      method: body.method,
+      reason: body.reason,
+      reference: body.reference,
+      note: body.note,
+      refundOf: body.refundOf || null,
+      actor,
+    });
+    const adjustment = await postSettledJobAdjustment(job._id, {
+      sourceKey: `payment:${entry._id}`,
+      description: "Refund on job",
+      actor,
+    });
+    res.status(201).json({ entry: serializeLedgerEntry(entry), summary, adjustment });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ message: e.message });
+    next(e);
+  }
+});
+
+// POST /api/payments/:id/dispute { outcome: won|lost, note }
+// On a job locked by a settlement the vendor-side difference is posted to
+// the open payout period instead of touching the settled one.
+r.post("/:id/dispute", async (req, res, next) => {
+  try {
+    const actor = adminActor(req);
+    const { entry, summary } = await resolveChargeback(req.params.id, {
+      outcome: req.body?.outcome,
+      note: req.body?.note,
+      actor,
+    });
+    const adjustment = await postSettledJobAdjustment(entry.jobId, {
+      sourceKey: `chargeback:${entry._id}`,
+      description: `Chargeback ${entry.dispute.status} on job`,
+      actor,
+    });
+    res.json({ entry: serializeLedgerEntry(entry), summary, adjustment });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ message: e.message });
+    next(e);
+  }
+});
 
-    const p = await Payment.create({
-      jobId,
-      amount: Number(amount) || 0,
-      method: method || "cash",
-      receivedAt: receivedAt ? new Date(receivedAt) : undefined,
-      note,
+r.get("/commissions", async (req, res, next) => {
+  try {
+    const { status, vendorId, jobId } = req.query;
+    const q = {};
+    if (status) {
+      if (!COMMISSION_CHARGE_STATUSES.includes(status)) {
+        return res.status(400).json({ message: "Invalid status" });
+      }
+      q.status = status;
+    }
+    if (vendorId) q.vendorId = vendorId;
+    if (jobId) q.jobId = jobId;
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+
+    const items = await CommissionCharge.find(q)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json(items);
+  } catch (e) {
+    next(e);
+  }
+});
+
+r.post("/commissions/:id/retry", async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid charge id" });
+    }
+    const charge = await retryCommissionCharge(req.params.id);
+    res.json(charge);
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ message: e.message });
+    next(e);
+  }
+});
+
+r.post("/commissions/:id/waive", async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid charge id" });
+    }
+    const charge = await waiveCommissionCharge(req.params.id, {
+      reason: req.body?.reason,
+      actor: adminActor(req),
     });
-    res.status(201).json(p);
+    res.json(charge);
   } catch (e) {
+    if (e.status) return res.status(e.status).json({ message: e.message });
     next(e);
   }
 });
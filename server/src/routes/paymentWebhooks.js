@@ -0,0 +1,21 @@
+import { Router } from "express";
+import { handlePaymentWebhook } from "../lib/billing.js";
+
+// Public processor callbacks; each processor verifies its own signature.
+const r = Router();
+
+r.post("/:processor", async (req, res, next) => {
+  try {
+    const result = await handlePaymentWebhook(req.params.processor, {
+      rawBody: req.rawBody,
+      headers: req.headers,
+      body: req.body,
+    });
+    res.json({ received: true, ...result });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ message: e.message });
+    next(e);
+  }
+});
+
+export default r;
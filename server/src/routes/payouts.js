@@ -0,0 +1,164 @@
+import { Router } from "express";
+import mongoose from "mongoose";
+import SettlementBatch from "../models/SettlementBatch.js";
+import VendorLedgerEntry, { LEDGER_ENTRY_TYPES } from "../models/VendorLedgerEntry.js";
+import {
+  createLedgerAdjustment,
+  createSettlementBatch,
+  getVendorBalances,
+  loadSettlementStatement,
+  markSettlementPaid,
+  statementCsv,
+  statementPdf,
+  syncVendorLedger,
+} from "../lib/payouts.js";
+
+const router = Router();
+
+const adminActor = (req) => ({ role: "admin", id: req.adminId || null });
+
+const sendError = (res, next, e) => {
+  if (e.status) return res.status(e.status).json({ message: e.message });
+  return next(e);
+};
+
+router.get("/balances", async (req, res, next) => {
+  try {
+    const { vendorId } = req.query;
+    if (vendorId && !mongoose.isValidObjectId(vendorId)) {
+      return res.status(400).json({ message: "Invalid vendorId" });
+    }
+    res.json(await getVendorBalances({ vendorId: vendorId || null }));
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.get("/ledger", async (req, res, next) => {
+  try {
+    const { vendorId, type, settlementId, unsettled } = req.query;
+    const q = {};
+    if (vendorId) {
+      if (!mongoose.isValidObjectId(vendorId)) {
+        return res.status(400).json({ message: "Invalid vendorId" });
+      }
+      q.vendorId = vendorId;
+    }
+    if (type) {
+      if (!LEDGER_ENTRY_TYPES.includes(type)) {
+        return res.status(400).json({ message: "Invalid type" });
+      }
+      q.type = type;
+    }
+    if (settlementId && mongoose.isValidObjectId(settlementId)) {
+      q.settlementId = settlementId;
+    } else if (unsettled === "true") {
+      q.settlementId = null;
+    }
+    const limit = Math.min(Math.max(Number(req.query.limit) || 200, 1), 1000);
+
+    await syncVendorLedger({ vendorId: q.vendorId || null });
+    const items = await VendorLedgerEntry.find(q)
+      .sort({ occurredAt: -1 })
+      .limit(limit)
+      .lean();
+    res.json(items);
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.post("/adjustments", async (req, res, next) => {
+  try {
+    const { vendorId, amount, description } = req.body || {};
+    const entry = await createLedgerAdjustment({
+      vendorId,
+      amount,
+      description,
+      actor: adminActor(req),
+    });
+    res.status(201).json(entry);
+  } catch (e) {
+    sendError(res, next, e);
+  }
+});
+
+router.get("/batches", async (req, res, next) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const batches = await SettlementBatch.find()
+      .sort({ periodEnd: -1 })
+      .limit(limit)
+      .lean();
+    res.json(batches);
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.post("/batches", async (req, res, next) => {
+  try {
+    const { cadence, periodEnd } = req.body || {};
+    const batch = await createSettlementBatch({
+      cadence,
+      periodEnd,
+      actor: adminActor(req),
+    });
+    res.status(201).json(batch);
+  } catch (e) {
+    sendError(res, next, e);
+  }
+});
+
+router.get("/batches/:id", async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid batch id" });
+    }
+    const batch = await SettlementBatch.findById(req.params.id).lean();
+    if (!batch) return res.status(404).json({ message: "Settlement batch not found" });
+    res.json(batch);
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.post("/batches/:id/pay", async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid batch id" });
+    }
+    const { vendorId, reference } = req.body || {};
+    const batch = await markSettlementPaid(req.params.id, {
+      vendorId: vendorId || null,
+      reference,
+      actor: adminActor(req),
+    });
+    res.json(batch);
+  } catch (e) {
+    sendError(res, next, e);
+  }
+});
+
+const statementRoute = (format) => async (req, res, next) => {
+  try {
+    const data = await loadSettlementStatement(req.params.id, req.params.vendorId);
+    if (!data) return res.status(404).json({ message: "Statement not found" });
+    const name = `${data.batch.reference}-${req.params.vendorId.slice(-6)}`;
+    if (format === "pdf") {
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename="${name}.pdf"`);
+      return res.send(statementPdf(data));
+    }
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${name}.csv"`);
+    res.send(statementCsv(data));
+  } catch (e) {
+    next(e);
+  }
+};
+
+router.get("/batches/:id/statements/:vendorId.pdf", statementRoute("pdf"));
+router.get("/batches/:id/statements/:vendorId.csv", statementRoute("csv"));
+
+export default router;
@@ -0,0 +1,33 @@
+// server/src/routes/pricing.js
+import { Router } from "express";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { quoteInputFrom, quoteJob } from "../lib/pricing.js";
+
+const router = Router();
+
+// Public: the guest and intake forms prefill from this before sign-in.
+const quoteLimit = rateLimit({
+  windowMs: 60000,
+  max: Number(process.env.PRICING_QUOTE_RATE_LIMIT || 60),
+});
+
+// POST /api/pricing/quote
+// { serviceType, urgency|priority, heavyDuty, distanceKm|distanceMeters|
+//   estimatedDistance, pickupLat/Lng, dropoffLat/Lng, serviceAt }
+router.post("/quote", quoteLimit, async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    if (!String(body.serviceType || "").trim()) {
+      return res.status(400).json({ message: "serviceType required" });
+    }
+    const quote = await quoteJob(quoteInputFrom(body));
+    if (!quote) {
+      return res.status(404).json({ message: "Automatic pricing is disabled" });
+    }
+    res.json(quote);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -6,6 +6,8 @@ import fsPromises from "fs/promises";
 import Customer from "../models/Customer.js";
 import Job from "../models/Jobs.js";
 import AdminNotification from "../models/AdminNotification.js";
+import { recordJobEvent } from "../lib/jobEvents.js";
+import { priceNewJob } from "../lib/pricing.js";
 import { getClientBaseUrl } from "../lib/clientUrl.js";
 import {
   sendAdminPushNotifications,
@@ -123,7 +125,23 @@ router.post("/jobs", jobMediaUpload.array("media", JOB_MEDIA_MAX_FILES), async (
       });
     }
 
-    // 5) Create job
+    // 5) Price and create job
+    const heavyDutyFlag =
+      typeof heavyDuty === "string"
+        ? heavyDuty.toLowerCase() === "true"
+        : Boolean(heavyDuty);
+    const { quotedPrice, priceQuote } = await priceNewJob({
+      serviceType,
+      urgency: body.urgency,
+      heavyDuty: heavyDutyFlag,
+      distanceMeters: distanceMetersNumber,
+      estimatedDistance: distanceText,
+      pickupLat,
+      pickupLng,
+      dropoffLat: body.dropoffLat ?? body.dropoff?.lat,
+      dropoffLng: body.dropoffLng ?? body.dropoff?.lng,
+    });
+
     const job = await Job.create({
       customerId: cust._id,
       status: "Unassigned",
@@ -131,10 +149,9 @@ router.post("/jobs", jobMediaUpload.array("media", JOB_MEDIA_MAX_FILES), async (
 
       serviceType,
       notes: isNonEmpty(notes) ? String(notes).trim() : undefined,
-      heavyDuty:
-        typeof heavyDuty === "string"
-          ? heavyDuty.toLowerCase() === "true"
-          : Boolean(heavyDuty),
+      heavyDuty: heavyDutyFlag,
+      quotedPrice,
+      priceQuote,
 
       pickupAddress: isNonEmpty(pickupAddress) ? pickupAddress : undefined,
       pickupLat: Number.isFinite(pickupLat) ? pickupLat : undefined,
@@ -177,6 +194,12 @@ router.post("/jobs", jobMediaUpload.array("media", JOB_MEDIA_MAX_FILES), async (
       job.customerToken = crypto.randomBytes(16).toString("hex");
     job.biddingOpen = true;
     await job.save();
+    await recordJobEvent({
+      job,
+      type: "created",
+      actor: { role: "customer", id: String(cust._id) },
+      source: "public.request",
+    });
 
     // 7) Build links
     const statusUrl = `${baseClient}/status/${job._id}`;
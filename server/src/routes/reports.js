@@ -2,6 +2,8 @@ import { Router } from "express";
 import Job from "../models/Jobs.js";
 import Vendor from "../models/Vendor.js";
 import Feedback from "../models/Feedback.js";
+import DigestRun, { DIGEST_KEYS } from "../models/DigestRun.js";
+import { buildRangeReport } from "../lib/reporting.js";
 
 const router = Router();
 
@@ -49,96 +51,31 @@ router.get("/range", async (req, res, next) => {
     const service = (req.query.service || "").trim();
     const city = (req.query.city || "").trim();
 
-    const match = { created: { $gte: from, $lte: to } };
-    if (service) match.serviceType = service;
-
-    // Base pipeline with optional city filter via vendor lookup
-    const pipeline = [
-      { $match: match },
-      {
-        $lookup: {
-          from: "vendors",
-          localField: "vendorId",
-          foreignField: "_id",
-          as: "vendor",
-        },
-      },
-      { $unwind: { path: "$vendor", preserveNullAndEmptyArrays: true } },
-    ];
-    if (city) pipeline.push({ $match: { "vendor.city": city } });
-    pipeline.push({
-      $project: {
-        status: 1,
-        serviceType: 1,
-        quotedPrice: 1,
-        vendorCity: "$vendor.city",
-      },
-    });
-
-    const jobs = await Job.aggregate(pipeline);
-
-    const totals = {
-      count: jobs.length,
-      completed: jobs.filter((j) => j.status === "Completed").length,
-      gross: jobs.reduce((s, j) => s + (Number(j.quotedPrice) || 0), 0),
-    };
-
-    const byService = {};
-    for (const j of jobs) {
-      const k = j.serviceType || "Other";
-      byService[k] = (byService[k] || 0) + 1;
-    }
-
-    const byCity = {};
-    for (const j of jobs) {
-      const k = j.vendorCity || "-";
-      byCity[k] = (byCity[k] || 0) + 1;
-    }
-
-    // Top vendors by completed & revenue
-    const topVendors = await Job.aggregate([
-      { $match: { ...match, status: "Completed" } },
-      {
-        $group: {
-          _id: "$vendorId",
-          jobs: { $sum: 1 },
-          revenue: { $sum: { $ifNull: ["$quotedPrice", 0] } },
-        },
-      },
-      { $sort: { jobs: -1, revenue: -1 } },
-      { $limit: 5 },
-      {
-        $lookup: {
-          from: "vendors",
-          localField: "_id",
-          foreignField: "_id",
-          as: "vendor",
-        },
-      },
-      { $unwind: { path: "$vendor", preserveNullAndEmptyArrays: true } },
-      {
-        $project: {
-          _id: 0,
-          vendorId: "$_id",
-          name: "$vendor.name",
-          city: "$vendor.city",
-          jobs: 1,
-          revenue: 1,
-        },
-      },
-    ]);
+    const report = await buildRangeReport({ from, to, service, city });
+    res.json(report);
+  } catch (e) {
+    next(e);
+  }
+});
 
-    // Satisfaction split (5* vs private (<5))
-    const fb = await Feedback.find(
-      { createdAt: { $gte: from, $lte: to } },
-      { rating: 1 }
-    ).lean();
-    const satisfaction = {
-      five: fb.filter((x) => x.rating === 5).length,
-      private: fb.filter((x) => x.rating < 5).length,
-    };
+/* ========== DIGESTS ========== */
+/**
+ * GET /api/reports/digests
+ * Query: digest?, limit? (default 20, max 100)
+ * Returns: { runs } most recent scheduled digest runs
+ */
+router.get("/digests", async (req, res, next) => {
+  try {
+    const filter = {};
+    const digest = String(req.query.digest || "").trim();
+    if (digest && DIGEST_KEYS.includes(digest)) filter.digest = digest;
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
 
-    res.json({ from, to, totals, byService, byCity, topVendors, satisfaction });
+    const runs = await DigestRun.find(filter)
+      .sort({ scheduledFor: -1 })
+      .limit(limit)
+      .lean();
+    res.json({ runs });
   } catch (e) {
     next(e);
   }
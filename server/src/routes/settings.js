@@ -1,10 +1,16 @@
 import { Router } from "express";
 import Settings from "../models/Settings.js";
-import Vendor from "../models/Vendor.js";
 import {
   getVendorComplianceConfig,
-  refreshVendorCompliance,
+  refreshAllVendorCompliance,
 } from "../lib/compliance.js";
+import { isValidTimeZone } from "../lib/schedule.js";
+import { sanitizeJobWorkflow } from "../lib/jobWorkflow.js";
+import { sanitizeSlaPolicies } from "../lib/sla.js";
+import { sanitizeGeofenceRules } from "../lib/geofence.js";
+import { sanitizePeakWindows } from "../lib/eta.js";
+import { normalizePricingConfig } from "../lib/pricing.js";
+import { sanitizeInvoicingSettings } from "../lib/invoices.js";
 
 const router = Router();
 
@@ -35,6 +41,41 @@ const sanitizeVendorDocuments = (documents = []) => {
     .filter((doc) => doc.key && doc.kind);
 };
 
+const slugify = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+
+const cleanList = (value) =>
+  Array.isArray(value)
+    ? [...new Set(value.map((entry) => String(entry || "").trim()).filter(Boolean))]
+    : [];
+
+const sanitizeRequirementSets = (sets = []) => {
+  if (!Array.isArray(sets)) return [];
+  const seen = new Set();
+  return sets
+    .filter((set) => set && typeof set === "object")
+    .map((set, index) => {
+      const label = String(set.label || "").trim() || `Requirement set ${index + 1}`;
+      return {
+        key: slugify(set.key) || slugify(label),
+        label,
+        services: cleanList(set.services),
+        heavyDuty: set.heavyDuty === true,
+        regions: cleanList(set.regions),
+        documents: sanitizeVendorDocuments(set.documents),
+      };
+    })
+    .filter((set) => {
+      if (!set.key || seen.has(set.key) || !set.documents.length) return false;
+      seen.add(set.key);
+      return true;
+    });
+};
+
 const allowedEnforcements = new Set(["off", "submission", "verified"]);
 
 const automationDefaults = {
@@ -228,6 +269,7 @@ const serializeSettings = (settingsDoc) => {
         enforce: vendorCompliance.enforce || "submission",
         autoSuspendOnExpiry: vendorCompliance.autoSuspendOnExpiry !== false,
         documents: sanitizeVendorDocuments(vendorCompliance.documents),
+        requirementSets: sanitizeRequirementSets(vendorCompliance.requirementSets),
       },
     },
     automation,
@@ -266,7 +308,17 @@ router.put("/", async (req, res, next) => {
     }
 
     if (payload.defaults) {
-      settings.defaults = { ...settings.defaults, ...payload.defaults };
+      const nextDefaults = { ...payload.defaults };
+      if (Object.prototype.hasOwnProperty.call(nextDefaults, "timezone")) {
+        const timezone = String(nextDefaults.timezone || "").trim();
+        if (timezone && !isValidTimeZone(timezone)) {
+          return res
+            .status(400)
+            .json({ message: `Unknown timezone "${timezone}"` });
+        }
+        nextDefaults.timezone = timezone;
+      }
+      settings.defaults = { ...settings.defaults, ...nextDefaults };
     }
 
     if (payload.intervals) {
@@ -292,6 +344,128 @@ router.put("/", async (req, res, next) => {
       settings.commission = { ...settings.commission, ...payload.commission };
     }
 
+    if (payload.dispatch) {
+      const incoming = payload.dispatch;
+      const nextDispatch = { ...settings.dispatch };
+      if (Object.prototype.hasOwnProperty.call(incoming, "offerTimeoutSec")) {
+        nextDispatch.offerTimeoutSec = Math.max(15, toNumber(incoming.offerTimeoutSec, 90));
+      }
+      if (Object.prototype.hasOwnProperty.call(incoming, "maxLastSeenMinutes")) {
+        nextDispatch.maxLastSeenMinutes = Math.max(0, toNumber(incoming.maxLastSeenMinutes, 30));
+      }
+      if (Object.prototype.hasOwnProperty.call(incoming, "maxOffers")) {
+        nextDispatch.maxOffers = Math.max(1, Math.round(toNumber(incoming.maxOffers, 5)));
+      }
+      settings.dispatch = nextDispatch;
+    }
+
+    if (payload.sla) {
+      const incoming = payload.sla;
+      const current = settings.sla || {};
+      settings.sla = {
+        enabled:
+          incoming.enabled !== undefined
+            ? Boolean(incoming.enabled)
+            : current.enabled !== false,
+        escalateOnBreach:
+          incoming.escalateOnBreach !== undefined
+            ? Boolean(incoming.escalateOnBreach)
+            : current.escalateOnBreach !== false,
+        policies: Array.isArray(incoming.policies)
+          ? sanitizeSlaPolicies(incoming.policies)
+          : sanitizeSlaPolicies(current.policies),
+      };
+    }
+
+    if (payload.payouts) {
+      const incoming = payload.payouts;
+      const current = settings.payouts || {};
+      settings.payouts = {
+        cadence: ["weekly", "biweekly"].includes(incoming.cadence)
+          ? incoming.cadence
+          : current.cadence || "weekly",
+        autoSettle:
+          incoming.autoSettle !== undefined
+            ? Boolean(incoming.autoSettle)
+            : Boolean(current.autoSettle),
+      };
+    }
+
+    if (payload.geofence) {
+      const incoming = payload.geofence;
+      const current = settings.geofence || {};
+      settings.geofence = {
+        enabled:
+          incoming.enabled !== undefined
+            ? Boolean(incoming.enabled)
+            : Boolean(current.enabled),
+        radiusMeters: Math.max(
+          25,
+          toNumber(incoming.radiusMeters, current.radiusMeters || 150)
+        ),
+        rules: Array.isArray(incoming.rules)
+          ? sanitizeGeofenceRules(incoming.rules)
+          : sanitizeGeofenceRules(current.rules),
+      };
+    }
+
+    if (payload.eta) {
+      const incoming = payload.eta;
+      const current = settings.eta || {};
+      const currentSpeeds = current.speedKph || {};
+      const incomingSpeeds = incoming.speedKph || {};
+      const speed = (key, fallback) =>
+        Math.max(5, toNumber(incomingSpeeds[key], currentSpeeds[key] || fallback));
+      settings.eta = {
+        provider:
+          typeof incoming.provider === "string" && incoming.provider.trim()
+            ? incoming.provider.trim()
+            : current.provider || "straight_line",
+        detourFactor: Math.max(
+          1,
+          toNumber(incoming.detourFactor, current.detourFactor || 1.3)
+        ),
+        speedKph: {
+          emergency: speed("emergency", 50),
+          urgent: speed("urgent", 45),
+          standard: speed("standard", 40),
+        },
+        peakWindows: Array.isArray(incoming.peakWindows)
+          ? sanitizePeakWindows(incoming.peakWindows)
+          : sanitizePeakWindows(current.peakWindows),
+      };
+    }
+
+    if (payload.pricing) {
+      const incoming = payload.pricing;
+      const current = settings.pricing?.toObject
+        ? settings.pricing.toObject()
+        : settings.pricing || {};
+      settings.pricing = normalizePricingConfig({
+        ...current,
+        ...incoming,
+        afterHours: { ...current.afterHours, ...incoming.afterHours },
+        urgencyMultipliers: {
+          ...current.urgencyMultipliers,
+          ...incoming.urgencyMultipliers,
+        },
+      });
+    }
+
+    if (payload.invoicing) {
+      const current = settings.invoicing?.toObject
+        ? settings.invoicing.toObject()
+        : settings.invoicing || {};
+      settings.invoicing = sanitizeInvoicingSettings({
+        ...current,
+        ...payload.invoicing,
+      });
+    }
+
+    if (payload.jobWorkflow) {
+      settings.jobWorkflow = sanitizeJobWorkflow(payload.jobWorkflow);
+    }
+
     if (payload.compliance && payload.compliance.vendor) {
       const current = settings.compliance?.vendor || {};
       const next = payload.compliance.vendor;
@@ -309,11 +483,18 @@ router.put("/", async (req, res, next) => {
           : current.documents
       );
 
+      const requirementSets = sanitizeRequirementSets(
+        Array.isArray(next.requirementSets)
+          ? next.requirementSets
+          : current.requirementSets
+      );
+
       settings.compliance = settings.compliance || {};
       settings.compliance.vendor = {
         enforce,
         autoSuspendOnExpiry,
         documents,
+        requirementSets,
       };
     }
 
@@ -383,24 +564,22 @@ router.put("/", async (req, res, next) => {
     const response = serializeSettings(saved);
     res.json(response);
 
-    const nextVendorConfig = await getVendorComplianceConfig();
-    if (
-      JSON.stringify(previousVendorConfig) !==
-      JSON.stringify(nextVendorConfig)
-    ) {
-      const vendors = await Vendor.find({}, { _id: 1 }).lean();
-      setImmediate(() => {
-        Promise.allSettled(
-          vendors.map((vendor) => refreshVendorCompliance(vendor._id))
-        ).catch((error) => {
-          // eslint-disable-next-line no-console
-          console.error(
-            "Failed to refresh vendor compliance after settings update",
-            error
-          );
-        });
+    // Requirement changes apply to every vendor; re-check them without
+    // holding up the response.
+    getVendorComplianceConfig()
+      .then((nextVendorConfig) => {
+        if (JSON.stringify(previousVendorConfig) === JSON.stringify(nextVendorConfig)) {
+          return null;
+        }
+        return refreshAllVendorCompliance();
+      })
+      .catch((error) => {
+        // eslint-disable-next-line no-console
+        console.error(
+          "Failed to refresh vendor compliance after settings update",
+          error
+        );
       });
-    }
   } catch (error) {
     next(error);
   }
@@ -4,17 +4,11 @@ import Job from "../models/Jobs.js";
 import Customer from "../models/Customer.js";
 import Vendor from "../models/Vendor.js";
 import { completeJobWithPayment } from "../lib/jobCompletion.js";
+import { assertTransition, loadJobWorkflow } from "../lib/jobWorkflow.js";
+import { recordJobEvent } from "../lib/jobEvents.js";
 
 const router = Router();
 
-const ALLOWED_NEXT = {
-  Unassigned: ["Assigned"],
-  Assigned: ["OnTheWay"],
-  OnTheWay: ["Arrived"],
-  Arrived: [],
-  Completed: [],
-};
-
 const PAYMENT_METHODS = new Set([
   "cash",
   "card",
@@ -95,15 +89,18 @@ router.patch("/:token/status", async (req, res, next) => {
       return res.status(409).json({ message: "Completed jobs are locked" });
     }
 
-    const allowed = new Set(ALLOWED_NEXT[job.status] || []);
-    if (!allowed.has(status)) {
-      return res
-        .status(409)
-        .json({ message: `Cannot move from ${job.status} to ${status}` });
-    }
+    assertTransition(await loadJobWorkflow(), job.status, status, "vendor");
 
+    const before = job.toObject();
     job.status = status;
     await job.save();
+    await recordJobEvent({
+      job,
+      actor: { role: "vendor", id: job.vendorId ? String(job.vendorId) : null },
+      source: "vendor.link",
+      before,
+      after: job,
+    });
 
     res.json({ ok: true, status: job.status });
   } catch (error) {
@@ -143,6 +140,8 @@ router.post("/:token/complete", async (req, res, next) => {
       method: paymentMethod,
       note,
       actor: "vendor",
+      eventActor: { role: "vendor", id: String(job.vendorId) },
+      source: "vendor.complete",
     });
 
     res.json({
@@ -4,6 +4,13 @@ import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 import Vendor from "../models/Vendor.js";
 import { refreshVendorCompliance } from "../lib/compliance.js";
+import { recordBreadcrumb } from "../lib/breadcrumbs.js";
+import { saveVendorServiceArea, serializeServiceArea } from "../lib/serviceArea.js";
+import {
+  isVendorApproved,
+  onboardingStatus,
+  syncVendorOnboarding,
+} from "../lib/vendorOnboarding.js";
 
 const router = Router();
 const JWT_SECRET = process.env.JWT_SECRET || "dev_secret_change_me";
@@ -32,9 +39,11 @@ function sanitizeVendor(v) {
     heavyDuty: !!v.heavyDuty,
     radiusKm: typeof v.radiusKm === "number" ? v.radiusKm : 25,
     baseAddress: v.baseAddress || null,
+    serviceArea: serializeServiceArea(v),
     lat: typeof v.lat === "number" ? v.lat : null,
     lng: typeof v.lng === "number" ? v.lng : null,
     active: v.active !== false,
+    onboardingStatus: onboardingStatus(v),
     complianceStatus: v.complianceStatus || "pending",
     compliance: v.compliance || {
       enforcement: "submission",
@@ -60,7 +69,9 @@ export function requireVendorAuth(req, res, next) {
 }
 
 // ---- POST /api/vendor/auth/register ----
-// Accepts: name, phone?, email?, city?, password, services?, heavyDuty?, radiusKm?, lat?, lng?
+// Accepts: name, phone?, email?, city?, password, services?, heavyDuty?, radiusKm?, lat?, lng?, acceptTerms?
+// New vendors start an application (lib/vendorOnboarding.js) and stay
+// inactive until an admin approves them.
 router.post("/register", async (req, res, next) => {
   try {
     let {
@@ -75,6 +86,7 @@ router.post("/register", async (req, res, next) => {
       lat,
       lng,
       baseAddress,
+      acceptTerms,
     } = req.body || {};
 
     name = String(name || "").trim();
@@ -103,6 +115,7 @@ router.post("/register", async (req, res, next) => {
     }
 
     const passHash = await bcrypt.hash(String(password), 10);
+    const now = new Date();
 
     const v = await Vendor.create({
       name,
@@ -116,14 +129,23 @@ router.post("/register", async (req, res, next) => {
       radiusKm: Number.isFinite(Number(radiusKm)) ? Number(radiusKm) : 25,
       lat: Number.isFinite(Number(lat)) ? Number(lat) : undefined,
       lng: Number.isFinite(Number(lng)) ? Number(lng) : undefined,
-      active: true,
+      active: false,
+      tosAcceptedAt: acceptTerms === true ? now : undefined,
+      onboarding: {
+        status: "applied",
+        appliedAt: now,
+        statusChangedAt: now,
+        history: [{ status: "applied", at: now }],
+      },
       complianceStatus: "pending",
     });
 
     await refreshVendorCompliance(v._id);
 
     const token = signToken(v._id);
-    res.status(201).json({ token, vendor: sanitizeVendor(v) });
+    res
+      .status(201)
+      .json({ token, vendor: sanitizeVendor(await Vendor.findById(v._id).lean()) });
   } catch (e) {
     // Handle unique index collisions from Mongo as well
     if (e?.code === 11000) {
@@ -221,15 +243,48 @@ router.patch("/profile", requireVendorAuth, async (req, res, next) => {
     if (Number.isFinite(Number(radiusKm))) v.radiusKm = Number(radiusKm);
     if (Number.isFinite(Number(lat))) v.lat = Number(lat);
     if (Number.isFinite(Number(lng))) v.lng = Number(lng);
+    if (active === true && !isVendorApproved(v)) {
+      return res
+        .status(403)
+        .json({ message: "You can go active once your application is approved" });
+    }
     if (typeof active === "boolean") v.active = active;
 
+    const scopeChanged = v.isModified("services") || v.isModified("heavyDuty") ||
+      v.isModified("city") || v.isModified("baseAddress");
     await v.save();
+    if (Number.isFinite(Number(lat)) && Number.isFinite(Number(lng))) {
+      await recordBreadcrumb({ vendorId: v._id, lat, lng, source: "profile" });
+    }
+    // Scoped requirement sets depend on services, heavy-duty and location;
+    // the service area is also an onboarding checklist item.
+    if (scopeChanged) {
+      await refreshVendorCompliance(v._id);
+      return res.json({ vendor: sanitizeVendor(await Vendor.findById(v._id)) });
+    }
+    if (!isVendorApproved(v)) {
+      return res.json({ vendor: sanitizeVendor(await syncVendorOnboarding(v._id)) });
+    }
     res.json({ vendor: sanitizeVendor(v) });
   } catch (e) {
     next(e);
   }
 });
 
+// ---- PUT /api/vendor/auth/service-area ----
+// Accepts: coverage?, exclusions? (GeoJSON Polygon/MultiPolygon, null clears)
+router.put("/service-area", requireVendorAuth, async (req, res, next) => {
+  try {
+    const { coverage, exclusions } = req.body || {};
+    let vendor = await saveVendorServiceArea(req.vendorId, { coverage, exclusions });
+    if (!isVendorApproved(vendor)) vendor = await syncVendorOnboarding(vendor._id);
+    res.json({ vendor: sanitizeVendor(vendor) });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ message: e.message });
+    next(e);
+  }
+});
+
 export default router;
 
 
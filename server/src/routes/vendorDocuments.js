@@ -7,9 +7,11 @@ import { fileURLToPath } from "url";
 import Document from "../models/Document.js";
 import { requireVendorAuth } from "./vendorAuth.js";
 import {
+  allRequirementDocuments,
   getVendorComplianceConfig,
   refreshVendorCompliance,
 } from "../lib/compliance.js";
+import { supersedePreviousVersion } from "../lib/documentReview.js";
 
 const router = Router();
 
@@ -50,6 +52,7 @@ const sanitizeDocument = (doc) => ({
   status: doc.status,
   uploadedAt: doc.uploadedAt,
   title: doc.title,
+  version: doc.version || 1,
 });
 
 router.post(
@@ -81,7 +84,7 @@ router.post(
       }
 
       const config = await getVendorComplianceConfig();
-      const requirement = config.documents.find(
+      const requirement = allRequirementDocuments(config).find(
         (doc) => doc.key === requirementKey || doc.kind === requirementKey
       );
 
@@ -132,7 +135,7 @@ router.post(
         req.file.filename
       );
 
-      const doc = await Document.create({
+      const created = await Document.create({
         ownerType: "vendor",
         vendorId: req.vendorId,
         title: requirement.label || req.file.originalname || "Vendor document",
@@ -152,6 +155,8 @@ router.post(
         },
       });
 
+      // Re-uploads become the current version; earlier files stay as history.
+      const doc = await supersedePreviousVersion(created);
       await refreshVendorCompliance(req.vendorId);
 
       res.status(201).json({
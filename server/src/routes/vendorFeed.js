@@ -4,7 +4,33 @@ import mongoose from "mongoose";
 import Job from "../models/Jobs.js";
 import Bid from "../models/Bid.js";
 import Vendor from "../models/Vendor.js";
-import { refreshVendorCompliance } from "../lib/compliance.js";
+import { refreshVendorCompliance, vendorCanServeJob } from "../lib/compliance.js";
+import { distanceKmOrNull } from "../lib/geo.js";
+import { vendorServesPoint } from "../lib/serviceArea.js";
+import { isVendorApproved, serializeOnboarding } from "../lib/vendorOnboarding.js";
+import { listVendorOffers, respondToOffer } from "../lib/autoDispatch.js";
+import {
+  getVendorBalances,
+  loadSettlementStatement,
+  statementCsv,
+  statementPdf,
+} from "../lib/payouts.js";
+import SettlementBatch from "../models/SettlementBatch.js";
+import VendorLedgerEntry from "../models/VendorLedgerEntry.js";
+import {
+  TERMINAL_STATUSES,
+  assertTransition,
+  loadJobWorkflow,
+} from "../lib/jobWorkflow.js";
+import { recordJobEvent } from "../lib/jobEvents.js";
+import {
+  effectiveBidStatus,
+  expireStaleBids,
+  respondToCounter,
+  serializeBid,
+  submitBid,
+  withdrawBid,
+} from "../lib/bids.js";
 import { requireVendorAuth } from "./vendorAuth.js";
 import VendorNotification from "../models/VendorNotification.js";
 import {
@@ -15,8 +41,6 @@ import {
 
 const router = Router();
 
-const EARTH_RADIUS_KM = 6371;
-const toRad = (deg) => (deg * Math.PI) / 180;
 const clamp = (value, min, max) => {
   if (!Number.isFinite(value)) return NaN;
   if (!Number.isFinite(min) || !Number.isFinite(max)) return value;
@@ -43,27 +67,7 @@ const normalizePhone = (input) => {
   return str.replace(/\D+/g, "");
 };
 
-const distanceKm = (lat1, lng1, lat2, lng2) => {
-  if (
-    !Number.isFinite(lat1) ||
-    !Number.isFinite(lng1) ||
-    !Number.isFinite(lat2) ||
-    !Number.isFinite(lng2)
-  ) {
-    return null;
-  }
-
-  const dLat = toRad(lat2 - lat1);
-  const dLng = toRad(lng2 - lng1);
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRad(lat1)) *
-      Math.cos(toRad(lat2)) *
-      Math.sin(dLng / 2) *
-      Math.sin(dLng / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return EARTH_RADIUS_KM * c;
-};
+const OPEN_FEED_SIZE = 50;
 
 async function loadVendorWithCompliance(vendorId) {
   if (!vendorId) return null;
@@ -94,6 +98,13 @@ router.get("/open", requireVendorAuth, async (req, res, next) => {
   if (!vendor) return res.status(401).json({ message: "Vendor not found" });
   const vendorPhone = normalizePhone(vendor.phone);
 
+  if (!isVendorApproved(vendor)) {
+    return res.status(403).json({
+      message: "Your vendor application has not been approved yet.",
+      onboarding: serializeOnboarding(vendor),
+    });
+  }
+
   if (!vendor.compliance?.allowed) {
     return res.status(403).json({
       message: "Submit required compliance documents to receive jobs.",
@@ -106,30 +117,44 @@ router.get("/open", requireVendorAuth, async (req, res, next) => {
     });
   }
 
-  const find = { biddingOpen: true, status: { $ne: "Completed" } };
-  const jobs = await Job.find(find).sort({ created: -1 }).limit(50).lean();
+  const find = { biddingOpen: true, status: { $nin: TERMINAL_STATUSES } };
+  // Hide services the vendor still needs scoped documents for, and pickups
+  // outside their drawn service area or inside an exclusion zone.
+  // Filtered in memory, so keep reading past hidden jobs until the page fills.
+  const jobs = [];
+  const cursor = Job.find(find)
+    .sort({ created: -1 })
+    .lean()
+    .cursor({ batchSize: OPEN_FEED_SIZE });
+  for await (const job of cursor) {
+    if (
+      vendorCanServeJob(vendor, job) &&
+      vendorServesPoint(vendor, job.pickupLat, job.pickupLng)
+    ) {
+      jobs.push(job);
+      if (jobs.length >= OPEN_FEED_SIZE) break;
+    }
+  }
 
-  const myBids = await Bid.find(
-    {
-      jobId: { $in: jobs.map((j) => j._id) },
-      $or: [
-        { vendorId: vendor._id },
-        ...(vendorPhone ? [{ vendorPhone: vendorPhone }] : []),
-      ],
-    },
-    "jobId"
-  ).lean();
-  const bidOn = new Set(myBids.map((b) => String(b.jobId)));
+  const myBids = await Bid.find({
+    jobId: { $in: jobs.map((j) => j._id) },
+    $or: [
+      { vendorId: vendor._id },
+      ...(vendorPhone ? [{ vendorPhone: vendorPhone }] : []),
+    ],
+  }).lean();
+  const bidByJob = new Map(myBids.map((b) => [String(b.jobId), b]));
 
   const avgSpeedKmh = 55;
   const vendorLat = Number.isFinite(vendor.lat) ? vendor.lat : null;
   const vendorLng = Number.isFinite(vendor.lng) ? vendor.lng : null;
 
   const jobsWithDistance = jobs.map((j) => {
+    const myBid = bidByJob.get(String(j._id)) || null;
     const distKm =
       vendorLat === null || vendorLng === null
         ? null
-        : distanceKm(vendorLat, vendorLng, j.pickupLat, j.pickupLng);
+        : distanceKmOrNull(vendorLat, vendorLng, j.pickupLat, j.pickupLng);
     const suggestedEtaMinutes =
       distKm === null
         ? null
@@ -150,7 +175,8 @@ router.get("/open", requireVendorAuth, async (req, res, next) => {
       bidMode: j.bidMode || "open",
       created: j.created,
       guestRequest: !!j.guestRequest,
-      canBid: !bidOn.has(String(j._id)),
+      canBid: !myBid || effectiveBidStatus(myBid) !== "active",
+      myBid: myBid ? serializeBid(myBid) : null,
       distanceKm: distKm,
       suggestedEtaMinutes,
     };
@@ -172,6 +198,13 @@ router.post("/bid", requireVendorAuth, async (req, res, next) => {
   if (!vendor) return res.status(401).json({ message: "Vendor not found" });
   const vendorPhone = normalizePhone(vendor.phone);
 
+  if (!isVendorApproved(vendor)) {
+    return res.status(403).json({
+      message: "Your vendor application has not been approved yet.",
+      onboarding: serializeOnboarding(vendor),
+    });
+  }
+
   if (!vendor.compliance?.allowed) {
     return res.status(403).json({
       message: "Submit required compliance documents before bidding.",
@@ -184,6 +217,18 @@ router.post("/bid", requireVendorAuth, async (req, res, next) => {
     });
   }
 
+  if (!vendorCanServeJob(vendor, job)) {
+    return res.status(403).json({
+      message: `Submit the documents required for ${job.serviceType || "this service"} before bidding.`,
+      complianceStatus: vendor.complianceStatus || "pending",
+      compliance: vendor.compliance,
+    });
+  }
+
+  if (!vendorServesPoint(vendor, job.pickupLat, job.pickupLng)) {
+    return res.status(403).json({ message: "This job is outside your service area." });
+  }
+
   const isFixed = job.bidMode === "fixed";
   const eta = clamp(toInt(etaMinutes), 1, 720);
   if (!Number.isFinite(eta)) {
@@ -201,37 +246,90 @@ router.post("/bid", requireVendorAuth, async (req, res, next) => {
     }
   }
 
-  const bid = await Bid.findOneAndUpdate(
-    {
-      jobId: job._id,
+  const { bid, created } = await submitBid({
+    job,
+    match: {
       $or: [
         { vendorId: vendor._id },
         ...(vendorPhone ? [{ vendorPhone: vendorPhone }] : []),
       ],
     },
-    {
-      $set: {
-        jobId: job._id,
-        vendorId: vendor._id,
-        vendorName: vendor.name,
-        vendorPhone: vendorPhone || null,
-        etaMinutes: eta,
-        price: pr,
-      },
-    },
-    { new: true, upsert: true, setDefaultsOnInsert: true }
-  ).lean();
-  res.status(201).json({
-    _id: bid._id,
-    jobId: bid.jobId,
-    vendorName: bid.vendorName,
-    vendorPhone: bid.vendorPhone,
-    etaMinutes: bid.etaMinutes,
-    price: bid.price,
-    createdAt: bid.createdAt,
+    vendorId: vendor._id,
+    vendorName: vendor.name,
+    vendorPhone: vendorPhone || null,
+    etaMinutes: eta,
+    price: pr,
   });
+  res.status(created ? 201 : 200).json(serializeBid(bid));
+});
+
+// Bid history for the signed-in vendor, newest first
+router.get("/bids", requireVendorAuth, async (req, res, next) => {
+  try {
+    await expireStaleBids();
+    const limit = Math.min(100, Math.max(1, toInt(req.query.limit) || 50));
+    const filter = { vendorId: req.vendorId };
+    if (req.query.status) filter.status = String(req.query.status);
+    const bids = await Bid.find(filter)
+      .sort({ updatedAt: -1 })
+      .limit(limit)
+      .lean();
+    res.json(bids.map((bid) => serializeBid(bid)));
+  } catch (error) {
+    next(error);
+  }
 });
 
+const loadOwnBid = async (req) => {
+  const { bidId } = req.params;
+  if (!mongoose.isValidObjectId(bidId)) {
+    const err = new Error("Invalid bid id");
+    err.status = 400;
+    throw err;
+  }
+  const bid = await Bid.findOne({ _id: bidId, vendorId: req.vendorId });
+  if (!bid) {
+    const err = new Error("Bid not found");
+    err.status = 404;
+    throw err;
+  }
+  return bid;
+};
+
+router.post("/bids/:bidId/withdraw", requireVendorAuth, async (req, res, next) => {
+  try {
+    const bid = await withdrawBid(await loadOwnBid(req));
+    res.json(serializeBid(bid.toObject()));
+  } catch (error) {
+    next(error);
+  }
+});
+
+const respondToCounterRoute = (accept) => async (req, res, next) => {
+  try {
+    const bid = await loadOwnBid(req);
+    const job = await Job.findById(bid.jobId).lean();
+    if (!job || !job.biddingOpen || job.selectedBidId) {
+      return res.status(409).json({ message: "Bidding closed" });
+    }
+    await respondToCounter(bid, { accept, job });
+    res.json(serializeBid(bid.toObject()));
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.post(
+  "/bids/:bidId/counter/accept",
+  requireVendorAuth,
+  respondToCounterRoute(true)
+);
+router.post(
+  "/bids/:bidId/counter/decline",
+  requireVendorAuth,
+  respondToCounterRoute(false)
+);
+
 router.get("/assigned", requireVendorAuth, async (req, res, next) => {
   const vendor = await loadVendorWithCompliance(req.vendorId);
   if (!vendor) return res.status(401).json({ message: "Vendor not found" });
@@ -271,7 +369,7 @@ router.get("/assigned", requireVendorAuth, async (req, res, next) => {
     distanceKm:
       vendorLat === null || vendorLng === null
         ? null
-        : distanceKm(vendorLat, vendorLng, j.pickupLat, j.pickupLng),
+        : distanceKmOrNull(vendorLat, vendorLng, j.pickupLat, j.pickupLng),
   }));
 
   res.json(jobsWithDistance);
@@ -309,7 +407,7 @@ router.get("/jobs/:jobId", requireVendorAuth, async (req, res, next) => {
     const dist =
       vendorLat === null || vendorLng === null
         ? null
-        : distanceKm(vendorLat, vendorLng, job.pickupLat, job.pickupLng);
+        : distanceKmOrNull(vendorLat, vendorLng, job.pickupLat, job.pickupLng);
 
     res.json({
       _id: job._id,
@@ -328,6 +426,11 @@ router.get("/jobs/:jobId", requireVendorAuth, async (req, res, next) => {
       status: job.status || "Unassigned",
       created: job.created,
       assignedAt: job.assignedAt || null,
+      arrivedAt: job.arrivedAt || null,
+      geofence: {
+        autoArrivedAt: job.geofence?.autoArrivedAt || null,
+        completionSuggestedAt: job.geofence?.completionSuggestedAt || null,
+      },
       customerName: job.customerName || null,
       customerPhone: job.customerPhone || null,
       contactName: job.contactName || null,
@@ -343,6 +446,104 @@ router.get("/jobs/:jobId", requireVendorAuth, async (req, res, next) => {
   }
 });
 
+// Auto dispatch offers waiting on this vendor
+router.get("/offers", requireVendorAuth, async (req, res, next) => {
+  try {
+    res.json(await listVendorOffers(req.vendorId));
+  } catch (error) {
+    next(error);
+  }
+});
+
+const respondToOfferRoute = (accept) => async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    if (!mongoose.isValidObjectId(jobId))
+      return res.status(400).json({ message: "Invalid job id" });
+
+    const { accepted, job } = await respondToOffer(jobId, req.vendorId, accept);
+    res.json({
+      ok: true,
+      accepted,
+      jobId: job._id,
+      status: job.status,
+      vendorAcceptedToken: accepted ? job.vendorAcceptedToken : null,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.post("/offers/:jobId/accept", requireVendorAuth, respondToOfferRoute(true));
+router.post("/offers/:jobId/decline", requireVendorAuth, respondToOfferRoute(false));
+
+// Payout ledger: running balance plus entries not yet in a settlement
+router.get("/balance", requireVendorAuth, async (req, res, next) => {
+  try {
+    const [summary] = await getVendorBalances({ vendorId: req.vendorId });
+    const pending = await VendorLedgerEntry.find({
+      vendorId: req.vendorId,
+      settlementId: null,
+    })
+      .sort({ occurredAt: -1 })
+      .limit(50)
+      .select("type amount description jobId occurredAt")
+      .lean();
+    res.json({
+      balance: summary?.balance || 0,
+      unsettled: summary?.unsettled || 0,
+      lastPayoutAt: summary?.lastPayoutAt || null,
+      pending,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/statements", requireVendorAuth, async (req, res, next) => {
+  try {
+    const vendorId = new mongoose.Types.ObjectId(String(req.vendorId));
+    const batches = await SettlementBatch.find({ "statements.vendorId": vendorId })
+      .sort({ periodEnd: -1 })
+      .limit(52)
+      .lean();
+    res.json(
+      batches.map((batch) => ({
+        batchId: batch._id,
+        reference: batch.reference,
+        cadence: batch.cadence,
+        periodStart: batch.periodStart,
+        periodEnd: batch.periodEnd,
+        currency: batch.currency,
+        statement: batch.statements.find(
+          (statement) => String(statement.vendorId) === String(vendorId)
+        ),
+      }))
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+const statementFileRoute = (format) => async (req, res, next) => {
+  try {
+    const data = await loadSettlementStatement(req.params.batchId, req.vendorId);
+    if (!data) return res.status(404).json({ message: "Statement not found" });
+    const name = `${data.batch.reference}.${format}`;
+    res.setHeader(
+      "Content-Type",
+      format === "pdf" ? "application/pdf" : "text/csv; charset=utf-8"
+    );
+    res.setHeader("Content-Disposition", `attachment; filename="${name}"`);
+    res.send(format === "pdf" ? statementPdf(data) : statementCsv(data));
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.get("/statements/:batchId.pdf", requireVendorAuth, statementFileRoute("pdf"));
+router.get("/statements/:batchId.csv", requireVendorAuth, statementFileRoute("csv"));
+
 router.get("/alerts", requireVendorAuth, async (req, res, next) => {
   try {
     const limitRaw = Number.parseInt(req.query.limit, 10);
@@ -434,8 +635,6 @@ router.patch(
     const { status } = req.body || {};
     if (!mongoose.isValidObjectId(jobId))
       return res.status(400).json({ message: "Invalid job id" });
-    if (!["OnTheWay", "Arrived", "Completed"].includes(status))
-      return res.status(400).json({ message: "Invalid status" });
 
     const v = await Vendor.findById(req.vendorId).lean();
     if (!v) return res.status(401).json({ message: "Vendor not found" });
@@ -450,9 +649,21 @@ router.patch(
     });
     if (!job) return res.status(404).json({ message: "Job not found" });
 
-    job.status = status;
-    if (status === "Completed" && !job.completed) job.completed = new Date();
-    await job.save();
+    try {
+      assertTransition(await loadJobWorkflow(), job.status, status, "vendor");
+      const before = job.toObject();
+      job.status = status;
+      await job.save();
+      await recordJobEvent({
+        job,
+        actor: { role: "vendor", id: String(v._id) },
+        source: "vendor.feed",
+        before,
+        after: job,
+      });
+    } catch (error) {
+      return next(error);
+    }
 
     res.json({ ok: true, jobId: job._id, status: job.status });
   }
@@ -0,0 +1,95 @@
+// server/src/routes/vendorOnboarding.js
+import { Router } from "express";
+import Vendor from "../models/Vendor.js";
+import { requireVendorAuth } from "./vendorAuth.js";
+import { getPaymentProcessor } from "../lib/paymentProcessors.js";
+import {
+  serializeOnboarding,
+  syncVendorOnboarding,
+} from "../lib/vendorOnboarding.js";
+
+const router = Router();
+
+router.use(requireVendorAuth);
+
+const respond = async (res, vendorId) => {
+  const vendor = await syncVendorOnboarding(vendorId);
+  if (!vendor) return res.status(404).json({ message: "Vendor not found" });
+  res.json(serializeOnboarding(vendor));
+};
+
+// GET /api/vendor/onboarding - application status and checklist
+router.get("/", async (req, res, next) => {
+  try {
+    await respond(res, req.vendorId);
+  } catch (e) {
+    next(e);
+  }
+});
+
+// POST /api/vendor/onboarding/terms  { accept: true }
+router.post("/terms", async (req, res, next) => {
+  try {
+    if (req.body?.accept !== true) {
+      return res.status(400).json({ message: "Accept the terms to continue" });
+    }
+    await Vendor.updateOne(
+      { _id: req.vendorId, tosAcceptedAt: null },
+      { $set: { tosAcceptedAt: new Date() } }
+    );
+    await respond(res, req.vendorId);
+  } catch (e) {
+    next(e);
+  }
+});
+
+// PUT /api/vendor/onboarding/payment-method
+// Accepts the customer/payment method ids returned by the processor's card
+// form: { customerId, paymentMethodId }. The method is looked up with the
+// platform's processor before it is saved; card details come from there.
+router.put("/payment-method", async (req, res, next) => {
+  try {
+    const { customerId, paymentMethodId } = req.body || {};
+    const customer = String(customerId || "").trim();
+    const method = String(paymentMethodId || "").trim();
+    if (!customer || !method) {
+      return res
+        .status(400)
+        .json({ message: "customerId and paymentMethodId are required" });
+    }
+    const processor = getPaymentProcessor();
+    if (typeof processor?.retrievePaymentMethod !== "function") {
+      return res
+        .status(503)
+        .json({ message: "Payment methods can't be added right now" });
+    }
+    const found = await processor.retrievePaymentMethod({
+      customerId: customer,
+      paymentMethodId: method,
+    });
+    if (!found) {
+      return res
+        .status(400)
+        .json({ message: "Payment method not found for this customer" });
+    }
+
+    await Vendor.updateOne(
+      { _id: req.vendorId },
+      {
+        $set: {
+          "billing.provider": processor.name,
+          "billing.customerId": found.customerId,
+          "billing.defaultPaymentMethodId": found.id,
+          "billing.cardBrand": found.brand || null,
+          "billing.cardLast4": found.last4 || null,
+          "billing.updatedAt": new Date(),
+        },
+      }
+    );
+    await respond(res, req.vendorId);
+  } catch (e) {
+    next(e);
+  }
+});
+
+export default router;
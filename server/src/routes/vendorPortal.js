@@ -3,6 +3,8 @@ import mongoose from "mongoose";
 import Job from "../models/Jobs.js";
 import Customer from "../models/Customer.js";
 import Vendor from "../models/Vendor.js";
+import { assertTransition, loadJobWorkflow } from "../lib/jobWorkflow.js";
+import { recordJobEvent } from "../lib/jobEvents.js";
 
 const router = Router();
 
@@ -57,19 +59,22 @@ router.patch("/:token/status", async (req, res, next) => {
   try {
     const { token } = req.params;
     const { status } = req.body || {};
-    const allowed = ["OnTheWay", "Arrived", "Completed"];
-
     const job = await Job.findOne({ vendorAcceptedToken: token });
     if (!job)
       return res.status(404).json({ message: "Invalid or expired link" });
-    if (!allowed.includes(status))
-      return res.status(400).json({ message: "Invalid status" });
 
-    // keep your job transition rules if needed
+    assertTransition(await loadJobWorkflow(), job.status, status, "vendor");
+    const before = job.toObject();
     job.status = status;
-    if (status === "Completed" && !job.completed) job.completed = new Date();
 
     await job.save();
+    await recordJobEvent({
+      job,
+      actor: { role: "vendor", id: job.vendorId ? String(job.vendorId) : null },
+      source: "vendor.portal",
+      before,
+      after: job,
+    });
     res.json({ ok: true, status: job.status });
   } catch (e) {
     next(e);
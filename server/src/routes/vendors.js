@@ -1,6 +1,12 @@
 ﻿import { Router } from "express";
+import ComplianceSweep from "../models/ComplianceSweep.js";
 import Vendor from "../models/Vendor.js";
 import { refreshVendorCompliance } from "../lib/compliance.js";
+import {
+  buildComplianceReport,
+  runComplianceSweep,
+} from "../lib/complianceSweep.js";
+import { onboardingStatus } from "../lib/vendorOnboarding.js";
 
 const router = Router();
 
@@ -34,6 +40,7 @@ const serializeVendor = (vendor) => {
     earningsSplit:
       typeof v.earningsSplit === "number" ? v.earningsSplit : 0.6,
     active: v.active !== false,
+    onboardingStatus: onboardingStatus(v),
     complianceStatus: v.complianceStatus || "pending",
     compliance: v.compliance || {
       enforcement: "submission",
@@ -56,6 +63,41 @@ router.get("/", async (_req, res, next) => {
   }
 });
 
+// GET /api/vendors/compliance/report - last sweep plus current standing
+router.get("/compliance/report", async (_req, res, next) => {
+  try {
+    res.json(await buildComplianceReport());
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/compliance/sweeps", async (req, res, next) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+    const sweeps = await ComplianceSweep.find({})
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .lean();
+    res.json(sweeps);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/vendors/compliance/sweep - run the nightly sweep now
+router.post("/compliance/sweep", async (req, res, next) => {
+  try {
+    const sweep = await runComplianceSweep({
+      trigger: "manual",
+      actor: { role: req.adminRole || "admin", id: req.adminId || null },
+    });
+    res.status(201).json(sweep);
+  } catch (error) {
+    next(error);
+  }
+});
+
 router.post("/", async (req, res, next) => {
   try {
     const { name, phone, city, earningsSplit } = req.body || {};
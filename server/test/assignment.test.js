@@ -0,0 +1,171 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Bid from "../src/models/Bid.js";
+import Job from "../src/models/Jobs.js";
+import Vendor from "../src/models/Vendor.js";
+import { assignVendorToJob } from "../src/lib/assignment.js";
+import { respondToOffer } from "../src/lib/autoDispatch.js";
+import { clearTestDb, connectTestDb, disconnectTestDb } from "./helpers/db.js";
+
+const ROUNDS = 5;
+
+const createVendor = (name) =>
+  Vendor.create({ name, phone: `+1555${Math.floor(Math.random() * 1e7)}` });
+
+const createJob = (extra = {}) =>
+  Job.create({
+    customerId: new mongoose.Types.ObjectId(),
+    pickupAddress: "1 Main St",
+    biddingOpen: true,
+    ...extra,
+  });
+
+const createBid = (job, vendor, price) =>
+  Bid.create({
+    jobId: job._id,
+    vendorId: vendor._id,
+    vendorName: vendor.name,
+    vendorPhone: vendor.phone,
+    etaMinutes: 20,
+    price,
+  });
+
+// Mirrors POST /api/bids/:bidId/select.
+const selectBid = (snapshot, bid, vendor) =>
+  assignVendorToJob({
+    job: snapshot,
+    vendor: { _id: vendor._id, name: vendor.name, phone: vendor.phone },
+    bid,
+    price: bid.price,
+    requireOpen: true,
+    event: { type: "bid_selected", actor: { role: "customer" }, source: "bids.select" },
+  });
+
+// Mirrors an admin PATCH /api/jobs/:id that sets vendorId.
+const adminAssign = (snapshot, vendor) =>
+  assignVendorToJob({
+    job: snapshot,
+    vendor: { _id: vendor._id, name: vendor.name, phone: vendor.phone },
+    status: null,
+    set: { status: "Assigned" },
+    event: { actor: { role: "admin" }, source: "jobs.patch" },
+  });
+
+const assertSingleWinner = async (results, jobId, vendorIds) => {
+  const won = results.filter((result) => result.status === "fulfilled");
+  const lost = results.filter((result) => result.status === "rejected");
+  assert.equal(won.length, 1, "exactly one assignment should succeed");
+  assert.equal(lost.length, results.length - 1);
+  for (const { reason } of lost) assert.equal(reason.status, 409);
+
+  const job = await Job.findById(jobId).lean();
+  const winner = won[0].value.job || won[0].value;
+  assert.equal(String(job.vendorId), String(winner.vendorId));
+  assert.ok(vendorIds.map(String).includes(String(job.vendorId)));
+  assert.equal(job.status, "Assigned");
+};
+
+describe("assignVendorToJob under concurrency", () => {
+  before(connectTestDb);
+  after(disconnectTestDb);
+  beforeEach(clearTestDb);
+
+  test("two customers selecting different bids: one wins", async () => {
+    for (let round = 0; round < ROUNDS; round += 1) {
+      const [a, b] = await Promise.all([createVendor("A"), createVendor("B")]);
+      const job = await createJob();
+      const [bidA, bidB] = await Promise.all([
+        createBid(job, a, 100),
+        createBid(job, b, 90),
+      ]);
+      const snapshot = await Job.findById(job._id).lean();
+
+      const results = await Promise.allSettled([
+        selectBid(snapshot, bidA.toObject(), a),
+        selectBid(snapshot, bidB.toObject(), b),
+      ]);
+      await assertSingleWinner(results, job._id, [a._id, b._id]);
+
+      const stored = await Job.findById(job._id).lean();
+      const winningBid = String(stored.vendorId) === String(a._id) ? bidA : bidB;
+      assert.equal(String(stored.selectedBidId), String(winningBid._id));
+    }
+  });
+
+  test("bid selection racing an admin assignment: one wins", async () => {
+    for (let round = 0; round < ROUNDS; round += 1) {
+      const [bidder, other] = await Promise.all([
+        createVendor("Bidder"),
+        createVendor("Admin pick"),
+      ]);
+      const job = await createJob();
+      const bid = await createBid(job, bidder, 120);
+      const snapshot = await Job.findById(job._id).lean();
+
+      const results = await Promise.allSettled([
+        selectBid(snapshot, bid.toObject(), bidder),
+        adminAssign(snapshot, other),
+      ]);
+      await assertSingleWinner(results, job._id, [bidder._id, other._id]);
+    }
+  });
+
+  test("bid selection racing an auto-dispatch accept: one wins", async () => {
+    for (let round = 0; round < ROUNDS; round += 1) {
+      const [bidder, offered] = await Promise.all([
+        createVendor("Bidder"),
+        createVendor("Offered"),
+      ]);
+      const now = Date.now();
+      const job = await createJob({
+        autoDispatch: {
+          status: "offering",
+          startedAt: new Date(now),
+          offers: [
+            {
+              vendorId: offered._id,
+              vendorName: offered.name,
+              offeredAt: new Date(now),
+              expiresAt: new Date(now + 60_000),
+              outcome: "pending",
+            },
+          ],
+        },
+      });
+      const bid = await createBid(job, bidder, 80);
+      const snapshot = await Job.findById(job._id).lean();
+
+      const results = await Promise.allSettled([
+        selectBid(snapshot, bid.toObject(), bidder),
+        respondToOffer(job._id, offered._id, true),
+      ]);
+      await assertSingleWinner(results, job._id, [bidder._id, offered._id]);
+
+      const stored = await Job.findById(job._id).lean();
+      const offer = stored.autoDispatch.offers[0];
+      if (String(stored.vendorId) === String(offered._id)) {
+        assert.equal(offer.outcome, "accepted");
+        assert.equal(stored.selectedBidId, null);
+      } else {
+        assert.equal(offer.outcome, "pending");
+        assert.equal(String(stored.selectedBidId), String(bid._id));
+      }
+    }
+  });
+
+  test("a stale snapshot cannot overwrite a finished assignment", async () => {
+    const [first, second] = await Promise.all([
+      createVendor("First"),
+      createVendor("Second"),
+    ]);
+    const job = await createJob();
+    const snapshot = await Job.findById(job._id).lean();
+
+    await adminAssign(snapshot, first);
+    await assert.rejects(adminAssign(snapshot, second), { status: 409 });
+
+    const stored = await Job.findById(job._id).lean();
+    assert.equal(String(stored.vendorId), String(first._id));
+  });
+});
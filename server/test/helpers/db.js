@@ -0,0 +1,23 @@
+// server/test/helpers/db.js
+// In-memory MongoDB for tests. MONGOMS_SYSTEM_BINARY points
+// mongodb-memory-server at a local mongod when it can't download one.
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+let server = null;
+
+export async function connectTestDb() {
+  server = await MongoMemoryServer.create();
+  await mongoose.connect(server.getUri());
+}
+
+export async function clearTestDb() {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map((collection) => collection.deleteMany({})));
+}
+
+export async function disconnectTestDb() {
+  await mongoose.disconnect();
+  if (server) await server.stop();
+  server = null;
+}
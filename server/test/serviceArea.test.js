@@ -0,0 +1,136 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  multiPolygonContains,
+  normalizeAreaGeometry,
+  vendorReachesPoint,
+} from "../src/lib/serviceArea.js";
+
+// [lng, lat] rings around a 0..10 square with a 4..6 hole.
+const square = (min, max) => [
+  [min, min],
+  [max, min],
+  [max, max],
+  [min, max],
+  [min, min],
+];
+const donut = { type: "MultiPolygon", coordinates: [[square(0, 10), square(4, 6)]] };
+
+const vendorWith = (serviceArea, extra = {}) => ({ serviceArea, ...extra });
+
+describe("multiPolygonContains", () => {
+  test("points inside the outer ring match", () => {
+    assert.equal(multiPolygonContains(donut, 2, 2), true);
+  });
+
+  test("points inside a hole do not match", () => {
+    assert.equal(multiPolygonContains(donut, 5, 5), false);
+  });
+
+  test("points outside every shape do not match", () => {
+    assert.equal(multiPolygonContains(donut, 20, 20), false);
+  });
+
+  test("any shape of a MultiPolygon can match", () => {
+    const two = {
+      type: "MultiPolygon",
+      coordinates: [[square(0, 1)], [square(20, 21)]],
+    };
+    assert.equal(multiPolygonContains(two, 20.5, 20.5), true);
+  });
+
+  test("missing geometry never matches", () => {
+    assert.equal(multiPolygonContains(null, 1, 1), false);
+  });
+});
+
+describe("normalizeAreaGeometry", () => {
+  test("closes open rings", () => {
+    const geometry = normalizeAreaGeometry({
+      type: "Polygon",
+      coordinates: [square(0, 10).slice(0, 4)],
+    });
+    const ring = geometry.coordinates[0][0];
+    assert.equal(geometry.type, "MultiPolygon");
+    assert.equal(ring.length, 5);
+    assert.deepEqual(ring[0], ring[4]);
+  });
+
+  test("flattens a FeatureCollection into one MultiPolygon", () => {
+    const geometry = normalizeAreaGeometry({
+      type: "FeatureCollection",
+      features: [
+        { type: "Feature", geometry: { type: "Polygon", coordinates: [square(0, 1)] } },
+        { type: "Feature", geometry: { type: "Polygon", coordinates: [square(2, 3)] } },
+      ],
+    });
+    assert.equal(geometry.coordinates.length, 2);
+  });
+
+  test("empty input clears the area", () => {
+    assert.equal(normalizeAreaGeometry(null), null);
+    assert.equal(normalizeAreaGeometry({ type: "MultiPolygon", coordinates: [] }), null);
+  });
+
+  test("rejects rings with fewer than 3 distinct points", () => {
+    assert.throws(
+      () =>
+        normalizeAreaGeometry({
+          type: "Polygon",
+          coordinates: [[[0, 0], [1, 1], [0, 0]]],
+        }),
+      { status: 400 }
+    );
+  });
+
+  test("rejects out-of-range coordinates", () => {
+    assert.throws(
+      () =>
+        normalizeAreaGeometry({
+          type: "Polygon",
+          coordinates: [[[0, 0], [200, 0], [0, 1]]],
+        }),
+      { status: 400 }
+    );
+  });
+});
+
+describe("vendorReachesPoint", () => {
+  test("drawn coverage replaces the radius", () => {
+    const vendor = vendorWith({ coverage: donut }, { lat: 50, lng: 50, radiusKm: 5 });
+    assert.equal(vendorReachesPoint(vendor, 2, 2), true);
+    assert.equal(vendorReachesPoint(vendor, 50, 50), false);
+  });
+
+  test("holes in the coverage are not served", () => {
+    assert.equal(vendorReachesPoint(vendorWith({ coverage: donut }), 5, 5), false);
+  });
+
+  test("exclusions inside the coverage win", () => {
+    const vendor = vendorWith({
+      coverage: { type: "MultiPolygon", coordinates: [[square(0, 10)]] },
+      exclusions: { type: "MultiPolygon", coordinates: [[square(1, 3)]] },
+    });
+    assert.equal(vendorReachesPoint(vendor, 2, 2), false);
+    assert.equal(vendorReachesPoint(vendor, 8, 8), true);
+  });
+
+  test("exclusions also apply to radius-only vendors", () => {
+    const vendor = vendorWith(
+      { exclusions: { type: "MultiPolygon", coordinates: [[square(-1, 1)]] } },
+      { lat: 0, lng: 0, radiusKm: 200 }
+    );
+    assert.equal(vendorReachesPoint(vendor, 0, 0), false);
+    assert.equal(vendorReachesPoint(vendor, 0, 1.5), true);
+  });
+
+  test("falls back to radiusKm around the vendor's location", () => {
+    const vendor = { lat: 40, lng: -74, radiusKm: 10 };
+    assert.equal(vendorReachesPoint(vendor, 40.05, -74), true);
+    assert.equal(vendorReachesPoint(vendor, 41, -74), false);
+  });
+
+  test("vendors without a location or area reach nothing", () => {
+    assert.equal(vendorReachesPoint({}, 40, -74), false);
+  });
+});
@@ -0,0 +1,187 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import Vendor from "../src/models/Vendor.js";
+import {
+  APPROVED_VENDOR_QUERY,
+  decideApplication,
+  nudgeStalledApplicants,
+  syncVendorOnboarding,
+} from "../src/lib/vendorOnboarding.js";
+import { clearTestDb, connectTestDb, disconnectTestDb } from "./helpers/db.js";
+
+const HOUR = 60 * 60 * 1000;
+
+// No phone or email, so notifications stay in-app.
+const createApplicant = (extra = {}) =>
+  Vendor.create({
+    name: "Applicant",
+    active: false,
+    onboarding: {
+      status: "applied",
+      appliedAt: new Date(),
+      statusChangedAt: new Date(),
+    },
+    ...extra,
+  });
+
+const COMPLETE_CHECKLIST = {
+  tosAcceptedAt: new Date(),
+  services: ["Towing"],
+  city: "Springfield",
+  billing: { customerId: "cus_1", defaultPaymentMethodId: "pm_1" },
+  compliance: { allowed: true },
+};
+
+const statusOf = async (vendor) =>
+  (await Vendor.findById(vendor._id).lean()).onboarding.status;
+
+describe("vendor onboarding", () => {
+  before(connectTestDb);
+  after(disconnectTestDb);
+  beforeEach(clearTestDb);
+
+  describe("syncVendorOnboarding", () => {
+    test("an incomplete checklist stays applied", async () => {
+      const vendor = await createApplicant({ tosAcceptedAt: new Date() });
+      await syncVendorOnboarding(vendor._id);
+      assert.equal(await statusOf(vendor), "applied");
+    });
+
+    test("only documents outstanding moves to documents_pending", async () => {
+      const vendor = await createApplicant({
+        ...COMPLETE_CHECKLIST,
+        compliance: { allowed: false },
+      });
+      const updated = await syncVendorOnboarding(vendor._id);
+      assert.equal(updated.onboarding.status, "documents_pending");
+      assert.equal(updated.onboarding.history.at(-1).status, "documents_pending");
+    });
+
+    test("a complete checklist moves to under_review and resets nudges", async () => {
+      const vendor = await createApplicant({
+        ...COMPLETE_CHECKLIST,
+        onboarding: {
+          status: "documents_pending",
+          statusChangedAt: new Date(Date.now() - 72 * HOUR),
+          nudgeCount: 2,
+          lastNudgedAt: new Date(),
+        },
+      });
+      const updated = await syncVendorOnboarding(vendor._id);
+      assert.equal(updated.onboarding.status, "under_review");
+      assert.equal(updated.onboarding.nudgeCount, 0);
+      assert.equal(updated.onboarding.lastNudgedAt, null);
+    });
+
+    test("decided vendors are left alone", async () => {
+      const vendor = await createApplicant({
+        onboarding: { status: "rejected", decisionNote: "Incomplete" },
+      });
+      await syncVendorOnboarding(vendor._id);
+      assert.equal(await statusOf(vendor), "rejected");
+    });
+  });
+
+  describe("approval gate", () => {
+    test("approval needs a complete checklist", async () => {
+      const vendor = await createApplicant({ tosAcceptedAt: new Date() });
+      await assert.rejects(decideApplication(String(vendor._id), { decision: "approve" }), {
+        status: 409,
+      });
+      const stored = await Vendor.findById(vendor._id).lean();
+      assert.equal(stored.onboarding.status, "applied");
+      assert.equal(stored.active, false);
+    });
+
+    test("approving a complete application activates the vendor", async () => {
+      const vendor = await createApplicant({
+        ...COMPLETE_CHECKLIST,
+        onboarding: { status: "under_review" },
+      });
+      const updated = await decideApplication(String(vendor._id), {
+        decision: "approve",
+        actor: { role: "admin", id: "admin-1" },
+      });
+      assert.equal(updated.onboarding.status, "approved");
+      assert.equal(updated.active, true);
+      assert.equal(updated.onboarding.decidedBy.id, "admin-1");
+    });
+
+    test("rejection needs a note and deactivates the vendor", async () => {
+      const vendor = await createApplicant({
+        ...COMPLETE_CHECKLIST,
+        active: true,
+        onboarding: { status: "approved" },
+      });
+      await assert.rejects(decideApplication(String(vendor._id), { decision: "reject" }), {
+        status: 400,
+      });
+      const updated = await decideApplication(String(vendor._id), {
+        decision: "reject",
+        note: "Insurance lapsed",
+      });
+      assert.equal(updated.onboarding.status, "rejected");
+      assert.equal(updated.active, false);
+      assert.equal(updated.onboarding.decisionNote, "Insurance lapsed");
+    });
+
+    test("APPROVED_VENDOR_QUERY matches approved and legacy vendors only", async () => {
+      const [legacy, approved] = await Promise.all([
+        Vendor.create({ name: "Legacy" }),
+        createApplicant({ onboarding: { status: "approved" } }),
+        createApplicant(),
+        createApplicant({ onboarding: { status: "under_review" } }),
+        createApplicant({ onboarding: { status: "rejected" } }),
+      ]);
+      const found = await Vendor.find(APPROVED_VENDOR_QUERY).select("_id").lean();
+      assert.deepEqual(
+        found.map((vendor) => String(vendor._id)).sort(),
+        [legacy, approved].map((vendor) => String(vendor._id)).sort()
+      );
+    });
+  });
+
+  describe("nudgeStalledApplicants", () => {
+    const stalledSince = (hours) => ({
+      onboarding: {
+        status: "applied",
+        statusChangedAt: new Date(Date.now() - hours * HOUR),
+      },
+    });
+
+    test("nudges only applicants stalled past the cutoff", async () => {
+      const stalled = await createApplicant(stalledSince(72));
+      await createApplicant(stalledSince(1));
+      await createApplicant({
+        onboarding: { status: "under_review", statusChangedAt: new Date(Date.now() - 72 * HOUR) },
+      });
+
+      assert.equal(await nudgeStalledApplicants(), 1);
+      const stored = await Vendor.findById(stalled._id).lean();
+      assert.equal(stored.onboarding.nudgeCount, 1);
+      assert.ok(stored.onboarding.lastNudgedAt);
+    });
+
+    test("waits afterHours between nudges", async () => {
+      await createApplicant(stalledSince(72));
+      const now = new Date();
+      assert.equal(await nudgeStalledApplicants({ now }), 1);
+      assert.equal(await nudgeStalledApplicants({ now: new Date(now.getTime() + HOUR) }), 0);
+      assert.equal(
+        await nudgeStalledApplicants({ now: new Date(now.getTime() + 49 * HOUR) }),
+        1
+      );
+    });
+
+    test("stops after maxNudges", async () => {
+      const vendor = await createApplicant(stalledSince(24 * 30));
+      let now = Date.now();
+      for (let round = 0; round < 5; round += 1) {
+        await nudgeStalledApplicants({ now: new Date(now), maxNudges: 3 });
+        now += 49 * HOUR;
+      }
+      const stored = await Vendor.findById(vendor._id).lean();
+      assert.equal(stored.onboarding.nudgeCount, 3);
+    });
+  });
+});